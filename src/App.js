@@ -1,17 +1,30 @@
 import { useEffect, lazy, Suspense } from 'react';
 import { Routes, Route, useLocation } from 'react-router-dom';
 import { HelmetProvider } from 'react-helmet-async';
+import { I18nProvider, useI18n } from './context/I18nContext';
+import { CurrencyProvider } from './context/CurrencyContext';
 import { CartProvider } from './context/CartContext';
+import { WishlistProvider } from './context/WishlistContext';
+import { CompareProvider } from './context/CompareContext';
 import { ABTestProvider } from './context/ABTestContext';
 import Header from './components/Header';
 import CartNotification from './components/CartNotification';
+import CompareTray from './components/CompareTray';
 import ErrorBoundary from './components/ErrorBoundary';
 import './App.scss';
 
 // Lazy load pages for code splitting
 const HomePage = lazy(() => import('./pages/HomePage'));
+const FacetPage = lazy(() => import('./pages/FacetPage'));
 const ProductPage = lazy(() => import('./pages/ProductPage'));
+const CreatorPage = lazy(() => import('./pages/CreatorPage'));
+const CollectionPage = lazy(() => import('./pages/CollectionPage'));
 const CartPage = lazy(() => import('./pages/CartPage'));
+const WishlistPage = lazy(() => import('./pages/WishlistPage'));
+const ComparePage = lazy(() => import('./pages/ComparePage'));
+const CatalogTransferPage = lazy(() => import('./pages/CatalogTransferPage'));
+const AdminPage = lazy(() => import('./pages/AdminPage'));
+const StaffAccessPage = lazy(() => import('./pages/StaffAccessPage'));
 
 // Lazy load CheckoutPage with its provider to avoid loading checkout code on other pages
 const CheckoutPageWithProvider = lazy(() =>
@@ -48,42 +61,92 @@ function ScrollToTop() {
   return null;
 }
 
+// Skip link for keyboard accessibility
+function SkipLink() {
+  const { t } = useI18n();
+
+  return (
+    <a href="#main-content" className="app__skip-link">
+      {t('common.skipToContent')}
+    </a>
+  );
+}
+
 function App() {
   return (
     <HelmetProvider>
-      <ABTestProvider>
-        <CartProvider>
-          <ErrorBoundary>
-            <ScrollToTop />
-            <CartNotification />
-            <div className="app">
-              {/* Skip link for keyboard accessibility */}
-              <a href="#main-content" className="app__skip-link">
-                Skip to main content
-              </a>
-              <Header />
-              <main id="main-content" className="app__main">
-                <ErrorBoundary>
-                  <Suspense fallback={<PageLoader />}>
-                    <Routes>
-                      <Route path="/" element={<HomePage />} />
-                      <Route
-                        path="/products/:productId"
-                        element={<ProductPage />}
-                      />
-                      <Route path="/cart" element={<CartPage />} />
-                      <Route
-                        path="/checkout"
-                        element={<CheckoutPageWithProvider />}
-                      />
-                    </Routes>
-                  </Suspense>
-                </ErrorBoundary>
-              </main>
-            </div>
-          </ErrorBoundary>
-        </CartProvider>
-      </ABTestProvider>
+      <I18nProvider>
+        <ABTestProvider>
+          <CurrencyProvider>
+            <CartProvider>
+              <WishlistProvider>
+                <CompareProvider>
+                  <ErrorBoundary>
+                    <ScrollToTop />
+                    <CartNotification />
+                    <div className="app">
+                      <SkipLink />
+                      <Header />
+                      <main id="main-content" className="app__main">
+                        <ErrorBoundary>
+                          <Suspense fallback={<PageLoader />}>
+                            <Routes>
+                              <Route path="/" element={<HomePage />} />
+                              <Route
+                                path="/category/:slug"
+                                element={<FacetPage type="category" />}
+                              />
+                              <Route
+                                path="/tags/:tag"
+                                element={<FacetPage type="tag" />}
+                              />
+                              <Route
+                                path="/products/:productId"
+                                element={<ProductPage />}
+                              />
+                              <Route
+                                path="/creators/:creatorId"
+                                element={<CreatorPage />}
+                              />
+                              <Route
+                                path="/collections/:collectionId"
+                                element={<CollectionPage />}
+                              />
+                              <Route path="/cart" element={<CartPage />} />
+                              <Route
+                                path="/wishlist"
+                                element={<WishlistPage />}
+                              />
+                              <Route
+                                path="/compare"
+                                element={<ComparePage />}
+                              />
+                              <Route
+                                path="/checkout"
+                                element={<CheckoutPageWithProvider />}
+                              />
+                              <Route
+                                path="/catalog/transfer"
+                                element={<CatalogTransferPage />}
+                              />
+                              <Route path="/admin/*" element={<AdminPage />} />
+                              <Route
+                                path="/staff"
+                                element={<StaffAccessPage />}
+                              />
+                            </Routes>
+                          </Suspense>
+                        </ErrorBoundary>
+                      </main>
+                      <CompareTray />
+                    </div>
+                  </ErrorBoundary>
+                </CompareProvider>
+              </WishlistProvider>
+            </CartProvider>
+          </CurrencyProvider>
+        </ABTestProvider>
+      </I18nProvider>
     </HelmetProvider>
   );
 }
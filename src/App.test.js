@@ -46,17 +46,19 @@ describe('App', () => {
   });
 
   describe('Layout', () => {
-    it('renders header on all pages', () => {
+    it('renders header on all pages', async () => {
       renderApp();
       expect(screen.getByText('NEXUS')).toBeInTheDocument();
       // "3D" appears in multiple places, check within header brand
       expect(screen.getByText('3D')).toBeInTheDocument();
+      await screen.findByRole('list', { name: /product listings/i });
     });
 
-    it('renders navigation links', () => {
+    it('renders navigation links', async () => {
       renderApp();
       expect(screen.getByRole('link', { name: /browse/i })).toBeInTheDocument();
       expect(screen.getByRole('link', { name: /cart/i })).toBeInTheDocument();
+      await screen.findByRole('list', { name: /product listings/i });
     });
   });
 
@@ -84,7 +86,7 @@ describe('App', () => {
     it('shows products on home page', async () => {
       renderApp('/');
       expect(
-        await screen.findByText('Tactical Combat Soldier')
+        await screen.findByRole('heading', { name: 'Tactical Combat Soldier' })
       ).toBeInTheDocument();
       expect(screen.getByText('Classic Toy Car Model')).toBeInTheDocument();
     });
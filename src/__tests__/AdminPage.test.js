@@ -0,0 +1,389 @@
+import {
+  render,
+  screen,
+  fireEvent,
+  waitFor,
+  within,
+} from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import { HelmetProvider } from 'react-helmet-async';
+import { I18nProvider } from '../context/I18nContext';
+import AdminPage from '../pages/AdminPage';
+import StaffAccessPage from '../pages/StaffAccessPage';
+import {
+  loadCatalogEntries,
+  resetCatalogStorage,
+  setCatalogStorage,
+} from '../services/catalogAdminService';
+import { getProduct, resetCatalogAdapter } from '../services/catalogService';
+import { products } from '../data/products';
+
+const [first, second] = products;
+
+const renderAdminPage = (path = '/admin') =>
+  render(
+    <HelmetProvider>
+      <MemoryRouter initialEntries={[path]}>
+        <I18nProvider>
+          <Routes>
+            <Route path="/" element={<h1>Store</h1>} />
+            <Route path="/staff" element={<StaffAccessPage />} />
+            <Route path="/admin/*" element={<AdminPage />} />
+          </Routes>
+        </I18nProvider>
+      </MemoryRouter>
+    </HelmetProvider>
+  );
+
+const getRow = (name) => screen.getByRole('row', { name: new RegExp(name) });
+
+const changeField = (label, value) => {
+  fireEvent.change(screen.getByLabelText(label), { target: { value } });
+};
+
+describe('AdminPage', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    resetCatalogStorage();
+    resetCatalogAdapter();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('access', () => {
+    it('locks the area for shoppers without offering the role switch', () => {
+      renderAdminPage();
+
+      expect(
+        screen.getByRole('heading', { name: 'Admin access required' })
+      ).toBeInTheDocument();
+      expect(screen.queryByRole('table')).not.toBeInTheDocument();
+      expect(
+        screen.queryByRole('button', { name: 'Switch to Admin Role' })
+      ).not.toBeInTheDocument();
+
+      fireEvent.click(
+        screen.getByRole('button', { name: 'Continue Shopping' })
+      );
+
+      expect(
+        screen.getByRole('heading', { name: 'Store' })
+      ).toBeInTheDocument();
+    });
+
+    it('unlocks the area from the staff access page', async () => {
+      renderAdminPage('/staff');
+
+      fireEvent.click(
+        screen.getByRole('button', { name: 'Switch to Admin Role' })
+      );
+
+      expect(await screen.findByRole('table')).toBeInTheDocument();
+      expect(localStorage.getItem('marketplace_role')).toBe('admin');
+    });
+
+    it('links admins from the staff access page to the admin area', async () => {
+      localStorage.setItem('marketplace_role', 'admin');
+      renderAdminPage('/staff');
+
+      expect(
+        screen.getByText('This device is using the admin role.')
+      ).toBeInTheDocument();
+      fireEvent.click(
+        screen.getByRole('button', { name: 'Open Catalog Admin' })
+      );
+
+      expect(await screen.findByRole('table')).toBeInTheDocument();
+    });
+
+    it('locks the area again after leaving the admin role', async () => {
+      localStorage.setItem('marketplace_role', 'admin');
+      renderAdminPage();
+
+      await screen.findByRole('table');
+      fireEvent.click(screen.getByRole('button', { name: 'Leave Admin' }));
+
+      expect(
+        screen.getByRole('heading', { name: 'Admin access required' })
+      ).toBeInTheDocument();
+    });
+  });
+
+  describe('as an admin', () => {
+    beforeEach(() => {
+      localStorage.setItem('marketplace_role', 'admin');
+    });
+
+    it('lists every catalog entry with its status', async () => {
+      renderAdminPage();
+
+      const table = await screen.findByRole('table', {
+        name: `${products.length} products`,
+      });
+      expect(within(table).getAllByRole('row')).toHaveLength(
+        products.length + 1
+      );
+      expect(within(getRow(first.name)).getByText('Live')).toBeInTheDocument();
+      expect(
+        within(getRow(first.name)).getByRole('link', {
+          name: `Edit ${first.name}`,
+        })
+      ).toHaveAttribute('href', `/admin/products/${first.id}/edit`);
+    });
+
+    it('archives a product and restores it', async () => {
+      renderAdminPage();
+      await screen.findByRole('table');
+
+      fireEvent.click(
+        screen.getByRole('button', { name: `Archive ${first.name}` })
+      );
+
+      expect(
+        await screen.findByText(
+          `"${first.name}" was archived and is hidden from the store.`
+        )
+      ).toBeInTheDocument();
+      expect(
+        within(getRow(first.name)).getByText('Archived')
+      ).toBeInTheDocument();
+      expect((await getProduct(first.id)).error).toBe('not_found');
+
+      fireEvent.click(
+        screen.getByRole('button', { name: `Restore ${first.name}` })
+      );
+
+      expect(
+        await screen.findByText(`"${first.name}" is back in the store.`)
+      ).toBeInTheDocument();
+      expect((await getProduct(first.id)).success).toBe(true);
+    });
+
+    it('offers a retry when the catalog fails to load', async () => {
+      const load = jest
+        .fn()
+        .mockRejectedValueOnce(new Error('offline'))
+        .mockResolvedValue(products);
+      setCatalogStorage({ load, save: jest.fn(), clear: jest.fn() });
+      renderAdminPage();
+
+      expect(
+        await screen.findByRole('heading', {
+          name: 'The catalog could not be loaded',
+        })
+      ).toBeInTheDocument();
+      expect(screen.queryByText('Loading...')).not.toBeInTheDocument();
+
+      fireEvent.click(screen.getByRole('button', { name: 'Try Again' }));
+
+      expect(await screen.findByRole('table')).toBeInTheDocument();
+    });
+
+    it('reports an action whose storage rejects', async () => {
+      const load = jest
+        .fn()
+        .mockResolvedValueOnce(products)
+        .mockRejectedValueOnce(new Error('offline'))
+        .mockResolvedValue(products);
+      setCatalogStorage({ load, save: jest.fn(), clear: jest.fn() });
+      renderAdminPage();
+      await screen.findByRole('table');
+
+      fireEvent.click(
+        screen.getByRole('button', { name: `Archive ${first.name}` })
+      );
+
+      expect(
+        await screen.findByText('The catalog could not be saved. Try again.')
+      ).toBeInTheDocument();
+      expect(
+        await within(await screen.findByRole('table')).findByRole('button', {
+          name: `Archive ${first.name}`,
+        })
+      ).toBeInTheDocument();
+    });
+
+    it('deletes a product only after confirmation', async () => {
+      const confirm = jest.spyOn(window, 'confirm').mockReturnValue(false);
+      renderAdminPage();
+      await screen.findByRole('table');
+
+      const deleteButton = screen.getByRole('button', {
+        name: `Delete ${second.name}`,
+      });
+      fireEvent.click(deleteButton);
+      expect(confirm).toHaveBeenCalledWith(
+        `Delete "${second.name}" for good? Archive it to only hide it.`
+      );
+      expect(await loadCatalogEntries()).toHaveLength(products.length);
+
+      confirm.mockReturnValue(true);
+      fireEvent.click(deleteButton);
+
+      expect(
+        await screen.findByText(`"${second.name}" was deleted.`)
+      ).toBeInTheDocument();
+      expect(
+        screen.queryByRole('rowheader', { name: new RegExp(second.name) })
+      ).not.toBeInTheDocument();
+      expect(await loadCatalogEntries()).toHaveLength(products.length - 1);
+    });
+
+    it('creates a product from the form', async () => {
+      renderAdminPage('/admin/products/new');
+
+      const saveButton = await screen.findByRole('button', {
+        name: 'Save Product',
+      });
+      fireEvent.click(saveButton);
+
+      expect(
+        await screen.findByText(
+          /fields need fixing before the product can be saved/
+        )
+      ).toBeInTheDocument();
+
+      changeField(/^ID/, 'desert-buggy');
+      changeField(/^Name/, 'Desert Buggy');
+      changeField(/^Description/, 'A dune buggy with suspension rig.');
+      changeField('Category', 'Vehicles');
+      changeField('Creator', 'nova-forge');
+      changeField(/^Price/, '24.5');
+      changeField(/^Poly count/, '12000');
+      changeField(/^Preview color/, '#c2a36b');
+      changeField(/^Tags/, 'vehicle, offroad');
+      fireEvent.click(screen.getByRole('checkbox', { name: 'FBX' }));
+      fireEvent.click(screen.getByRole('checkbox', { name: 'Rigged' }));
+      fireEvent.click(saveButton);
+
+      expect(
+        await screen.findByText('"Desert Buggy" was saved.')
+      ).toBeInTheDocument();
+      expect(getRow('Desert Buggy')).toBeInTheDocument();
+
+      const { product } = await getProduct('desert-buggy');
+      expect(product).toMatchObject({
+        category: 'Vehicles',
+        creatorId: 'nova-forge',
+        price: 24.5,
+        polyCount: 12000,
+        fileFormat: ['FBX'],
+        rigged: true,
+        tags: ['vehicle', 'offroad'],
+      });
+    });
+
+    it('keeps the id fixed while editing', async () => {
+      renderAdminPage(`/admin/products/${second.id}/edit`);
+
+      await screen.findByRole('heading', { name: `Edit ${second.name}` });
+      expect(screen.getByLabelText(/^ID/)).toHaveValue(second.id);
+      expect(screen.getByLabelText(/^ID/)).toBeDisabled();
+    });
+
+    it('edits an existing product, including its model scale', async () => {
+      renderAdminPage(`/admin/products/${first.id}/edit`);
+
+      expect(
+        await screen.findByRole('heading', { name: `Edit ${first.name}` })
+      ).toBeInTheDocument();
+      expect(screen.getByLabelText(/^Name/)).toHaveValue(first.name);
+
+      changeField(/^Price/, '5');
+      changeField(/^Model scale/, '2');
+      fireEvent.click(screen.getByRole('button', { name: 'Save Product' }));
+
+      expect(
+        await screen.findByText(`"${first.name}" was saved.`)
+      ).toBeInTheDocument();
+      const { product } = await getProduct(first.id);
+      expect(product.price).toBe(5);
+      expect(product.model.scale).toBe(2);
+    });
+
+    it('saves tags in lowercase so their tag pages find the product', async () => {
+      renderAdminPage(`/admin/products/${first.id}/edit`);
+
+      await screen.findByRole('heading', { name: `Edit ${first.name}` });
+      changeField(/^Tags/, 'Robot, Sci-Fi');
+      fireEvent.click(screen.getByRole('button', { name: 'Save Product' }));
+
+      await screen.findByText(`"${first.name}" was saved.`);
+      expect((await getProduct(first.id)).product.tags).toEqual([
+        'robot',
+        'sci-fi',
+      ]);
+    });
+
+    it('shows field errors from the product schema', async () => {
+      renderAdminPage(`/admin/products/${first.id}/edit`);
+
+      await screen.findByRole('heading', { name: `Edit ${first.name}` });
+      changeField(/^Poly count/, '-5');
+      fireEvent.click(screen.getByRole('button', { name: 'Save Product' }));
+
+      expect(
+        await screen.findByText(
+          '1 field needs fixing before the product can be saved.'
+        )
+      ).toBeInTheDocument();
+      expect(screen.getByLabelText(/^Poly count/)).toHaveAttribute(
+        'aria-invalid',
+        'true'
+      );
+      expect(
+        screen.getByText('Enter a number of at least 0')
+      ).toBeInTheDocument();
+      expect((await getProduct(first.id)).product.polyCount).toBe(
+        first.polyCount
+      );
+    });
+
+    it('keeps the form usable when saving rejects', async () => {
+      const load = jest
+        .fn()
+        .mockResolvedValueOnce(products)
+        .mockRejectedValueOnce(new Error('offline'));
+      setCatalogStorage({ load, save: jest.fn(), clear: jest.fn() });
+      renderAdminPage(`/admin/products/${first.id}/edit`);
+
+      await screen.findByRole('heading', { name: `Edit ${first.name}` });
+      fireEvent.click(screen.getByRole('button', { name: 'Save Product' }));
+
+      expect(
+        await screen.findByText('The catalog could not be saved. Try again.')
+      ).toBeInTheDocument();
+      expect(
+        screen.getByRole('button', { name: 'Save Product' })
+      ).toBeEnabled();
+    });
+
+    it('reports an unknown product id', async () => {
+      renderAdminPage('/admin/products/does-not-exist/edit');
+
+      expect(
+        await screen.findByRole('heading', { name: 'Product not found' })
+      ).toBeInTheDocument();
+    });
+
+    it('resets the catalog after confirmation', async () => {
+      jest.spyOn(window, 'confirm').mockReturnValue(true);
+      renderAdminPage();
+      await screen.findByRole('table');
+
+      fireEvent.click(
+        screen.getByRole('button', { name: `Delete ${first.name}` })
+      );
+      await screen.findByText(`"${first.name}" was deleted.`);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Reset Catalog' }));
+
+      await waitFor(() => expect(getRow(first.name)).toBeInTheDocument());
+      expect(
+        screen.getByText('The bundled catalog was restored.')
+      ).toBeInTheDocument();
+    });
+  });
+});
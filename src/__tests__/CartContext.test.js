@@ -1,5 +1,6 @@
 import { renderHook, act } from '@testing-library/react';
-import { CartProvider, useCart } from '../context/CartContext';
+import { CartProvider, useCart, getCartLineId } from '../context/CartContext';
+import { getCollectionById, getBundlePricing } from '../data/collections';
 
 const mockProduct = {
   id: 'test-1',
@@ -54,6 +55,9 @@ describe('CartContext', () => {
       expect(result.current.cartItems).toHaveLength(1);
       expect(result.current.cartItems[0]).toEqual({
         ...mockProduct,
+        license: 'personal',
+        format: null,
+        lineId: 'test-1:personal',
         quantity: 1,
       });
       expect(result.current.cartCount).toBe(1);
@@ -88,6 +92,188 @@ describe('CartContext', () => {
     });
   });
 
+  describe('license tiers', () => {
+    it('keys the same product under two tiers as two lines', () => {
+      const { result } = renderHook(() => useCart(), { wrapper });
+
+      act(() => {
+        result.current.addToCart(mockProduct);
+        result.current.addToCart(mockProduct, 'commercial');
+        result.current.addToCart(mockProduct, 'commercial');
+      });
+
+      expect(result.current.cartItems).toHaveLength(2);
+      expect(result.current.cartItems[1]).toMatchObject({
+        id: 'test-1',
+        license: 'commercial',
+        lineId: 'test-1:commercial',
+        price: 20,
+        quantity: 2,
+      });
+      expect(result.current.cartTotal).toBe(50);
+    });
+
+    it('removes only the matching line', () => {
+      const { result } = renderHook(() => useCart(), { wrapper });
+
+      act(() => {
+        result.current.addToCart(mockProduct);
+        result.current.addToCart(mockProduct, 'extended');
+      });
+      act(() => {
+        result.current.removeFromCart(
+          getCartLineId(mockProduct.id, 'extended')
+        );
+      });
+
+      expect(result.current.cartItems).toHaveLength(1);
+      expect(result.current.cartItems[0].license).toBe('personal');
+    });
+
+    it('falls back to the default tier for unknown tiers', () => {
+      const { result } = renderHook(() => useCart(), { wrapper });
+
+      act(() => {
+        result.current.addToCart(mockProduct, 'unknown');
+      });
+
+      expect(result.current.cartItems[0].license).toBe('personal');
+      expect(result.current.cartItems[0].price).toBe(10);
+    });
+
+    it('keeps the commercial license on carts saved without tiers', () => {
+      localStorage.setItem(
+        'marketplace_cart',
+        JSON.stringify([{ ...mockProduct, quantity: 2 }])
+      );
+
+      const { result } = renderHook(() => useCart(), { wrapper });
+
+      expect(result.current.cartItems[0]).toMatchObject({
+        license: 'commercial',
+        lineId: 'test-1:commercial',
+        price: mockProduct.price,
+        quantity: 2,
+      });
+    });
+  });
+
+  describe('file formats', () => {
+    const formatProduct = {
+      ...mockProduct,
+      id: 'test-3',
+      fileFormat: ['FBX', 'OBJ', 'GLTF'],
+    };
+
+    it('defaults to the first format', () => {
+      const { result } = renderHook(() => useCart(), { wrapper });
+
+      act(() => {
+        result.current.addToCart(formatProduct);
+      });
+
+      expect(result.current.cartItems[0]).toMatchObject({
+        format: 'FBX',
+        lineId: 'test-3:personal:FBX',
+      });
+    });
+
+    it('ignores formats the product does not offer', () => {
+      const { result } = renderHook(() => useCart(), { wrapper });
+
+      act(() => {
+        result.current.addToCart(formatProduct, 'personal', 'MAX');
+      });
+
+      expect(result.current.cartItems[0].format).toBe('FBX');
+    });
+
+    it('keys the same product in two formats as two lines', () => {
+      const { result } = renderHook(() => useCart(), { wrapper });
+
+      act(() => {
+        result.current.addToCart(formatProduct, 'personal', 'FBX');
+        result.current.addToCart(formatProduct, 'personal', 'OBJ');
+      });
+
+      expect(result.current.cartItems.map((item) => item.format)).toEqual([
+        'FBX',
+        'OBJ',
+      ]);
+    });
+
+    it('changes the format of a line', () => {
+      const { result } = renderHook(() => useCart(), { wrapper });
+
+      act(() => {
+        result.current.addToCart(formatProduct);
+      });
+      act(() => {
+        result.current.updateFormat('test-3:personal:FBX', 'GLTF');
+      });
+
+      expect(result.current.cartItems).toHaveLength(1);
+      expect(result.current.cartItems[0]).toMatchObject({
+        format: 'GLTF',
+        lineId: 'test-3:personal:GLTF',
+        quantity: 1,
+      });
+    });
+
+    it('merges lines that end up with the same format', () => {
+      const { result } = renderHook(() => useCart(), { wrapper });
+
+      act(() => {
+        result.current.addToCart(formatProduct, 'personal', 'FBX');
+        result.current.addToCart(formatProduct, 'personal', 'OBJ');
+        result.current.addToCart(formatProduct, 'personal', 'OBJ');
+      });
+      act(() => {
+        result.current.updateFormat('test-3:personal:FBX', 'OBJ');
+      });
+
+      expect(result.current.cartItems).toHaveLength(1);
+      expect(result.current.cartItems[0]).toMatchObject({
+        format: 'OBJ',
+        quantity: 3,
+      });
+    });
+
+    it('ignores unavailable formats when updating', () => {
+      const { result } = renderHook(() => useCart(), { wrapper });
+
+      act(() => {
+        result.current.addToCart(formatProduct);
+      });
+      act(() => {
+        result.current.updateFormat('test-3:personal:FBX', 'MAX');
+      });
+
+      expect(result.current.cartItems[0].format).toBe('FBX');
+    });
+
+    it('gives saved lines without a format the first format', () => {
+      localStorage.setItem(
+        'marketplace_cart',
+        JSON.stringify([
+          {
+            ...formatProduct,
+            license: 'commercial',
+            lineId: 'test-3:commercial',
+            quantity: 1,
+          },
+        ])
+      );
+
+      const { result } = renderHook(() => useCart(), { wrapper });
+
+      expect(result.current.cartItems[0]).toMatchObject({
+        format: 'FBX',
+        lineId: 'test-3:commercial:FBX',
+      });
+    });
+  });
+
   describe('removeFromCart', () => {
     it('removes a product from cart', () => {
       const { result } = renderHook(() => useCart(), { wrapper });
@@ -98,7 +284,7 @@ describe('CartContext', () => {
       });
 
       act(() => {
-        result.current.removeFromCart(mockProduct.id);
+        result.current.removeFromCart(getCartLineId(mockProduct.id));
       });
 
       expect(result.current.cartItems).toHaveLength(1);
@@ -129,7 +315,7 @@ describe('CartContext', () => {
       });
 
       act(() => {
-        result.current.updateQuantity(mockProduct.id, 5);
+        result.current.updateQuantity(getCartLineId(mockProduct.id), 5);
       });
 
       expect(result.current.cartItems[0].quantity).toBe(5);
@@ -145,7 +331,7 @@ describe('CartContext', () => {
       });
 
       act(() => {
-        result.current.updateQuantity(mockProduct.id, 0);
+        result.current.updateQuantity(getCartLineId(mockProduct.id), 0);
       });
 
       expect(result.current.cartItems).toHaveLength(0);
@@ -159,7 +345,120 @@ describe('CartContext', () => {
       });
 
       act(() => {
-        result.current.updateQuantity(mockProduct.id, -1);
+        result.current.updateQuantity(getCartLineId(mockProduct.id), -1);
+      });
+
+      expect(result.current.cartItems).toHaveLength(0);
+    });
+  });
+
+  describe('bundles', () => {
+    const collection = getCollectionById('animated-animals');
+    const { products: members } = getBundlePricing(collection);
+
+    it('adds every member as one grouped bundle', () => {
+      const { result } = renderHook(() => useCart(), { wrapper });
+
+      act(() => {
+        result.current.addBundle(collection, members);
+      });
+
+      expect(result.current.cartItems).toHaveLength(3);
+      expect(
+        result.current.cartItems.every(
+          (item) => item.bundleId === 'animated-animals'
+        )
+      ).toBe(true);
+      expect(result.current.cartItems[0].lineId).toBe(
+        'animated-animals/animated-horse:personal:FBX'
+      );
+      expect(result.current.cartBundles).toHaveLength(1);
+      expect(result.current.cartBundles[0]).toMatchObject({
+        id: 'animated-animals',
+        name: 'Animated Animals',
+        quantity: 1,
+        itemsTotal: 199,
+        price: 149,
+        discount: 50,
+      });
+      expect(result.current.cartTotal).toBe(199);
+      expect(result.current.bundleDiscount).toBe(50);
+      expect(result.current.notification.product).toEqual({
+        id: 'animated-animals',
+        name: 'Animated Animals',
+        price: 149,
+      });
+    });
+
+    it('keeps bundle members apart from the same models bought alone', () => {
+      const { result } = renderHook(() => useCart(), { wrapper });
+
+      act(() => {
+        result.current.addToCart(members[0]);
+        result.current.addBundle(collection, members);
+      });
+
+      expect(result.current.cartItems).toHaveLength(4);
+      expect(result.current.cartBundles[0].items).toHaveLength(3);
+    });
+
+    it('increases the quantity when the bundle is added again', () => {
+      const { result } = renderHook(() => useCart(), { wrapper });
+
+      act(() => {
+        result.current.addBundle(collection, members);
+        result.current.addBundle(collection, members);
+      });
+
+      expect(result.current.cartItems).toHaveLength(3);
+      expect(result.current.cartCount).toBe(6);
+      expect(result.current.bundleDiscount).toBe(100);
+
+      act(() => {
+        result.current.updateBundleQuantity('animated-animals', 1);
+      });
+
+      expect(result.current.cartCount).toBe(3);
+      expect(result.current.bundleDiscount).toBe(50);
+    });
+
+    it('drops the discount once a member is removed', () => {
+      const { result } = renderHook(() => useCart(), { wrapper });
+
+      act(() => {
+        result.current.addBundle(collection, members);
+      });
+      act(() => {
+        result.current.removeFromCart(result.current.cartItems[0].lineId);
+      });
+
+      expect(result.current.cartBundles[0].items).toHaveLength(2);
+      expect(result.current.bundleDiscount).toBe(0);
+    });
+
+    it('removes every member with the bundle', () => {
+      const { result } = renderHook(() => useCart(), { wrapper });
+
+      act(() => {
+        result.current.addToCart(mockProduct);
+        result.current.addBundle(collection, members);
+      });
+      act(() => {
+        result.current.removeBundle('animated-animals');
+      });
+
+      expect(result.current.cartItems).toHaveLength(1);
+      expect(result.current.cartBundles).toEqual([]);
+    });
+
+    it('removes the bundle when its quantity is set to 0', () => {
+      const { result } = renderHook(() => useCart(), { wrapper });
+
+      act(() => {
+        result.current.addBundle(collection, members);
+      });
+      act(() => {
+        result.current.updateBundleQuantity('animated-animals', 0);
       });
 
       expect(result.current.cartItems).toHaveLength(0);
@@ -238,7 +537,7 @@ describe('CartContext', () => {
       });
 
       expect(result.current.notification.show).toBe(true);
-      expect(result.current.notification.product).toEqual(mockProduct);
+      expect(result.current.notification.product).toMatchObject(mockProduct);
     });
 
     it('updates notification with new product when another is added', () => {
@@ -1,6 +1,8 @@
 import { render, screen, fireEvent } from '@testing-library/react';
 import { MemoryRouter } from 'react-router-dom';
 import { CartProvider, useCart } from '../context/CartContext';
+import { CurrencyProvider } from '../context/CurrencyContext';
+import { I18nProvider } from '../context/I18nContext';
 import { ABTestProvider } from '../context/ABTestContext';
 import CartNotification from '../components/CartNotification';
 import React from 'react';
@@ -48,9 +50,13 @@ const renderNotification = (autoAdd = false) => {
   return render(
     <MemoryRouter>
       <ABTestProvider>
-        <CartProvider>
-          <NotificationWithTrigger autoAdd={autoAdd} />
-        </CartProvider>
+        <I18nProvider>
+          <CurrencyProvider>
+            <CartProvider>
+              <NotificationWithTrigger autoAdd={autoAdd} />
+            </CartProvider>
+          </CurrencyProvider>
+        </I18nProvider>
       </ABTestProvider>
     </MemoryRouter>
   );
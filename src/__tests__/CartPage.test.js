@@ -1,7 +1,16 @@
-import { render, screen, fireEvent } from '@testing-library/react';
+import {
+  render,
+  screen,
+  fireEvent,
+  waitFor,
+  within,
+} from '@testing-library/react';
 import { MemoryRouter } from 'react-router-dom';
 import { HelmetProvider } from 'react-helmet-async';
 import { CartProvider, useCart } from '../context/CartContext';
+import { CurrencyProvider } from '../context/CurrencyContext';
+import { I18nProvider } from '../context/I18nContext';
+import { getCollectionById, getBundlePricing } from '../data/collections';
 import CartPage from '../pages/CartPage';
 import React from 'react';
 
@@ -69,9 +78,13 @@ const renderCartPage = (items = []) => {
     return render(
       <HelmetProvider>
         <MemoryRouter>
-          <CartProvider>
-            <CartPage />
-          </CartProvider>
+          <I18nProvider>
+            <CurrencyProvider>
+              <CartProvider>
+                <CartPage />
+              </CartProvider>
+            </CurrencyProvider>
+          </I18nProvider>
         </MemoryRouter>
       </HelmetProvider>
     );
@@ -80,14 +93,45 @@ const renderCartPage = (items = []) => {
   return render(
     <HelmetProvider>
       <MemoryRouter>
-        <CartProvider>
-          <CartWithItems items={items} />
-        </CartProvider>
+        <I18nProvider>
+          <CurrencyProvider>
+            <CartProvider>
+              <CartWithItems items={items} />
+            </CartProvider>
+          </CurrencyProvider>
+        </I18nProvider>
       </MemoryRouter>
     </HelmetProvider>
   );
 };
 
+// Helper component to pre-populate cart with a bundle
+const CartWithBundle = ({ collectionId }) => {
+  const { addBundle } = useCart();
+
+  React.useEffect(() => {
+    const collection = getCollectionById(collectionId);
+    addBundle(collection, getBundlePricing(collection).products);
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  return <CartPage />;
+};
+
+const renderCartPageWithBundle = (collectionId = 'animated-animals') =>
+  render(
+    <HelmetProvider>
+      <MemoryRouter>
+        <I18nProvider>
+          <CurrencyProvider>
+            <CartProvider>
+              <CartWithBundle collectionId={collectionId} />
+            </CartProvider>
+          </CurrencyProvider>
+        </I18nProvider>
+      </MemoryRouter>
+    </HelmetProvider>
+  );
+
 describe('CartPage', () => {
   // Clear localStorage before each test to prevent cart persistence issues
   beforeEach(() => {
@@ -128,6 +172,38 @@ describe('CartPage', () => {
       expect(screen.getByText('Product A')).toBeInTheDocument();
     });
 
+    it('renders the license tier of each line', () => {
+      renderCartPage([mockProduct]);
+      expect(screen.getByText('Personal license')).toBeInTheDocument();
+      expect(
+        screen.getByRole('button', {
+          name: 'Remove Product A from cart (Personal license)',
+        })
+      ).toBeInTheDocument();
+    });
+
+    it('lets each line pick its file format', async () => {
+      renderCartPage([{ ...mockProduct, fileFormat: ['FBX', 'OBJ'] }]);
+
+      const select = screen.getByRole('combobox', {
+        name: 'File format for Product A (Personal license)',
+      });
+      expect(select).toHaveValue('FBX');
+
+      fireEvent.change(select, { target: { value: 'OBJ' } });
+
+      const updated = screen.getByRole('combobox', {
+        name: 'File format for Product A (Personal license)',
+      });
+      expect(updated).toHaveValue('OBJ');
+      await waitFor(() => expect(updated).toHaveFocus());
+      expect(
+        screen.getByRole('button', {
+          name: 'Remove Product A from cart (Personal license, OBJ)',
+        })
+      ).toBeInTheDocument();
+    });
+
     it('renders product price with formatting', () => {
       renderCartPage([mockProduct]);
       // Price appears in item and summary
@@ -263,6 +339,72 @@ describe('CartPage', () => {
       // New total: $20 + $2 tax = $22.00
       expect(screen.getByText('$22.00')).toBeInTheDocument();
     });
+
+    it('shows totals in the selected currency', async () => {
+      localStorage.setItem('marketplace_currency', 'EUR');
+      renderCartPage([mockProduct]);
+
+      // $11.00 at 0.92 EUR per USD
+      expect(await screen.findByText('€10.12')).toBeInTheDocument();
+      expect(screen.queryByText('$11.00')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Bundles', () => {
+    it('groups the bundle members under one line', () => {
+      renderCartPageWithBundle();
+
+      expect(
+        screen.getByRole('link', { name: 'Animated Animals' })
+      ).toHaveAttribute('href', '/collections/animated-animals');
+      const members = screen.getByRole('list', {
+        name: 'Models in Animated Animals',
+      });
+      expect(
+        within(members)
+          .getAllByRole('link')
+          .map((link) => link.textContent)
+      ).toEqual([
+        'Galloping Horse',
+        'Pink Flamingo Bird',
+        'Playful Fox Character',
+      ]);
+      expect(screen.getByText('You save $50.00')).toBeInTheDocument();
+    });
+
+    it('shows the bundle savings in the summary', () => {
+      renderCartPageWithBundle();
+
+      expect(screen.getByText('Bundle savings')).toBeInTheDocument();
+      expect(screen.getByText('-$50.00')).toBeInTheDocument();
+      // $199 - $50 savings + $14.90 tax
+      expect(screen.getByText('$163.90')).toBeInTheDocument();
+    });
+
+    it('changes the quantity of the whole bundle', () => {
+      renderCartPageWithBundle();
+
+      fireEvent.click(
+        screen.getByRole('button', {
+          name: 'Increase quantity of Animated Animals (Bundle)',
+        })
+      );
+
+      expect(screen.getByText('$298.00')).toBeInTheDocument();
+      expect(screen.getByText('You save $100.00')).toBeInTheDocument();
+    });
+
+    it('removes every member with the bundle', () => {
+      renderCartPageWithBundle();
+
+      fireEvent.click(
+        screen.getByRole('button', {
+          name: 'Remove Animated Animals from cart (Bundle)',
+        })
+      );
+
+      expect(screen.getByText('Your Cart is Empty')).toBeInTheDocument();
+    });
   });
 
   describe('Navigation', () => {
@@ -0,0 +1,202 @@
+import {
+  render,
+  screen,
+  fireEvent,
+  waitFor,
+  within,
+} from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import { HelmetProvider } from 'react-helmet-async';
+import { I18nProvider } from '../context/I18nContext';
+import CatalogTransferPage from '../pages/CatalogTransferPage';
+import { exportCatalog } from '../utils/catalogTransfer';
+import { products } from '../data/products';
+
+const renderTransferPage = (path = '/catalog/transfer') =>
+  render(
+    <HelmetProvider>
+      <MemoryRouter initialEntries={[path]}>
+        <I18nProvider>
+          <Routes>
+            <Route path="/catalog/transfer" element={<CatalogTransferPage />} />
+          </Routes>
+        </I18nProvider>
+      </MemoryRouter>
+    </HelmetProvider>
+  );
+
+const pasteImport = async (text) => {
+  fireEvent.change(await screen.findByLabelText(/or paste csv or json/i), {
+    target: { value: text },
+  });
+  const button = screen.getByRole('button', { name: /preview import/i });
+  // Enabled once the current catalog has loaded
+  await waitFor(() => expect(button).toBeEnabled());
+  fireEvent.click(button);
+};
+
+describe('CatalogTransferPage', () => {
+  describe('export', () => {
+    let downloads;
+
+    beforeEach(() => {
+      downloads = [];
+      URL.createObjectURL = jest.fn((blob) => {
+        downloads.push({ type: blob.type });
+        return 'blob:catalog';
+      });
+      URL.revokeObjectURL = jest.fn();
+      jest
+        .spyOn(HTMLAnchorElement.prototype, 'click')
+        .mockImplementation(function click() {
+          downloads[downloads.length - 1].fileName = this.download;
+        });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      delete URL.createObjectURL;
+      delete URL.revokeObjectURL;
+    });
+
+    it('downloads the whole catalog as CSV or JSON', async () => {
+      renderTransferPage();
+
+      expect(
+        await screen.findByText(`${products.length} models in the catalog.`)
+      ).toBeInTheDocument();
+
+      fireEvent.click(screen.getByRole('button', { name: 'Download CSV' }));
+      fireEvent.change(screen.getByLabelText('Format'), {
+        target: { value: 'json' },
+      });
+      fireEvent.click(screen.getByRole('button', { name: 'Download JSON' }));
+
+      expect(downloads).toEqual([
+        {
+          type: 'text/csv',
+          fileName: expect.stringMatching(/^catalog-\d{4}-\d{2}-\d{2}\.csv$/),
+        },
+        {
+          type: 'application/json',
+          fileName: expect.stringMatching(/\.json$/),
+        },
+      ]);
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:catalog');
+    });
+
+    it('exports the results of the filters in the URL', async () => {
+      renderTransferPage('/catalog/transfer?category=Props&spec=pbr');
+
+      expect(
+        await screen.findByText('3 models match the current filters.')
+      ).toBeInTheDocument();
+      expect(
+        screen.getByRole('link', { name: 'Export the whole catalog' })
+      ).toHaveAttribute('href', '/catalog/transfer');
+    });
+  });
+
+  describe('import preview', () => {
+    const [soldier, toyCar] = products;
+
+    it('previews new, updated and invalid rows against the catalog', async () => {
+      const csv = exportCatalog(
+        [
+          { ...soldier, price: 99 },
+          toyCar,
+          { ...toyCar, id: 'new-car', name: 'Brand New Car' },
+          { ...toyCar, id: 'broken-car', fileFormat: ['FBX', 'GLB'] },
+        ],
+        'csv'
+      );
+      renderTransferPage();
+      await pasteImport(csv);
+
+      const summary = screen.getByRole('list', { name: 'Changes' });
+      expect(within(summary).getByText('1 new model')).toBeInTheDocument();
+      expect(within(summary).getByText('1 updated model')).toBeInTheDocument();
+      expect(within(summary).getByText('1 unchanged')).toBeInTheDocument();
+      expect(
+        within(summary).getByText(`${products.length - 2} not in the file`)
+      ).toBeInTheDocument();
+      expect(within(summary).getByText('1 invalid row')).toBeInTheDocument();
+
+      const invalid = screen.getByRole('table', { name: 'Invalid Rows' });
+      const [, row] = within(invalid).getAllByRole('row');
+      expect(within(row).getByText('5')).toBeInTheDocument();
+      expect(within(row).getByText('broken-car')).toBeInTheDocument();
+      expect(within(row).getByText('fileFormat[1]')).toBeInTheDocument();
+      expect(
+        within(row).getByText('Must be one of FBX, OBJ, GLTF, BLEND, MAX')
+      ).toBeInTheDocument();
+
+      expect(
+        screen.getByRole('heading', { name: 'New Models' })
+      ).toBeInTheDocument();
+      expect(screen.getByText('Brand New Car')).toBeInTheDocument();
+      expect(screen.getByText('price')).toBeInTheDocument();
+      expect(screen.getByText('89')).toBeInTheDocument();
+      expect(screen.getByText('99')).toBeInTheDocument();
+    });
+
+    it('shows the problems in the selected language', async () => {
+      localStorage.setItem('marketplace_locale', 'es');
+      const csv = exportCatalog([{ ...toyCar, id: 'broken-car', lodCount: 0 }]);
+      renderTransferPage();
+
+      fireEvent.change(await screen.findByLabelText('O pega CSV o JSON'), {
+        target: { value: csv },
+      });
+      const button = screen.getByRole('button', {
+        name: 'Previsualizar importación',
+      });
+      await waitFor(() => expect(button).toBeEnabled());
+      fireEvent.click(button);
+
+      expect(
+        await screen.findByText('Introduce un número igual o mayor que 1')
+      ).toBeInTheDocument();
+      localStorage.removeItem('marketplace_locale');
+    });
+
+    it('reads an uploaded file', async () => {
+      const json = exportCatalog([{ ...soldier, tags: ['new'] }], 'json');
+      renderTransferPage();
+
+      const input = await screen.findByLabelText('CSV or JSON file');
+      await waitFor(() => expect(input).toBeEnabled());
+      fireEvent.change(input, {
+        target: {
+          files: [
+            new File([json], 'assets.json', { type: 'application/json' }),
+          ],
+        },
+      });
+
+      expect(
+        await screen.findByRole('heading', {
+          name: 'Import Preview: assets.json',
+        })
+      ).toBeInTheDocument();
+      expect(screen.getByText('1 updated model')).toBeInTheDocument();
+    });
+
+    it('lists columns that are ignored', async () => {
+      const [header, row] = exportCatalog([soldier], 'csv').split('\r\n');
+      renderTransferPage();
+      await pasteImport(`${header},Notes\n${row},check UVs`);
+
+      expect(screen.getByText('Ignored columns: Notes')).toBeInTheDocument();
+    });
+
+    it('reports content that cannot be read', async () => {
+      renderTransferPage();
+      await pasteImport('{"products": ');
+
+      expect(screen.getByRole('alert')).toHaveTextContent(
+        'The file could not be read as CSV or JSON.'
+      );
+    });
+  });
+});
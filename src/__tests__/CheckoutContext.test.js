@@ -6,7 +6,10 @@ import {
   useCheckoutActions,
   CHECKOUT_STEPS,
 } from '../context/CheckoutContext';
-import { CartProvider } from '../context/CartContext';
+import { CartProvider, useCart } from '../context/CartContext';
+import { getCollectionById, getBundlePricing } from '../data/collections';
+import { CurrencyProvider, useCurrency } from '../context/CurrencyContext';
+import { I18nProvider } from '../context/I18nContext';
 
 import {
   validateAddress,
@@ -29,9 +32,13 @@ jest.mock('../services/checkoutService', () => ({
 
 // Wrapper component for hooks
 const AllProviders = ({ children }) => (
-  <CartProvider>
-    <CheckoutProvider>{children}</CheckoutProvider>
-  </CartProvider>
+  <I18nProvider>
+    <CurrencyProvider>
+      <CartProvider>
+        <CheckoutProvider>{children}</CheckoutProvider>
+      </CartProvider>
+    </CurrencyProvider>
+  </I18nProvider>
 );
 
 describe('CheckoutContext', () => {
@@ -293,6 +300,50 @@ describe('CheckoutContext', () => {
     });
   });
 
+  describe('Bundle pricing', () => {
+    const collection = getCollectionById('retro-props');
+    const { products: members } = getBundlePricing(collection);
+
+    const renderWithBundle = () => {
+      localStorage.clear();
+      const utils = renderHook(
+        () => ({ cart: useCart(), checkout: useCheckout() }),
+        { wrapper: AllProviders }
+      );
+      act(() => {
+        utils.result.current.cart.addBundle(collection, members);
+      });
+      return utils;
+    };
+
+    it('applies the bundle discount to the totals', () => {
+      const { result } = renderWithBundle();
+      const { totals } = result.current.checkout;
+
+      expect(totals.subtotal).toBe(113);
+      expect(totals.bundleDiscount).toBe(28);
+      expect(totals.discountedSubtotal).toBe(85);
+      expect(totals.tax).toBeCloseTo(8.5);
+      expect(totals.total).toBeCloseTo(93.5);
+    });
+
+    it('validates promo codes against the bundle price', async () => {
+      validatePromoCode.mockResolvedValue({
+        success: true,
+        code: 'SAVE20',
+        discount: 17,
+      });
+      const { result } = renderWithBundle();
+
+      await act(async () => {
+        await result.current.checkout.applyPromoCode('SAVE20');
+      });
+
+      expect(validatePromoCode).toHaveBeenCalledWith('SAVE20', 85, 'en');
+      expect(result.current.checkout.totals.discountedSubtotal).toBe(68);
+    });
+  });
+
   describe('Promo Codes', () => {
     it('applies valid promo code', async () => {
       validatePromoCode.mockResolvedValue({
@@ -469,6 +520,74 @@ describe('CheckoutContext', () => {
       expect(result.current.currentStep).toBe(CHECKOUT_STEPS.CONFIRMATION);
     });
 
+    it('charges in the selected currency', async () => {
+      localStorage.setItem('marketplace_currency', 'EUR');
+      processPayment.mockResolvedValue({
+        success: false,
+        message: 'Transaction declined: Insufficient funds',
+      });
+
+      const { result } = renderHook(
+        () => ({ checkout: useCheckout(), currency: useCurrency() }),
+        { wrapper: AllProviders }
+      );
+
+      await waitFor(() => {
+        expect(result.current.currency.displayCurrency).toBe('EUR');
+      });
+
+      act(() => {
+        result.current.checkout.setShippingOption('priority');
+      });
+
+      await act(async () => {
+        await result.current.checkout.placeOrder();
+      });
+
+      // $4.99 priority processing at 0.92 EUR per USD
+      expect(processPayment).toHaveBeenCalledWith(
+        expect.anything(),
+        4.59,
+        'EUR',
+        'en'
+      );
+
+      localStorage.clear();
+    });
+
+    it('records the exchange rate the order was charged at', async () => {
+      localStorage.setItem('marketplace_currency', 'EUR');
+      processPayment.mockResolvedValue({
+        success: true,
+        transactionId: 'TXN-123',
+        amount: 0,
+        currency: 'EUR',
+      });
+      createOrder.mockResolvedValue({
+        success: true,
+        order: { orderId: '3DM-ABC123' },
+      });
+
+      const { result } = renderHook(
+        () => ({ checkout: useCheckout(), currency: useCurrency() }),
+        { wrapper: AllProviders }
+      );
+
+      await waitFor(() => {
+        expect(result.current.currency.displayCurrency).toBe('EUR');
+      });
+
+      await act(async () => {
+        await result.current.checkout.placeOrder();
+      });
+
+      expect(createOrder).toHaveBeenCalledWith(
+        expect.objectContaining({ exchangeRate: 0.92 })
+      );
+
+      localStorage.clear();
+    });
+
     it('handles payment failure', async () => {
       processPayment.mockResolvedValue({
         success: false,
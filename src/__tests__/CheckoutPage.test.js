@@ -3,6 +3,8 @@ import userEvent from '@testing-library/user-event';
 import { BrowserRouter } from 'react-router-dom';
 import { HelmetProvider } from 'react-helmet-async';
 import { CartProvider } from '../context/CartContext';
+import { CurrencyProvider } from '../context/CurrencyContext';
+import { I18nProvider } from '../context/I18nContext';
 import { CheckoutProvider } from '../context/CheckoutContext';
 import CheckoutPage from '../pages/CheckoutPage';
 
@@ -32,9 +34,13 @@ const renderWithProviders = (ui) => {
     return (
       <HelmetProvider>
         <BrowserRouter>
-          <CartProvider>
-            <CheckoutProvider>{children}</CheckoutProvider>
-          </CartProvider>
+          <I18nProvider>
+            <CurrencyProvider>
+              <CartProvider>
+                <CheckoutProvider>{children}</CheckoutProvider>
+              </CartProvider>
+            </CurrencyProvider>
+          </I18nProvider>
         </BrowserRouter>
       </HelmetProvider>
     );
@@ -79,6 +85,20 @@ describe('CheckoutPage', () => {
         screen.getByRole('heading', { name: /checkout/i })
       ).toBeInTheDocument();
     });
+
+    it('renders in the selected language', () => {
+      localStorage.setItem('marketplace_locale', 'es');
+      renderWithProviders(<CheckoutPage />);
+
+      expect(
+        screen.getByRole('heading', { level: 1, name: 'Pago' })
+      ).toBeInTheDocument();
+      expect(
+        screen.getByRole('button', { name: /continuar al pago/i })
+      ).toBeInTheDocument();
+
+      localStorage.clear();
+    });
   });
 
   describe('Shipping Step', () => {
@@ -0,0 +1,134 @@
+import {
+  render,
+  screen,
+  fireEvent,
+  waitFor,
+  within,
+} from '@testing-library/react';
+import { MemoryRouter, Routes, Route, useLocation } from 'react-router-dom';
+import { HelmetProvider } from 'react-helmet-async';
+import { CartProvider, useCart } from '../context/CartContext';
+import { CurrencyProvider } from '../context/CurrencyContext';
+import { I18nProvider } from '../context/I18nContext';
+import { WishlistProvider } from '../context/WishlistContext';
+import { CompareProvider } from '../context/CompareContext';
+import { ABTestProvider } from '../context/ABTestContext';
+import CollectionPage from '../pages/CollectionPage';
+
+// Mock ModelPreview component since Three.js requires WebGL
+jest.mock('../components/ModelPreview', () => {
+  return function MockModelPreview({ alt }) {
+    return <div data-testid="model-preview" aria-label={alt} />;
+  };
+});
+
+function LocationDisplay() {
+  const location = useLocation();
+  return <div data-testid="location">{location.pathname}</div>;
+}
+
+function CartDisplay() {
+  const { cartCount, bundleDiscount } = useCart();
+  return (
+    <div data-testid="cart">
+      {cartCount} items, {bundleDiscount} off
+    </div>
+  );
+}
+
+const renderCollectionPage = (collectionId = 'animated-animals') => {
+  localStorage.setItem(
+    'ab_test_assignments',
+    JSON.stringify({ product_card_cta: 'control' })
+  );
+
+  return render(
+    <HelmetProvider>
+      <MemoryRouter initialEntries={[`/collections/${collectionId}`]}>
+        <ABTestProvider>
+          <I18nProvider>
+            <CurrencyProvider>
+              <CartProvider>
+                <WishlistProvider>
+                  <CompareProvider>
+                    <Routes>
+                      <Route path="/" element={<div>Home</div>} />
+                      <Route
+                        path="/collections/:collectionId"
+                        element={<CollectionPage />}
+                      />
+                    </Routes>
+                    <LocationDisplay />
+                    <CartDisplay />
+                  </CompareProvider>
+                </WishlistProvider>
+              </CartProvider>
+            </CurrencyProvider>
+          </I18nProvider>
+        </ABTestProvider>
+      </MemoryRouter>
+    </HelmetProvider>
+  );
+};
+
+describe('CollectionPage', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('renders the collection with its bundle pricing', async () => {
+    renderCollectionPage();
+
+    expect(
+      screen.getByRole('heading', { level: 1, name: 'Animated Animals' })
+    ).toBeInTheDocument();
+    expect(screen.getByText('$149.00')).toBeInTheDocument();
+    expect(
+      await screen.findByText('$199.00 when bought separately')
+    ).toBeInTheDocument();
+    expect(screen.getByText('Save $50.00 (25%)')).toBeInTheDocument();
+    await waitFor(() =>
+      expect(document.title).toBe('Animated Animals | 3D Marketplace')
+    );
+  });
+
+  it('lists the bundled models', async () => {
+    renderCollectionPage();
+
+    const grid = await screen.findByRole('list', {
+      name: 'Models in Animated Animals',
+    });
+    expect(
+      within(grid)
+        .getAllByRole('heading', { level: 3 })
+        .map((heading) => heading.textContent)
+    ).toEqual([
+      'Galloping Horse',
+      'Pink Flamingo Bird',
+      'Playful Fox Character',
+    ]);
+  });
+
+  it('adds every model to the cart as one bundle', async () => {
+    renderCollectionPage();
+    const addButton = screen.getByRole('button', {
+      name: 'Add Bundle to Cart',
+    });
+
+    await waitFor(() => expect(addButton).toBeEnabled());
+    fireEvent.click(addButton);
+
+    expect(screen.getByTestId('cart')).toHaveTextContent('3 items, 50 off');
+  });
+
+  it('shows a not found state for an unknown collection', () => {
+    renderCollectionPage('unknown');
+
+    expect(
+      screen.getByRole('heading', { level: 1, name: 'Collection Not Found' })
+    ).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Back to Products' }));
+    expect(screen.getByTestId('location')).toHaveTextContent(/^\/$/);
+  });
+});
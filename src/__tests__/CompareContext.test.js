@@ -0,0 +1,111 @@
+import { renderHook, act } from '@testing-library/react';
+import {
+  CompareProvider,
+  useCompare,
+  MAX_COMPARE_ITEMS,
+} from '../context/CompareContext';
+
+const makeProduct = (id) => ({ id, name: `Product ${id}`, price: 10 });
+
+const wrapper = ({ children }) => <CompareProvider>{children}</CompareProvider>;
+
+describe('CompareContext', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('throws error when used outside CompareProvider', () => {
+    const consoleSpy = jest
+      .spyOn(console, 'error')
+      .mockImplementation(() => {});
+
+    expect(() => {
+      renderHook(() => useCompare());
+    }).toThrow('useCompare must be used within a CompareProvider');
+
+    consoleSpy.mockRestore();
+  });
+
+  it('adds each product once', () => {
+    const { result } = renderHook(() => useCompare(), { wrapper });
+
+    act(() => {
+      result.current.addToCompare(makeProduct('a'));
+      result.current.addToCompare(makeProduct('a'));
+    });
+
+    expect(result.current.compareCount).toBe(1);
+    expect(result.current.isInCompare('a')).toBe(true);
+  });
+
+  it(`holds at most ${MAX_COMPARE_ITEMS} products`, () => {
+    const { result } = renderHook(() => useCompare(), { wrapper });
+
+    act(() => {
+      ['a', 'b', 'c', 'd', 'e'].forEach((id) =>
+        result.current.toggleCompare(makeProduct(id))
+      );
+    });
+
+    expect(result.current.compareCount).toBe(MAX_COMPARE_ITEMS);
+    expect(result.current.isCompareFull).toBe(true);
+    expect(result.current.isInCompare('e')).toBe(false);
+  });
+
+  it('toggles a product off and frees a slot', () => {
+    const { result } = renderHook(() => useCompare(), { wrapper });
+
+    act(() => {
+      ['a', 'b', 'c', 'd'].forEach((id) =>
+        result.current.addToCompare(makeProduct(id))
+      );
+    });
+    act(() => {
+      result.current.toggleCompare(makeProduct('b'));
+    });
+
+    expect(result.current.isInCompare('b')).toBe(false);
+    expect(result.current.isCompareFull).toBe(false);
+  });
+
+  it('removes and clears products', () => {
+    const { result } = renderHook(() => useCompare(), { wrapper });
+
+    act(() => {
+      result.current.addToCompare(makeProduct('a'));
+      result.current.addToCompare(makeProduct('b'));
+    });
+    act(() => {
+      result.current.removeFromCompare('a');
+    });
+    expect(result.current.compareItems).toEqual([makeProduct('b')]);
+
+    act(() => {
+      result.current.clearCompare();
+    });
+    expect(result.current.compareCount).toBe(0);
+  });
+
+  it('persists the tray to localStorage', () => {
+    const { result } = renderHook(() => useCompare(), { wrapper });
+
+    act(() => {
+      result.current.addToCompare(makeProduct('a'));
+    });
+
+    expect(JSON.parse(localStorage.getItem('marketplace_compare'))).toEqual([
+      makeProduct('a'),
+    ]);
+  });
+
+  it('restores at most the maximum from localStorage', () => {
+    localStorage.setItem(
+      'marketplace_compare',
+      JSON.stringify(['a', 'b', 'c', 'd', 'e'].map(makeProduct))
+    );
+
+    const { result } = renderHook(() => useCompare(), { wrapper });
+
+    expect(result.current.compareCount).toBe(MAX_COMPARE_ITEMS);
+  });
+});
@@ -0,0 +1,196 @@
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import { HelmetProvider } from 'react-helmet-async';
+import { CompareProvider } from '../context/CompareContext';
+import { CurrencyProvider } from '../context/CurrencyContext';
+import { I18nProvider } from '../context/I18nContext';
+import { getProductById } from '../data/products';
+import ComparePage from '../pages/ComparePage';
+
+// Mock useNavigate
+const mockNavigate = jest.fn();
+jest.mock('react-router-dom', () => ({
+  ...jest.requireActual('react-router-dom'),
+  useNavigate: () => mockNavigate,
+}));
+
+// The 3D canvas doesn't render in jsdom; record the props each pane receives
+const mockViewerProps = [];
+jest.mock('../components/ModelViewer', () => ({
+  __esModule: true,
+  default: (props) => {
+    mockViewerProps.push(props);
+    return <div data-testid="model-viewer">{props.productName}</div>;
+  },
+  createCameraSync: jest.requireActual('../components/ModelViewer/cameraSync')
+    .createCameraSync,
+}));
+
+const soldier = getProductById('tactical-soldier');
+const helmet = getProductById('sci-fi-helmet');
+
+const renderComparePage = (items = []) => {
+  localStorage.setItem('marketplace_compare', JSON.stringify(items));
+
+  return render(
+    <HelmetProvider>
+      <MemoryRouter>
+        <I18nProvider>
+          <CurrencyProvider>
+            <CompareProvider>
+              <ComparePage />
+            </CompareProvider>
+          </CurrencyProvider>
+        </I18nProvider>
+      </MemoryRouter>
+    </HelmetProvider>
+  );
+};
+
+const getRow = (label) =>
+  screen.getByRole('row', { name: new RegExp(`^${label}\\b`) });
+
+// Ratings are read from the reviews after the first render
+const renderLoadedComparePage = async (items) => {
+  const view = renderComparePage(items);
+  await within(getRow('Rating')).findAllByText(/ \/ 5$/);
+  return view;
+};
+
+describe('ComparePage', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    mockViewerProps.length = 0;
+  });
+
+  describe('Empty comparison', () => {
+    it('renders the empty state', () => {
+      renderComparePage();
+
+      expect(
+        screen.getByRole('heading', { level: 1, name: 'Nothing to Compare' })
+      ).toBeInTheDocument();
+    });
+
+    it('navigates home from the empty state', () => {
+      renderComparePage();
+
+      fireEvent.click(screen.getByRole('button', { name: 'Browse Products' }));
+
+      expect(mockNavigate).toHaveBeenCalledWith('/');
+    });
+  });
+
+  describe('Spec table', () => {
+    it('renders a column per product linking to its page', async () => {
+      await renderLoadedComparePage([soldier, helmet]);
+
+      const soldierHeader = screen.getByRole('columnheader', {
+        name: /tactical combat soldier/i,
+      });
+      expect(
+        within(soldierHeader).getByRole('link', {
+          name: 'Tactical Combat Soldier',
+        })
+      ).toHaveAttribute('href', '/products/tactical-soldier');
+      expect(
+        screen.getByRole('columnheader', { name: /sci-fi helmet/i })
+      ).toBeInTheDocument();
+    });
+
+    it('shows each spec value', async () => {
+      await renderLoadedComparePage([soldier, helmet]);
+
+      const polygons = getRow('Polygons');
+      expect(within(polygons).getByText('45,000')).toBeInTheDocument();
+      expect(within(polygons).getByText('55,000')).toBeInTheDocument();
+    });
+
+    it('shows the review average as the rating', async () => {
+      await renderLoadedComparePage([soldier, helmet]);
+
+      const rating = getRow('Rating');
+      expect(within(rating).getByText('4.4 / 5')).toBeInTheDocument();
+      expect(within(rating).getByText('4.5 / 5')).toBeInTheDocument();
+    });
+
+    it('highlights rows whose values differ', async () => {
+      await renderLoadedComparePage([soldier, helmet]);
+
+      expect(getRow('Polygons')).toHaveClass('compare-table__row--differs');
+      expect(within(getRow('Polygons')).getByText('Differs')).toBeVisible();
+      expect(getRow('Price')).not.toHaveClass('compare-table__row--differs');
+      expect(within(getRow('Price')).queryByText('Differs')).toBeNull();
+    });
+
+    it('can hide the rows that match', async () => {
+      await renderLoadedComparePage([soldier, helmet]);
+
+      fireEvent.click(
+        screen.getByRole('checkbox', { name: 'Only show differences' })
+      );
+
+      expect(
+        screen.queryByRole('rowheader', { name: /^price/i })
+      ).not.toBeInTheDocument();
+      expect(
+        screen.getByRole('rowheader', { name: /^polygons/i })
+      ).toBeInTheDocument();
+    });
+
+    it('removes a product from the comparison', async () => {
+      await renderLoadedComparePage([soldier, helmet]);
+
+      fireEvent.click(
+        screen.getByRole('button', {
+          name: 'Remove Damaged Sci-Fi Helmet from comparison',
+        })
+      );
+
+      expect(
+        screen.queryByRole('columnheader', { name: /sci-fi helmet/i })
+      ).not.toBeInTheDocument();
+      expect(screen.getByRole('status')).toHaveTextContent(
+        'Add another model to compare it side by side.'
+      );
+      expect(
+        await within(getRow('Rating')).findByText('4.4 / 5')
+      ).toBeInTheDocument();
+    });
+
+    it('clears the comparison', async () => {
+      await renderLoadedComparePage([soldier, helmet]);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Clear comparison' }));
+
+      expect(
+        screen.getByRole('heading', { name: 'Nothing to Compare' })
+      ).toBeInTheDocument();
+    });
+
+    it('disables the differences toggle with a single product', async () => {
+      await renderLoadedComparePage([soldier]);
+
+      expect(
+        screen.getByRole('checkbox', { name: 'Only show differences' })
+      ).toBeDisabled();
+    });
+  });
+
+  describe('Viewers', () => {
+    it('renders one viewer per product', async () => {
+      await renderLoadedComparePage([soldier, helmet]);
+
+      const previews = screen.getByRole('region', { name: '3D previews' });
+      expect(within(previews).getAllByTestId('model-viewer')).toHaveLength(2);
+    });
+
+    it('links every viewer to the same camera', async () => {
+      await renderLoadedComparePage([soldier, helmet]);
+
+      const [first, second] = mockViewerProps.slice(-2);
+      expect(first.cameraSync).toBeDefined();
+      expect(first.cameraSync).toBe(second.cameraSync);
+    });
+  });
+});
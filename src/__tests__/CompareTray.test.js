@@ -0,0 +1,91 @@
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import { CompareProvider, MAX_COMPARE_ITEMS } from '../context/CompareContext';
+import { I18nProvider } from '../context/I18nContext';
+import CompareTray from '../components/CompareTray';
+
+const makeProduct = (id) => ({
+  id,
+  name: `Product ${id.toUpperCase()}`,
+  price: 10,
+  previewColor: '#4A90E2',
+});
+
+const renderTray = (items = [], path = '/') => {
+  localStorage.setItem('marketplace_compare', JSON.stringify(items));
+
+  return render(
+    <MemoryRouter initialEntries={[path]}>
+      <I18nProvider>
+        <CompareProvider>
+          <CompareTray />
+        </CompareProvider>
+      </I18nProvider>
+    </MemoryRouter>
+  );
+};
+
+describe('CompareTray', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('is hidden while nothing is selected', () => {
+    renderTray();
+
+    expect(
+      screen.queryByRole('region', { name: 'Compare tray' })
+    ).not.toBeInTheDocument();
+  });
+
+  it('is hidden on the compare page', () => {
+    renderTray([makeProduct('a')], '/compare');
+
+    expect(
+      screen.queryByRole('region', { name: 'Compare tray' })
+    ).not.toBeInTheDocument();
+  });
+
+  it('lists the selected products and free slots', () => {
+    renderTray([makeProduct('a'), makeProduct('b')]);
+
+    const tray = screen.getByRole('region', { name: 'Compare tray' });
+    expect(within(tray).getAllByRole('listitem')).toHaveLength(2);
+    expect(within(tray).getByText('Product A')).toBeInTheDocument();
+    expect(
+      within(tray).getByText(`2 of ${MAX_COMPARE_ITEMS} selected`)
+    ).toBeInTheDocument();
+  });
+
+  it('links to the compare page', () => {
+    renderTray([makeProduct('a'), makeProduct('b')]);
+
+    expect(screen.getByRole('link', { name: 'Compare (2)' })).toHaveAttribute(
+      'href',
+      '/compare'
+    );
+  });
+
+  it('removes a product', () => {
+    renderTray([makeProduct('a'), makeProduct('b')]);
+
+    fireEvent.click(
+      screen.getByRole('button', { name: 'Remove Product A from comparison' })
+    );
+
+    expect(screen.queryByText('Product A')).not.toBeInTheDocument();
+    expect(
+      screen.getByText(`1 of ${MAX_COMPARE_ITEMS} selected`)
+    ).toBeInTheDocument();
+  });
+
+  it('hides itself once cleared', () => {
+    renderTray([makeProduct('a')]);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Clear comparison' }));
+
+    expect(
+      screen.queryByRole('region', { name: 'Compare tray' })
+    ).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,153 @@
+import {
+  render,
+  screen,
+  fireEvent,
+  waitFor,
+  within,
+} from '@testing-library/react';
+import { MemoryRouter, Routes, Route, useLocation } from 'react-router-dom';
+import { HelmetProvider } from 'react-helmet-async';
+import { CartProvider } from '../context/CartContext';
+import { CurrencyProvider } from '../context/CurrencyContext';
+import { I18nProvider } from '../context/I18nContext';
+import { WishlistProvider } from '../context/WishlistContext';
+import { CompareProvider } from '../context/CompareContext';
+import { ABTestProvider } from '../context/ABTestContext';
+import CreatorPage from '../pages/CreatorPage';
+import {
+  setReviewAdapter,
+  resetReviewAdapter,
+} from '../services/reviewService';
+
+// Mock ModelPreview component since Three.js requires WebGL
+jest.mock('../components/ModelPreview', () => {
+  return function MockModelPreview({ alt }) {
+    return <div data-testid="model-preview" aria-label={alt} />;
+  };
+});
+
+function LocationDisplay() {
+  const location = useLocation();
+  return <div data-testid="location">{location.pathname}</div>;
+}
+
+const renderCreatorPage = (creatorId = 'nova-forge') => {
+  localStorage.setItem(
+    'ab_test_assignments',
+    JSON.stringify({ product_card_cta: 'control' })
+  );
+
+  return render(
+    <HelmetProvider>
+      <MemoryRouter initialEntries={[`/creators/${creatorId}`]}>
+        <ABTestProvider>
+          <I18nProvider>
+            <CurrencyProvider>
+              <CartProvider>
+                <WishlistProvider>
+                  <CompareProvider>
+                    <Routes>
+                      <Route path="/" element={<div>Home</div>} />
+                      <Route
+                        path="/creators/:creatorId"
+                        element={<CreatorPage />}
+                      />
+                    </Routes>
+                    <LocationDisplay />
+                  </CompareProvider>
+                </WishlistProvider>
+              </CartProvider>
+            </CurrencyProvider>
+          </I18nProvider>
+        </ABTestProvider>
+      </MemoryRouter>
+    </HelmetProvider>
+  );
+};
+
+describe('CreatorPage', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    resetReviewAdapter();
+  });
+
+  it('renders the creator profile', async () => {
+    renderCreatorPage();
+
+    expect(
+      screen.getByRole('heading', { level: 1, name: 'Nova Forge Studio' })
+    ).toBeInTheDocument();
+    expect(screen.getByText(/Montréal, Canada/)).toBeInTheDocument();
+    expect(screen.getByText(/Member since April 2021/)).toBeInTheDocument();
+    expect(
+      screen.getByText(/rigged, game-ready characters/)
+    ).toBeInTheDocument();
+    await waitFor(() =>
+      expect(document.title).toBe('Nova Forge Studio | 3D Marketplace')
+    );
+  });
+
+  it("lists the creator's models in the portfolio grid", async () => {
+    renderCreatorPage();
+
+    const grid = await screen.findByRole('list', {
+      name: 'Models by Nova Forge Studio',
+    });
+    expect(
+      within(grid)
+        .getAllByRole('heading', { level: 3 })
+        .map((heading) => heading.textContent)
+    ).toEqual([
+      'Tactical Combat Soldier',
+      'Expressive Robot Character',
+      'Damaged Sci-Fi Helmet',
+    ]);
+    expect(screen.getByText('3 models')).toBeInTheDocument();
+  });
+
+  it('aggregates the rating across every model', async () => {
+    renderCreatorPage();
+
+    expect(await screen.findByText('11 reviews')).toBeInTheDocument();
+    expect(
+      screen.getByText('4.5', { selector: '.rating__value' })
+    ).toBeInTheDocument();
+  });
+
+  it('shows "No reviews yet" when no model has been reviewed', async () => {
+    setReviewAdapter({
+      listReviews: () => Promise.resolve([]),
+      addReview: jest.fn(),
+    });
+    renderCreatorPage();
+
+    expect(await screen.findByText('No reviews yet')).toBeInTheDocument();
+  });
+
+  it('keeps the profile when the rating cannot be loaded', async () => {
+    setReviewAdapter({
+      listReviews: () => Promise.reject(new Error('Network error')),
+      addReview: jest.fn(),
+    });
+    renderCreatorPage();
+
+    expect(await screen.findByText('No reviews yet')).toBeInTheDocument();
+    expect(
+      screen.getByRole('list', { name: 'Models by Nova Forge Studio' })
+    ).toBeInTheDocument();
+  });
+
+  it('shows a not found state for an unknown creator', () => {
+    renderCreatorPage('unknown');
+
+    expect(
+      screen.getByRole('heading', { level: 1, name: 'Creator Not Found' })
+    ).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Back to Products' }));
+    expect(screen.getByTestId('location')).toHaveTextContent(/^\/$/);
+  });
+});
@@ -0,0 +1,122 @@
+import { renderHook, act, waitFor } from '@testing-library/react';
+import { CurrencyProvider, useCurrency } from '../context/CurrencyContext';
+import { I18nProvider } from '../context/I18nContext';
+import * as currencyService from '../services/currencyService';
+
+const wrapper = ({ children }) => (
+  <I18nProvider>
+    <CurrencyProvider>{children}</CurrencyProvider>
+  </I18nProvider>
+);
+
+describe('CurrencyContext', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('throws error when used outside CurrencyProvider', () => {
+    const consoleSpy = jest
+      .spyOn(console, 'error')
+      .mockImplementation(() => {});
+
+    expect(() => {
+      renderHook(() => useCurrency());
+    }).toThrow('useCurrency must be used within a CurrencyProvider');
+
+    consoleSpy.mockRestore();
+  });
+
+  it('defaults to US dollars', () => {
+    const { result } = renderHook(() => useCurrency(), { wrapper });
+
+    expect(result.current.currency).toBe('USD');
+    expect(result.current.isLoadingRates).toBe(false);
+    expect(result.current.formatPrice(89)).toBe('$89.00');
+  });
+
+  it('converts prices once the rates for a new currency load', async () => {
+    const { result } = renderHook(() => useCurrency(), { wrapper });
+
+    act(() => {
+      result.current.setCurrency('EUR');
+    });
+
+    // Base prices are shown until the rates arrive
+    expect(result.current.currency).toBe('EUR');
+    expect(result.current.displayCurrency).toBe('USD');
+
+    await waitFor(() => expect(result.current.displayCurrency).toBe('EUR'));
+    expect(result.current.convertPrice(100)).toBeCloseTo(92);
+    expect(result.current.formatPrice(100)).toBe('€92.00');
+  });
+
+  it('ignores unsupported currency codes', () => {
+    const { result } = renderHook(() => useCurrency(), { wrapper });
+
+    act(() => {
+      result.current.setCurrency('XYZ');
+    });
+
+    expect(result.current.currency).toBe('USD');
+  });
+
+  it('persists the chosen currency', async () => {
+    const { result } = renderHook(() => useCurrency(), { wrapper });
+
+    act(() => {
+      result.current.setCurrency('GBP');
+    });
+
+    expect(localStorage.getItem('marketplace_currency')).toBe('GBP');
+    await waitFor(() => expect(result.current.displayCurrency).toBe('GBP'));
+  });
+
+  it('restores a stored currency', async () => {
+    localStorage.setItem('marketplace_currency', 'JPY');
+    const { result } = renderHook(() => useCurrency(), { wrapper });
+
+    expect(result.current.currency).toBe('JPY');
+    await waitFor(() =>
+      expect(result.current.formatPrice(100)).toBe('¥14,950')
+    );
+  });
+
+  it('falls back to base prices when the rates fail to load', async () => {
+    jest
+      .spyOn(currencyService, 'getExchangeRates')
+      .mockRejectedValue(new Error('offline'));
+    const { result } = renderHook(() => useCurrency(), { wrapper });
+
+    act(() => {
+      result.current.setCurrency('EUR');
+    });
+
+    await waitFor(() => expect(result.current.isLoadingRates).toBe(false));
+    expect(result.current.displayCurrency).toBe('USD');
+    expect(result.current.formatPrice(100)).toBe('$100.00');
+  });
+
+  it('tries again when another currency is chosen after a failure', async () => {
+    const getExchangeRates = jest
+      .spyOn(currencyService, 'getExchangeRates')
+      .mockRejectedValueOnce(new Error('offline'));
+    const { result } = renderHook(() => useCurrency(), { wrapper });
+
+    act(() => {
+      result.current.setCurrency('EUR');
+    });
+    await waitFor(() => expect(result.current.isLoadingRates).toBe(false));
+
+    act(() => {
+      result.current.setCurrency('GBP');
+    });
+
+    expect(result.current.isLoadingRates).toBe(true);
+    await waitFor(() => expect(result.current.displayCurrency).toBe('GBP'));
+    expect(getExchangeRates).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,177 @@
+import {
+  render,
+  screen,
+  fireEvent,
+  waitFor,
+  within,
+} from '@testing-library/react';
+import { MemoryRouter, Routes, Route, useLocation } from 'react-router-dom';
+import { HelmetProvider } from 'react-helmet-async';
+import { CartProvider } from '../context/CartContext';
+import { CurrencyProvider } from '../context/CurrencyContext';
+import { I18nProvider } from '../context/I18nContext';
+import { WishlistProvider } from '../context/WishlistContext';
+import { CompareProvider } from '../context/CompareContext';
+import { ABTestProvider } from '../context/ABTestContext';
+import FacetPage from '../pages/FacetPage';
+
+// Mock ModelPreview component since Three.js requires WebGL
+jest.mock('../components/ModelPreview', () => {
+  return function MockModelPreview({ alt }) {
+    return <div data-testid="model-preview" aria-label={alt} />;
+  };
+});
+
+function LocationDisplay() {
+  const location = useLocation();
+  return (
+    <div data-testid="location">{location.pathname + location.search}</div>
+  );
+}
+
+const renderFacetPage = (route) => {
+  localStorage.setItem(
+    'ab_test_assignments',
+    JSON.stringify({ product_card_cta: 'control' })
+  );
+
+  return render(
+    <HelmetProvider>
+      <MemoryRouter initialEntries={[route]}>
+        <ABTestProvider>
+          <I18nProvider>
+            <CurrencyProvider>
+              <CartProvider>
+                <WishlistProvider>
+                  <CompareProvider>
+                    <Routes>
+                      <Route path="/" element={<div>Home</div>} />
+                      <Route
+                        path="/category/:slug"
+                        element={<FacetPage type="category" />}
+                      />
+                      <Route
+                        path="/tags/:tag"
+                        element={<FacetPage type="tag" />}
+                      />
+                    </Routes>
+                    <LocationDisplay />
+                  </CompareProvider>
+                </WishlistProvider>
+              </CartProvider>
+            </CurrencyProvider>
+          </I18nProvider>
+        </ABTestProvider>
+      </MemoryRouter>
+    </HelmetProvider>
+  );
+};
+
+const getProductNames = async () => {
+  const list = await screen.findByRole('list', { name: /product listings/i });
+  return within(list)
+    .getAllByRole('heading', { level: 3 })
+    .map((heading) => heading.textContent);
+};
+
+describe('FacetPage', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe('Category pages', () => {
+    it('lists only the products in the category', async () => {
+      renderFacetPage('/category/characters');
+
+      expect(
+        screen.getByRole('heading', { level: 1, name: 'Characters 3D Models' })
+      ).toBeInTheDocument();
+      expect(await getProductNames()).toEqual([
+        'Tactical Combat Soldier',
+        'Galloping Horse',
+        'Expressive Robot Character',
+        'Playful Fox Character',
+      ]);
+    });
+
+    it('sets the page title', async () => {
+      renderFacetPage('/category/sci-fi');
+
+      await waitFor(() =>
+        expect(document.title).toBe('Sci-Fi 3D Models | 3D Marketplace')
+      );
+    });
+
+    it('replaces the category filter with the scoped category', async () => {
+      renderFacetPage('/category/props?category=Vehicles&format=OBJ');
+      await getProductNames();
+
+      expect(
+        screen.queryByRole('button', { name: /^Category/ })
+      ).not.toBeInTheDocument();
+      expect(screen.getByRole('checkbox', { name: 'OBJ' })).toBeChecked();
+      expect(
+        screen.queryByText('Classic Toy Car Model')
+      ).not.toBeInTheDocument();
+    });
+
+    it('keeps the category when filters are reset', async () => {
+      renderFacetPage('/category/props?format=OBJ');
+      await getProductNames();
+
+      fireEvent.click(
+        screen.getByRole('button', { name: 'Reset all filters' })
+      );
+
+      expect(screen.getByTestId('location')).toHaveTextContent(
+        /^\/category\/props$/
+      );
+    });
+
+    it('shows a not found state for an unknown category', () => {
+      renderFacetPage('/category/unknown');
+
+      expect(
+        screen.getByRole('heading', { level: 1, name: 'Category Not Found' })
+      ).toBeInTheDocument();
+
+      fireEvent.click(screen.getByRole('button', { name: 'Back to Products' }));
+      expect(screen.getByTestId('location')).toHaveTextContent(/^\/$/);
+    });
+  });
+
+  describe('Tag pages', () => {
+    it('lists only the products with the tag', async () => {
+      renderFacetPage('/tags/vintage');
+
+      expect(
+        screen.getByRole('heading', { level: 1, name: '#vintage 3D Models' })
+      ).toBeInTheDocument();
+      expect(await getProductNames()).toHaveLength(3);
+      expect(screen.getByText('Antique Oil Lantern')).toBeInTheDocument();
+    });
+
+    it('narrows the tag page with extra tag filters', async () => {
+      renderFacetPage('/tags/animated?tag=animated&tag=character');
+
+      expect(await getProductNames()).toEqual([
+        'Expressive Robot Character',
+        'Playful Fox Character',
+      ]);
+      expect(
+        screen.queryByRole('button', { name: 'Remove tag filter animated' })
+      ).not.toBeInTheDocument();
+      expect(
+        screen.getByRole('button', { name: 'Remove tag filter character' })
+      ).toBeInTheDocument();
+    });
+
+    it('links back to all models', async () => {
+      renderFacetPage('/tags/animated');
+      await getProductNames();
+
+      fireEvent.click(screen.getByRole('link', { name: 'All Models' }));
+      expect(screen.getByTestId('location')).toHaveTextContent(/^\/$/);
+    });
+  });
+});
@@ -0,0 +1,232 @@
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import { I18nProvider } from '../context/I18nContext';
+import { CurrencyProvider } from '../context/CurrencyContext';
+import FeaturedCarousel from '../components/FeaturedCarousel';
+import { getFeaturedProducts } from '../data/products';
+
+// Mock ModelPreview component since Three.js requires WebGL
+jest.mock('../components/ModelPreview', () => {
+  return function MockModelPreview({ alt }) {
+    return <div data-testid="model-preview" aria-label={alt} />;
+  };
+});
+
+const featured = getFeaturedProducts();
+
+const mockMatchMedia = (reduceMotion) => {
+  const listeners = new Set();
+  const mediaQuery = {
+    matches: reduceMotion,
+    addEventListener: (type, listener) => listeners.add(listener),
+    removeEventListener: (type, listener) => listeners.delete(listener),
+  };
+  window.matchMedia = jest.fn(() => mediaQuery);
+  return (matches) => {
+    mediaQuery.matches = matches;
+    listeners.forEach((listener) => listener({ matches }));
+  };
+};
+
+const renderCarousel = (props = {}) =>
+  render(
+    <MemoryRouter>
+      <I18nProvider>
+        <CurrencyProvider>
+          <FeaturedCarousel products={featured} interval={5000} {...props} />
+        </CurrencyProvider>
+      </I18nProvider>
+    </MemoryRouter>
+  );
+
+const getSlide = () => screen.getByRole('group', { name: /of \d+$/ });
+
+const advance = (ms) => {
+  act(() => {
+    jest.advanceTimersByTime(ms);
+  });
+};
+
+describe('FeaturedCarousel', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    delete window.matchMedia;
+  });
+
+  it('uses the featured products from the catalog', () => {
+    expect(featured.length).toBeGreaterThan(1);
+    expect(featured.every((product) => product.featured)).toBe(true);
+  });
+
+  it('shows the first featured product with a live preview', async () => {
+    renderCarousel();
+
+    expect(
+      screen.getByRole('region', { name: 'Featured models' })
+    ).toHaveAttribute('aria-roledescription', 'carousel');
+    expect(getSlide()).toHaveAccessibleName(`1 of ${featured.length}`);
+    expect(getSlide()).toHaveAttribute('aria-roledescription', 'slide');
+    expect(
+      screen.getByRole('link', { name: featured[0].name })
+    ).toHaveAttribute('href', `/products/${featured[0].id}`);
+    expect(await screen.findByTestId('model-preview')).toHaveAccessibleName(
+      `${featured[0].name} - ${featured[0].category} 3D model`
+    );
+  });
+
+  it('renders nothing without products', () => {
+    renderCarousel({ products: [] });
+
+    expect(screen.queryByRole('region')).not.toBeInTheDocument();
+  });
+
+  describe('rotation', () => {
+    it('advances on its own and wraps around', () => {
+      renderCarousel();
+
+      advance(5000);
+      expect(getSlide()).toHaveAccessibleName(`2 of ${featured.length}`);
+
+      featured.slice(1).forEach(() => advance(5000));
+      expect(getSlide()).toHaveAccessibleName(`1 of ${featured.length}`);
+    });
+
+    it('stops while hovered', () => {
+      renderCarousel();
+      const carousel = screen.getByRole('region', { name: 'Featured models' });
+
+      fireEvent.mouseEnter(carousel);
+      advance(15000);
+      expect(getSlide()).toHaveAccessibleName(`1 of ${featured.length}`);
+
+      fireEvent.mouseLeave(carousel);
+      advance(5000);
+      expect(getSlide()).toHaveAccessibleName(`2 of ${featured.length}`);
+    });
+
+    it('stops while focus is inside', () => {
+      renderCarousel();
+
+      const next = screen.getByRole('button', { name: 'Next slide' });
+      act(() => next.focus());
+      advance(15000);
+      expect(getSlide()).toHaveAccessibleName(`1 of ${featured.length}`);
+
+      act(() => next.blur());
+      advance(5000);
+      expect(getSlide()).toHaveAccessibleName(`2 of ${featured.length}`);
+    });
+
+    it('can be paused and resumed', () => {
+      renderCarousel();
+
+      fireEvent.click(
+        screen.getByRole('button', { name: 'Pause automatic slide show' })
+      );
+      advance(15000);
+      expect(getSlide()).toHaveAccessibleName(`1 of ${featured.length}`);
+
+      fireEvent.click(
+        screen.getByRole('button', { name: 'Start automatic slide show' })
+      );
+      advance(5000);
+      expect(getSlide()).toHaveAccessibleName(`2 of ${featured.length}`);
+    });
+
+    it('does not start when reduced motion is preferred', () => {
+      mockMatchMedia(true);
+      renderCarousel();
+
+      advance(15000);
+      expect(getSlide()).toHaveAccessibleName(`1 of ${featured.length}`);
+      expect(
+        screen.getByRole('button', { name: 'Start automatic slide show' })
+      ).toBeInTheDocument();
+    });
+
+    it('stops when reduced motion is turned on', () => {
+      const setReduceMotion = mockMatchMedia(false);
+      renderCarousel();
+
+      act(() => setReduceMotion(true));
+      advance(15000);
+      expect(getSlide()).toHaveAccessibleName(`1 of ${featured.length}`);
+    });
+  });
+
+  describe('controls', () => {
+    it('moves with the previous and next buttons', () => {
+      renderCarousel();
+
+      fireEvent.click(screen.getByRole('button', { name: 'Previous slide' }));
+      expect(getSlide()).toHaveAccessibleName(
+        `${featured.length} of ${featured.length}`
+      );
+
+      fireEvent.click(screen.getByRole('button', { name: 'Next slide' }));
+      expect(getSlide()).toHaveAccessibleName(`1 of ${featured.length}`);
+    });
+
+    it('jumps to a slide from its picker', () => {
+      renderCarousel();
+      const picker = screen.getByRole('button', {
+        name: `Slide 3: ${featured[2].name}`,
+      });
+
+      fireEvent.click(picker);
+
+      expect(getSlide()).toHaveAccessibleName(`3 of ${featured.length}`);
+      expect(picker).toHaveAttribute('aria-current', 'true');
+      expect(
+        screen.getByRole('link', { name: featured[2].name })
+      ).toBeInTheDocument();
+    });
+
+    it('responds to arrow keys, Home and End', () => {
+      renderCarousel();
+      const next = screen.getByRole('button', { name: 'Next slide' });
+
+      fireEvent.keyDown(next, { key: 'ArrowRight' });
+      expect(getSlide()).toHaveAccessibleName(`2 of ${featured.length}`);
+
+      fireEvent.keyDown(next, { key: 'End' });
+      expect(getSlide()).toHaveAccessibleName(
+        `${featured.length} of ${featured.length}`
+      );
+
+      fireEvent.keyDown(next, { key: 'ArrowRight' });
+      expect(getSlide()).toHaveAccessibleName(`1 of ${featured.length}`);
+
+      fireEvent.keyDown(next, { key: 'ArrowLeft' });
+      fireEvent.keyDown(next, { key: 'Home' });
+      expect(getSlide()).toHaveAccessibleName(`1 of ${featured.length}`);
+    });
+
+    it('follows swipes and ignores short touches', () => {
+      renderCarousel();
+
+      fireEvent.touchStart(getSlide(), { touches: [{ clientX: 300 }] });
+      fireEvent.touchEnd(getSlide(), { changedTouches: [{ clientX: 200 }] });
+      expect(getSlide()).toHaveAccessibleName(`2 of ${featured.length}`);
+
+      fireEvent.touchStart(getSlide(), { touches: [{ clientX: 200 }] });
+      fireEvent.touchEnd(getSlide(), { changedTouches: [{ clientX: 220 }] });
+      expect(getSlide()).toHaveAccessibleName(`2 of ${featured.length}`);
+
+      fireEvent.touchStart(getSlide(), { touches: [{ clientX: 100 }] });
+      fireEvent.touchEnd(getSlide(), { changedTouches: [{ clientX: 250 }] });
+      expect(getSlide()).toHaveAccessibleName(`1 of ${featured.length}`);
+    });
+
+    it('hides the controls for a single product', () => {
+      renderCarousel({ products: featured.slice(0, 1) });
+
+      expect(getSlide()).toHaveAccessibleName('1 of 1');
+      expect(screen.queryByRole('button')).not.toBeInTheDocument();
+    });
+  });
+});
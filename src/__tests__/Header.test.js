@@ -1,14 +1,23 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent } from '@testing-library/react';
 import { BrowserRouter } from 'react-router-dom';
 import { CartProvider } from '../context/CartContext';
+import { CurrencyProvider } from '../context/CurrencyContext';
+import { I18nProvider } from '../context/I18nContext';
+import { WishlistProvider } from '../context/WishlistContext';
 import Header from '../components/Header';
 
 const renderHeader = () => {
   return render(
     <BrowserRouter>
-      <CartProvider>
-        <Header />
-      </CartProvider>
+      <I18nProvider>
+        <CurrencyProvider>
+          <CartProvider>
+            <WishlistProvider>
+              <Header />
+            </WishlistProvider>
+          </CartProvider>
+        </CurrencyProvider>
+      </I18nProvider>
     </BrowserRouter>
   );
 };
@@ -34,12 +43,56 @@ describe('Header', () => {
     expect(cartLink).toHaveAttribute('href', '/cart');
   });
 
+  it('renders wishlist link with its count', () => {
+    localStorage.setItem(
+      'marketplace_wishlist',
+      JSON.stringify([{ id: 'a', name: 'Product A', price: 10 }])
+    );
+    renderHeader();
+
+    const wishlistLink = screen.getByRole('link', {
+      name: 'Wishlist with 1 items',
+    });
+    expect(wishlistLink).toHaveAttribute('href', '/wishlist');
+    expect(wishlistLink).toHaveTextContent('1');
+
+    localStorage.clear();
+  });
+
   it('renders logo link to home', () => {
     renderHeader();
     const logoLink = screen.getByRole('link', { name: /nexus3d/i });
     expect(logoLink).toHaveAttribute('href', '/');
   });
 
+  it('switches the display currency', () => {
+    renderHeader();
+    const select = screen.getByRole('combobox', { name: 'Currency' });
+    expect(select).toHaveValue('USD');
+
+    fireEvent.change(select, { target: { value: 'EUR' } });
+
+    expect(select).toHaveValue('EUR');
+    expect(localStorage.getItem('marketplace_currency')).toBe('EUR');
+
+    localStorage.clear();
+  });
+
+  it('switches the interface language', () => {
+    renderHeader();
+    const select = screen.getByRole('combobox', { name: 'Language' });
+    expect(select).toHaveValue('en');
+
+    fireEvent.change(select, { target: { value: 'es' } });
+
+    expect(select).toHaveValue('es');
+    expect(screen.getByRole('combobox', { name: 'Idioma' })).toBe(select);
+    expect(screen.getByRole('link', { name: 'Explorar' })).toBeInTheDocument();
+    expect(localStorage.getItem('marketplace_locale')).toBe('es');
+
+    localStorage.clear();
+  });
+
   it('has accessible navigation', () => {
     renderHeader();
     expect(screen.getByRole('banner')).toBeInTheDocument();
@@ -1,10 +1,30 @@
-import { render, screen, fireEvent } from '@testing-library/react';
+import {
+  render,
+  screen,
+  fireEvent,
+  waitFor,
+  act,
+  within,
+} from '@testing-library/react';
 import { BrowserRouter } from 'react-router-dom';
 import { HelmetProvider } from 'react-helmet-async';
 import { CartProvider } from '../context/CartContext';
+import { CurrencyProvider } from '../context/CurrencyContext';
+import { I18nProvider } from '../context/I18nContext';
+import { WishlistProvider } from '../context/WishlistContext';
+import { CompareProvider } from '../context/CompareContext';
 import { ABTestProvider } from '../context/ABTestContext';
-import HomePage from '../pages/HomePage';
+import HomePage, { PAGE_SIZE } from '../pages/HomePage';
 import { products } from '../data/products';
+import {
+  setCatalogAdapter,
+  resetCatalogAdapter,
+  createLocalCatalogAdapter,
+} from '../services/catalogService';
+import {
+  saveProduct,
+  resetCatalogStorage,
+} from '../services/catalogAdminService';
 
 // Mock ModelPreview component since Three.js requires WebGL
 jest.mock('../components/ModelPreview', () => {
@@ -33,7 +53,7 @@ jest.mock('../components/ModelPreview', () => {
   };
 });
 
-const renderHomePage = () => {
+const renderHomePageShell = () => {
   // Force control variant for consistent test behavior
   localStorage.setItem(
     'ab_test_assignments',
@@ -44,77 +64,112 @@ const renderHomePage = () => {
     <HelmetProvider>
       <BrowserRouter>
         <ABTestProvider>
-          <CartProvider>
-            <HomePage />
-          </CartProvider>
+          <I18nProvider>
+            <CurrencyProvider>
+              <CartProvider>
+                <WishlistProvider>
+                  <CompareProvider>
+                    <HomePage />
+                  </CompareProvider>
+                </WishlistProvider>
+              </CartProvider>
+            </CurrencyProvider>
+          </I18nProvider>
         </ABTestProvider>
       </BrowserRouter>
     </HelmetProvider>
   );
 };
 
+// Waits for the catalog request to resolve before returning
+const renderHomePage = async () => {
+  const utils = renderHomePageShell();
+  await screen.findByRole('list', { name: /product listings/i });
+  return utils;
+};
+
 describe('HomePage', () => {
   beforeEach(() => {
     localStorage.clear();
+    window.history.replaceState({}, '', '/');
   });
 
   describe('Hero section', () => {
-    it('renders hero title', () => {
-      renderHomePage();
+    it('renders hero title', async () => {
+      await renderHomePage();
       expect(screen.getByText('Next-Gen')).toBeInTheDocument();
       expect(screen.getByText('3D Assets')).toBeInTheDocument();
     });
 
-    it('renders hero badge', () => {
-      renderHomePage();
+    it('renders hero badge', async () => {
+      await renderHomePage();
       expect(screen.getByText('Premium 3D Marketplace')).toBeInTheDocument();
     });
 
-    it('renders feature indicators', () => {
-      renderHomePage();
+    it('renders feature indicators', async () => {
+      await renderHomePage();
       expect(screen.getByText('High-Poly Models')).toBeInTheDocument();
       expect(screen.getByText('PBR Textures')).toBeInTheDocument();
       expect(screen.getByText('Multi-Format')).toBeInTheDocument();
     });
 
-    it('displays total product count', () => {
-      renderHomePage();
-      expect(screen.getByText(`${products.length}`)).toBeInTheDocument();
+    it('displays total product count', async () => {
+      await renderHomePage();
+      expect(
+        screen.getByText(`${products.length}`, { selector: '.hero__stats *' })
+      ).toBeInTheDocument();
+    });
+
+    it('shows the featured products in the hero carousel', async () => {
+      await renderHomePage();
+      const carousel = await screen.findByRole('region', {
+        name: 'Featured models',
+      });
+      const featured = products.filter((product) => product.featured);
+
+      expect(
+        within(carousel).getByRole('link', { name: featured[0].name })
+      ).toBeInTheDocument();
+      expect(
+        within(carousel).getAllByRole('button', { name: /^Slide \d+:/ })
+      ).toHaveLength(featured.length);
     });
   });
 
   describe('Products section', () => {
-    it('renders products title', () => {
-      renderHomePage();
+    it('renders products title', async () => {
+      await renderHomePage();
       expect(
         screen.getByRole('heading', { name: 'All Models' })
       ).toBeInTheDocument();
     });
 
-    it('renders all products', () => {
-      renderHomePage();
+    it('renders all products', async () => {
+      await renderHomePage();
       // Test with actual product names from updated data
-      expect(screen.getByText('Tactical Combat Soldier')).toBeInTheDocument();
+      expect(
+        screen.getByRole('heading', { name: 'Tactical Combat Soldier' })
+      ).toBeInTheDocument();
       expect(screen.getByText('Classic Toy Car Model')).toBeInTheDocument();
     });
 
-    it('renders product prices', () => {
-      renderHomePage();
+    it('renders product prices', async () => {
+      await renderHomePage();
       // Use getAllByText since multiple products may have the same price
       expect(screen.getAllByText('$89').length).toBeGreaterThanOrEqual(1);
       expect(screen.getByText('$129')).toBeInTheDocument();
     });
 
-    it('renders product links', () => {
-      renderHomePage();
+    it('renders product links', async () => {
+      await renderHomePage();
       const productLinks = screen.getAllByRole('link', {
         name: /view .+ details/i,
       });
       expect(productLinks.length).toBeGreaterThanOrEqual(2);
     });
 
-    it('renders product categories', () => {
-      renderHomePage();
+    it('renders product categories', async () => {
+      await renderHomePage();
       expect(screen.getAllByText('Characters').length).toBeGreaterThanOrEqual(
         1
       );
@@ -123,48 +178,335 @@ describe('HomePage', () => {
   });
 
   describe('Filter functionality', () => {
-    it('renders search input', () => {
-      renderHomePage();
+    it('renders search input', async () => {
+      await renderHomePage();
       expect(screen.getByPlaceholderText(/search models/i)).toBeInTheDocument();
     });
 
-    it('filters products by search term', () => {
-      renderHomePage();
+    it('filters products by search term', async () => {
+      await renderHomePage();
       const searchInput = screen.getByPlaceholderText(/search models/i);
 
       // Initially all products should be visible
-      expect(screen.getByText('Tactical Combat Soldier')).toBeInTheDocument();
+      expect(
+        screen.getByRole('heading', { name: 'Tactical Combat Soldier' })
+      ).toBeInTheDocument();
 
       // Search for specific product
       fireEvent.change(searchInput, { target: { value: 'tactical' } });
-      expect(screen.getByText('Tactical Combat Soldier')).toBeInTheDocument();
+      expect(
+        screen.getByRole('heading', { name: 'Tactical Combat Soldier' })
+      ).toBeInTheDocument();
+      expect(await screen.findByText(/^1 of \d+ models/i)).toBeInTheDocument();
     });
 
-    it('shows filter toggle button on mobile', () => {
-      renderHomePage();
+    it('shows filter toggle button on mobile', async () => {
+      await renderHomePage();
       // Multiple filter buttons exist (open/close), check at least one is present
       const filterButtons = screen.getAllByRole('button', { name: /filter/i });
       expect(filterButtons.length).toBeGreaterThanOrEqual(1);
     });
 
-    it('displays product count after filtering', () => {
-      renderHomePage();
+    it('displays product count after filtering', async () => {
+      await renderHomePage();
       // Check that count shows "X of Y models"
       expect(screen.getByText(/of \d+ models/i)).toBeInTheDocument();
     });
   });
 
+  describe('Search relevance', () => {
+    it('finds products despite typos', async () => {
+      window.history.replaceState({}, '', '/?q=helmit');
+      await renderHomePage();
+
+      expect(
+        screen.getByRole('heading', { name: 'Damaged Sci-Fi Helmet' })
+      ).toBeInTheDocument();
+      expect(screen.getByText(/^1 of \d+ models/i)).toBeInTheDocument();
+    });
+
+    it('highlights matched terms on product cards', async () => {
+      window.history.replaceState({}, '', '/?q=lantern');
+      await renderHomePage();
+
+      expect(screen.getByText('Lantern', { selector: 'mark' })).toHaveClass(
+        'highlight'
+      );
+    });
+  });
+
+  describe('Search suggestions', () => {
+    const chooseSuggestion = async (query, name) => {
+      fireEvent.change(screen.getByRole('combobox', { name: /search/i }), {
+        target: { value: query },
+      });
+      fireEvent.click(await screen.findByRole('option', { name }));
+    };
+
+    it('applies a category suggestion as a filter', async () => {
+      await renderHomePage();
+
+      await chooseSuggestion('vehic', 'Vehicles');
+
+      expect(window.location.search).toBe('?category=Vehicles');
+      expect(screen.getByLabelText('Vehicles')).toBeChecked();
+      expect(screen.getByLabelText(/search products/i)).toHaveValue('');
+    });
+
+    it('applies a tag suggestion as a removable filter', async () => {
+      await renderHomePage();
+
+      await chooseSuggestion('rigg', 'rigged');
+
+      expect(window.location.search).toBe('?tag=rigged');
+      expect(
+        await screen.findByText(/^\d+ of \d+ models/i)
+      ).toBeInTheDocument();
+
+      fireEvent.click(
+        screen.getByRole('button', { name: 'Remove tag filter rigged' })
+      );
+      expect(window.location.search).toBe('');
+    });
+
+    it('opens the product page for a product suggestion', async () => {
+      await renderHomePage();
+
+      await chooseSuggestion('fox', 'Playful Fox Character');
+
+      expect(window.location.pathname).toBe('/products/animated-fox');
+    });
+  });
+
+  describe('URL-synced filters', () => {
+    it('restores filters and search from the query string', async () => {
+      window.history.replaceState({}, '', '/?category=Props&q=lantern');
+      await renderHomePage();
+
+      expect(screen.getByLabelText('Props')).toBeChecked();
+      expect(screen.getByLabelText(/search products/i)).toHaveValue('lantern');
+      expect(
+        screen.getByRole('heading', { name: 'Antique Oil Lantern' })
+      ).toBeInTheDocument();
+      expect(
+        screen.queryByRole('heading', { name: 'Tactical Combat Soldier' })
+      ).not.toBeInTheDocument();
+    });
+
+    it('writes category changes to the query string', async () => {
+      await renderHomePage();
+
+      fireEvent.click(screen.getByLabelText('Vehicles'));
+
+      expect(window.location.search).toBe('?category=Vehicles');
+      expect(await screen.findByText(/^1 of \d+ models/i)).toBeInTheDocument();
+    });
+
+    it('writes spec filters to the query string', async () => {
+      await renderHomePage();
+
+      fireEvent.click(screen.getByRole('switch', { name: 'Rigged' }));
+      expect(window.location.search).toBe('?spec=rigged');
+      expect(await screen.findByText(/^3 of \d+ models/i)).toBeInTheDocument();
+
+      fireEvent.change(screen.getByLabelText('LOD levels'), {
+        target: { value: '3' },
+      });
+      expect(window.location.search).toBe('?spec=rigged&lod=3');
+      expect(await screen.findByText(/^2 of \d+ models/i)).toBeInTheDocument();
+    });
+
+    it('restores spec filters from the query string', async () => {
+      window.history.replaceState({}, '', '/?spec=pbr&texture=4K');
+      await renderHomePage();
+
+      expect(
+        screen.getByRole('switch', { name: 'PBR materials' })
+      ).toBeChecked();
+      expect(screen.getByLabelText('Texture resolution')).toHaveValue('4K');
+      expect(
+        screen.getByRole('heading', { name: 'Classic Toy Car Model' })
+      ).toBeInTheDocument();
+      expect(screen.queryByText('Pink Flamingo Bird')).not.toBeInTheDocument();
+    });
+
+    it('writes the search term to the query string', async () => {
+      await renderHomePage();
+
+      fireEvent.change(screen.getByLabelText(/search products/i), {
+        target: { value: 'fox' },
+      });
+
+      expect(window.location.search).toBe('?q=fox');
+      expect(await screen.findByText(/^1 of \d+ models/i)).toBeInTheDocument();
+    });
+
+    it('coalesces search keystrokes into a single history entry', async () => {
+      await renderHomePage();
+      const searchInput = screen.getByLabelText(/search products/i);
+      const initialLength = window.history.length;
+
+      fireEvent.change(searchInput, { target: { value: 'f' } });
+      fireEvent.change(searchInput, { target: { value: 'fo' } });
+      fireEvent.change(searchInput, { target: { value: 'fox' } });
+
+      expect(window.history.length).toBe(initialLength + 1);
+      expect(await screen.findByText(/^1 of \d+ models/i)).toBeInTheDocument();
+    });
+
+    it('restores range sliders from the query string', async () => {
+      window.history.replaceState({}, '', '/?price=20-100');
+      await renderHomePage();
+
+      expect(screen.getByLabelText('Minimum Price')).toHaveValue('20');
+      expect(screen.getByLabelText('Maximum Price')).toHaveValue('100');
+    });
+
+    it('clears the query string on reset', async () => {
+      window.history.replaceState({}, '', '/?category=Props&format=FBX');
+      await renderHomePage();
+
+      fireEvent.click(
+        screen.getByRole('button', { name: 'Reset all filters' })
+      );
+
+      expect(window.location.search).toBe('');
+      expect(screen.getByLabelText('Props')).not.toBeChecked();
+      await screen.findByText(
+        `${products.length} of ${products.length} models`
+      );
+    });
+  });
+
+  describe('Facet counts', () => {
+    it('shows how many products each option would return', async () => {
+      await renderHomePage();
+
+      expect(screen.getByLabelText('Props')).toHaveAccessibleDescription(
+        '3 models'
+      );
+    });
+
+    it('disables options with no matching products', async () => {
+      window.history.replaceState({}, '', '/?q=lantern');
+      await renderHomePage();
+
+      expect(screen.getByLabelText('Vehicles')).toBeDisabled();
+      expect(screen.getByLabelText('Props')).toBeEnabled();
+    });
+
+    it('keeps a selected option enabled even when it has no matches', async () => {
+      window.history.replaceState({}, '', '/?category=Vehicles&q=lantern');
+      renderHomePageShell();
+      await screen.findByText('No models found');
+
+      expect(screen.getByLabelText('Vehicles')).toBeChecked();
+      expect(screen.getByLabelText('Vehicles')).toBeEnabled();
+    });
+  });
+
+  describe('Products past the slider range', () => {
+    afterEach(() => {
+      resetCatalogStorage();
+      resetCatalogAdapter();
+    });
+
+    it('lists and counts a model saved above the top price and poly count', async () => {
+      const prop = products.find((product) => product.category === 'Props');
+      await saveProduct({
+        ...prop,
+        id: 'gallery-statue',
+        name: 'Gallery Statue',
+        price: 750,
+        polyCount: 250000,
+      });
+      window.history.replaceState({}, '', '/?category=Props');
+      await renderHomePage();
+
+      expect(screen.getByText('Gallery Statue')).toBeInTheDocument();
+      expect(screen.getByLabelText('Props')).toHaveAccessibleDescription(
+        '4 models'
+      );
+      expect(screen.getByText('$500+')).toBeInTheDocument();
+      expect(screen.getByText('100,000+')).toBeInTheDocument();
+    });
+
+    it('drops it once the top of a range is lowered', async () => {
+      const prop = products.find((product) => product.category === 'Props');
+      await saveProduct({
+        ...prop,
+        id: 'gallery-statue',
+        name: 'Gallery Statue',
+        price: 750,
+      });
+      window.history.replaceState({}, '', '/?category=Props&price=0-490');
+      await renderHomePage();
+
+      expect(screen.queryByText('Gallery Statue')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Sorting', () => {
+    const getCardNames = () =>
+      screen
+        .getAllByRole('heading', { level: 3 })
+        .map((heading) => heading.textContent);
+
+    it('renders a sort control defaulting to relevance', async () => {
+      await renderHomePage();
+
+      expect(screen.getByLabelText('Sort by')).toHaveValue('relevance');
+    });
+
+    it('reorders the grid and updates the URL when the sort changes', async () => {
+      await renderHomePage();
+
+      fireEvent.change(screen.getByLabelText('Sort by'), {
+        target: { value: 'price-asc' },
+      });
+
+      expect(window.location.search).toBe('?sort=price-asc');
+      expect(
+        await screen.findByText(/Price: Low to High/, {
+          selector: '.products__count-sort',
+        })
+      ).toBeInTheDocument();
+      await waitFor(() =>
+        expect(getCardNames()[0]).toBe('Photorealistic Avocado')
+      );
+    });
+
+    it('restores the sort from the query string', async () => {
+      window.history.replaceState({}, '', '/?sort=price-desc');
+      await renderHomePage();
+
+      expect(screen.getByLabelText('Sort by')).toHaveValue('price-desc');
+      expect(getCardNames()[0]).toBe('Tokyo Street Diorama');
+    });
+
+    it('keeps the sort when filters are reset', async () => {
+      window.history.replaceState({}, '', '/?category=Props&sort=rating');
+      await renderHomePage();
+
+      fireEvent.click(
+        screen.getByRole('button', { name: 'Reset all filters' })
+      );
+
+      expect(window.location.search).toBe('?sort=rating');
+    });
+  });
+
   describe('Add to cart functionality', () => {
-    it('renders add to cart buttons', () => {
-      renderHomePage();
+    it('renders add to cart buttons', async () => {
+      await renderHomePage();
       const addButtons = screen.getAllByRole('button', {
         name: /add .+ to cart/i,
       });
       expect(addButtons.length).toBe(products.length);
     });
 
-    it('add to cart button is clickable', () => {
-      renderHomePage();
+    it('add to cart button is clickable', async () => {
+      await renderHomePage();
       const addButton = screen.getByRole('button', {
         name: /add tactical combat soldier to cart/i,
       });
@@ -173,31 +515,302 @@ describe('HomePage', () => {
     });
   });
 
+  describe('Recently viewed', () => {
+    it('shows recently viewed products in a rail', async () => {
+      localStorage.setItem(
+        'marketplace_recently_viewed',
+        JSON.stringify(['expressive-robot', 'tactical-soldier'])
+      );
+      await renderHomePage();
+
+      const rail = await screen.findByRole('list', { name: 'Recently Viewed' });
+      expect(
+        within(rail)
+          .getAllByRole('heading', { level: 3 })
+          .map((heading) => heading.textContent)
+      ).toEqual(['Expressive Robot Character', 'Tactical Combat Soldier']);
+    });
+
+    it('clears the rail', async () => {
+      localStorage.setItem(
+        'marketplace_recently_viewed',
+        JSON.stringify(['expressive-robot'])
+      );
+      await renderHomePage();
+
+      fireEvent.click(
+        await screen.findByRole('button', {
+          name: 'Clear recently viewed models',
+        })
+      );
+
+      expect(
+        screen.queryByRole('list', { name: 'Recently Viewed' })
+      ).not.toBeInTheDocument();
+    });
+
+    it('is hidden when nothing has been viewed', async () => {
+      await renderHomePage();
+
+      expect(
+        screen.queryByRole('heading', { name: 'Recently Viewed' })
+      ).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Wishlist', () => {
+    it('saves a product from its card without opening it', async () => {
+      await renderHomePage();
+      const heart = screen.getByRole('button', {
+        name: 'Save Tactical Combat Soldier to wishlist',
+      });
+
+      fireEvent.click(heart);
+
+      expect(heart).toHaveAttribute('aria-pressed', 'true');
+      expect(window.location.pathname).toBe('/');
+    });
+  });
+
+  describe('Compare', () => {
+    it('adds products to the comparison from their cards', async () => {
+      await renderHomePage();
+      const compare = screen.getByRole('button', {
+        name: 'Compare Tactical Combat Soldier',
+      });
+
+      fireEvent.click(compare);
+
+      expect(compare).toHaveAttribute('aria-pressed', 'true');
+      expect(window.location.pathname).toBe('/');
+    });
+
+    it('blocks further products once the tray is full', async () => {
+      await renderHomePage();
+      const buttons = screen.getAllByRole('button', { name: /^compare /i });
+
+      buttons.slice(0, 5).forEach((button) => fireEvent.click(button));
+
+      expect(buttons[4]).toHaveAttribute('aria-pressed', 'false');
+      expect(buttons[4]).toHaveAttribute('aria-disabled', 'true');
+      expect(buttons[4]).toHaveAccessibleName(/compare tray is full/);
+    });
+  });
+
   describe('Accessibility', () => {
-    it('has proper heading hierarchy', () => {
-      renderHomePage();
+    it('has proper heading hierarchy', async () => {
+      await renderHomePage();
       const h1 = screen.getByRole('heading', { level: 1 });
       expect(h1).toBeInTheDocument();
     });
 
-    it('has search input with accessible label', () => {
-      renderHomePage();
+    it('has search input with accessible label', async () => {
+      await renderHomePage();
       expect(screen.getByLabelText(/search products/i)).toBeInTheDocument();
     });
 
-    it('has product grid with list role', () => {
-      renderHomePage();
+    it('has product grid with list role', async () => {
+      await renderHomePage();
+      expect(
+        screen.getByRole('list', { name: /product listings/i })
+      ).toBeInTheDocument();
+    });
+  });
+
+  describe('Catalog loading', () => {
+    afterEach(() => {
+      resetCatalogAdapter();
+    });
+
+    it('shows skeleton cards while the catalog is loading', async () => {
+      renderHomePageShell();
+
+      expect(screen.getByText('Loading models...')).toBeInTheDocument();
+      expect(
+        screen.getByLabelText(/loading product listings/i)
+      ).toHaveAttribute('aria-busy', 'true');
+
+      expect(
+        await screen.findByRole('list', { name: /product listings/i })
+      ).toBeInTheDocument();
+    });
+
+    it('shows an error state with retry when the catalog fails', async () => {
+      const failing = {
+        listProducts: jest.fn(),
+        getProduct: jest.fn(),
+        searchProducts: jest.fn().mockRejectedValue(new Error('offline')),
+      };
+      setCatalogAdapter(failing);
+      renderHomePageShell();
+
       expect(
+        await screen.findByText('Unable to load models')
+      ).toBeInTheDocument();
+
+      setCatalogAdapter(createLocalCatalogAdapter());
+      fireEvent.click(screen.getByRole('button', { name: 'Try Again' }));
+
+      expect(
+        await screen.findByText('Tactical Combat Soldier')
+      ).toBeInTheDocument();
+    });
+  });
+
+  describe('Pagination', () => {
+    // 30 products -> pages of 12, 12 and 6
+    const largeCatalog = Array.from({ length: 30 }, (_, i) => ({
+      ...products[i % products.length],
+      id: `model-${i + 1}`,
+      name: `Catalog Model ${i + 1}`,
+    }));
+
+    const getCardCount = () =>
+      within(
         screen.getByRole('list', { name: /product listings/i })
+      ).getAllByRole('listitem').length;
+
+    beforeEach(() => {
+      setCatalogAdapter(createLocalCatalogAdapter(largeCatalog));
+    });
+
+    afterEach(() => {
+      resetCatalogAdapter();
+      delete window.IntersectionObserver;
+    });
+
+    it('shows one page of products with page controls', async () => {
+      await renderHomePage();
+
+      expect(getCardCount()).toBe(PAGE_SIZE);
+      expect(screen.getByText('30 of 30 models')).toBeInTheDocument();
+      expect(screen.getByRole('button', { name: 'Page 1' })).toHaveAttribute(
+        'aria-current',
+        'page'
+      );
+    });
+
+    it('writes the page to the query string', async () => {
+      await renderHomePage();
+
+      fireEvent.click(screen.getByRole('button', { name: 'Next page' }));
+
+      expect(window.location.search).toBe('?page=2');
+      expect(
+        await screen.findByRole('heading', { name: 'Catalog Model 13' })
       ).toBeInTheDocument();
+      expect(screen.getByRole('heading', { name: 'All Models' })).toHaveFocus();
+      // Cards report their position in the full result set
+      const [firstCard] = within(
+        screen.getByRole('list', { name: /product listings/i })
+      ).getAllByRole('listitem');
+      expect(firstCard).toHaveAttribute('aria-posinset', '13');
+      expect(firstCard).toHaveAttribute('aria-setsize', '30');
+    });
+
+    it('restores the page from the query string', async () => {
+      window.history.replaceState({}, '', '/?page=3');
+      await renderHomePage();
+
+      expect(getCardCount()).toBe(6);
+      expect(screen.getByRole('button', { name: 'Next page' })).toBeDisabled();
+    });
+
+    it('returns to the first page when a filter changes', async () => {
+      window.history.replaceState({}, '', '/?page=2');
+      await renderHomePage();
+
+      fireEvent.click(screen.getByLabelText('Props'));
+
+      expect(window.location.search).toBe('?category=Props');
+    });
+
+    describe('infinite scroll', () => {
+      beforeEach(() => {
+        localStorage.setItem('marketplace_infinite_scroll', 'true');
+      });
+
+      it('appends the next page with "Load more" and keeps focus', async () => {
+        await renderHomePage();
+        const loadMore = screen.getByRole('button', {
+          name: 'Load more models',
+        });
+        loadMore.focus();
+
+        fireEvent.click(loadMore);
+
+        expect(window.location.search).toBe('?page=2');
+        await waitFor(() => expect(getCardCount()).toBe(24));
+        expect(
+          screen.getByRole('button', { name: 'Load more models' })
+        ).toHaveFocus();
+        expect(
+          screen.queryByRole('navigation', { name: 'Product pages' })
+        ).not.toBeInTheDocument();
+      });
+
+      it('moves focus to the first new card after the last page', async () => {
+        window.history.replaceState({}, '', '/?page=2');
+        await renderHomePage();
+
+        fireEvent.click(
+          screen.getByRole('button', { name: 'Load more models' })
+        );
+
+        await waitFor(() => expect(getCardCount()).toBe(30));
+        expect(
+          screen.queryByRole('button', { name: 'Load more models' })
+        ).not.toBeInTheDocument();
+        await waitFor(() =>
+          expect(
+            screen.getByRole('link', { name: /view catalog model 25 details/i })
+          ).toHaveFocus()
+        );
+      });
+
+      it('loads the next page when the end of the grid scrolls into view', async () => {
+        const observers = [];
+        window.IntersectionObserver = class {
+          constructor(callback) {
+            this.callback = callback;
+            observers.push(this);
+          }
+          observe() {}
+          disconnect() {}
+        };
+        await renderHomePage();
+        await waitFor(() => expect(observers).toHaveLength(1));
+
+        act(() => {
+          observers[observers.length - 1].callback([{ isIntersecting: true }]);
+        });
+
+        await waitFor(() => expect(getCardCount()).toBe(24));
+        expect(window.location.search).toBe('?page=2');
+      });
+
+      it('remembers the mode', async () => {
+        await renderHomePage();
+
+        fireEvent.click(screen.getByLabelText('Infinite scroll'));
+
+        expect(localStorage.getItem('marketplace_infinite_scroll')).toBe(
+          'false'
+        );
+        expect(
+          screen.getByRole('navigation', { name: 'Product pages' })
+        ).toBeInTheDocument();
+      });
     });
   });
 
   describe('SEO', () => {
-    it('renders product cards with schema markup', () => {
-      renderHomePage();
+    it('renders product cards with schema markup', async () => {
+      await renderHomePage();
       // Verify all products are rendered by checking product names
-      expect(screen.getByText('Tactical Combat Soldier')).toBeInTheDocument();
+      expect(
+        screen.getByRole('heading', { name: 'Tactical Combat Soldier' })
+      ).toBeInTheDocument();
       expect(screen.getByText('Classic Toy Car Model')).toBeInTheDocument();
       // Verify product count matches expected (ProductCard uses role="listitem" for grid semantics)
       const productCards = screen.getAllByRole('listitem');
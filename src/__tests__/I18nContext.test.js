@@ -0,0 +1,89 @@
+import { renderHook, act } from '@testing-library/react';
+import { I18nProvider, useI18n } from '../context/I18nContext';
+import { CurrencyProvider, useCurrency } from '../context/CurrencyContext';
+
+const wrapper = ({ children }) => <I18nProvider>{children}</I18nProvider>;
+
+describe('I18nContext', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('throws error when used outside I18nProvider', () => {
+    const consoleSpy = jest
+      .spyOn(console, 'error')
+      .mockImplementation(() => {});
+
+    expect(() => {
+      renderHook(() => useI18n());
+    }).toThrow('useI18n must be used within an I18nProvider');
+
+    consoleSpy.mockRestore();
+  });
+
+  it('defaults to English', () => {
+    const { result } = renderHook(() => useI18n(), { wrapper });
+
+    expect(result.current.locale).toBe('en');
+    expect(result.current.t('cart.title')).toBe('Shopping Cart');
+    expect(document.documentElement.lang).toBe('en');
+  });
+
+  it('switches language and persists the choice', () => {
+    const { result } = renderHook(() => useI18n(), { wrapper });
+
+    act(() => {
+      result.current.setLocale('es');
+    });
+
+    expect(result.current.locale).toBe('es');
+    expect(result.current.t('cart.title')).toBe('Carrito');
+    expect(localStorage.getItem('marketplace_locale')).toBe('es');
+    expect(document.documentElement.lang).toBe('es');
+  });
+
+  it('ignores unsupported languages', () => {
+    const { result } = renderHook(() => useI18n(), { wrapper });
+
+    act(() => {
+      result.current.setLocale('xx');
+    });
+
+    expect(result.current.locale).toBe('en');
+  });
+
+  it('restores a stored language', () => {
+    localStorage.setItem('marketplace_locale', 'es');
+    const { result } = renderHook(() => useI18n(), { wrapper });
+
+    expect(result.current.locale).toBe('es');
+  });
+
+  it('formats dates for the active language', () => {
+    localStorage.setItem('marketplace_locale', 'es');
+    const { result } = renderHook(() => useI18n(), { wrapper });
+
+    expect(
+      result.current.formatDate('2024-03-15T12:00:00Z', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+      })
+    ).toBe('15 de marzo de 2024');
+  });
+
+  it('formats prices for the active language', () => {
+    localStorage.setItem('marketplace_locale', 'es');
+    const { result } = renderHook(() => useCurrency(), {
+      wrapper: ({ children }) => (
+        <I18nProvider>
+          <CurrencyProvider>{children}</CurrencyProvider>
+        </I18nProvider>
+      ),
+    });
+
+    expect(result.current.formatPrice(1234.5).replace(/\s/g, ' ')).toBe(
+      '1234,50 US$'
+    );
+  });
+});
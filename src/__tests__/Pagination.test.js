@@ -0,0 +1,71 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import { I18nProvider } from '../context/I18nContext';
+import Pagination, { getPageItems } from '../components/Pagination';
+
+describe('Pagination', () => {
+  describe('getPageItems', () => {
+    it('lists every page when there are few', () => {
+      expect(getPageItems(2, 4)).toEqual([1, 2, 3, 4]);
+    });
+
+    it('collapses distant pages into gaps', () => {
+      expect(getPageItems(6, 10)).toEqual([1, null, 5, 6, 7, null, 10]);
+    });
+
+    it('keeps the edges next to the current page', () => {
+      expect(getPageItems(1, 10)).toEqual([1, 2, null, 10]);
+      expect(getPageItems(10, 10)).toEqual([1, null, 9, 10]);
+    });
+  });
+
+  it('renders nothing for a single page', () => {
+    const { container } = render(
+      <Pagination page={1} pageCount={1} onPageChange={jest.fn()} />,
+      { wrapper: I18nProvider }
+    );
+
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('marks the current page', () => {
+    render(<Pagination page={2} pageCount={3} onPageChange={jest.fn()} />, {
+      wrapper: I18nProvider,
+    });
+
+    expect(screen.getByRole('button', { name: 'Page 2' })).toHaveAttribute(
+      'aria-current',
+      'page'
+    );
+    expect(screen.getByRole('button', { name: 'Page 1' })).not.toHaveAttribute(
+      'aria-current'
+    );
+  });
+
+  it('reports page changes', () => {
+    const onPageChange = jest.fn();
+    render(<Pagination page={2} pageCount={3} onPageChange={onPageChange} />, {
+      wrapper: I18nProvider,
+    });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Next page' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Previous page' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Page 3' }));
+
+    expect(onPageChange.mock.calls).toEqual([[3], [1], [3]]);
+  });
+
+  it('disables stepping past the first and last page', () => {
+    const { rerender } = render(
+      <Pagination page={1} pageCount={3} onPageChange={jest.fn()} />,
+      { wrapper: I18nProvider }
+    );
+    expect(
+      screen.getByRole('button', { name: 'Previous page' })
+    ).toBeDisabled();
+
+    rerender(<Pagination page={3} pageCount={3} onPageChange={jest.fn()} />, {
+      wrapper: I18nProvider,
+    });
+    expect(screen.getByRole('button', { name: 'Next page' })).toBeDisabled();
+  });
+});
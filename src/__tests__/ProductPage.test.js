@@ -1,8 +1,30 @@
-import { render, screen, fireEvent } from '@testing-library/react';
+import {
+  render,
+  screen,
+  fireEvent,
+  within,
+  waitFor,
+  waitForElementToBeRemoved,
+} from '@testing-library/react';
 import { MemoryRouter, Routes, Route } from 'react-router-dom';
 import { HelmetProvider } from 'react-helmet-async';
 import { CartProvider, useCart } from '../context/CartContext';
+import { CurrencyProvider } from '../context/CurrencyContext';
+import { I18nProvider } from '../context/I18nContext';
+import { WishlistProvider } from '../context/WishlistContext';
+import { CompareProvider } from '../context/CompareContext';
+import { ABTestProvider } from '../context/ABTestContext';
 import ProductPage from '../pages/ProductPage';
+import {
+  setCatalogAdapter,
+  resetCatalogAdapter,
+  createLocalCatalogAdapter,
+} from '../services/catalogService';
+import {
+  setReviewAdapter,
+  resetReviewAdapter,
+  createLocalReviewAdapter,
+} from '../services/reviewService';
 
 // Mock ModelViewer component since Three.js requires WebGL
 jest.mock('../components/ModelViewer', () => {
@@ -36,18 +58,34 @@ jest.mock('../components/ModelViewer', () => {
 const PRODUCT_1_ID = 'tactical-soldier';
 const PRODUCT_2_ID = 'expressive-robot';
 
-const renderProductPage = (productId = PRODUCT_1_ID) => {
-  return render(
+const renderProductPage = async (productId = PRODUCT_1_ID) => {
+  const utils = render(
     <HelmetProvider>
       <MemoryRouter initialEntries={[`/products/${productId}`]}>
-        <CartProvider>
-          <Routes>
-            <Route path="/products/:productId" element={<ProductPage />} />
-          </Routes>
-        </CartProvider>
+        <ABTestProvider>
+          <I18nProvider>
+            <CurrencyProvider>
+              <CartProvider>
+                <WishlistProvider>
+                  <CompareProvider>
+                    <Routes>
+                      <Route
+                        path="/products/:productId"
+                        element={<ProductPage />}
+                      />
+                    </Routes>
+                  </CompareProvider>
+                </WishlistProvider>
+              </CartProvider>
+            </CurrencyProvider>
+          </I18nProvider>
+        </ABTestProvider>
       </MemoryRouter>
     </HelmetProvider>
   );
+  // Wait for the catalog request to settle
+  await waitForElementToBeRemoved(() => screen.queryByText('Loading product'));
+  return utils;
 };
 
 describe('ProductPage', () => {
@@ -57,60 +95,122 @@ describe('ProductPage', () => {
   });
 
   describe('Tactical Combat Soldier Product', () => {
-    it('renders product name', () => {
-      renderProductPage(PRODUCT_1_ID);
+    it('renders product name', async () => {
+      await renderProductPage(PRODUCT_1_ID);
       expect(
         screen.getByRole('heading', { name: 'Tactical Combat Soldier' })
       ).toBeInTheDocument();
     });
 
-    it('renders product price', () => {
-      renderProductPage(PRODUCT_1_ID);
-      expect(screen.getByText('$89')).toBeInTheDocument();
+    it('renders product price', async () => {
+      await renderProductPage(PRODUCT_1_ID);
+      // Related product cards show prices too
+      expect(
+        screen.getByText('$89', { selector: '.product-page__price' })
+      ).toBeInTheDocument();
     });
 
-    it('renders 3D model viewer', () => {
-      renderProductPage(PRODUCT_1_ID);
+    it('renders 3D model viewer', async () => {
+      await renderProductPage(PRODUCT_1_ID);
       const modelViewer = screen.getByTestId('model-viewer');
       expect(modelViewer).toBeInTheDocument();
     });
 
-    it('renders 3D model name in model viewer', () => {
-      renderProductPage(PRODUCT_1_ID);
+    it('renders 3D model name in model viewer', async () => {
+      await renderProductPage(PRODUCT_1_ID);
       const modelName = screen.getByTestId('model-name');
       expect(modelName).toBeInTheDocument();
     });
 
-    it('renders add to cart button', () => {
-      renderProductPage(PRODUCT_1_ID);
+    it('renders add to cart button', async () => {
+      await renderProductPage(PRODUCT_1_ID);
       expect(
-        screen.getByRole('button', { name: /add .+ to cart/i })
+        screen.getByRole('button', {
+          name: /add tactical combat soldier to cart/i,
+        })
       ).toBeInTheDocument();
     });
 
-    it('renders back link', () => {
-      renderProductPage(PRODUCT_1_ID);
+    it('renders back link', async () => {
+      await renderProductPage(PRODUCT_1_ID);
       expect(
         screen.getByRole('link', { name: /back to products/i })
       ).toBeInTheDocument();
     });
 
-    it('renders category', () => {
-      renderProductPage(PRODUCT_1_ID);
+    it('renders category', async () => {
+      await renderProductPage(PRODUCT_1_ID);
       // Category appears in both header and specs section
       const categoryElements = screen.getAllByText('Characters');
       expect(categoryElements.length).toBeGreaterThanOrEqual(1);
     });
 
-    it('renders specifications section', () => {
-      renderProductPage(PRODUCT_1_ID);
+    it('links the category and tags to their landing pages', async () => {
+      await renderProductPage(PRODUCT_1_ID);
+      expect(screen.getByRole('link', { name: 'Characters' })).toHaveAttribute(
+        'href',
+        '/category/characters'
+      );
+      expect(screen.getByRole('link', { name: '#soldier' })).toHaveAttribute(
+        'href',
+        '/tags/soldier'
+      );
+    });
+
+    it('shows the creator with a link to their profile', async () => {
+      await renderProductPage(PRODUCT_1_ID);
+      const card = screen.getByRole('complementary', {
+        name: 'About the Creator',
+      });
+
+      expect(
+        within(card).getByRole('link', { name: 'Nova Forge Studio' })
+      ).toHaveAttribute('href', '/creators/nova-forge');
+      expect(
+        within(card).getByRole('link', {
+          name: "View Nova Forge Studio's profile",
+        })
+      ).toHaveAttribute('href', '/creators/nova-forge');
+      expect(await within(card).findByText(/3 models/)).toBeInTheDocument();
+    });
+
+    it('links to the bundles the product is part of', async () => {
+      await renderProductPage(PRODUCT_1_ID);
+      const callout = screen.getByRole('complementary', {
+        name: 'Save with a bundle',
+      });
+
+      expect(
+        within(callout).getByRole('link', { name: 'Game-Ready Heroes' })
+      ).toHaveAttribute('href', '/collections/game-ready-heroes');
+      expect(
+        within(callout).getByText('3 models for $229.00')
+      ).toBeInTheDocument();
+    });
+
+    it('lists the technical specs', async () => {
+      await renderProductPage(PRODUCT_1_ID);
+      const specs = screen.getByRole('region', {
+        name: 'Technical Specifications',
+      });
+
+      expect(within(specs).getByText('Rigged')).toBeInTheDocument();
+      expect(within(specs).getByText('PBR materials')).toBeInTheDocument();
+      expect(within(specs).getAllByText('Yes')).toHaveLength(3);
+      expect(within(specs).getAllByText('No')).toHaveLength(1);
+      expect(within(specs).getByText('2K')).toBeInTheDocument();
+      expect(within(specs).getByText('LOD levels')).toBeInTheDocument();
+    });
+
+    it('renders specifications section', async () => {
+      await renderProductPage(PRODUCT_1_ID);
       expect(
         screen.getByRole('heading', { name: 'Technical Specifications' })
       ).toBeInTheDocument();
     });
 
-    it('renders features section', () => {
-      renderProductPage(PRODUCT_1_ID);
+    it('renders features section', async () => {
+      await renderProductPage(PRODUCT_1_ID);
       expect(
         screen.getByRole('heading', { name: /what's included/i })
       ).toBeInTheDocument();
@@ -118,35 +218,89 @@ describe('ProductPage', () => {
   });
 
   describe('Expressive Robot Product', () => {
-    it('renders product name', () => {
-      renderProductPage(PRODUCT_2_ID);
+    it('renders product name', async () => {
+      await renderProductPage(PRODUCT_2_ID);
       expect(
         screen.getByRole('heading', { name: 'Expressive Robot Character' })
       ).toBeInTheDocument();
     });
 
-    it('renders product price', () => {
-      renderProductPage(PRODUCT_2_ID);
-      expect(screen.getByText('$129')).toBeInTheDocument();
+    it('renders product price', async () => {
+      await renderProductPage(PRODUCT_2_ID);
+      expect(
+        screen.getByText('$129', { selector: '.product-page__price' })
+      ).toBeInTheDocument();
     });
   });
 
   describe('Non-existent product', () => {
-    it('renders not found message', () => {
-      renderProductPage('xyz');
+    it('renders not found message', async () => {
+      await renderProductPage('xyz');
       expect(screen.getByText('Product Not Found')).toBeInTheDocument();
     });
 
-    it('renders back to products button', () => {
-      renderProductPage('xyz');
+    it('renders back to products button', async () => {
+      await renderProductPage('xyz');
       expect(
         screen.getByRole('button', { name: /back to products/i })
       ).toBeInTheDocument();
     });
   });
 
+  describe('Catalog loading', () => {
+    afterEach(() => {
+      resetCatalogAdapter();
+    });
+
+    it('shows a loading indicator before the product arrives', async () => {
+      render(
+        <HelmetProvider>
+          <MemoryRouter initialEntries={[`/products/${PRODUCT_1_ID}`]}>
+            <ABTestProvider>
+              <I18nProvider>
+                <CurrencyProvider>
+                  <CartProvider>
+                    <WishlistProvider>
+                      <CompareProvider>
+                        <Routes>
+                          <Route
+                            path="/products/:productId"
+                            element={<ProductPage />}
+                          />
+                        </Routes>
+                      </CompareProvider>
+                    </WishlistProvider>
+                  </CartProvider>
+                </CurrencyProvider>
+              </I18nProvider>
+            </ABTestProvider>
+          </MemoryRouter>
+        </HelmetProvider>
+      );
+
+      expect(screen.getByText('Loading product')).toBeInTheDocument();
+      expect(
+        await screen.findByRole('heading', { name: 'Tactical Combat Soldier' })
+      ).toBeInTheDocument();
+    });
+
+    it('shows an error state when the catalog request fails', async () => {
+      setCatalogAdapter({
+        listProducts: jest.fn(),
+        getProduct: jest.fn().mockRejectedValue(new Error('offline')),
+        searchProducts: jest.fn(),
+      });
+      await renderProductPage(PRODUCT_1_ID);
+
+      expect(screen.getByText('Unable to Load Product')).toBeInTheDocument();
+      expect(
+        screen.getByRole('button', { name: 'Try Again' })
+      ).toBeInTheDocument();
+    });
+  });
+
   describe('Add to cart functionality', () => {
-    it('calls addToCart when button is clicked', () => {
+    it('calls addToCart when button is clicked', async () => {
       const CartDisplay = () => {
         const { cartItems } = useCart();
         return <div data-testid="cart-count">{cartItems.length}</div>;
@@ -155,25 +309,40 @@ describe('ProductPage', () => {
       render(
         <HelmetProvider>
           <MemoryRouter initialEntries={[`/products/${PRODUCT_1_ID}`]}>
-            <CartProvider>
-              <Routes>
-                <Route path="/products/:productId" element={<ProductPage />} />
-              </Routes>
-              <CartDisplay />
-            </CartProvider>
+            <ABTestProvider>
+              <I18nProvider>
+                <CurrencyProvider>
+                  <CartProvider>
+                    <WishlistProvider>
+                      <CompareProvider>
+                        <Routes>
+                          <Route
+                            path="/products/:productId"
+                            element={<ProductPage />}
+                          />
+                        </Routes>
+                        <CartDisplay />
+                      </CompareProvider>
+                    </WishlistProvider>
+                  </CartProvider>
+                </CurrencyProvider>
+              </I18nProvider>
+            </ABTestProvider>
           </MemoryRouter>
         </HelmetProvider>
       );
 
       expect(screen.getByTestId('cart-count')).toHaveTextContent('0');
 
-      const addButton = screen.getByRole('button', { name: /add .+ to cart/i });
+      const addButton = await screen.findByRole('button', {
+        name: /add tactical combat soldier to cart/i,
+      });
       fireEvent.click(addButton);
 
       expect(screen.getByTestId('cart-count')).toHaveTextContent('1');
     });
 
-    it('increments quantity when adding same product twice', () => {
+    it('increments quantity when adding same product twice', async () => {
       const CartDisplay = () => {
         const { cartItems, cartCount } = useCart();
         return (
@@ -187,17 +356,32 @@ describe('ProductPage', () => {
       render(
         <HelmetProvider>
           <MemoryRouter initialEntries={[`/products/${PRODUCT_1_ID}`]}>
-            <CartProvider>
-              <Routes>
-                <Route path="/products/:productId" element={<ProductPage />} />
-              </Routes>
-              <CartDisplay />
-            </CartProvider>
+            <ABTestProvider>
+              <I18nProvider>
+                <CurrencyProvider>
+                  <CartProvider>
+                    <WishlistProvider>
+                      <CompareProvider>
+                        <Routes>
+                          <Route
+                            path="/products/:productId"
+                            element={<ProductPage />}
+                          />
+                        </Routes>
+                        <CartDisplay />
+                      </CompareProvider>
+                    </WishlistProvider>
+                  </CartProvider>
+                </CurrencyProvider>
+              </I18nProvider>
+            </ABTestProvider>
           </MemoryRouter>
         </HelmetProvider>
       );
 
-      const addButton = screen.getByRole('button', { name: /add .+ to cart/i });
+      const addButton = await screen.findByRole('button', {
+        name: /add tactical combat soldier to cart/i,
+      });
 
       fireEvent.click(addButton);
       fireEvent.click(addButton);
@@ -206,4 +390,458 @@ describe('ProductPage', () => {
       expect(screen.getByTestId('cart-count')).toHaveTextContent('2');
     });
   });
+
+  describe('License tiers', () => {
+    it('defaults to the personal license at the listed price', async () => {
+      await renderProductPage(PRODUCT_1_ID);
+
+      expect(screen.getByRole('radio', { name: /^personal/i })).toBeChecked();
+      expect(
+        screen.getByRole('button', {
+          name: 'Add Tactical Combat Soldier to cart for $89 (Personal license)',
+        })
+      ).toBeInTheDocument();
+    });
+
+    it('updates the price when another tier is chosen', async () => {
+      await renderProductPage(PRODUCT_1_ID);
+
+      fireEvent.click(screen.getByRole('radio', { name: /^commercial/i }));
+
+      expect(
+        screen.getByText('$178', { selector: '.product-page__price' })
+      ).toBeInTheDocument();
+      expect(
+        screen.getByText('Commercial license included')
+      ).toBeInTheDocument();
+    });
+
+    it('adds each tier as its own cart line', async () => {
+      const CartDisplay = () => {
+        const { cartItems, cartTotal } = useCart();
+        return (
+          <div>
+            <div data-testid="cart-items">{cartItems.length}</div>
+            <div data-testid="cart-total">{cartTotal}</div>
+          </div>
+        );
+      };
+
+      render(
+        <HelmetProvider>
+          <MemoryRouter initialEntries={[`/products/${PRODUCT_1_ID}`]}>
+            <ABTestProvider>
+              <I18nProvider>
+                <CurrencyProvider>
+                  <CartProvider>
+                    <WishlistProvider>
+                      <CompareProvider>
+                        <Routes>
+                          <Route
+                            path="/products/:productId"
+                            element={<ProductPage />}
+                          />
+                        </Routes>
+                        <CartDisplay />
+                      </CompareProvider>
+                    </WishlistProvider>
+                  </CartProvider>
+                </CurrencyProvider>
+              </I18nProvider>
+            </ABTestProvider>
+          </MemoryRouter>
+        </HelmetProvider>
+      );
+
+      fireEvent.click(
+        await screen.findByRole('button', {
+          name: /add tactical combat soldier to cart/i,
+        })
+      );
+      fireEvent.click(screen.getByRole('radio', { name: /^extended/i }));
+      fireEvent.click(
+        screen.getByRole('button', {
+          name: /add tactical combat soldier to cart/i,
+        })
+      );
+
+      expect(screen.getByTestId('cart-items')).toHaveTextContent('2');
+      // $89 personal + $445 extended
+      expect(screen.getByTestId('cart-total')).toHaveTextContent('534');
+    });
+
+    it('resets the tier and format when moving to another product', async () => {
+      await renderProductPage(PRODUCT_1_ID);
+
+      fireEvent.click(screen.getByRole('radio', { name: /^extended/i }));
+      fireEvent.change(screen.getByRole('combobox', { name: 'File format' }), {
+        target: { value: 'BLEND' },
+      });
+      const rail = await screen.findByRole('list', {
+        name: 'You May Also Like',
+      });
+      fireEvent.click(within(rail).getAllByRole('link')[0]);
+
+      expect(
+        await screen.findByRole('heading', {
+          level: 1,
+          name: 'Expressive Robot Character',
+        })
+      ).toBeInTheDocument();
+      expect(screen.getByRole('radio', { name: /^personal/i })).toBeChecked();
+      expect(screen.getByRole('combobox', { name: 'File format' })).toHaveValue(
+        'FBX'
+      );
+    });
+  });
+
+  describe('File format', () => {
+    it('defaults to the first format', async () => {
+      await renderProductPage(PRODUCT_1_ID);
+
+      const select = screen.getByRole('combobox', { name: 'File format' });
+      expect(select).toHaveValue('FBX');
+      expect(
+        within(select)
+          .getAllByRole('option')
+          .map((option) => option.textContent)
+      ).toEqual(['FBX', 'OBJ', 'BLEND']);
+    });
+
+    it('adds the chosen format to the cart', async () => {
+      const CartDisplay = () => {
+        const { cartItems } = useCart();
+        return (
+          <div data-testid="cart-formats">
+            {cartItems.map((item) => item.format).join(',')}
+          </div>
+        );
+      };
+
+      render(
+        <HelmetProvider>
+          <MemoryRouter initialEntries={[`/products/${PRODUCT_1_ID}`]}>
+            <ABTestProvider>
+              <I18nProvider>
+                <CurrencyProvider>
+                  <CartProvider>
+                    <WishlistProvider>
+                      <CompareProvider>
+                        <Routes>
+                          <Route
+                            path="/products/:productId"
+                            element={<ProductPage />}
+                          />
+                        </Routes>
+                        <CartDisplay />
+                      </CompareProvider>
+                    </WishlistProvider>
+                  </CartProvider>
+                </CurrencyProvider>
+              </I18nProvider>
+            </ABTestProvider>
+          </MemoryRouter>
+        </HelmetProvider>
+      );
+
+      fireEvent.change(
+        await screen.findByRole('combobox', { name: 'File format' }),
+        { target: { value: 'BLEND' } }
+      );
+      fireEvent.click(
+        screen.getByRole('button', {
+          name: /add tactical combat soldier to cart/i,
+        })
+      );
+
+      expect(screen.getByTestId('cart-formats')).toHaveTextContent('BLEND');
+    });
+  });
+
+  describe('Wishlist', () => {
+    it('toggles the product in the wishlist', async () => {
+      await renderProductPage(PRODUCT_1_ID);
+
+      const heart = screen.getByRole('button', {
+        name: 'Save Tactical Combat Soldier to wishlist',
+      });
+      expect(heart).toHaveAttribute('aria-pressed', 'false');
+
+      fireEvent.click(heart);
+      expect(heart).toHaveAttribute('aria-pressed', 'true');
+      expect(JSON.parse(localStorage.getItem('marketplace_wishlist'))).toEqual([
+        expect.objectContaining({ id: PRODUCT_1_ID }),
+      ]);
+
+      fireEvent.click(heart);
+      expect(heart).toHaveAttribute('aria-pressed', 'false');
+    });
+  });
+
+  describe('Related products', () => {
+    it('shows the most similar models', async () => {
+      await renderProductPage(PRODUCT_1_ID);
+
+      const rail = await screen.findByRole('list', {
+        name: 'You May Also Like',
+      });
+      expect(
+        within(rail)
+          .getAllByRole('link')
+          .map((link) => link.getAttribute('href'))
+      ).toEqual([
+        '/products/expressive-robot',
+        '/products/animated-horse',
+        '/products/animated-fox',
+        '/products/sci-fi-helmet',
+      ]);
+    });
+  });
+
+  describe('Recently viewed', () => {
+    it('records the visit', async () => {
+      localStorage.setItem(
+        'marketplace_recently_viewed',
+        JSON.stringify([PRODUCT_2_ID])
+      );
+      await renderProductPage(PRODUCT_1_ID);
+
+      await waitFor(() =>
+        expect(
+          JSON.parse(localStorage.getItem('marketplace_recently_viewed'))
+        ).toEqual([PRODUCT_1_ID, PRODUCT_2_ID])
+      );
+    });
+
+    it('shows other recently viewed products but not the current one', async () => {
+      localStorage.setItem(
+        'marketplace_recently_viewed',
+        JSON.stringify([PRODUCT_2_ID, PRODUCT_1_ID])
+      );
+      await renderProductPage(PRODUCT_1_ID);
+
+      const rail = await screen.findByRole('list', { name: 'Recently Viewed' });
+      const links = within(rail).getAllByRole('link');
+      expect(links).toHaveLength(1);
+      expect(links[0]).toHaveAttribute('href', `/products/${PRODUCT_2_ID}`);
+    });
+
+    it('hides the rail when only the current product was viewed', async () => {
+      await renderProductPage(PRODUCT_1_ID);
+
+      expect(
+        screen.queryByRole('heading', { name: 'Recently Viewed' })
+      ).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Reviews', () => {
+    const getReviewsSection = () =>
+      screen.findByRole('region', { name: 'Customer Reviews' });
+
+    afterEach(() => {
+      resetReviewAdapter();
+      resetCatalogAdapter();
+    });
+
+    it('shows the aggregate rating and star breakdown', async () => {
+      await renderProductPage(PRODUCT_1_ID);
+      const section = await getReviewsSection();
+
+      expect(await within(section).findByText('4.4')).toBeInTheDocument();
+      expect(within(section).getByText('7 reviews')).toBeInTheDocument();
+
+      const rows = within(
+        within(section).getByRole('list', { name: 'Rating breakdown' })
+      ).getAllByRole('listitem');
+      expect(rows).toHaveLength(5);
+      expect(within(rows[0]).getByText('5 stars')).toBeInTheDocument();
+      expect(within(rows[0]).getByText('4 reviews')).toBeInTheDocument();
+      expect(within(rows[2]).getByText('1 review')).toBeInTheDocument();
+      expect(within(rows[4]).getByText('1 star')).toBeInTheDocument();
+      expect(within(rows[4]).getByText('0 reviews')).toBeInTheDocument();
+    });
+
+    it('pages through reviews', async () => {
+      await renderProductPage(PRODUCT_1_ID);
+      const section = await getReviewsSection();
+
+      expect(await within(section).findAllByRole('article')).toHaveLength(5);
+
+      fireEvent.click(within(section).getByRole('button', { name: 'Page 2' }));
+
+      expect(
+        await within(section).findByRole('heading', {
+          name: 'Fine, but check the scale',
+        })
+      ).toBeInTheDocument();
+      expect(within(section).getAllByRole('article')).toHaveLength(2);
+    });
+
+    it('sorts reviews', async () => {
+      await renderProductPage(PRODUCT_1_ID);
+      const section = await getReviewsSection();
+      await within(section).findAllByRole('article');
+
+      fireEvent.change(within(section).getByLabelText('Sort reviews'), {
+        target: { value: 'lowest' },
+      });
+
+      await waitFor(() =>
+        expect(within(section).getAllByRole('article')[0]).toHaveTextContent(
+          'Fine, but check the scale'
+        )
+      );
+      expect(
+        within(section).getAllByRole('img', { name: /^Rated/ })[0]
+      ).toHaveAccessibleName('Rated 3 out of 5');
+    });
+
+    it('shows validation errors for an empty review', async () => {
+      await renderProductPage(PRODUCT_1_ID);
+      const section = await getReviewsSection();
+
+      fireEvent.click(
+        within(section).getByRole('button', { name: 'Submit Review' })
+      );
+
+      expect(
+        await within(section).findByText('Please select a rating')
+      ).toBeInTheDocument();
+      expect(within(section).getByText('Name is required')).toBeInTheDocument();
+      expect(
+        within(section).getByRole('textbox', { name: 'Review' })
+      ).toHaveAttribute('aria-invalid', 'true');
+    });
+
+    it('posts a review and updates the rating', async () => {
+      await renderProductPage(PRODUCT_1_ID);
+      const section = await getReviewsSection();
+
+      fireEvent.click(within(section).getByRole('radio', { name: '1 star' }));
+      fireEvent.change(within(section).getByLabelText(/^Name/), {
+        target: { value: 'Casey' },
+      });
+      fireEvent.change(within(section).getByLabelText(/^Title/), {
+        target: { value: 'Not for me' },
+      });
+      fireEvent.change(
+        within(section).getByRole('textbox', { name: 'Review' }),
+        {
+          target: { value: 'The textures were blurrier than I expected.' },
+        }
+      );
+      fireEvent.click(
+        within(section).getByRole('button', { name: 'Submit Review' })
+      );
+
+      expect(
+        await within(section).findByText('Thanks! Your review has been posted.')
+      ).toBeInTheDocument();
+      expect(
+        await within(section).findByRole('heading', { name: 'Not for me' })
+      ).toBeInTheDocument();
+      expect(within(section).getByText('8 reviews')).toBeInTheDocument();
+      expect(within(section).getByLabelText(/^Name/)).toHaveValue('');
+      expect(
+        JSON.parse(localStorage.getItem('marketplace_reviews'))
+      ).toHaveLength(1);
+    });
+
+    it('keeps the review and reports it when posting fails', async () => {
+      setReviewAdapter({
+        listReviews: async () => [],
+        addReview: jest.fn().mockRejectedValue(new Error('Network error')),
+      });
+      await renderProductPage(PRODUCT_1_ID);
+      const section = await getReviewsSection();
+
+      fireEvent.click(within(section).getByRole('radio', { name: '4 stars' }));
+      fireEvent.change(within(section).getByLabelText(/^Name/), {
+        target: { value: 'Casey' },
+      });
+      fireEvent.change(within(section).getByLabelText(/^Title/), {
+        target: { value: 'Solid rig' },
+      });
+      fireEvent.change(
+        within(section).getByRole('textbox', { name: 'Review' }),
+        { target: { value: 'Imported cleanly into every engine I tried.' } }
+      );
+      fireEvent.click(
+        within(section).getByRole('button', { name: 'Submit Review' })
+      );
+
+      expect(await within(section).findByRole('alert')).toHaveTextContent(
+        'Your review could not be posted. Please try again.'
+      );
+      expect(
+        within(section).getByRole('button', { name: 'Submit Review' })
+      ).toBeEnabled();
+      expect(within(section).getByLabelText(/^Name/)).toHaveValue('Casey');
+    });
+
+    it("doesn't show the previous product's reviews while loading", async () => {
+      // Only the review list of the second product stays pending
+      setCatalogAdapter(
+        createLocalCatalogAdapter(undefined, {
+          getRatings: async () => ({ ratings: {} }),
+        })
+      );
+      setReviewAdapter({
+        listReviews: (productId) =>
+          productId === PRODUCT_1_ID
+            ? createLocalReviewAdapter().listReviews(productId)
+            : new Promise(() => {}),
+        addReview: jest.fn(),
+      });
+      await renderProductPage(PRODUCT_1_ID);
+      const section = await getReviewsSection();
+      expect(await within(section).findByText('7 reviews')).toBeInTheDocument();
+
+      const rail = await screen.findByRole('list', {
+        name: 'You May Also Like',
+      });
+      fireEvent.click(within(rail).getAllByRole('link')[0]);
+
+      expect(
+        await screen.findByRole('heading', {
+          level: 1,
+          name: 'Expressive Robot Character',
+        })
+      ).toBeInTheDocument();
+      expect(screen.queryByText('7 reviews')).not.toBeInTheDocument();
+      expect(screen.getByText('Loading reviews...')).toBeInTheDocument();
+    });
+
+    it('invites the first review when there are none', async () => {
+      setReviewAdapter({
+        listReviews: async () => [],
+        addReview: async (review) => review,
+      });
+      await renderProductPage(PRODUCT_1_ID);
+
+      expect(
+        await screen.findByText('Be the first to review this model.')
+      ).toBeInTheDocument();
+      expect(screen.getByText('No reviews yet')).toBeInTheDocument();
+    });
+
+    it('offers a retry when reviews fail to load', async () => {
+      let isOffline = true;
+      const listReviews = jest.fn(async () => {
+        if (isOffline) throw new Error('Network error');
+        return [];
+      });
+      setReviewAdapter({ listReviews, addReview: jest.fn() });
+      await renderProductPage(PRODUCT_1_ID);
+
+      const retry = await screen.findByRole('button', { name: 'Try Again' });
+      isOffline = false;
+      fireEvent.click(retry);
+
+      expect(
+        await screen.findByText('Be the first to review this model.')
+      ).toBeInTheDocument();
+    });
+  });
 });
@@ -0,0 +1,223 @@
+import { useState } from 'react';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import { I18nProvider } from '../context/I18nContext';
+import SearchAutocomplete from '../components/SearchAutocomplete';
+import { products } from '../data/products';
+
+function ControlledSearch({ initialValue = '', onSelect = jest.fn() }) {
+  const [value, setValue] = useState(initialValue);
+  return (
+    <SearchAutocomplete
+      value={value}
+      onChange={setValue}
+      onSelect={onSelect}
+      products={products}
+      ariaLabel="Search products"
+    />
+  );
+}
+
+const renderSearch = (props) =>
+  render(<ControlledSearch {...props} />, { wrapper: I18nProvider });
+
+const getInput = () =>
+  screen.getByRole('combobox', { name: 'Search products' });
+
+const type = (value) => fireEvent.change(getInput(), { target: { value } });
+
+describe('SearchAutocomplete', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe('ARIA combobox pattern', () => {
+    it('renders a collapsed combobox linked to its listbox', () => {
+      renderSearch();
+      const input = getInput();
+
+      expect(input).toHaveAttribute('aria-expanded', 'false');
+      expect(input).toHaveAttribute('aria-autocomplete', 'list');
+      expect(input).toHaveAttribute(
+        'aria-controls',
+        screen.getByRole('listbox', { hidden: true }).id
+      );
+    });
+
+    it('expands with grouped suggestions while typing', () => {
+      renderSearch();
+
+      type('helm');
+
+      expect(getInput()).toHaveAttribute('aria-expanded', 'true');
+      const products = screen.getByRole('group', { name: 'Products' });
+      expect(
+        within(products).getByRole('option', { name: 'Damaged Sci-Fi Helmet' })
+      ).toBeInTheDocument();
+    });
+
+    it('suggests categories and tags', () => {
+      renderSearch();
+
+      type('vehic');
+
+      expect(
+        within(screen.getByRole('group', { name: 'Categories' })).getByRole(
+          'option',
+          { name: 'Vehicles' }
+        )
+      ).toBeInTheDocument();
+      expect(
+        within(screen.getByRole('group', { name: 'Tags' })).getByRole(
+          'option',
+          { name: 'vehicle' }
+        )
+      ).toBeInTheDocument();
+    });
+  });
+
+  describe('Keyboard navigation', () => {
+    it('moves the active option with the arrow keys', () => {
+      renderSearch();
+      type('prop');
+      const input = getInput();
+
+      fireEvent.keyDown(input, { key: 'ArrowDown' });
+      const options = screen.getAllByRole('option');
+      expect(input).toHaveAttribute('aria-activedescendant', options[0].id);
+      expect(options[0]).toHaveAttribute('aria-selected', 'true');
+
+      fireEvent.keyDown(input, { key: 'ArrowDown' });
+      expect(input).toHaveAttribute('aria-activedescendant', options[1].id);
+
+      fireEvent.keyDown(input, { key: 'ArrowUp' });
+      fireEvent.keyDown(input, { key: 'ArrowUp' });
+      expect(input).toHaveAttribute(
+        'aria-activedescendant',
+        options[options.length - 1].id
+      );
+    });
+
+    it('selects the active option with Enter', () => {
+      const onSelect = jest.fn();
+      renderSearch({ onSelect });
+      type('fox');
+
+      fireEvent.keyDown(getInput(), { key: 'ArrowDown' });
+      fireEvent.keyDown(getInput(), { key: 'Enter' });
+
+      expect(onSelect).toHaveBeenCalledWith({
+        type: 'product',
+        value: 'animated-fox',
+        label: 'Playful Fox Character',
+      });
+      expect(getInput()).toHaveAttribute('aria-expanded', 'false');
+    });
+
+    it('closes on Escape, then clears on a second Escape', () => {
+      renderSearch();
+      type('fox');
+
+      fireEvent.keyDown(getInput(), { key: 'Escape' });
+      expect(getInput()).toHaveAttribute('aria-expanded', 'false');
+      expect(getInput()).toHaveValue('fox');
+
+      fireEvent.keyDown(getInput(), { key: 'Escape' });
+      expect(getInput()).toHaveValue('');
+    });
+  });
+
+  describe('Mouse selection', () => {
+    it('selects an option on click', () => {
+      const onSelect = jest.fn();
+      renderSearch({ onSelect });
+      type('vehic');
+
+      fireEvent.click(screen.getByRole('option', { name: 'Vehicles' }));
+
+      expect(onSelect).toHaveBeenCalledWith({
+        type: 'category',
+        value: 'Vehicles',
+        label: 'Vehicles',
+      });
+    });
+  });
+
+  describe('Recent searches', () => {
+    it('records submitted searches and shows them when the input is empty', () => {
+      renderSearch();
+      type('lantern');
+      fireEvent.keyDown(getInput(), { key: 'Enter' });
+      type('');
+
+      fireEvent.keyDown(getInput(), { key: 'ArrowDown' });
+
+      expect(
+        within(
+          screen.getByRole('group', { name: 'Recent searches' })
+        ).getByRole('option', { name: 'lantern' })
+      ).toBeInTheDocument();
+      expect(
+        JSON.parse(localStorage.getItem('marketplace_recent_searches'))
+      ).toEqual(['lantern']);
+    });
+
+    it('loads recent searches from localStorage', () => {
+      localStorage.setItem(
+        'marketplace_recent_searches',
+        JSON.stringify(['robot', 'fox'])
+      );
+      renderSearch();
+
+      fireEvent.focus(getInput());
+
+      expect(
+        screen.getAllByRole('option').map((option) => option.textContent)
+      ).toEqual(['robot', 'fox']);
+    });
+
+    it('moves a repeated search to the top without duplicating it', () => {
+      localStorage.setItem(
+        'marketplace_recent_searches',
+        JSON.stringify(['robot', 'fox'])
+      );
+      renderSearch();
+
+      type('Fox');
+      fireEvent.keyDown(getInput(), { key: 'Enter' });
+
+      expect(
+        JSON.parse(localStorage.getItem('marketplace_recent_searches'))
+      ).toEqual(['Fox', 'robot']);
+    });
+
+    it('clears recent searches', () => {
+      localStorage.setItem(
+        'marketplace_recent_searches',
+        JSON.stringify(['robot'])
+      );
+      renderSearch();
+      fireEvent.focus(getInput());
+
+      fireEvent.click(
+        screen.getByRole('button', { name: 'Clear recent searches' })
+      );
+
+      expect(screen.queryByRole('option')).not.toBeInTheDocument();
+      expect(localStorage.getItem('marketplace_recent_searches')).toBe('[]');
+    });
+
+    it('labels the clear button in the selected language', () => {
+      localStorage.setItem('marketplace_locale', 'es');
+      localStorage.setItem(
+        'marketplace_recent_searches',
+        JSON.stringify(['robot'])
+      );
+      renderSearch();
+      fireEvent.focus(getInput());
+
+      expect(
+        screen.getByRole('button', { name: 'Borrar búsquedas recientes' })
+      ).toBeInTheDocument();
+    });
+  });
+});
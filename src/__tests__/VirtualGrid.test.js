@@ -0,0 +1,173 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import VirtualGrid from '../components/VirtualGrid';
+
+const items = Array.from({ length: 100 }, (_, i) => ({
+  id: i,
+  name: `Item ${i}`,
+}));
+
+const renderItem = (item, { index, animate }) => (
+  <div role="listitem" data-animate={animate}>
+    {item.name} (#{index})
+  </div>
+);
+
+const renderGrid = (props = {}) =>
+  render(
+    <VirtualGrid
+      items={items}
+      renderItem={renderItem}
+      getItemKey={(item) => item.id}
+      ariaLabel="Items"
+      {...props}
+    />
+  );
+
+const getMountedNames = () =>
+  screen.getAllByRole('listitem').map((item) => item.textContent);
+
+// jsdom has no layout engine, so the grid's geometry is mocked: 3 columns,
+// 180px items with a 20px gap (200px rows) and a 768px viewport.
+const mockLayout = ({ columns = 3, top = 0 } = {}) => {
+  const layout = { columns, top };
+
+  jest
+    .spyOn(HTMLElement.prototype, 'clientWidth', 'get')
+    .mockImplementation(() => 1000);
+  jest
+    .spyOn(HTMLElement.prototype, 'offsetHeight', 'get')
+    .mockImplementation(() => 180);
+  jest
+    .spyOn(HTMLElement.prototype, 'getBoundingClientRect')
+    .mockImplementation(() => ({ top: layout.top }));
+  jest.spyOn(window, 'getComputedStyle').mockImplementation(() => ({
+    gridTemplateColumns: Array(layout.columns).fill('300px').join(' '),
+    rowGap: '20px',
+  }));
+  jest.spyOn(window, 'requestAnimationFrame').mockImplementation((cb) => {
+    cb();
+    return 0;
+  });
+
+  return layout;
+};
+
+describe('VirtualGrid', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('renders every item when there is no layout', () => {
+    renderGrid();
+
+    expect(screen.getAllByRole('listitem')).toHaveLength(items.length);
+  });
+
+  it('keeps list semantics on the grid', () => {
+    renderGrid();
+
+    expect(screen.getByRole('list', { name: 'Items' })).toBeInTheDocument();
+  });
+
+  it('only mounts the rows near the viewport', () => {
+    mockLayout();
+    renderGrid();
+
+    // ceil(768 / 200) = 4 visible rows + 2 overscan rows, 3 per row
+    expect(screen.getAllByRole('listitem')).toHaveLength(18);
+    // getComputedStyle is mocked, so read the inline padding directly
+    const { style } = screen.getByRole('list');
+    expect(style.paddingTop).toBe('0px');
+    expect(style.paddingBottom).toBe(`${(34 - 6) * 200}px`);
+  });
+
+  it('moves the window on scroll', () => {
+    const layout = mockLayout();
+    renderGrid();
+
+    layout.top = -2000;
+    fireEvent.scroll(window);
+
+    // Row 10 is at the top of the viewport; rows 8-15 are mounted
+    const mountedNames = getMountedNames();
+    expect(mountedNames[0]).toBe('Item 24 (#24)');
+    expect(mountedNames[mountedNames.length - 1]).toBe('Item 47 (#47)');
+    expect(screen.getByRole('list').style.paddingTop).toBe('1600px');
+  });
+
+  it('recomputes columns on resize', () => {
+    const layout = mockLayout();
+    renderGrid();
+
+    layout.columns = 1;
+    fireEvent(window, new Event('resize'));
+
+    expect(screen.getAllByRole('listitem')).toHaveLength(6);
+  });
+
+  it('lets the first window animate', () => {
+    mockLayout();
+    renderGrid();
+
+    expect(screen.getAllByRole('listitem')[0]).toHaveAttribute(
+      'data-animate',
+      'true'
+    );
+  });
+
+  it('stops animating rows once the window has moved', () => {
+    const layout = mockLayout();
+    renderGrid();
+
+    layout.top = -2000;
+    fireEvent.scroll(window);
+    layout.top = 0;
+    fireEvent.scroll(window);
+
+    const [first] = screen.getAllByRole('listitem');
+    expect(first).toHaveTextContent('Item 0 (#0)');
+    expect(first).toHaveAttribute('data-animate', 'false');
+  });
+
+  it('animates again for a new list', () => {
+    const layout = mockLayout();
+    const { rerender } = renderGrid();
+
+    layout.top = -2000;
+    fireEvent.scroll(window);
+    rerender(
+      <VirtualGrid
+        items={[...items].reverse()}
+        renderItem={renderItem}
+        getItemKey={(item) => item.id}
+        ariaLabel="Items"
+      />
+    );
+
+    expect(screen.getAllByRole('listitem')[0]).toHaveAttribute(
+      'data-animate',
+      'true'
+    );
+  });
+
+  it('keeps rows static when items are appended', () => {
+    const layout = mockLayout();
+    const { rerender } = renderGrid();
+
+    layout.top = -2000;
+    fireEvent.scroll(window);
+    rerender(
+      <VirtualGrid
+        items={[...items, { id: 100, name: 'Item 100' }]}
+        renderItem={renderItem}
+        getItemKey={(item) => item.id}
+        ariaLabel="Items"
+      />
+    );
+
+    expect(screen.getAllByRole('listitem')[0]).toHaveAttribute(
+      'data-animate',
+      'false'
+    );
+  });
+});
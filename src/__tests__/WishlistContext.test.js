@@ -0,0 +1,144 @@
+import { renderHook, act } from '@testing-library/react';
+import { WishlistProvider, useWishlist } from '../context/WishlistContext';
+
+const mockProduct = {
+  id: 'test-1',
+  name: 'Test Product',
+  price: 10,
+  currency: 'USD',
+};
+
+const mockProduct2 = {
+  id: 'test-2',
+  name: 'Test Product 2',
+  price: 20,
+  currency: 'USD',
+};
+
+const wrapper = ({ children }) => (
+  <WishlistProvider>{children}</WishlistProvider>
+);
+
+describe('WishlistContext', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe('useWishlist hook', () => {
+    it('throws error when used outside WishlistProvider', () => {
+      const consoleSpy = jest
+        .spyOn(console, 'error')
+        .mockImplementation(() => {});
+
+      expect(() => {
+        renderHook(() => useWishlist());
+      }).toThrow('useWishlist must be used within a WishlistProvider');
+
+      consoleSpy.mockRestore();
+    });
+
+    it('provides initial empty wishlist state', () => {
+      const { result } = renderHook(() => useWishlist(), { wrapper });
+
+      expect(result.current.wishlistItems).toEqual([]);
+      expect(result.current.wishlistCount).toBe(0);
+    });
+  });
+
+  describe('addToWishlist', () => {
+    it('adds a product once', () => {
+      const { result } = renderHook(() => useWishlist(), { wrapper });
+
+      act(() => {
+        result.current.addToWishlist(mockProduct);
+        result.current.addToWishlist(mockProduct);
+      });
+
+      expect(result.current.wishlistItems).toEqual([mockProduct]);
+      expect(result.current.wishlistCount).toBe(1);
+      expect(result.current.isInWishlist('test-1')).toBe(true);
+    });
+  });
+
+  describe('removeFromWishlist', () => {
+    it('removes the product with the given id', () => {
+      const { result } = renderHook(() => useWishlist(), { wrapper });
+
+      act(() => {
+        result.current.addToWishlist(mockProduct);
+        result.current.addToWishlist(mockProduct2);
+      });
+      act(() => {
+        result.current.removeFromWishlist('test-1');
+      });
+
+      expect(result.current.wishlistItems).toEqual([mockProduct2]);
+      expect(result.current.isInWishlist('test-1')).toBe(false);
+    });
+  });
+
+  describe('toggleWishlist', () => {
+    it('adds a product that is not saved and removes one that is', () => {
+      const { result } = renderHook(() => useWishlist(), { wrapper });
+
+      act(() => {
+        result.current.toggleWishlist(mockProduct);
+      });
+      expect(result.current.isInWishlist('test-1')).toBe(true);
+
+      act(() => {
+        result.current.toggleWishlist(mockProduct);
+      });
+      expect(result.current.isInWishlist('test-1')).toBe(false);
+    });
+  });
+
+  describe('clearWishlist', () => {
+    it('removes every product', () => {
+      const { result } = renderHook(() => useWishlist(), { wrapper });
+
+      act(() => {
+        result.current.addToWishlist(mockProduct);
+        result.current.addToWishlist(mockProduct2);
+      });
+      act(() => {
+        result.current.clearWishlist();
+      });
+
+      expect(result.current.wishlistCount).toBe(0);
+    });
+  });
+
+  describe('persistence', () => {
+    it('saves the wishlist to localStorage', () => {
+      const { result } = renderHook(() => useWishlist(), { wrapper });
+
+      act(() => {
+        result.current.addToWishlist(mockProduct);
+      });
+
+      expect(JSON.parse(localStorage.getItem('marketplace_wishlist'))).toEqual([
+        mockProduct,
+      ]);
+    });
+
+    it('restores the wishlist from localStorage', () => {
+      localStorage.setItem(
+        'marketplace_wishlist',
+        JSON.stringify([mockProduct2])
+      );
+
+      const { result } = renderHook(() => useWishlist(), { wrapper });
+
+      expect(result.current.wishlistItems).toEqual([mockProduct2]);
+    });
+
+    it('starts empty when stored data is invalid', () => {
+      localStorage.setItem('marketplace_wishlist', 'not json');
+
+      const { result } = renderHook(() => useWishlist(), { wrapper });
+
+      expect(result.current.wishlistItems).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import { HelmetProvider } from 'react-helmet-async';
+import { CartProvider, useCart } from '../context/CartContext';
+import { CurrencyProvider } from '../context/CurrencyContext';
+import { I18nProvider } from '../context/I18nContext';
+import { WishlistProvider } from '../context/WishlistContext';
+import WishlistPage from '../pages/WishlistPage';
+
+// Mock useNavigate
+const mockNavigate = jest.fn();
+jest.mock('react-router-dom', () => ({
+  ...jest.requireActual('react-router-dom'),
+  useNavigate: () => mockNavigate,
+}));
+
+const mockProduct = {
+  id: 'a',
+  name: 'Product A',
+  price: 10,
+  currency: 'USD',
+  category: 'Digital Asset',
+  previewColor: 'linear-gradient(135deg, #4A90E2, #357ABD)',
+};
+
+const mockProduct2 = {
+  id: 'b',
+  name: 'Product B',
+  price: 30,
+  currency: 'USD',
+  category: 'Premium Asset',
+  previewColor: 'linear-gradient(135deg, #E94B8A, #C73E75)',
+};
+
+const CartCount = () => {
+  const { cartCount } = useCart();
+  return <div data-testid="cart-count">{cartCount}</div>;
+};
+
+const renderWishlistPage = (items = []) => {
+  localStorage.setItem('marketplace_wishlist', JSON.stringify(items));
+
+  return render(
+    <HelmetProvider>
+      <MemoryRouter>
+        <I18nProvider>
+          <CurrencyProvider>
+            <CartProvider>
+              <WishlistProvider>
+                <WishlistPage />
+                <CartCount />
+              </WishlistProvider>
+            </CartProvider>
+          </CurrencyProvider>
+        </I18nProvider>
+      </MemoryRouter>
+    </HelmetProvider>
+  );
+};
+
+describe('WishlistPage', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe('Empty wishlist', () => {
+    it('renders empty wishlist message', () => {
+      renderWishlistPage();
+      expect(
+        screen.getByRole('heading', { name: 'Your Wishlist is Empty' })
+      ).toBeInTheDocument();
+    });
+
+    it('navigates home from the browse button', () => {
+      renderWishlistPage();
+      fireEvent.click(screen.getByRole('button', { name: /browse products/i }));
+      expect(mockNavigate).toHaveBeenCalledWith('/');
+    });
+  });
+
+  describe('Wishlist with items', () => {
+    it('lists the saved products with links to their pages', () => {
+      renderWishlistPage([mockProduct, mockProduct2]);
+
+      expect(
+        screen.getByRole('list', { name: 'Saved models' })
+      ).toBeInTheDocument();
+      expect(screen.getByRole('link', { name: 'Product A' })).toHaveAttribute(
+        'href',
+        '/products/a'
+      );
+      expect(screen.getByText('2 saved models')).toBeInTheDocument();
+    });
+
+    it('moves a product to the cart', () => {
+      renderWishlistPage([mockProduct, mockProduct2]);
+
+      fireEvent.click(
+        screen.getByRole('button', { name: 'Move Product A to cart' })
+      );
+
+      expect(screen.getByTestId('cart-count')).toHaveTextContent('1');
+      expect(
+        screen.queryByRole('link', { name: 'Product A' })
+      ).not.toBeInTheDocument();
+      expect(screen.getByRole('heading', { name: 'Wishlist' })).toHaveFocus();
+    });
+
+    it('removes a product without adding it to the cart', () => {
+      renderWishlistPage([mockProduct, mockProduct2]);
+
+      fireEvent.click(
+        screen.getByRole('button', { name: 'Remove Product B from wishlist' })
+      );
+
+      expect(screen.getByTestId('cart-count')).toHaveTextContent('0');
+      expect(screen.getByText('1 saved model')).toBeInTheDocument();
+    });
+
+    it('moves every product to the cart', () => {
+      renderWishlistPage([mockProduct, mockProduct2]);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Move All to Cart' }));
+
+      expect(screen.getByTestId('cart-count')).toHaveTextContent('2');
+      expect(screen.getByText('Your Wishlist is Empty')).toBeInTheDocument();
+    });
+
+    it('clears the wishlist', () => {
+      renderWishlistPage([mockProduct]);
+
+      fireEvent.click(
+        screen.getByRole('button', { name: /clear all items from wishlist/i })
+      );
+
+      expect(screen.getByText('Your Wishlist is Empty')).toBeInTheDocument();
+    });
+  });
+});
@@ -0,0 +1,51 @@
+import { createCameraSync } from '../components/ModelViewer/cameraSync';
+
+const cameraState = {
+  position: [0, 1, 5],
+  target: [0, 0, 0],
+};
+
+describe('createCameraSync', () => {
+  it('delivers published camera states to the other subscribers', () => {
+    const sync = createCameraSync();
+    const first = jest.fn();
+    const second = jest.fn();
+    sync.subscribe('first', first);
+    sync.subscribe('second', second);
+
+    sync.publish('first', cameraState);
+
+    expect(first).not.toHaveBeenCalled();
+    expect(second).toHaveBeenCalledWith(cameraState);
+  });
+
+  it('remembers the last state for viewers that mount later', () => {
+    const sync = createCameraSync();
+
+    expect(sync.getState()).toBeNull();
+    sync.publish('first', cameraState);
+    expect(sync.getState()).toBe(cameraState);
+  });
+
+  it('stops delivering after unsubscribing', () => {
+    const sync = createCameraSync();
+    const listener = jest.fn();
+    const unsubscribe = sync.subscribe('second', listener);
+
+    unsubscribe();
+    sync.publish('first', cameraState);
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  it('keeps separate syncs independent', () => {
+    const a = createCameraSync();
+    const b = createCameraSync();
+    const listener = jest.fn();
+    b.subscribe('viewer', listener);
+
+    a.publish('other', cameraState);
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+});
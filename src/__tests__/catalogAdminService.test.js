@@ -0,0 +1,181 @@
+import {
+  createLocalCatalogStorage,
+  setCatalogStorage,
+  resetCatalogStorage,
+  loadCatalogEntries,
+  listCatalogEntries,
+  saveProduct,
+  setProductArchived,
+  deleteProduct,
+  resetCatalog,
+} from '../services/catalogAdminService';
+import {
+  getProduct,
+  listProducts,
+  resetCatalogAdapter,
+} from '../services/catalogService';
+import { products } from '../data/products';
+
+const [first, second] = products;
+
+describe('Catalog Admin Service', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    resetCatalogStorage();
+    resetCatalogAdapter();
+  });
+
+  describe('createLocalCatalogStorage', () => {
+    it('serves the seed until something is stored', async () => {
+      const storage = createLocalCatalogStorage([first]);
+
+      expect(await storage.load()).toEqual([first]);
+      expect(localStorage.getItem('marketplace_catalog')).toBeNull();
+    });
+
+    it('persists saved entries and returns the same array until they change', async () => {
+      const storage = createLocalCatalogStorage([first]);
+      await storage.save([first, second]);
+
+      const loaded = await storage.load();
+      expect(loaded.map((p) => p.id)).toEqual([first.id, second.id]);
+      expect(await storage.load()).toBe(loaded);
+      expect(
+        JSON.parse(localStorage.getItem('marketplace_catalog'))
+      ).toHaveLength(2);
+    });
+
+    it('falls back to the seed when the stored data is corrupt', async () => {
+      localStorage.setItem('marketplace_catalog', '{not json');
+      const storage = createLocalCatalogStorage([first]);
+
+      expect(await storage.load()).toEqual([first]);
+    });
+
+    it('clears the stored catalog', async () => {
+      const storage = createLocalCatalogStorage([first]);
+      await storage.save([]);
+
+      expect(await storage.clear()).toEqual([first]);
+      expect(localStorage.getItem('marketplace_catalog')).toBeNull();
+    });
+  });
+
+  describe('saveProduct', () => {
+    it('adds a new product that the storefront then serves', async () => {
+      const product = { ...first, id: 'new-model', name: 'New Model' };
+      const result = await saveProduct(product);
+
+      expect(result).toEqual({ success: true, product });
+      const { products: entries } = await listCatalogEntries();
+      expect(entries).toHaveLength(products.length + 1);
+
+      const fromStore = await getProduct('new-model');
+      expect(fromStore.product.name).toBe('New Model');
+    });
+
+    it('updates an existing product in place', async () => {
+      await saveProduct({ ...second, price: 1 }, second.id);
+
+      const entries = await loadCatalogEntries();
+      expect(entries[1]).toEqual({ ...second, price: 1 });
+      expect((await getProduct(second.id)).product.price).toBe(1);
+    });
+
+    it('can rename a product id', async () => {
+      await saveProduct({ ...first, id: 'renamed' }, first.id);
+
+      const entries = await loadCatalogEntries();
+      expect(entries[0].id).toBe('renamed');
+      expect(entries).toHaveLength(products.length);
+    });
+
+    it('rejects records that fail the product schema', async () => {
+      const result = await saveProduct({ ...first, id: 'bad', price: -1 });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('invalid_product');
+      expect(result.errors).toEqual([
+        expect.objectContaining({ path: 'price' }),
+      ]);
+      expect(localStorage.getItem('marketplace_catalog')).toBeNull();
+    });
+
+    it('rejects an id that another product already uses', async () => {
+      const result = await saveProduct({ ...first, id: second.id }, first.id);
+
+      expect(result.success).toBe(false);
+      expect(result.errors).toEqual([
+        {
+          path: 'id',
+          message: 'productSchema.errors.duplicateId',
+          params: { id: second.id },
+        },
+      ]);
+    });
+
+    it('reports storage failures', async () => {
+      setCatalogStorage({
+        load: async () => products,
+        save: async () => {
+          throw new Error('quota exceeded');
+        },
+        clear: async () => products,
+      });
+
+      const result = await saveProduct({ ...first, price: 2 }, first.id);
+
+      expect(result).toEqual({
+        success: false,
+        error: 'storage_failed',
+        message: 'The catalog could not be saved',
+      });
+    });
+  });
+
+  describe('setProductArchived', () => {
+    it('hides an archived product from the storefront and restores it', async () => {
+      expect(await setProductArchived(first.id, true)).toEqual({
+        success: true,
+      });
+
+      expect((await getProduct(first.id)).error).toBe('not_found');
+      expect((await listProducts()).total).toBe(products.length - 1);
+      expect((await listCatalogEntries()).products[0].archived).toBe(true);
+
+      await setProductArchived(first.id, false);
+      expect((await getProduct(first.id)).success).toBe(true);
+    });
+
+    it('returns not_found for an unknown id', async () => {
+      const result = await setProductArchived('does-not-exist', true);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('not_found');
+    });
+  });
+
+  describe('deleteProduct', () => {
+    it('removes the product from the catalog', async () => {
+      await deleteProduct(first.id);
+
+      const entries = await loadCatalogEntries();
+      expect(entries.some((p) => p.id === first.id)).toBe(false);
+      expect((await getProduct(first.id)).error).toBe('not_found');
+    });
+
+    it('returns not_found for an unknown id', async () => {
+      expect((await deleteProduct('does-not-exist')).error).toBe('not_found');
+    });
+  });
+
+  describe('resetCatalog', () => {
+    it('restores the bundled catalog', async () => {
+      await deleteProduct(first.id);
+      await resetCatalog();
+
+      expect(await loadCatalogEntries()).toBe(products);
+      expect((await getProduct(first.id)).success).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,260 @@
+import {
+  listProducts,
+  getProduct,
+  searchProducts,
+  listQuarantined,
+  setCatalogAdapter,
+  resetCatalogAdapter,
+  createLocalCatalogAdapter,
+} from '../services/catalogService';
+import { products } from '../data/products';
+import {
+  submitReview,
+  setReviewAdapter,
+  resetReviewAdapter,
+} from '../services/reviewService';
+
+describe('Catalog Service', () => {
+  afterEach(() => {
+    resetCatalogAdapter();
+  });
+
+  describe('listProducts', () => {
+    it('returns every product in the catalog', async () => {
+      const result = await listProducts();
+
+      expect(result.success).toBe(true);
+      expect(result.products).toHaveLength(products.length);
+      expect(result.total).toBe(products.length);
+    });
+
+    it('returns a copy so callers cannot mutate the catalog', async () => {
+      const result = await listProducts();
+      result.products.pop();
+
+      const again = await listProducts();
+      expect(again.products).toHaveLength(products.length);
+    });
+  });
+
+  describe('getProduct', () => {
+    it('returns the product for a known id', async () => {
+      const result = await getProduct('tactical-soldier');
+
+      expect(result.success).toBe(true);
+      expect(result.product.name).toBe('Tactical Combat Soldier');
+    });
+
+    it('returns not_found for an unknown id', async () => {
+      const result = await getProduct('does-not-exist');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('not_found');
+      expect(result.message).toBe('Product not found');
+    });
+  });
+
+  describe('searchProducts', () => {
+    it('returns all products when no filters are set', async () => {
+      const result = await searchProducts();
+
+      expect(result.success).toBe(true);
+      expect(result.total).toBe(products.length);
+      expect(result.catalogSize).toBe(products.length);
+    });
+
+    it('applies filters and reports the unfiltered catalog size', async () => {
+      const result = await searchProducts({ categories: ['Props'] });
+
+      expect(result.products.length).toBeGreaterThan(0);
+      expect(result.products.every((p) => p.category === 'Props')).toBe(true);
+      expect(result.total).toBe(result.products.length);
+      expect(result.catalogSize).toBe(products.length);
+    });
+
+    it('returns a single page when a page size is given', async () => {
+      const result = await searchProducts({ page: 2, pageSize: 5 });
+
+      expect(result.products.map((p) => p.id)).toEqual(
+        products.slice(5, 10).map((p) => p.id)
+      );
+      expect(result.total).toBe(products.length);
+      expect(result.page).toBe(2);
+      expect(result.pageCount).toBe(3);
+    });
+
+    it('includes facet counts for the active filters', async () => {
+      const result = await searchProducts({ categories: ['Props'] });
+
+      expect(result.facets.categories.Props).toBe(3);
+      expect(result.facets.fileFormats.FBX).toBeGreaterThan(0);
+    });
+
+    it('reports null facets when the adapter provides none', async () => {
+      setCatalogAdapter({
+        ...createLocalCatalogAdapter(),
+        searchProducts: async () => ({ products: [], catalogSize: 0 }),
+      });
+
+      expect((await searchProducts()).facets).toBeNull();
+    });
+
+    it('matches the search term against names and tags', async () => {
+      const result = await searchProducts({ searchTerm: 'lantern' });
+
+      expect(result.products.map((p) => p.id)).toEqual(['vintage-lantern']);
+    });
+  });
+
+  describe('adapters', () => {
+    it('serves data from a custom local adapter', async () => {
+      const source = [{ ...products[0], id: 'only-item' }];
+      setCatalogAdapter(createLocalCatalogAdapter(source));
+
+      const list = await listProducts();
+      expect(list.products.map((p) => p.id)).toEqual(['only-item']);
+
+      const item = await getProduct('only-item');
+      expect(item.success).toBe(true);
+    });
+
+    it('propagates adapter failures to the caller', async () => {
+      setCatalogAdapter({
+        listProducts: jest.fn().mockRejectedValue(new Error('offline')),
+        getProduct: jest.fn(),
+        searchProducts: jest.fn(),
+      });
+
+      await expect(listProducts()).rejects.toThrow('offline');
+    });
+
+    it('restores the bundled catalog after reset', async () => {
+      setCatalogAdapter(createLocalCatalogAdapter([]));
+      resetCatalogAdapter();
+
+      const result = await listProducts();
+      expect(result.total).toBe(products.length);
+    });
+  });
+
+  describe('ratings', () => {
+    afterEach(() => {
+      localStorage.clear();
+      resetReviewAdapter();
+    });
+
+    it('rates products from their reviews', async () => {
+      const { product } = await getProduct('tactical-soldier');
+
+      expect(product.rating).toBe(4.4);
+      expect(product.reviewCount).toBe(7);
+    });
+
+    it('picks up new reviews', async () => {
+      await submitReview('tactical-soldier', {
+        rating: 1,
+        author: 'Casey',
+        title: 'Not for me',
+        body: 'The rig broke as soon as I imported it.',
+      });
+
+      const { product } = await getProduct('tactical-soldier');
+      expect(product.rating).toBe(4);
+      expect(product.reviewCount).toBe(8);
+    });
+
+    it('sorts by the review rating', async () => {
+      setReviewAdapter({
+        listReviews: async (productId) =>
+          productId === 'realistic-avocado'
+            ? [{ productId, rating: 5, createdAt: '2024-01-01' }]
+            : [],
+        addReview: jest.fn(),
+      });
+
+      const result = await searchProducts({ sort: 'rating' });
+      expect(result.products[0]).toMatchObject({
+        id: 'realistic-avocado',
+        rating: 5,
+        reviewCount: 1,
+      });
+    });
+
+    it('serves products without ratings when reviews fail to load', async () => {
+      setReviewAdapter({
+        listReviews: jest.fn().mockRejectedValue(new Error('offline')),
+        addReview: jest.fn(),
+      });
+
+      const result = await listProducts();
+      expect(result.products).toHaveLength(products.length);
+      expect(result.products[0]).toMatchObject({ rating: 0, reviewCount: 0 });
+    });
+  });
+
+  describe('schema validation', () => {
+    let warn;
+
+    beforeEach(() => {
+      warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      warn.mockRestore();
+    });
+
+    it('quarantines invalid entries instead of serving them', async () => {
+      const { polyCount, ...missingPolyCount } = products[1];
+      setCatalogAdapter(
+        createLocalCatalogAdapter([
+          products[0],
+          { ...missingPolyCount, id: 'no-poly-count' },
+        ])
+      );
+
+      const list = await listProducts();
+      expect(list.products.map((p) => p.id)).toEqual([products[0].id]);
+      expect((await getProduct('no-poly-count')).success).toBe(false);
+      expect((await searchProducts()).catalogSize).toBe(1);
+
+      const { invalid } = await listQuarantined();
+      expect(invalid).toEqual([
+        {
+          index: 1,
+          id: 'no-poly-count',
+          errors: [
+            { path: 'polyCount', message: 'productSchema.errors.required' },
+          ],
+        },
+      ]);
+    });
+
+    it('reports every invalid entry with its field path', () => {
+      createLocalCatalogAdapter([
+        { ...products[0], fileFormat: ['FBX', 'GLB'] },
+      ]);
+
+      expect(warn).toHaveBeenCalledTimes(1);
+      expect(warn.mock.calls[0][0]).toContain(
+        `products[0] (${products[0].id}).fileFormat[1]`
+      );
+    });
+
+    it('stays quiet for the bundled catalog', async () => {
+      resetCatalogAdapter();
+
+      expect(warn).not.toHaveBeenCalled();
+      expect((await listQuarantined()).invalid).toEqual([]);
+    });
+
+    it('reports nothing for adapters without a quarantine', async () => {
+      setCatalogAdapter({
+        listProducts: jest.fn(),
+        getProduct: jest.fn(),
+        searchProducts: jest.fn(),
+      });
+
+      expect(await listQuarantined()).toEqual({ success: true, invalid: [] });
+    });
+  });
+});
@@ -0,0 +1,246 @@
+import {
+  parseCsv,
+  exportCatalog,
+  importCatalog,
+  detectFormat,
+  rowToProduct,
+  diffCatalog,
+  getModelKey,
+} from '../utils/catalogTransfer';
+import { products, MODEL_LIBRARY } from '../data/products';
+
+const [soldier, toyCar] = products;
+
+const SHEET_HEADER =
+  'Slug,Title,Creator,Price,Currency,Description,Category,Preview Color,Polygons,Formats,Rigged,Animated,PBR,UV Unwrapped,Texture,LODs,Tags,Featured,Model';
+
+describe('catalog transfer', () => {
+  describe('parseCsv', () => {
+    it('handles quoted cells, escaped quotes and line breaks', () => {
+      const csv = 'a,b\r\n"x, y","say ""hi"""\n"multi\nline",2\n\n';
+
+      expect(parseCsv(csv)).toEqual([
+        ['a', 'b'],
+        ['x, y', 'say "hi"'],
+        ['multi\nline', '2'],
+      ]);
+    });
+  });
+
+  describe('detectFormat', () => {
+    it('uses the file extension, then the content', () => {
+      expect(detectFormat('[]', 'assets.CSV')).toBe('csv');
+      expect(detectFormat('id,name', 'assets.json')).toBe('json');
+      expect(detectFormat('  [{"id": "a"}]')).toBe('json');
+      expect(detectFormat('id,name')).toBe('csv');
+    });
+  });
+
+  describe('rowToProduct', () => {
+    it('maps spreadsheet headers and converts cell text', () => {
+      const product = rowToProduct({
+        'Poly Count': '1,200',
+        'file formats': 'FBX | OBJ',
+        Rigged: 'Yes',
+        PBR: 'no',
+        'Texture Resolution': '',
+        lod_count: '2',
+        Model: 'horse',
+        'Model Scale': '0.5',
+      });
+
+      expect(product).toEqual({
+        polyCount: '1,200',
+        fileFormat: ['FBX', 'OBJ'],
+        rigged: true,
+        pbr: false,
+        textureResolution: null,
+        lodCount: 2,
+        model: { ...MODEL_LIBRARY.horse, scale: 0.5 },
+      });
+    });
+  });
+
+  describe('exportCatalog', () => {
+    it('writes a CSV header row and one row per product', () => {
+      const [header, row] = exportCatalog([soldier], 'csv').split('\r\n');
+
+      expect(header).toMatch(/^ID,Name,Creator,Price,/);
+      expect(header).toMatch(/,Model,Model Scale,Image$/);
+      expect(row).toMatch(/^tactical-soldier,Tactical Combat Soldier,/);
+      expect(row).toContain('"FBX, OBJ, BLEND"');
+      expect(row).toContain(',soldier,1.2,');
+    });
+
+    it('writes JSON keyed by field name with the model library key', () => {
+      const [entry] = JSON.parse(exportCatalog([soldier], 'json'));
+
+      expect(entry).toMatchObject({
+        id: 'tactical-soldier',
+        fileFormat: ['FBX', 'OBJ', 'BLEND'],
+        textureResolution: '2K',
+        model: 'soldier',
+        modelScale: 1.2,
+      });
+    });
+
+    it.each(['csv', 'json'])('round-trips the catalog as %s', (format) => {
+      const result = importCatalog(exportCatalog(products, format), {
+        format,
+        current: products,
+      });
+
+      expect(result.error).toBeNull();
+      expect(result.invalid).toEqual([]);
+      expect(result.unmappedColumns).toEqual([]);
+      expect(result.diff.unchanged).toHaveLength(products.length);
+      expect(result.diff.changed).toEqual([]);
+    });
+  });
+
+  describe('importCatalog', () => {
+    const sheetRow = (overrides = {}) => {
+      const cells = {
+        id: 'moon-rover',
+        name: 'Moon Rover',
+        creator: 'nova-forge',
+        price: '120',
+        currency: 'USD',
+        description: '"Six-wheeled lunar rover, rigged suspension."',
+        category: 'Vehicles',
+        color: '"linear-gradient(135deg, #111, #333)"',
+        polygons: '30000',
+        formats: '"FBX, GLTF"',
+        rigged: 'yes',
+        animated: 'no',
+        pbr: 'yes',
+        uv: 'yes',
+        texture: '4K',
+        lods: '2',
+        tags: 'rover|space',
+        featured: 'no',
+        model: 'robotExpressive',
+        ...overrides,
+      };
+      return Object.values(cells).join(',');
+    };
+
+    it('parses spreadsheet rows into new products', () => {
+      const csv = [SHEET_HEADER, sheetRow()].join('\n');
+      const result = importCatalog(csv, { current: products });
+
+      expect(result.format).toBe('csv');
+      expect(result.invalid).toEqual([]);
+      expect(result.diff.added).toHaveLength(1);
+      expect(result.diff.added[0]).toMatchObject({
+        id: 'moon-rover',
+        price: 120,
+        fileFormat: ['FBX', 'GLTF'],
+        tags: ['rover', 'space'],
+        rigged: true,
+        textureResolution: '4K',
+        model: MODEL_LIBRARY.robotExpressive,
+      });
+      expect(result.diff.missing).toHaveLength(products.length);
+    });
+
+    it('reports invalid rows by spreadsheet row and field path', () => {
+      const csv = [
+        SHEET_HEADER,
+        sheetRow(),
+        sheetRow({ id: 'bad-rover', polygons: '', formats: '"FBX, GLB"' }),
+        sheetRow({ id: 'typo-rover', category: 'Vehicels' }),
+      ].join('\n');
+      const result = importCatalog(csv);
+
+      expect(result.products.map((p) => p.id)).toEqual(['moon-rover']);
+      expect(result.invalid).toEqual([
+        {
+          row: 3,
+          id: 'bad-rover',
+          errors: [
+            { path: 'polyCount', message: 'productSchema.errors.required' },
+            expect.objectContaining({ path: 'fileFormat[1]' }),
+          ],
+        },
+        {
+          row: 4,
+          id: 'typo-rover',
+          errors: [expect.objectContaining({ path: 'category' })],
+        },
+      ]);
+    });
+
+    it('stores tags in lowercase without duplicates', () => {
+      const csv = [
+        SHEET_HEADER,
+        sheetRow({ tags: '" Rover, SPACE, rover "' }),
+      ].join('\n');
+
+      expect(importCatalog(csv).products[0].tags).toEqual(['rover', 'space']);
+    });
+
+    it('lists columns that do not map to a field', () => {
+      const csv = [`${SHEET_HEADER},Notes`, `${sheetRow()},check UVs`].join(
+        '\n'
+      );
+
+      expect(importCatalog(csv).unmappedColumns).toEqual(['Notes']);
+    });
+
+    it('accepts JSON with an unknown model key as invalid', () => {
+      const json = JSON.stringify({
+        products: [{ ...soldier, id: 'new-soldier', model: 'dragon' }],
+      });
+      const result = importCatalog(json, { fileName: 'catalog.json' });
+
+      expect(result.format).toBe('json');
+      expect(result.invalid).toEqual([
+        {
+          row: 1,
+          id: 'new-soldier',
+          errors: [{ path: 'model', message: 'productSchema.errors.object' }],
+        },
+      ]);
+    });
+
+    it('reports files that cannot be read', () => {
+      expect(importCatalog('{"products": ', { format: 'json' }).error).toBe(
+        'catalogTransfer.errors.unreadable'
+      );
+      expect(importCatalog('{"items": []}', { format: 'json' }).error).toBe(
+        'catalogTransfer.errors.unreadable'
+      );
+      expect(importCatalog(SHEET_HEADER).error).toBe(
+        'catalogTransfer.errors.empty'
+      );
+    });
+  });
+
+  describe('diffCatalog', () => {
+    it('lists the fields that changed with their export values', () => {
+      const updated = {
+        ...soldier,
+        price: 99,
+        tags: [...soldier.tags, 'sale'],
+        model: { ...soldier.model, scale: 2 },
+      };
+      const diff = diffCatalog([soldier, toyCar], [updated]);
+
+      expect(diff.changed).toHaveLength(1);
+      expect(diff.changed[0].fields).toEqual([
+        { field: 'price', before: 89, after: 99 },
+        { field: 'tags', before: soldier.tags, after: updated.tags },
+        { field: 'modelScale', before: 1.2, after: 2 },
+      ]);
+      expect(diff.missing).toEqual([toyCar]);
+    });
+  });
+
+  describe('getModelKey', () => {
+    it('finds the library key by URL', () => {
+      expect(getModelKey(soldier.model)).toBe('soldier');
+      expect(getModelKey({ url: 'https://example.com/a.glb' })).toBe('');
+    });
+  });
+});
@@ -51,6 +51,13 @@ describe('Checkout Service', () => {
       expect(result.errors.email).toBe('Email is required');
     });
 
+    it('returns messages in the requested language', async () => {
+      const result = await validateAddress({ firstName: '' }, 'es');
+
+      expect(result.success).toBe(false);
+      expect(result.errors.firstName).toBe('El nombre es obligatorio');
+    });
+
     it('validates email format', async () => {
       const address = {
         firstName: 'John',
@@ -239,6 +246,20 @@ describe('Checkout Service', () => {
       expect(result.success).toBe(true);
       expect(result.transactionId).toBeDefined();
       expect(result.amount).toBe(100);
+      expect(result.currency).toBe('USD');
+    });
+
+    it('charges in the requested currency', async () => {
+      const payment = {
+        cardNumber: '4111111111111111',
+        cardHolder: 'JOHN DOE',
+      };
+
+      const result = await processPayment(payment, 92, 'EUR');
+
+      expect(result.success).toBe(true);
+      expect(result.amount).toBe(92);
+      expect(result.currency).toBe('EUR');
     });
 
     it('declines cards ending in 0 (insufficient funds)', async () => {
@@ -310,6 +331,71 @@ describe('Checkout Service', () => {
       expect(result.order.items).toHaveLength(1);
     });
 
+    it('records the license tier and format of each item', async () => {
+      const orderData = {
+        items: [
+          { id: '1', name: 'Test Product', price: 50, quantity: 1 },
+          {
+            id: '1',
+            name: 'Test Product',
+            license: 'extended',
+            format: 'OBJ',
+            price: 250,
+            quantity: 1,
+          },
+        ],
+        shippingAddress: {},
+        paymentResult: {},
+        totals: {},
+      };
+
+      const result = await createOrder(orderData);
+
+      expect(result.order.items[0]).toMatchObject({
+        license: 'personal',
+        licenseName: 'Personal',
+        format: null,
+      });
+      expect(result.order.items[1]).toMatchObject({
+        license: 'extended',
+        licenseName: 'Extended',
+        format: 'OBJ',
+        subtotal: 250,
+      });
+    });
+
+    it('records the payment currency and exchange rate', async () => {
+      const orderData = {
+        items: [],
+        shippingAddress: {},
+        paymentResult: { amount: 92, currency: 'EUR' },
+        exchangeRate: 0.92,
+        totals: {},
+      };
+
+      const result = await createOrder(orderData);
+
+      expect(result.order.payment).toMatchObject({
+        amount: 92,
+        currency: 'EUR',
+        exchangeRate: 0.92,
+      });
+    });
+
+    it('defaults to the base currency at a rate of 1', async () => {
+      const result = await createOrder({
+        items: [],
+        shippingAddress: {},
+        paymentResult: {},
+        totals: {},
+      });
+
+      expect(result.order.payment).toMatchObject({
+        currency: 'USD',
+        exchangeRate: 1,
+      });
+    });
+
     it('includes order timeline', async () => {
       const orderData = {
         items: [],
@@ -0,0 +1,53 @@
+import { getProductById } from '../data/products';
+import { getSpecRows, COMPARE_SPECS } from '../utils/compare';
+
+const rowsByKey = (products) =>
+  Object.fromEntries(getSpecRows(products).map((row) => [row.key, row]));
+
+describe('getSpecRows', () => {
+  const soldier = getProductById('tactical-soldier');
+  const helmet = getProductById('sci-fi-helmet');
+
+  it('returns one row per spec with a value per product', () => {
+    const rows = getSpecRows([soldier, helmet]);
+
+    expect(rows.map((row) => row.label)).toEqual(
+      COMPARE_SPECS.map((spec) => spec.label)
+    );
+    rows.forEach((row) => expect(row.values).toHaveLength(2));
+  });
+
+  it('formats values for display', () => {
+    const rows = rowsByKey([soldier]);
+
+    expect(rows.price.values).toEqual(['$89']);
+    expect(rows.polyCount.values).toEqual(['45,000']);
+    expect(rows.fileFormat.values).toEqual(['FBX, OBJ, BLEND']);
+  });
+
+  it('formats prices with the given formatter', () => {
+    const [price] = getSpecRows([soldier], (amount) => `€${amount * 2}`);
+
+    expect(price.values).toEqual(['€178']);
+  });
+
+  it('flags the specs that differ', () => {
+    const rows = rowsByKey([soldier, helmet]);
+
+    // Both are $89
+    expect(rows.price.differs).toBe(false);
+    expect(rows.polyCount.differs).toBe(true);
+    expect(rows.category.differs).toBe(true);
+  });
+
+  it('compares file formats regardless of order', () => {
+    const a = { ...soldier, fileFormat: ['FBX', 'OBJ'] };
+    const b = { ...soldier, id: 'b', fileFormat: ['OBJ', 'FBX'] };
+
+    expect(rowsByKey([a, b]).fileFormat.differs).toBe(false);
+  });
+
+  it('never flags a single product', () => {
+    expect(getSpecRows([soldier]).some((row) => row.differs)).toBe(false);
+  });
+});
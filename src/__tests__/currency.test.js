@@ -0,0 +1,67 @@
+import {
+  BASE_CURRENCY,
+  LIST_PRICE_FORMAT,
+  formatPrice,
+  convertPrice,
+  roundToCurrency,
+} from '../utils/currency';
+
+const rates = { USD: 1, EUR: 0.92, JPY: 149.5 };
+
+describe('currency utils', () => {
+  describe('formatPrice', () => {
+    it('formats the base currency with cents by default', () => {
+      expect(formatPrice(59.98)).toBe('$59.98');
+      expect(formatPrice(4.99, BASE_CURRENCY, { locale: 'en-US' })).toBe(
+        '$4.99'
+      );
+    });
+
+    it('drops the decimals of whole list prices', () => {
+      expect(formatPrice(89, 'USD', LIST_PRICE_FORMAT)).toBe('$89');
+      expect(formatPrice(89.5, 'USD', LIST_PRICE_FORMAT)).toBe('$89.50');
+    });
+
+    it('uses the currency symbol and minor unit', () => {
+      expect(formatPrice(81.88, 'EUR', { locale: 'en-US' })).toBe('€81.88');
+      expect(formatPrice(13305.5, 'JPY', { locale: 'en-US' })).toBe('¥13,306');
+    });
+
+    it('follows the locale for separators and symbol position', () => {
+      expect(
+        formatPrice(1234.5, 'EUR', { locale: 'de-DE' }).replace(/\s/g, ' ')
+      ).toBe('1.234,50 €');
+    });
+  });
+
+  describe('convertPrice', () => {
+    it('returns the amount unchanged for the same currency', () => {
+      expect(convertPrice(89, 'EUR', 'EUR', {})).toBe(89);
+    });
+
+    it('converts from and to the base currency', () => {
+      expect(convertPrice(100, 'USD', 'EUR', rates)).toBeCloseTo(92);
+      expect(convertPrice(92, 'EUR', 'USD', rates)).toBeCloseTo(100);
+    });
+
+    it('converts between two non-base currencies', () => {
+      expect(convertPrice(0.92, 'EUR', 'JPY', rates)).toBeCloseTo(149.5);
+    });
+
+    it('throws for a currency without a rate', () => {
+      expect(() => convertPrice(10, 'USD', 'GBP', rates)).toThrow(
+        'No exchange rate for GBP'
+      );
+    });
+  });
+
+  describe('roundToCurrency', () => {
+    it('rounds to cents', () => {
+      expect(roundToCurrency(81.876, 'EUR')).toBe(81.88);
+    });
+
+    it('rounds to whole units for currencies without a minor unit', () => {
+      expect(roundToCurrency(13305.5, 'JPY')).toBe(13306);
+    });
+  });
+});
@@ -0,0 +1,175 @@
+import {
+  parseFilterParams,
+  serializeFilterParams,
+  DEFAULT_FILTERS,
+} from '../utils/filterParams';
+import { PRICE_RANGE, POLY_COUNT_RANGE } from '../data/products';
+
+describe('filterParams', () => {
+  describe('parseFilterParams', () => {
+    it('returns default filters for an empty query string', () => {
+      const { filters, searchTerm } = parseFilterParams(new URLSearchParams());
+
+      expect(filters).toEqual(DEFAULT_FILTERS);
+      expect(searchTerm).toBe('');
+    });
+
+    it('reads a known sort mode and ignores unknown ones', () => {
+      expect(
+        parseFilterParams(new URLSearchParams('sort=price-asc')).sort
+      ).toBe('price-asc');
+      expect(parseFilterParams(new URLSearchParams('sort=random')).sort).toBe(
+        'relevance'
+      );
+    });
+
+    it('reads the page and falls back to 1 for invalid values', () => {
+      expect(parseFilterParams(new URLSearchParams('page=3')).page).toBe(3);
+      expect(parseFilterParams(new URLSearchParams('page=0')).page).toBe(1);
+      expect(parseFilterParams(new URLSearchParams('page=2.5')).page).toBe(1);
+      expect(parseFilterParams(new URLSearchParams('page=abc')).page).toBe(1);
+    });
+
+    it('reads every supported filter', () => {
+      const params = new URLSearchParams(
+        'q=helmet&category=Props&category=Sci-Fi&price=20-200&poly=5000-60000&format=FBX&format=GLTF'
+      );
+
+      const { filters, searchTerm } = parseFilterParams(params);
+
+      expect(searchTerm).toBe('helmet');
+      expect(filters.categories).toEqual(['Props', 'Sci-Fi']);
+      expect(filters.priceRange).toEqual([20, 200]);
+      expect(filters.polyCountRange).toEqual([5000, 60000]);
+      expect(filters.fileFormats).toEqual(['FBX', 'GLTF']);
+    });
+
+    it('drops unknown categories and formats', () => {
+      const params = new URLSearchParams(
+        'category=Props&category=Spaceships&format=STL&format=OBJ'
+      );
+
+      const { filters } = parseFilterParams(params);
+
+      expect(filters.categories).toEqual(['Props']);
+      expect(filters.fileFormats).toEqual(['OBJ']);
+    });
+
+    it('reads spec filters and drops unknown values', () => {
+      const { filters } = parseFilterParams(
+        new URLSearchParams('spec=rigged&spec=waterproof&texture=4K&lod=3')
+      );
+
+      expect(filters.features).toEqual(['rigged']);
+      expect(filters.minTextureResolution).toBe('4K');
+      expect(filters.minLodCount).toBe(3);
+
+      const invalid = parseFilterParams(
+        new URLSearchParams('texture=16K&lod=1')
+      ).filters;
+      expect(invalid.minTextureResolution).toBeNull();
+      expect(invalid.minLodCount).toBeNull();
+    });
+
+    it('normalizes tags', () => {
+      const params = new URLSearchParams(
+        'tag=Rigged&tag=rigged&tag=%20&tag=PBR'
+      );
+
+      expect(parseFilterParams(params).filters.tags).toEqual(['rigged', 'pbr']);
+    });
+
+    it('de-duplicates repeated values', () => {
+      const params = new URLSearchParams('category=Props&category=Props');
+
+      expect(parseFilterParams(params).filters.categories).toEqual(['Props']);
+    });
+
+    it('clamps ranges to their bounds and orders them', () => {
+      const params = new URLSearchParams('price=900-100&poly=0-999999');
+
+      const { filters } = parseFilterParams(params);
+
+      expect(filters.priceRange).toEqual([100, PRICE_RANGE.max]);
+      expect(filters.polyCountRange).toEqual([
+        POLY_COUNT_RANGE.min,
+        POLY_COUNT_RANGE.max,
+      ]);
+    });
+
+    it('falls back to the full range for malformed values', () => {
+      const params = new URLSearchParams('price=cheap');
+
+      expect(parseFilterParams(params).filters.priceRange).toEqual([
+        PRICE_RANGE.min,
+        PRICE_RANGE.max,
+      ]);
+    });
+  });
+
+  describe('serializeFilterParams', () => {
+    it('encodes a non-default sort', () => {
+      const params = serializeFilterParams({
+        filters: DEFAULT_FILTERS,
+        sort: 'featured',
+      });
+
+      expect(params.toString()).toBe('sort=featured');
+    });
+
+    it('encodes pages after the first', () => {
+      expect(
+        serializeFilterParams({ filters: DEFAULT_FILTERS, page: 2 }).toString()
+      ).toBe('page=2');
+      expect(
+        serializeFilterParams({ filters: DEFAULT_FILTERS, page: 1 }).toString()
+      ).toBe('');
+    });
+
+    it('omits defaults', () => {
+      expect(
+        serializeFilterParams({ filters: DEFAULT_FILTERS }).toString()
+      ).toBe('');
+    });
+
+    it('encodes active filters', () => {
+      const params = serializeFilterParams({
+        filters: {
+          categories: ['Props'],
+          priceRange: [10, 100],
+          polyCountRange: [POLY_COUNT_RANGE.min, POLY_COUNT_RANGE.max],
+          fileFormats: ['FBX', 'OBJ'],
+        },
+        searchTerm: 'lantern',
+      });
+
+      expect(params.get('q')).toBe('lantern');
+      expect(params.getAll('category')).toEqual(['Props']);
+      expect(params.has('tag')).toBe(false);
+      expect(params.get('price')).toBe('10-100');
+      expect(params.has('poly')).toBe(false);
+      expect(params.getAll('format')).toEqual(['FBX', 'OBJ']);
+    });
+
+    it('round-trips through parseFilterParams', () => {
+      const filters = {
+        categories: ['Characters', 'Nature'],
+        tags: ['rigged'],
+        priceRange: [0, 250],
+        polyCountRange: [10000, 50000],
+        fileFormats: ['BLEND'],
+        features: ['animated', 'pbr'],
+        minTextureResolution: '2K',
+        minLodCount: 2,
+      };
+
+      const parsed = parseFilterParams(
+        serializeFilterParams({ filters, searchTerm: 'fox', sort: 'rating' })
+      );
+
+      expect(parsed.filters).toEqual(filters);
+      expect(parsed.searchTerm).toBe('fox');
+      expect(parsed.sort).toBe('rating');
+    });
+  });
+});
@@ -0,0 +1,69 @@
+import {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  isSupportedLocale,
+  translate,
+  createTranslator,
+} from '../utils/i18n';
+import en from '../locales/en';
+import es from '../locales/es';
+
+// Dotted paths of every message, with plural forms counted as one message
+const getKeys = (catalog, prefix = '') =>
+  Object.entries(catalog).flatMap(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    return typeof value === 'object' && !('other' in value)
+      ? getKeys(value, path)
+      : [path];
+  });
+
+describe('i18n utils', () => {
+  it('supports English and Spanish', () => {
+    expect(DEFAULT_LOCALE).toBe('en');
+    expect(SUPPORTED_LOCALES.map((locale) => locale.code)).toEqual([
+      'en',
+      'es',
+    ]);
+    expect(isSupportedLocale('es')).toBe(true);
+    expect(isSupportedLocale('fr')).toBe(false);
+    expect(isSupportedLocale(null)).toBe(false);
+  });
+
+  it('has a Spanish message for every English one', () => {
+    expect(getKeys(es).sort()).toEqual(getKeys(en).sort());
+  });
+
+  describe('translate', () => {
+    it('looks messages up by dotted key', () => {
+      expect(translate('en', 'header.browse')).toBe('Browse');
+      expect(translate('es', 'header.browse')).toBe('Explorar');
+    });
+
+    it('interpolates placeholders', () => {
+      expect(translate('en', 'compare.selected', { count: 2, max: 4 })).toBe(
+        '2 of 4 selected'
+      );
+      expect(translate('en', 'compare.selected', { count: 2 })).toBe(
+        '2 of {max} selected'
+      );
+    });
+
+    it('picks the plural form for the count', () => {
+      expect(translate('en', 'common.items', { count: 1 })).toBe('1 item');
+      expect(translate('en', 'common.items', { count: 0 })).toBe('0 items');
+      expect(translate('es', 'common.items', { count: 1 })).toBe('1 artículo');
+      expect(translate('es', 'common.items', { count: 3 })).toBe('3 artículos');
+    });
+
+    it('falls back to English, then to the key', () => {
+      expect(translate('fr', 'header.browse')).toBe('Browse');
+      expect(translate('es', 'header.missing')).toBe('header.missing');
+    });
+  });
+
+  it('binds a translator to a locale', () => {
+    const t = createTranslator('es');
+    expect(t('cart.title')).toBe(es.cart.title);
+    expect(t('wishlist.count', { count: 2 })).toBe('2 modelos guardados');
+  });
+});
@@ -0,0 +1,37 @@
+import {
+  LICENSE_TIERS,
+  DEFAULT_LICENSE_TIER,
+  getLicenseTier,
+  getLicensePrice,
+  getLicenseOptions,
+} from '../data/licenses';
+
+describe('license tiers', () => {
+  it('prices the default tier at the listed price', () => {
+    expect(getLicenseTier(DEFAULT_LICENSE_TIER).multiplier).toBe(1);
+    expect(getLicensePrice(89, DEFAULT_LICENSE_TIER)).toBe(89);
+  });
+
+  it('applies each tier multiplier', () => {
+    expect(getLicensePrice(89, 'commercial')).toBe(178);
+    expect(getLicensePrice(89, 'extended')).toBe(445);
+  });
+
+  it('rounds prices to cents', () => {
+    expect(getLicensePrice(19.99, 'extended')).toBe(99.95);
+  });
+
+  it('falls back to the default tier for unknown ids', () => {
+    expect(getLicenseTier('unknown').id).toBe(DEFAULT_LICENSE_TIER);
+    expect(getLicensePrice(50, 'unknown')).toBe(50);
+  });
+
+  it('lists every tier with its price for a product', () => {
+    const options = getLicenseOptions({ price: 10 });
+
+    expect(options.map((option) => option.id)).toEqual(
+      LICENSE_TIERS.map((tier) => tier.id)
+    );
+    expect(options.map((option) => option.price)).toEqual([10, 20, 50]);
+  });
+});
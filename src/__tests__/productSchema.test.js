@@ -0,0 +1,172 @@
+import {
+  validateProduct,
+  validateCatalog,
+  formatCatalogErrors,
+} from '../data/productSchema';
+import { products } from '../data/products';
+
+const [product] = products;
+
+describe('product schema', () => {
+  describe('validateProduct', () => {
+    it('accepts every entry in the bundled catalog', () => {
+      products.forEach((entry) => {
+        expect(validateProduct(entry)).toEqual([]);
+      });
+    });
+
+    it('reports a missing required field', () => {
+      const { polyCount, ...entry } = product;
+
+      expect(validateProduct(entry)).toEqual([
+        { path: 'polyCount', message: 'productSchema.errors.required' },
+      ]);
+    });
+
+    it('reports a category that is not in CATEGORIES', () => {
+      const errors = validateProduct({ ...product, category: 'Charaters' });
+
+      expect(errors).toHaveLength(1);
+      expect(errors[0].path).toBe('category');
+      expect(errors[0].message).toBe('productSchema.errors.oneOf');
+      expect(errors[0].params.options).toMatch(/^Characters, /);
+    });
+
+    it('rejects currency codes that the storefront cannot format', () => {
+      ['US', '$', 'usd'].forEach((currency) => {
+        expect(validateProduct({ ...product, currency })).toEqual([
+          {
+            path: 'currency',
+            message: 'productSchema.errors.oneOf',
+            params: { options: 'USD' },
+          },
+        ]);
+      });
+    });
+
+    it('rejects valid codes other than the base currency', () => {
+      expect(
+        validateProduct({ ...product, currency: 'EUR' }).map(
+          (error) => error.path
+        )
+      ).toEqual(['currency']);
+    });
+
+    it('points at the offending file format by index', () => {
+      const errors = validateProduct({
+        ...product,
+        fileFormat: ['FBX', 'GLB'],
+      });
+
+      expect(errors.map((error) => error.path)).toEqual(['fileFormat[1]']);
+    });
+
+    it('rejects an empty file format list', () => {
+      expect(validateProduct({ ...product, fileFormat: [] })).toEqual([
+        { path: 'fileFormat', message: 'productSchema.errors.nonEmpty' },
+      ]);
+    });
+
+    it('rejects numbers stored as strings and out-of-range counts', () => {
+      const errors = validateProduct({
+        ...product,
+        price: -1,
+        polyCount: '45000',
+        lodCount: 0,
+      });
+
+      expect(errors.map((error) => error.path)).toEqual([
+        'price',
+        'polyCount',
+        'lodCount',
+      ]);
+      expect(errors[0]).toEqual({
+        path: 'price',
+        message: 'productSchema.errors.numberAtLeast',
+        params: { min: 0 },
+      });
+      expect(errors[2].params).toEqual({ min: 1 });
+    });
+
+    it('allows untextured models but not unknown resolutions', () => {
+      expect(validateProduct({ ...product, textureResolution: null })).toEqual(
+        []
+      );
+      expect(
+        validateProduct({ ...product, textureResolution: '16K' })[0].path
+      ).toBe('textureResolution');
+    });
+
+    it('checks nested model fields', () => {
+      const errors = validateProduct({
+        ...product,
+        model: { ...product.model, url: '' },
+      });
+
+      expect(errors.map((error) => error.path)).toEqual(['model.url']);
+    });
+
+    it('rejects entries that are not objects', () => {
+      expect(validateProduct(null)).toEqual([
+        { path: '', message: 'productSchema.errors.object' },
+      ]);
+    });
+  });
+
+  describe('validateCatalog', () => {
+    it('keeps valid entries and quarantines invalid ones', () => {
+      const broken = { ...product, id: 'broken', category: 'Weapons' };
+      const result = validateCatalog([products[0], broken, products[1]]);
+
+      expect(result.products).toEqual([products[0], products[1]]);
+      expect(result.invalid).toEqual([
+        {
+          index: 1,
+          id: 'broken',
+          errors: [expect.objectContaining({ path: 'category' })],
+        },
+      ]);
+    });
+
+    it('quarantines entries that reuse an id', () => {
+      const result = validateCatalog([product, { ...product }]);
+
+      expect(result.products).toHaveLength(1);
+      expect(result.invalid[0]).toMatchObject({
+        index: 1,
+        errors: [
+          {
+            path: 'id',
+            message: 'productSchema.errors.duplicateId',
+            params: { id: product.id },
+          },
+        ],
+      });
+    });
+  });
+
+  describe('formatCatalogErrors', () => {
+    it('lists one line per invalid field with its path', () => {
+      const { invalid } = validateCatalog([
+        { ...product, fileFormat: ['FBX', 'GLB'], polyCount: undefined },
+        'not a product',
+      ]);
+
+      expect(formatCatalogErrors(invalid).split('\n')).toEqual([
+        `products[0] (${product.id}).polyCount: Required`,
+        `products[0] (${product.id}).fileFormat[1]: Must be one of FBX, OBJ, GLTF, BLEND, MAX`,
+        'products[1]: Must be an object',
+      ]);
+    });
+
+    it('writes the messages in the given language', () => {
+      const { invalid } = validateCatalog([
+        { ...product, polyCount: undefined },
+      ]);
+
+      expect(formatCatalogErrors(invalid, 'es')).toBe(
+        `products[0] (${product.id}).polyCount: Obligatorio`
+      );
+    });
+  });
+});
@@ -0,0 +1,360 @@
+import {
+  products,
+  filterProducts,
+  sortProducts,
+  getFacetCounts,
+  paginateProducts,
+  getProductsByIds,
+  getFeaturedProducts,
+  getCategorySlug,
+  getCategoryBySlug,
+  getProductsByCreator,
+  meetsTextureResolution,
+  CATEGORIES,
+  FILE_FORMATS,
+  SPEC_FEATURES,
+  TEXTURE_RESOLUTIONS,
+  SORT_OPTIONS,
+  DEFAULT_SORT,
+} from '../data/products';
+import {
+  CREATOR_KINDS,
+  creators,
+  getCreatorById,
+  getCreatorInitials,
+} from '../data/creators';
+import {
+  collections,
+  getCollectionsForProduct,
+  getBundlePricing,
+} from '../data/collections';
+
+const ids = (list) => list.map((product) => product.id);
+
+describe('products data', () => {
+  describe('filterProducts', () => {
+    it('keeps products carrying any of the selected tags', () => {
+      expect(ids(filterProducts({ tags: ['vehicle', 'robot'] }))).toEqual([
+        'vintage-toy-car',
+        'expressive-robot',
+      ]);
+    });
+
+    it('treats the top of a range as no upper limit', () => {
+      const source = [
+        { ...products[0], id: 'cheap', price: 20, polyCount: 5000 },
+        { ...products[0], id: 'pricey', price: 750, polyCount: 250000 },
+      ];
+
+      expect(ids(filterProducts({ priceRange: [0, 500] }, source))).toEqual([
+        'cheap',
+        'pricey',
+      ]);
+      expect(
+        ids(filterProducts({ polyCountRange: [10000, 100000] }, source))
+      ).toEqual(['pricey']);
+      expect(ids(filterProducts({ priceRange: [0, 490] }, source))).toEqual([
+        'cheap',
+      ]);
+    });
+
+    it('requires the landing page tag on top of the selected tags', () => {
+      expect(
+        ids(filterProducts({ tags: ['character'], requiredTag: 'animated' }))
+      ).toEqual(['expressive-robot', 'animated-fox']);
+    });
+
+    it('requires every selected spec flag', () => {
+      expect(ids(filterProducts({ features: ['rigged', 'animated'] }))).toEqual(
+        ['tactical-soldier', 'expressive-robot', 'animated-fox']
+      );
+    });
+
+    it('applies the texture resolution and LOD minimums', () => {
+      expect(
+        ids(filterProducts({ minTextureResolution: '4K', minLodCount: 2 }))
+      ).toEqual(['vintage-toy-car', 'retro-boombox', 'nefertiti-bust']);
+      expect(ids(filterProducts({ minLodCount: 3 }))).toEqual([
+        'tactical-soldier',
+        'expressive-robot',
+        'nefertiti-bust',
+      ]);
+    });
+  });
+
+  describe('technical specs', () => {
+    it('gives every product a complete set of specs', () => {
+      products.forEach((product) => {
+        SPEC_FEATURES.forEach((feature) => {
+          expect(typeof product[feature]).toBe('boolean');
+        });
+        expect(TEXTURE_RESOLUTIONS).toContain(product.textureResolution);
+        expect(product.lodCount).toBeGreaterThanOrEqual(1);
+      });
+    });
+
+    it('compares texture resolutions by size', () => {
+      expect(meetsTextureResolution('4K', '2K')).toBe(true);
+      expect(meetsTextureResolution('2K', '2K')).toBe(true);
+      expect(meetsTextureResolution('1K', '2K')).toBe(false);
+      expect(meetsTextureResolution(null, '1K')).toBe(false);
+    });
+  });
+
+  describe('creators', () => {
+    it('links every product to a known creator', () => {
+      products.forEach((product) => {
+        expect(getCreatorById(product.creatorId)).toBeDefined();
+      });
+    });
+
+    it('marks every creator as a studio or an individual', () => {
+      creators.forEach((creator) => {
+        expect(Object.values(CREATOR_KINDS)).toContain(creator.kind);
+      });
+    });
+
+    it("lists a creator's products in catalog order", () => {
+      expect(ids(getProductsByCreator('nova-forge'))).toEqual([
+        'tactical-soldier',
+        'expressive-robot',
+        'sci-fi-helmet',
+      ]);
+      expect(getProductsByCreator('unknown')).toEqual([]);
+    });
+
+    it('builds avatar initials from the first two words', () => {
+      expect(getCreatorInitials('Nova Forge Studio')).toBe('NF');
+      expect(getCreatorInitials('retro')).toBe('R');
+    });
+  });
+
+  describe('collections', () => {
+    it('prices every bundle below its members bought separately', () => {
+      collections.forEach((collection) => {
+        const pricing = getBundlePricing(collection);
+
+        expect(ids(pricing.products)).toEqual(collection.productIds);
+        expect(pricing.savings).toBeGreaterThan(0);
+        expect(pricing.price).toBeLessThan(pricing.itemsTotal);
+      });
+    });
+
+    it('reports the savings against the separate total', () => {
+      expect(getBundlePricing(collections[0])).toMatchObject({
+        itemsTotal: 199,
+        price: 149,
+        savings: 50,
+        savingsPercent: 25,
+      });
+    });
+
+    it('finds the collections a product belongs to', () => {
+      expect(
+        getCollectionsForProduct('animated-fox').map(
+          (collection) => collection.id
+        )
+      ).toEqual(['animated-animals']);
+      expect(getCollectionsForProduct('realistic-avocado')).toEqual([]);
+    });
+  });
+
+  describe('category slugs', () => {
+    it('round-trips every category through its slug', () => {
+      expect(getCategorySlug('Sci-Fi')).toBe('sci-fi');
+      CATEGORIES.forEach((category) => {
+        expect(getCategoryBySlug(getCategorySlug(category))).toBe(category);
+      });
+    });
+
+    it('returns undefined for an unknown slug', () => {
+      expect(getCategoryBySlug('spaceships')).toBeUndefined();
+    });
+  });
+
+  describe('getFacetCounts', () => {
+    it('counts every option against the full catalog by default', () => {
+      const { categories, fileFormats } = getFacetCounts();
+
+      expect(Object.keys(categories)).toEqual(CATEGORIES);
+      expect(Object.keys(fileFormats)).toEqual(FILE_FORMATS);
+      expect(categories.Props).toBe(3);
+      expect(
+        Object.values(categories).reduce((sum, count) => sum + count, 0)
+      ).toBe(products.length);
+    });
+
+    it('ignores the facet its own selection belongs to', () => {
+      const { categories } = getFacetCounts({ categories: ['Props'] });
+
+      expect(categories).toEqual(getFacetCounts().categories);
+    });
+
+    it('applies the other active filters', () => {
+      const filters = { categories: ['Props'], searchTerm: 'lantern' };
+      const { categories, fileFormats } = getFacetCounts(filters);
+
+      expect(categories.Props).toBe(1);
+      expect(categories.Vehicles).toBe(0);
+      expect(fileFormats.GLTF).toBe(filterProducts(filters).length);
+    });
+
+    it('counts spec flags together with the flags already required', () => {
+      const { features } = getFacetCounts({ features: ['animated'] });
+
+      expect(features).toEqual({
+        rigged: 3,
+        animated: 6,
+        pbr: 0,
+        uvUnwrapped: 6,
+      });
+    });
+  });
+
+  describe('getProductsByIds', () => {
+    it('keeps the order of the ids and skips unknown ones', () => {
+      expect(
+        ids(
+          getProductsByIds(['expressive-robot', 'missing', 'vintage-toy-car'])
+        )
+      ).toEqual(['expressive-robot', 'vintage-toy-car']);
+    });
+  });
+
+  describe('getFeaturedProducts', () => {
+    it('returns the featured products in catalog order', () => {
+      expect(getFeaturedProducts()).toEqual(
+        products.filter((product) => product.featured)
+      );
+    });
+
+    it('looks in the given list', () => {
+      const [first, second] = products;
+      const list = [
+        { ...first, featured: false },
+        { ...second, featured: true },
+      ];
+
+      expect(getFeaturedProducts(list)).toEqual([list[1]]);
+    });
+  });
+
+  describe('paginateProducts', () => {
+    it('returns the requested page', () => {
+      const { items, page, pageCount } = paginateProducts(products, {
+        page: 2,
+        pageSize: 5,
+      });
+
+      expect(ids(items)).toEqual(ids(products.slice(5, 10)));
+      expect(page).toBe(2);
+      expect(pageCount).toBe(3);
+    });
+
+    it('returns a short final page', () => {
+      expect(
+        paginateProducts(products, { page: 3, pageSize: 5 }).items
+      ).toHaveLength(2);
+    });
+
+    it('clamps out-of-range pages', () => {
+      expect(paginateProducts(products, { page: 9, pageSize: 5 }).page).toBe(3);
+      expect(paginateProducts(products, { page: 0, pageSize: 5 }).page).toBe(1);
+    });
+
+    it('treats an empty list as a single page', () => {
+      expect(paginateProducts([], { page: 2, pageSize: 5 })).toEqual({
+        items: [],
+        page: 1,
+        pageCount: 1,
+      });
+    });
+
+    it('returns everything when no page size is given', () => {
+      expect(paginateProducts(products).items).toHaveLength(products.length);
+    });
+  });
+
+  describe('sortProducts', () => {
+    it('exposes relevance as the default sort', () => {
+      expect(DEFAULT_SORT).toBe('relevance');
+      expect(SORT_OPTIONS.map((option) => option.value)).toEqual([
+        'relevance',
+        'price-asc',
+        'price-desc',
+        'rating',
+        'poly-count',
+        'featured',
+      ]);
+    });
+
+    it('keeps the incoming order for relevance', () => {
+      expect(ids(sortProducts(products, 'relevance'))).toEqual(ids(products));
+    });
+
+    it('keeps the incoming order for unknown modes', () => {
+      expect(ids(sortProducts(products, 'bogus'))).toEqual(ids(products));
+    });
+
+    it('does not mutate the input array', () => {
+      const original = ids(products);
+      sortProducts(products, 'price-desc');
+      expect(ids(products)).toEqual(original);
+    });
+
+    it('sorts by price ascending', () => {
+      const prices = sortProducts(products, 'price-asc').map((p) => p.price);
+      expect(prices).toEqual([...prices].sort((a, b) => a - b));
+      expect(prices[0]).toBe(25);
+    });
+
+    it('sorts by price descending', () => {
+      const sorted = sortProducts(products, 'price-desc');
+      expect(sorted[0].id).toBe('japanese-city-diorama');
+      expect(sorted[sorted.length - 1].id).toBe('realistic-avocado');
+    });
+
+    it('sorts by rating with ties in catalog order', () => {
+      // Ratings come from reviews, so the catalog entries don't carry them
+      const rated = products
+        .slice(0, 4)
+        .map((product, i) => ({ ...product, rating: [4.5, 4.8, 4.5, 5][i] }));
+
+      expect(ids(sortProducts(rated, 'rating'))).toEqual(
+        ids([rated[3], rated[1], rated[0], rated[2]])
+      );
+    });
+
+    it('sorts by polygon count ascending', () => {
+      const counts = sortProducts(products, 'poly-count').map(
+        (p) => p.polyCount
+      );
+      expect(counts).toEqual([...counts].sort((a, b) => a - b));
+    });
+
+    it('puts featured products first and keeps their relative order', () => {
+      const sorted = sortProducts(products, 'featured');
+      const featuredCount = products.filter((p) => p.featured).length;
+
+      expect(sorted.slice(0, featuredCount).every((p) => p.featured)).toBe(
+        true
+      );
+      expect(ids(sorted.slice(0, featuredCount))).toEqual(
+        ids(products.filter((p) => p.featured))
+      );
+    });
+
+    it('composes with filterProducts', () => {
+      const sorted = sortProducts(
+        filterProducts({ categories: ['Props'] }),
+        'price-asc'
+      );
+
+      expect(ids(sorted)).toEqual([
+        'realistic-avocado',
+        'vintage-lantern',
+        'retro-boombox',
+      ]);
+    });
+  });
+});
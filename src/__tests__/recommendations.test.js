@@ -0,0 +1,95 @@
+import { products, getProductById } from '../data/products';
+import {
+  getBand,
+  scoreSimilarity,
+  getRelatedProducts,
+  PRICE_BANDS,
+  POLY_COUNT_BANDS,
+  DEFAULT_RELATED_LIMIT,
+} from '../utils/recommendations';
+
+const ids = (list) => list.map((product) => product.id);
+
+describe('recommendations', () => {
+  describe('getBand', () => {
+    it('places values by exclusive upper bound', () => {
+      expect(getBand(0, PRICE_BANDS)).toBe(0);
+      expect(getBand(49, PRICE_BANDS)).toBe(0);
+      expect(getBand(50, PRICE_BANDS)).toBe(1);
+      expect(getBand(199, PRICE_BANDS)).toBe(2);
+      expect(getBand(200, PRICE_BANDS)).toBe(3);
+      expect(getBand(85000, POLY_COUNT_BANDS)).toBe(3);
+    });
+  });
+
+  describe('scoreSimilarity', () => {
+    const soldier = getProductById('tactical-soldier');
+
+    it('adds up shared tags, category, price band and poly-count band', () => {
+      // character + game-ready (6), Characters (4), $129 is one price band
+      // up (1), 28k polygons is the same band as 45k (1)
+      expect(scoreSimilarity(soldier, getProductById('expressive-robot'))).toBe(
+        12
+      );
+    });
+
+    it('gives half credit for neighbouring bands', () => {
+      // military (3), same price band (2), 55k is one band above 45k (0.5)
+      expect(scoreSimilarity(soldier, getProductById('sci-fi-helmet'))).toBe(
+        5.5
+      );
+    });
+
+    it('scores 0 for products with nothing in common', () => {
+      expect(
+        scoreSimilarity(
+          getProductById('realistic-avocado'),
+          getProductById('japanese-city-diorama')
+        )
+      ).toBe(0);
+    });
+  });
+
+  describe('getRelatedProducts', () => {
+    it('ranks the catalog by similarity', () => {
+      expect(
+        ids(getRelatedProducts(getProductById('tactical-soldier'), products))
+      ).toEqual([
+        'expressive-robot',
+        'animated-horse',
+        'animated-fox',
+        'sci-fi-helmet',
+      ]);
+    });
+
+    it('never recommends the product itself', () => {
+      products.forEach((product) => {
+        expect(ids(getRelatedProducts(product, products))).not.toContain(
+          product.id
+        );
+      });
+    });
+
+    it('returns at most the default limit', () => {
+      products.forEach((product) => {
+        expect(
+          getRelatedProducts(product, products).length
+        ).toBeLessThanOrEqual(DEFAULT_RELATED_LIMIT);
+      });
+    });
+
+    it('respects a custom limit', () => {
+      expect(
+        getRelatedProducts(getProductById('vintage-lantern'), products, 2)
+      ).toHaveLength(2);
+    });
+
+    it('keeps catalog order for equal scores', () => {
+      const base = { id: 'base', category: 'Props', price: 10, polyCount: 1 };
+      const twin = (id) => ({ ...base, id });
+      const catalog = [twin('c'), twin('a'), twin('b')];
+
+      expect(ids(getRelatedProducts(base, catalog))).toEqual(['c', 'a', 'b']);
+    });
+  });
+});
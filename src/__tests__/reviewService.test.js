@@ -0,0 +1,305 @@
+import {
+  getReviews,
+  getReviewSummary,
+  getProductRatings,
+  submitReview,
+  validateReview,
+  setReviewAdapter,
+  resetReviewAdapter,
+  createLocalReviewAdapter,
+} from '../services/reviewService';
+import { reviews, sortReviews, summarizeReviews } from '../data/reviews';
+
+const validInput = {
+  rating: 4,
+  author: '  Casey  ',
+  title: 'Nice model',
+  body: 'Clean topology and good textures overall.',
+};
+
+describe('Review data helpers', () => {
+  const list = [
+    { id: 'a', rating: 3, createdAt: '2024-01-01T00:00:00Z' },
+    { id: 'b', rating: 5, createdAt: '2024-03-01T00:00:00Z' },
+    { id: 'c', rating: 5, createdAt: '2024-02-01T00:00:00Z' },
+  ];
+
+  it('sorts without mutating the list', () => {
+    expect(sortReviews(list, 'newest').map((r) => r.id)).toEqual([
+      'b',
+      'c',
+      'a',
+    ]);
+    expect(sortReviews(list, 'oldest').map((r) => r.id)).toEqual([
+      'a',
+      'c',
+      'b',
+    ]);
+    expect(sortReviews(list, 'lowest').map((r) => r.id)).toEqual([
+      'a',
+      'b',
+      'c',
+    ]);
+    expect(list.map((r) => r.id)).toEqual(['a', 'b', 'c']);
+  });
+
+  it('breaks rating ties by date and falls back to newest', () => {
+    expect(sortReviews(list, 'highest').map((r) => r.id)).toEqual([
+      'b',
+      'c',
+      'a',
+    ]);
+    expect(sortReviews(list, 'unknown').map((r) => r.id)).toEqual([
+      'b',
+      'c',
+      'a',
+    ]);
+  });
+
+  it('summarizes the average, count and star breakdown', () => {
+    expect(summarizeReviews(list)).toEqual({
+      average: 4.3,
+      count: 3,
+      breakdown: { 5: 2, 4: 0, 3: 1, 2: 0, 1: 0 },
+    });
+    expect(summarizeReviews([])).toEqual({
+      average: 0,
+      count: 0,
+      breakdown: { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 },
+    });
+  });
+
+  it('only seeds ratings between 1 and 5', () => {
+    reviews.forEach((review) => {
+      expect(Number.isInteger(review.rating)).toBe(true);
+      expect(review.rating).toBeGreaterThanOrEqual(1);
+      expect(review.rating).toBeLessThanOrEqual(5);
+    });
+  });
+});
+
+describe('Review Service', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    resetReviewAdapter();
+  });
+
+  describe('getReviews', () => {
+    it("returns the first page of a product's reviews, newest first", async () => {
+      const result = await getReviews('tactical-soldier');
+
+      expect(result.success).toBe(true);
+      expect(result.total).toBe(7);
+      expect(result.reviews).toHaveLength(5);
+      expect(result.page).toBe(1);
+      expect(result.pageCount).toBe(2);
+      expect(result.reviews[0].id).toBe('review-soldier-1');
+      expect(result.summary).toEqual({
+        average: 4.4,
+        count: 7,
+        breakdown: { 5: 4, 4: 2, 3: 1, 2: 0, 1: 0 },
+      });
+    });
+
+    it('sorts and pages the full list', async () => {
+      const result = await getReviews('tactical-soldier', {
+        sort: 'lowest',
+        page: 2,
+        pageSize: 3,
+      });
+
+      expect(result.page).toBe(2);
+      expect(result.pageCount).toBe(3);
+      expect(result.reviews.map((review) => review.rating)).toEqual([5, 5, 5]);
+    });
+
+    it('returns an empty summary for a product without reviews', async () => {
+      const result = await getReviews('does-not-exist');
+
+      expect(result.reviews).toEqual([]);
+      expect(result.summary.count).toBe(0);
+      expect(result.summary.average).toBe(0);
+    });
+  });
+
+  describe('getReviewSummary', () => {
+    it('aggregates the reviews of several products', async () => {
+      const result = await getReviewSummary([
+        'japanese-city-diorama',
+        'nefertiti-bust',
+      ]);
+
+      expect(result.success).toBe(true);
+      expect(result.summary).toEqual({
+        average: 4.8,
+        count: 4,
+        breakdown: { 5: 3, 4: 1, 3: 0, 2: 0, 1: 0 },
+      });
+    });
+
+    it('returns an empty summary without products', async () => {
+      const result = await getReviewSummary([]);
+      expect(result.summary.count).toBe(0);
+    });
+  });
+
+  describe('getProductRatings', () => {
+    it('rates each product from its own reviews', async () => {
+      const result = await getProductRatings([
+        'tactical-soldier',
+        'does-not-exist',
+      ]);
+
+      expect(result.success).toBe(true);
+      expect(result.ratings).toEqual({
+        'tactical-soldier': { average: 4.4, count: 7 },
+        'does-not-exist': { average: 0, count: 0 },
+      });
+    });
+
+    it('reads the stored reviews once for every product', async () => {
+      const getItem = jest.spyOn(Storage.prototype, 'getItem');
+
+      await getProductRatings(['tactical-soldier', 'sci-fi-helmet', 'x']);
+
+      expect(
+        getItem.mock.calls.filter(([key]) => key === 'marketplace_reviews')
+      ).toHaveLength(1);
+      getItem.mockRestore();
+    });
+
+    it('falls back to one request per product without a batch method', async () => {
+      const listReviews = jest.fn(async (productId) =>
+        productId === 'p1' ? [{ rating: 3 }, { rating: 4 }] : []
+      );
+      setReviewAdapter({ listReviews, addReview: jest.fn() });
+
+      const result = await getProductRatings(['p1', 'p2']);
+
+      expect(listReviews).toHaveBeenCalledTimes(2);
+      expect(result.ratings).toEqual({
+        p1: { average: 3.5, count: 2 },
+        p2: { average: 0, count: 0 },
+      });
+    });
+  });
+
+  describe('validateReview', () => {
+    it('accepts a complete review', () => {
+      expect(validateReview(validInput)).toEqual({});
+    });
+
+    it('requires every field', () => {
+      expect(
+        validateReview({ rating: 0, author: ' ', title: '', body: '' })
+      ).toEqual({
+        rating: 'Please select a rating',
+        author: 'Name is required',
+        title: 'Title is required',
+        body: 'Review is required',
+      });
+    });
+
+    it('enforces length limits', () => {
+      const errors = validateReview({
+        ...validInput,
+        title: 'x'.repeat(101),
+        body: 'Too short',
+      });
+
+      expect(errors.title).toBe('Title must be 100 characters or fewer');
+      expect(errors.body).toBe('Review must be at least 20 characters');
+    });
+
+    it('returns messages in the requested language', () => {
+      expect(validateReview({ ...validInput, rating: 6 }, 'es')).toEqual({
+        rating: 'Selecciona una valoración',
+      });
+    });
+  });
+
+  describe('submitReview', () => {
+    it('rejects an invalid review without storing it', async () => {
+      const result = await submitReview('tactical-soldier', {
+        ...validInput,
+        rating: null,
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.errors.rating).toBeDefined();
+      expect(localStorage.getItem('marketplace_reviews')).toBeNull();
+    });
+
+    it('stores a trimmed review and includes it in the summary', async () => {
+      const result = await submitReview('tactical-soldier', validInput);
+
+      expect(result.success).toBe(true);
+      expect(result.review).toMatchObject({
+        productId: 'tactical-soldier',
+        author: 'Casey',
+        rating: 4,
+      });
+      expect(
+        JSON.parse(localStorage.getItem('marketplace_reviews'))
+      ).toHaveLength(1);
+
+      const list = await getReviews('tactical-soldier');
+      expect(list.total).toBe(8);
+      expect(list.reviews[0].id).toBe(result.review.id);
+    });
+
+    it('ignores unreadable stored reviews', async () => {
+      localStorage.setItem('marketplace_reviews', '{not json');
+
+      const result = await getReviews('tactical-soldier');
+      expect(result.total).toBe(7);
+    });
+  });
+
+  describe('adapters', () => {
+    it('serves reviews from a custom adapter', async () => {
+      setReviewAdapter(
+        createLocalReviewAdapter(
+          [
+            {
+              id: 'r1',
+              productId: 'p1',
+              author: 'A',
+              rating: 2,
+              title: 'T',
+              body: 'B',
+              createdAt: '2024-01-01T00:00:00Z',
+            },
+          ],
+          { storageKey: 'test_reviews' }
+        )
+      );
+
+      const result = await getReviews('p1');
+      expect(result.total).toBe(1);
+      expect(result.summary.average).toBe(2);
+    });
+
+    it('propagates adapter failures to the caller', async () => {
+      setReviewAdapter({
+        listReviews: () => Promise.reject(new Error('Network error')),
+        addReview: jest.fn(),
+      });
+
+      await expect(getReviews('tactical-soldier')).rejects.toThrow(
+        'Network error'
+      );
+    });
+
+    it('restores the bundled reviews after reset', async () => {
+      setReviewAdapter(createLocalReviewAdapter([]));
+      resetReviewAdapter();
+
+      const result = await getReviews('tactical-soldier');
+      expect(result.total).toBe(7);
+    });
+  });
+});
@@ -0,0 +1,169 @@
+import { render, screen } from '@testing-library/react';
+import {
+  tokenize,
+  editDistance,
+  matchToken,
+  scoreProduct,
+  rankProducts,
+  getHighlightSegments,
+  getSearchSuggestions,
+} from '../utils/search';
+import { products, filterProducts } from '../data/products';
+import Highlight from '../components/Highlight';
+
+const ids = (list) => list.map((product) => product.id);
+
+describe('search', () => {
+  describe('tokenize', () => {
+    it('splits on punctuation and lowercases', () => {
+      expect(tokenize('Sci-Fi Helmet')).toEqual(['sci', 'fi', 'helmet']);
+    });
+
+    it('returns an empty list for blank input', () => {
+      expect(tokenize('  ')).toEqual([]);
+      expect(tokenize()).toEqual([]);
+    });
+  });
+
+  describe('editDistance', () => {
+    it('counts insertions, deletions and substitutions', () => {
+      expect(editDistance('helmet', 'helmet')).toBe(0);
+      expect(editDistance('helmit', 'helmet')).toBe(1);
+      expect(editDistance('kitten', 'sitting')).toBe(3);
+    });
+
+    it('stops early once the limit is exceeded', () => {
+      expect(editDistance('lantern', 'avocado', 1)).toBe(2);
+    });
+  });
+
+  describe('matchToken', () => {
+    it('grades exact, prefix, fuzzy and substring matches', () => {
+      expect(matchToken('helmet', 'helmet').type).toBe('exact');
+      expect(matchToken('hel', 'helmet').type).toBe('prefix');
+      expect(matchToken('helmit', 'helmet').type).toBe('fuzzy');
+      expect(matchToken('met', 'helmet').type).toBe('substring');
+    });
+
+    it('requires exact spelling for short tokens', () => {
+      expect(matchToken('cat', 'car')).toBeNull();
+    });
+  });
+
+  describe('scoreProduct', () => {
+    const product = {
+      name: 'Brass Lantern',
+      category: 'Props',
+      tags: ['light'],
+      description: 'A vintage light source',
+    };
+
+    it('weights name matches above description matches', () => {
+      expect(scoreProduct(product, 'lantern').score).toBeGreaterThan(
+        scoreProduct(product, 'vintage').score
+      );
+    });
+
+    it('requires every query token to match', () => {
+      expect(scoreProduct(product, 'lantern spaceship').score).toBe(0);
+    });
+
+    it('reports the product words that matched', () => {
+      expect(scoreProduct(product, 'spaceship').matchedTerms).toEqual([]);
+      expect(scoreProduct(product, 'lantern light').matchedTerms).toEqual([
+        'lantern',
+        'light',
+      ]);
+    });
+  });
+
+  describe('rankProducts', () => {
+    it('tolerates typos', () => {
+      expect(
+        ids(rankProducts(products, 'helmit').map((r) => r.product))
+      ).toEqual(['sci-fi-helmet']);
+    });
+
+    it('matches hyphenated names written with spaces', () => {
+      expect(
+        rankProducts(products, 'sci fi helmet').map((r) => r.product.id)
+      ).toEqual(['sci-fi-helmet']);
+    });
+
+    it('orders results by descending score', () => {
+      const scores = rankProducts(products, 'prop').map((r) => r.score);
+      expect(scores).toEqual([...scores].sort((a, b) => b - a));
+    });
+  });
+
+  describe('filterProducts', () => {
+    it('returns search results in relevance order', () => {
+      // "Photorealistic Avocado" only matches "prop" as a substring
+      const results = filterProducts({ searchTerm: 'prop' });
+      expect(results[results.length - 1].id).toBe('realistic-avocado');
+    });
+
+    it('combines search with the other filters', () => {
+      expect(
+        ids(filterProducts({ searchTerm: 'prop', priceRange: [0, 30] }))
+      ).toEqual(['vintage-lantern', 'realistic-avocado']);
+    });
+  });
+
+  describe('getSearchSuggestions', () => {
+    it('returns products, then categories, then tags', () => {
+      const types = getSearchSuggestions(products, 'vehic').map((s) => s.type);
+
+      expect(types).toEqual(['product', 'category', 'tag']);
+    });
+
+    it('suggests nothing for an empty query', () => {
+      expect(getSearchSuggestions(products, '  ')).toEqual([]);
+    });
+
+    it('caps the number of product suggestions', () => {
+      const suggestions = getSearchSuggestions(products, 'a');
+
+      expect(
+        suggestions.filter((s) => s.type === 'product').length
+      ).toBeLessThanOrEqual(5);
+    });
+  });
+
+  describe('getHighlightSegments', () => {
+    it('marks matched words', () => {
+      expect(getHighlightSegments('Sci-Fi Helmet', 'helmit')).toEqual([
+        { text: 'Sci-Fi ', highlight: false },
+        { text: 'Helmet', highlight: true },
+      ]);
+    });
+
+    it('marks only the matched prefix', () => {
+      expect(getHighlightSegments('Lantern', 'lan')).toEqual([
+        { text: 'Lan', highlight: true },
+        { text: 'tern', highlight: false },
+      ]);
+    });
+
+    it('returns the whole text when there is no query', () => {
+      expect(getHighlightSegments('Lantern', '')).toEqual([
+        { text: 'Lantern', highlight: false },
+      ]);
+    });
+  });
+
+  describe('Highlight', () => {
+    it('wraps matches in <mark> without changing the text', () => {
+      render(
+        <h3>
+          <Highlight text="Antique Oil Lantern" query="lantern" />
+        </h3>
+      );
+
+      expect(
+        screen.getByRole('heading', { name: 'Antique Oil Lantern' })
+      ).toBeInTheDocument();
+      expect(screen.getByText('Lantern').tagName).toBe('MARK');
+    });
+  });
+});
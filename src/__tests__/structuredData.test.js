@@ -1,4 +1,8 @@
-import { buildProductListSchema } from '../utils/structuredData';
+import {
+  buildProductListSchema,
+  buildCollectionPageSchema,
+  buildCreatorProfileSchema,
+} from '../utils/structuredData';
 
 describe('structuredData', () => {
   const mockOrigin = 'https://example.com';
@@ -123,6 +127,7 @@ describe('structuredData', () => {
           price: 50,
           currency: 'USD',
           rating: 3.7,
+          reviewCount: 12,
         },
       ];
 
@@ -131,10 +136,21 @@ describe('structuredData', () => {
 
       expect(rating['@type']).toBe('AggregateRating');
       expect(rating.ratingValue).toBe(3.7);
+      expect(rating.reviewCount).toBe(12);
       expect(rating.bestRating).toBe(5);
       expect(rating.worstRating).toBe(1);
     });
 
+    it('leaves out the rating of products without reviews', () => {
+      const schema = buildProductListSchema([
+        { id: '1', name: 'Test', price: 50, rating: 0, reviewCount: 0 },
+      ]);
+
+      expect(schema.itemListElement[0].item).not.toHaveProperty(
+        'aggregateRating'
+      );
+    });
+
     it('handles empty product array', () => {
       const schema = buildProductListSchema([]);
 
@@ -142,4 +158,126 @@ describe('structuredData', () => {
       expect(schema.itemListElement).toHaveLength(0);
     });
   });
+
+  describe('buildCollectionPageSchema', () => {
+    const products = [
+      {
+        id: 'car',
+        name: 'Toy Car',
+        description: 'A toy car',
+        image: '/car.jpg',
+        category: 'Vehicles',
+        price: 30,
+        currency: 'USD',
+        rating: 4.9,
+      },
+    ];
+
+    it('describes the landing page and its products', () => {
+      const schema = buildCollectionPageSchema({
+        name: 'Vehicles 3D Models',
+        description: 'Browse vehicles',
+        path: '/category/vehicles',
+        products,
+      });
+
+      expect(schema['@context']).toBe('https://schema.org');
+      expect(schema['@type']).toBe('CollectionPage');
+      expect(schema.url).toBe(`${mockOrigin}/category/vehicles`);
+      expect(schema.name).toBe('Vehicles 3D Models');
+      expect(schema.description).toBe('Browse vehicles');
+      expect(schema.mainEntity['@type']).toBe('ItemList');
+      expect(schema.mainEntity['@context']).toBeUndefined();
+      expect(schema.mainEntity.name).toBe('Vehicles 3D Models');
+      expect(schema.mainEntity.itemListElement[0].item['@id']).toBe(
+        `${mockOrigin}/products/car`
+      );
+    });
+
+    it('links back to the home page in the breadcrumb', () => {
+      const schema = buildCollectionPageSchema({
+        name: '#vintage 3D Models',
+        description: 'Browse vintage',
+        path: '/tags/vintage',
+        products: [],
+      });
+
+      expect(schema.breadcrumb.itemListElement).toEqual([
+        {
+          '@type': 'ListItem',
+          position: 1,
+          name: '3D Models Marketplace',
+          item: mockOrigin,
+        },
+        {
+          '@type': 'ListItem',
+          position: 2,
+          name: '#vintage 3D Models',
+          item: `${mockOrigin}/tags/vintage`,
+        },
+      ]);
+      expect(schema.mainEntity.numberOfItems).toBe(0);
+    });
+  });
+
+  describe('buildCreatorProfileSchema', () => {
+    const creator = {
+      id: 'retro-works',
+      name: 'Retro Works',
+      kind: 'studio',
+      location: 'Austin, United States',
+      bio: 'Vintage props',
+      joinedAt: '2020-09-28',
+    };
+
+    it('describes a studio as an Organization with their portfolio', () => {
+      const schema = buildCreatorProfileSchema(creator, [
+        {
+          id: 'car',
+          name: 'Toy Car',
+          description: 'A toy car',
+          category: 'Vehicles',
+          price: 30,
+          currency: 'USD',
+          rating: 4.9,
+        },
+      ]);
+
+      expect(schema['@context']).toBe('https://schema.org');
+      expect(schema['@type']).toBe('ProfilePage');
+      expect(schema.url).toBe(`${mockOrigin}/creators/retro-works`);
+      expect(schema.dateCreated).toBe('2020-09-28');
+      expect(schema.mainEntity).toEqual({
+        '@type': 'Organization',
+        '@id': `${mockOrigin}/creators/retro-works#creator`,
+        name: 'Retro Works',
+        description: 'Vintage props',
+        url: `${mockOrigin}/creators/retro-works`,
+        location: { '@type': 'Place', name: 'Austin, United States' },
+      });
+      expect(schema.hasPart['@type']).toBe('ItemList');
+      expect(schema.hasPart['@context']).toBeUndefined();
+      expect(schema.hasPart.numberOfItems).toBe(1);
+    });
+
+    it('describes an individual artist as a Person', () => {
+      const schema = buildCreatorProfileSchema(
+        {
+          ...creator,
+          id: 'kenji-mori',
+          name: 'Kenji Mori',
+          kind: 'individual',
+          location: 'Osaka, Japan',
+        },
+        []
+      );
+
+      expect(schema.mainEntity['@type']).toBe('Person');
+      expect(schema.mainEntity.homeLocation).toEqual({
+        '@type': 'Place',
+        name: 'Osaka, Japan',
+      });
+      expect(schema.mainEntity.location).toBeUndefined();
+    });
+  });
 });
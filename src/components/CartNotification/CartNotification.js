@@ -1,6 +1,8 @@
 import { useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useCart } from '../../context/CartContext';
+import { useCurrency } from '../../context/CurrencyContext';
+import { useI18n } from '../../context/I18nContext';
 import { useExperiment, EXPERIMENTS } from '../../context/ABTestContext';
 import { CheckIcon, CloseIcon, CartIcon } from '../Icons';
 import Button from '../Button';
@@ -85,6 +87,8 @@ function CartNotification() {
 }
 
 function ControlVariant({ product, onViewCart, onContinueShopping }) {
+  const { t } = useI18n();
+
   return (
     <>
       <div className="cart-notification__content">
@@ -92,7 +96,7 @@ function ControlVariant({ product, onViewCart, onContinueShopping }) {
           <CheckIcon />
         </div>
         <div className="cart-notification__info">
-          <p className="cart-notification__title">Added to cart</p>
+          <p className="cart-notification__title">{t('notification.added')}</p>
           <p className="cart-notification__product">{product.name}</p>
         </div>
         <Button
@@ -100,7 +104,7 @@ function ControlVariant({ product, onViewCart, onContinueShopping }) {
           size="sm"
           className="cart-notification__close"
           onClick={onContinueShopping}
-          aria-label="Close notification"
+          aria-label={t('notification.close')}
         >
           <CloseIcon />
         </Button>
@@ -112,7 +116,7 @@ function ControlVariant({ product, onViewCart, onContinueShopping }) {
           className="cart-notification__btn cart-notification__btn--secondary"
           onClick={onContinueShopping}
         >
-          Continue Shopping
+          {t('common.continueShopping')}
         </Button>
         <Button
           variant="primary"
@@ -121,7 +125,7 @@ function ControlVariant({ product, onViewCart, onContinueShopping }) {
           onClick={onViewCart}
           icon={<CartIcon />}
         >
-          View Cart
+          {t('notification.viewCart')}
         </Button>
       </div>
     </>
@@ -129,13 +133,15 @@ function ControlVariant({ product, onViewCart, onContinueShopping }) {
 }
 
 function MinimalVariant({ product, onViewCart }) {
+  const { t } = useI18n();
+
   return (
     <div className="cart-notification__minimal">
       <div className="cart-notification__icon cart-notification__icon--small">
         <CheckIcon />
       </div>
       <span className="cart-notification__text">
-        <strong>{product.name}</strong> added
+        <strong>{product.name}</strong> {t('notification.addedSuffix')}
       </span>
       <Button
         variant="primary"
@@ -143,7 +149,7 @@ function MinimalVariant({ product, onViewCart }) {
         className="cart-notification__btn cart-notification__btn--compact"
         onClick={onViewCart}
       >
-        View Cart
+        {t('notification.viewCart')}
       </Button>
     </div>
   );
@@ -157,6 +163,9 @@ function ProminentVariant({
   onViewCart,
   onClose,
 }) {
+  const { formatPrice } = useCurrency();
+  const { t } = useI18n();
+
   return (
     <>
       <div className="cart-notification__header">
@@ -164,7 +173,9 @@ function ProminentVariant({
           <CheckIcon />
         </div>
         <div className="cart-notification__info">
-          <p className="cart-notification__title">Added to cart!</p>
+          <p className="cart-notification__title">
+            {t('notification.addedExcited')}
+          </p>
           <p className="cart-notification__product">{product.name}</p>
         </div>
         <Button
@@ -172,18 +183,16 @@ function ProminentVariant({
           size="sm"
           className="cart-notification__close"
           onClick={onClose}
-          aria-label="Close notification"
+          aria-label={t('notification.close')}
         >
           <CloseIcon />
         </Button>
       </div>
       <div className="cart-notification__summary">
         <div className="cart-notification__summary-row">
-          <span>
-            Cart Total ({itemCount} {itemCount === 1 ? 'item' : 'items'})
-          </span>
+          <span>{t('notification.cartTotal', { count: itemCount })}</span>
           <span className="cart-notification__total">
-            ${cartTotal.toFixed(2)}
+            {formatPrice(cartTotal)}
           </span>
         </div>
       </div>
@@ -195,7 +204,7 @@ function ProminentVariant({
           onClick={onCheckout}
           icon={<CheckIcon />}
         >
-          Checkout Now
+          {t('notification.checkoutNow')}
         </Button>
         <Button
           variant="ghost"
@@ -203,7 +212,7 @@ function ProminentVariant({
           className="cart-notification__btn cart-notification__btn--ghost"
           onClick={onViewCart}
         >
-          View Cart
+          {t('notification.viewCart')}
         </Button>
       </div>
     </>
@@ -0,0 +1,87 @@
+import { Link, useLocation } from 'react-router-dom';
+import { useCompare, MAX_COMPARE_ITEMS } from '../../context/CompareContext';
+import { useI18n } from '../../context/I18nContext';
+import { CloseIcon, CompareIcon } from '../Icons';
+import Button from '../Button';
+import './CompareTray.scss';
+
+/**
+ * Fixed bar listing the products picked for comparison, with a link to the
+ * compare view. Hidden while empty and on the compare page itself.
+ */
+function CompareTray() {
+  const { pathname } = useLocation();
+  const { compareItems, compareCount, removeFromCompare, clearCompare } =
+    useCompare();
+  const { t } = useI18n();
+
+  if (compareCount === 0 || pathname === '/compare') return null;
+
+  const emptySlots = MAX_COMPARE_ITEMS - compareCount;
+
+  return (
+    <>
+      {/* Keeps the end of the page clear of the fixed tray */}
+      <div className="compare-tray-spacer" aria-hidden="true" />
+      <section className="compare-tray" aria-label={t('compare.tray')}>
+        <div className="compare-tray__inner">
+          <ul className="compare-tray__items">
+            {compareItems.map((item) => (
+              <li key={item.id} className="compare-tray__item">
+                <span
+                  className="compare-tray__swatch"
+                  style={{ background: item.previewColor }}
+                  aria-hidden="true"
+                />
+                <span className="compare-tray__name">{item.name}</span>
+                <button
+                  type="button"
+                  className="compare-tray__remove"
+                  onClick={() => removeFromCompare(item.id)}
+                  aria-label={t('compare.remove', { name: item.name })}
+                >
+                  <CloseIcon />
+                </button>
+              </li>
+            ))}
+            {Array.from({ length: emptySlots }, (_, i) => (
+              <li
+                key={`empty-${i}`}
+                className="compare-tray__item compare-tray__item--empty"
+                aria-hidden="true"
+              />
+            ))}
+          </ul>
+
+          <div className="compare-tray__actions">
+            <p className="compare-tray__status" aria-live="polite">
+              {t('compare.selected', {
+                count: compareCount,
+                max: MAX_COMPARE_ITEMS,
+              })}
+            </p>
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={clearCompare}
+              aria-label={t('compare.clearLabel')}
+            >
+              {t('common.clear')}
+            </Button>
+            <Button
+              as={Link}
+              to="/compare"
+              variant="primary"
+              size="sm"
+              icon={<CompareIcon />}
+            >
+              {t('compare.open', { count: compareCount })}
+            </Button>
+          </div>
+        </div>
+      </section>
+    </>
+  );
+}
+
+export default CompareTray;
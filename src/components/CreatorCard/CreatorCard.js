@@ -0,0 +1,90 @@
+import { memo, forwardRef, useId } from 'react';
+import PropTypes from 'prop-types';
+import { Link } from 'react-router-dom';
+import { useI18n } from '../../context/I18nContext';
+import { getCreatorInitials } from '../../data/creators';
+import './CreatorCard.scss';
+
+/**
+ * CreatorCard Component
+ *
+ * A compact "About the creator" panel linking to the creator's profile,
+ * shown on product pages.
+ *
+ * Features:
+ * - Initials avatar on the creator's brand color
+ * - Location and optional published model count
+ * - Configurable heading level
+ * - Forwards refs to the aside element
+ */
+const CreatorCard = memo(
+  forwardRef(function CreatorCard(
+    { creator, modelCount, headingLevel = 2, className = '', ...props },
+    ref
+  ) {
+    const { t } = useI18n();
+    const titleId = useId();
+    const HeadingTag = `h${headingLevel}`;
+    const profilePath = `/creators/${creator.id}`;
+
+    return (
+      <aside
+        ref={ref}
+        className={`creator-card ${className}`}
+        aria-labelledby={titleId}
+        {...props}
+      >
+        <HeadingTag id={titleId} className="creator-card__heading">
+          {t('creator.about')}
+        </HeadingTag>
+
+        <div className="creator-card__profile">
+          <span
+            className="creator-card__avatar"
+            style={{ background: creator.avatarColor }}
+            aria-hidden="true"
+          >
+            {getCreatorInitials(creator.name)}
+          </span>
+          <div>
+            <Link to={profilePath} className="creator-card__name">
+              {creator.name}
+            </Link>
+            <p className="creator-card__meta">
+              {creator.location}
+              {modelCount !== undefined &&
+                ` · ${t('common.models', { count: modelCount })}`}
+            </p>
+          </div>
+        </div>
+
+        <p className="creator-card__bio">{creator.bio}</p>
+
+        <Link
+          to={profilePath}
+          className="creator-card__link"
+          aria-label={t('creator.viewProfileLabel', { name: creator.name })}
+        >
+          {t('creator.viewProfile')}
+        </Link>
+      </aside>
+    );
+  })
+);
+
+CreatorCard.displayName = 'CreatorCard';
+
+CreatorCard.propTypes = {
+  creator: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    location: PropTypes.string,
+    bio: PropTypes.string,
+    avatarColor: PropTypes.string,
+  }).isRequired,
+  modelCount: PropTypes.number,
+  headingLevel: PropTypes.oneOf([2, 3, 4]),
+  className: PropTypes.string,
+};
+
+export default CreatorCard;
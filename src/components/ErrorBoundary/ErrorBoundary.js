@@ -1,8 +1,56 @@
 import { Component } from 'react';
+import { useI18n } from '../../context/I18nContext';
 import { AlertIcon } from '../Icons';
 import Button from '../Button';
 import './ErrorBoundary.scss';
 
+// Function component so the fallback can read the active language
+function ErrorFallback({ error, errorInfo, onRetry }) {
+  const { t } = useI18n();
+
+  return (
+    <div className="error-boundary" role="alert">
+      <div className="error-boundary__content">
+        <div className="error-boundary__icon" aria-hidden="true">
+          <AlertIcon />
+        </div>
+
+        <h2 className="error-boundary__title">{t('errorBoundary.title')}</h2>
+
+        <p className="error-boundary__message">{t('errorBoundary.message')}</p>
+
+        <div className="error-boundary__actions">
+          <Button
+            variant="primary"
+            className="error-boundary__btn error-boundary__btn--primary"
+            onClick={onRetry}
+          >
+            {t('common.tryAgain')}
+          </Button>
+
+          <Button
+            variant="secondary"
+            className="error-boundary__btn error-boundary__btn--secondary"
+            onClick={() => window.location.reload()}
+          >
+            {t('errorBoundary.refresh')}
+          </Button>
+        </div>
+
+        {process.env.NODE_ENV === 'development' && error && (
+          <details className="error-boundary__details">
+            <summary>{t('errorBoundary.details')}</summary>
+            <pre className="error-boundary__stack">
+              {error.toString()}
+              {errorInfo?.componentStack}
+            </pre>
+          </details>
+        )}
+      </div>
+    </div>
+  );
+}
+
 class ErrorBoundary extends Component {
   constructor(props) {
     super(props);
@@ -32,48 +80,11 @@ class ErrorBoundary extends Component {
       }
 
       return (
-        <div className="error-boundary" role="alert">
-          <div className="error-boundary__content">
-            <div className="error-boundary__icon" aria-hidden="true">
-              <AlertIcon />
-            </div>
-
-            <h2 className="error-boundary__title">Something went wrong</h2>
-
-            <p className="error-boundary__message">
-              We're sorry, but something unexpected happened. Please try again
-              or refresh the page.
-            </p>
-
-            <div className="error-boundary__actions">
-              <Button
-                variant="primary"
-                className="error-boundary__btn error-boundary__btn--primary"
-                onClick={this.handleRetry}
-              >
-                Try Again
-              </Button>
-
-              <Button
-                variant="secondary"
-                className="error-boundary__btn error-boundary__btn--secondary"
-                onClick={() => window.location.reload()}
-              >
-                Refresh Page
-              </Button>
-            </div>
-
-            {process.env.NODE_ENV === 'development' && this.state.error && (
-              <details className="error-boundary__details">
-                <summary>Error Details</summary>
-                <pre className="error-boundary__stack">
-                  {this.state.error.toString()}
-                  {this.state.errorInfo?.componentStack}
-                </pre>
-              </details>
-            )}
-          </div>
-        </div>
+        <ErrorFallback
+          error={this.state.error}
+          errorInfo={this.state.errorInfo}
+          onRetry={this.handleRetry}
+        />
       );
     }
 
@@ -0,0 +1,266 @@
+import {
+  memo,
+  lazy,
+  Suspense,
+  useState,
+  useEffect,
+  useRef,
+  useId,
+} from 'react';
+import PropTypes from 'prop-types';
+import { Link } from 'react-router-dom';
+import { useCurrency } from '../../context/CurrencyContext';
+import { useI18n } from '../../context/I18nContext';
+import { usePrefersReducedMotion } from '../../hooks/usePrefersReducedMotion';
+import { LIST_PRICE_FORMAT } from '../../utils/currency';
+import { ArrowLeftIcon, ArrowRightIcon, PauseIcon, PlayIcon } from '../Icons';
+import './FeaturedCarousel.scss';
+
+const ModelPreview = lazy(() => import('../ModelPreview'));
+
+// Horizontal travel (px) a touch needs before it counts as a swipe
+const SWIPE_THRESHOLD = 50;
+
+/**
+ * FeaturedCarousel Component
+ *
+ * An auto-advancing slideshow of featured products with live 3D previews,
+ * following the WAI-ARIA carousel pattern.
+ *
+ * Features:
+ * - Rotation stops while the pointer is over it or focus is inside it, and
+ *   is off when the visitor prefers reduced motion until they press play
+ * - Pause/play button, previous/next buttons and one picker per slide
+ * - Arrow keys, Home and End move between slides while focus is inside
+ * - Swipe left or right on touch screens
+ * - Slide changes are announced only when rotation is off
+ * - Renders nothing when there are no products
+ */
+const FeaturedCarousel = memo(function FeaturedCarousel({
+  products,
+  interval = 6000,
+  className = '',
+}) {
+  const { t } = useI18n();
+  const { formatPrice } = useCurrency();
+  const prefersReducedMotion = usePrefersReducedMotion();
+  const [activeIndex, setActiveIndex] = useState(0);
+  // Set by the pause/play button. With reduced motion rotation is off until
+  // the visitor starts it themselves.
+  const [isPlaying, setIsPlaying] = useState(!prefersReducedMotion);
+  const [isHovered, setIsHovered] = useState(false);
+  const [isFocused, setIsFocused] = useState(false);
+  const touchStartRef = useRef(null);
+  const slidesId = useId();
+
+  const count = products.length;
+  const index = count > 0 ? activeIndex % count : 0;
+  const isRotating = isPlaying && !isHovered && !isFocused;
+
+  useEffect(() => {
+    if (prefersReducedMotion) setIsPlaying(false);
+  }, [prefersReducedMotion]);
+
+  // Restarts on every slide change, so a manual step gets a full interval
+  useEffect(() => {
+    if (!isRotating || count < 2) return undefined;
+    const id = setTimeout(() => setActiveIndex((index + 1) % count), interval);
+    return () => clearTimeout(id);
+  }, [isRotating, index, count, interval]);
+
+  if (count === 0) return null;
+
+  const goTo = (next) => setActiveIndex((next + count) % count);
+
+  // Pressing play is an explicit request, so it overrides the hover and focus
+  // pauses until the pointer or focus next comes back in
+  const togglePlaying = () => {
+    if (!isPlaying) {
+      setIsHovered(false);
+      setIsFocused(false);
+    }
+    setIsPlaying(!isPlaying);
+  };
+
+  const handleKeyDown = (event) => {
+    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) return;
+    const keyTargets = {
+      ArrowLeft: index - 1,
+      ArrowRight: index + 1,
+      Home: 0,
+      End: count - 1,
+    };
+    if (!(event.key in keyTargets)) return;
+    event.preventDefault();
+    goTo(keyTargets[event.key]);
+  };
+
+  const handleBlur = (event) => {
+    if (!event.currentTarget.contains(event.relatedTarget)) {
+      setIsFocused(false);
+    }
+  };
+
+  const handleTouchStart = (event) => {
+    touchStartRef.current = event.touches[0].clientX;
+  };
+
+  const handleTouchEnd = (event) => {
+    if (touchStartRef.current === null) return;
+    const distance = event.changedTouches[0].clientX - touchStartRef.current;
+    touchStartRef.current = null;
+    if (Math.abs(distance) < SWIPE_THRESHOLD) return;
+    goTo(distance < 0 ? index + 1 : index - 1);
+  };
+
+  const product = products[index];
+  const productPath = `/products/${product.id}`;
+
+  return (
+    <section
+      className={`featured-carousel ${className}`}
+      aria-roledescription={t('featuredCarousel.roleDescription')}
+      aria-label={t('featuredCarousel.label')}
+      onMouseEnter={() => setIsHovered(true)}
+      onMouseLeave={() => setIsHovered(false)}
+      onFocus={() => setIsFocused(true)}
+      onBlur={handleBlur}
+      onKeyDown={handleKeyDown}
+    >
+      <div
+        id={slidesId}
+        className="featured-carousel__slides"
+        aria-live={isRotating ? 'off' : 'polite'}
+        onTouchStart={handleTouchStart}
+        onTouchEnd={handleTouchEnd}
+      >
+        <div
+          key={product.id}
+          className="featured-carousel__slide"
+          role="group"
+          aria-roledescription={t('featuredCarousel.slide')}
+          aria-label={t('featuredCarousel.slideLabel', {
+            index: index + 1,
+            count,
+          })}
+        >
+          <Link
+            to={productPath}
+            className="featured-carousel__preview"
+            tabIndex={-1}
+            aria-hidden="true"
+          >
+            <Suspense
+              fallback={
+                <div
+                  className="featured-carousel__preview-bg"
+                  style={{ background: product.previewColor }}
+                />
+              }
+            >
+              <ModelPreview
+                model={product.model}
+                fallbackImage={product.image}
+                previewColor={product.previewColor}
+                alt={t('productCard.imageAlt', {
+                  name: product.name,
+                  category: product.category,
+                })}
+              />
+            </Suspense>
+          </Link>
+
+          <div className="featured-carousel__caption">
+            <p className="featured-carousel__eyebrow">
+              {t('featuredCarousel.featured')} · {product.category}
+            </p>
+            <p className="featured-carousel__name">
+              <Link to={productPath} className="featured-carousel__link">
+                {product.name}
+              </Link>
+            </p>
+            <p className="featured-carousel__price">
+              {formatPrice(product.price, LIST_PRICE_FORMAT)}
+            </p>
+          </div>
+        </div>
+      </div>
+
+      {count > 1 && (
+        <div className="featured-carousel__controls">
+          <button
+            type="button"
+            className="featured-carousel__button"
+            onClick={togglePlaying}
+            aria-label={t(
+              isPlaying ? 'featuredCarousel.pause' : 'featuredCarousel.play'
+            )}
+            aria-controls={slidesId}
+          >
+            {isPlaying ? <PauseIcon /> : <PlayIcon />}
+          </button>
+          <button
+            type="button"
+            className="featured-carousel__button"
+            onClick={() => goTo(index - 1)}
+            aria-label={t('featuredCarousel.previous')}
+            aria-controls={slidesId}
+          >
+            <ArrowLeftIcon />
+          </button>
+          <div
+            className="featured-carousel__pickers"
+            role="group"
+            aria-label={t('featuredCarousel.choose')}
+          >
+            {products.map((item, i) => (
+              <button
+                key={item.id}
+                type="button"
+                className={`featured-carousel__picker ${
+                  i === index ? 'featured-carousel__picker--active' : ''
+                }`}
+                onClick={() => goTo(i)}
+                aria-label={t('featuredCarousel.goTo', {
+                  index: i + 1,
+                  name: item.name,
+                })}
+                aria-current={i === index ? 'true' : undefined}
+                aria-controls={slidesId}
+              />
+            ))}
+          </div>
+          <button
+            type="button"
+            className="featured-carousel__button"
+            onClick={() => goTo(index + 1)}
+            aria-label={t('featuredCarousel.next')}
+            aria-controls={slidesId}
+          >
+            <ArrowRightIcon />
+          </button>
+        </div>
+      )}
+    </section>
+  );
+});
+
+FeaturedCarousel.displayName = 'FeaturedCarousel';
+
+FeaturedCarousel.propTypes = {
+  products: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      category: PropTypes.string.isRequired,
+      price: PropTypes.number.isRequired,
+      previewColor: PropTypes.string,
+      model: PropTypes.object,
+      image: PropTypes.string,
+    })
+  ).isRequired,
+  interval: PropTypes.number,
+  className: PropTypes.string,
+};
+
+export default FeaturedCarousel;
@@ -2,26 +2,43 @@ import { useState, useCallback, memo } from 'react';
 import {
   CATEGORIES,
   FILE_FORMATS,
+  SPEC_FEATURES,
+  TEXTURE_RESOLUTIONS,
+  LOD_COUNT_OPTIONS,
   PRICE_RANGE,
   POLY_COUNT_RANGE,
 } from '../../data/products';
+import { useCurrency } from '../../context/CurrencyContext';
+import { useI18n } from '../../context/I18nContext';
+import { LIST_PRICE_FORMAT } from '../../utils/currency';
 import { FilterIcon, CloseIcon } from '../Icons';
 import Button from '../Button';
-import { FilterSection, CheckboxFilter, RangeSlider } from './components';
+import {
+  FilterSection,
+  CheckboxFilter,
+  RangeSlider,
+  ToggleFilter,
+  SelectFilter,
+} from './components';
 import './FilterSidebar.scss';
 
 const FilterSidebar = memo(function FilterSidebar({
   isOpen,
   onClose,
   filters,
+  facetCounts = null,
   onFilterChange,
   onReset,
+  showCategories = true,
 }) {
+  const { formatPrice } = useCurrency();
+  const { locale, t } = useI18n();
   const [expandedSections, setExpandedSections] = useState({
     category: true,
     price: true,
     polyCount: true,
     format: true,
+    specs: true,
   });
 
   const toggleSection = useCallback((section) => {
@@ -51,6 +68,30 @@ const FilterSidebar = memo(function FilterSidebar({
     [filters, onFilterChange]
   );
 
+  const handleFeatureToggle = useCallback(
+    (feature) => {
+      const newFeatures = filters.features.includes(feature)
+        ? filters.features.filter((f) => f !== feature)
+        : [...filters.features, feature];
+      onFilterChange({ ...filters, features: newFeatures });
+    },
+    [filters, onFilterChange]
+  );
+
+  const handleTextureChange = useCallback(
+    (minTextureResolution) => {
+      onFilterChange({ ...filters, minTextureResolution });
+    },
+    [filters, onFilterChange]
+  );
+
+  const handleLodChange = useCallback(
+    (value) => {
+      onFilterChange({ ...filters, minLodCount: value ? Number(value) : null });
+    },
+    [filters, onFilterChange]
+  );
+
   const handlePriceChange = useCallback(
     (priceRange) => {
       onFilterChange({ ...filters, priceRange });
@@ -68,6 +109,9 @@ const FilterSidebar = memo(function FilterSidebar({
   const activeFiltersCount =
     filters.categories.length +
     filters.fileFormats.length +
+    filters.features.length +
+    (filters.minTextureResolution ? 1 : 0) +
+    (filters.minLodCount ? 1 : 0) +
     (filters.priceRange[0] !== PRICE_RANGE.min ||
     filters.priceRange[1] !== PRICE_RANGE.max
       ? 1
@@ -87,20 +131,20 @@ const FilterSidebar = memo(function FilterSidebar({
 
       <aside
         className={`filter-sidebar ${isOpen ? 'filter-sidebar--open' : ''}`}
-        aria-label="Product filters"
+        aria-label={t('filters.label')}
       >
         <header className="filter-sidebar__header">
           <div className="filter-sidebar__title-row">
             <div className="filter-sidebar__title-group">
               <FilterIcon className="filter-sidebar__icon" />
-              <h2 className="filter-sidebar__title">Filters</h2>
+              <h2 className="filter-sidebar__title">{t('filters.title')}</h2>
             </div>
             <Button
               variant="icon"
               size="sm"
               className="filter-sidebar__close"
               onClick={onClose}
-              aria-label="Close filters panel"
+              aria-label={t('filters.close')}
             >
               <CloseIcon />
             </Button>
@@ -109,79 +153,82 @@ const FilterSidebar = memo(function FilterSidebar({
           {activeFiltersCount > 0 && (
             <div className="filter-sidebar__active">
               <span className="filter-sidebar__active-count">
-                {activeFiltersCount} Active
+                {t('filters.active', { count: activeFiltersCount })}
               </span>
               <Button
                 variant="ghost"
                 size="sm"
                 className="filter-sidebar__reset"
                 onClick={onReset}
-                aria-label="Reset all filters"
+                aria-label={t('filters.reset')}
               >
-                Reset All
+                {t('filters.resetAll')}
               </Button>
             </div>
           )}
         </header>
 
         <div className="filter-sidebar__content">
-          <FilterSection
-            title="Category"
-            id="filter-categories"
-            isExpanded={expandedSections.category}
-            onToggle={() => toggleSection('category')}
-          >
-            <div className="filter-sidebar__checkboxes">
-              {CATEGORIES.map((category) => (
-                <CheckboxFilter
-                  key={category}
-                  id={`category-${category}`}
-                  label={category}
-                  checked={filters.categories.includes(category)}
-                  onChange={() => handleCategoryToggle(category)}
-                />
-              ))}
-            </div>
-          </FilterSection>
+          {showCategories && (
+            <FilterSection
+              title={t('filters.category')}
+              id="filter-categories"
+              isExpanded={expandedSections.category}
+              onToggle={() => toggleSection('category')}
+            >
+              <div className="filter-sidebar__checkboxes">
+                {CATEGORIES.map((category) => (
+                  <CheckboxFilter
+                    key={category}
+                    id={`category-${category}`}
+                    label={category}
+                    checked={filters.categories.includes(category)}
+                    count={facetCounts?.categories[category]}
+                    onChange={() => handleCategoryToggle(category)}
+                  />
+                ))}
+              </div>
+            </FilterSection>
+          )}
 
           <FilterSection
-            title="Price Range"
+            title={t('filters.priceRange')}
             id="filter-price"
             isExpanded={expandedSections.price}
             onToggle={() => toggleSection('price')}
           >
             <RangeSlider
               id="price-range"
-              label="Price"
+              label={t('filters.price')}
               min={PRICE_RANGE.min}
               max={PRICE_RANGE.max}
               step={10}
               value={filters.priceRange}
               onChange={handlePriceChange}
-              formatValue={(v) => `$${v}`}
+              formatValue={(v) => formatPrice(v, LIST_PRICE_FORMAT)}
             />
           </FilterSection>
 
           <FilterSection
-            title="Polygon Count"
+            title={t('filters.polygonCount')}
             id="filter-polycount"
             isExpanded={expandedSections.polyCount}
             onToggle={() => toggleSection('polyCount')}
           >
             <RangeSlider
               id="poly-count-range"
-              label="Polygon count"
+              label={t('filters.polygonCountLabel')}
               min={POLY_COUNT_RANGE.min}
               max={POLY_COUNT_RANGE.max}
               step={5000}
               value={filters.polyCountRange}
               onChange={handlePolyCountChange}
-              formatValue={(v) => v.toLocaleString()}
+              formatValue={(v) => v.toLocaleString(locale)}
             />
           </FilterSection>
 
           <FilterSection
-            title="File Format"
+            title={t('filters.fileFormat')}
             id="filter-formats"
             isExpanded={expandedSections.format}
             onToggle={() => toggleSection('format')}
@@ -193,11 +240,54 @@ const FilterSidebar = memo(function FilterSidebar({
                   id={`format-${format}`}
                   label={format}
                   checked={filters.fileFormats.includes(format)}
+                  count={facetCounts?.fileFormats[format]}
                   onChange={() => handleFormatToggle(format)}
                 />
               ))}
             </div>
           </FilterSection>
+
+          <FilterSection
+            title={t('filters.specs')}
+            id="filter-specs"
+            isExpanded={expandedSections.specs}
+            onToggle={() => toggleSection('specs')}
+          >
+            <div className="filter-sidebar__checkboxes">
+              {SPEC_FEATURES.map((feature) => (
+                <ToggleFilter
+                  key={feature}
+                  id={`spec-${feature}`}
+                  label={t(`specs.${feature}`)}
+                  checked={filters.features.includes(feature)}
+                  count={facetCounts?.features[feature]}
+                  onChange={() => handleFeatureToggle(feature)}
+                />
+              ))}
+            </div>
+            <SelectFilter
+              id="spec-texture-resolution"
+              label={t('specs.textureResolution')}
+              value={filters.minTextureResolution}
+              anyLabel={t('filters.any')}
+              options={TEXTURE_RESOLUTIONS.map((resolution) => ({
+                value: resolution,
+                label: t('filters.atLeast', { value: resolution }),
+              }))}
+              onChange={handleTextureChange}
+            />
+            <SelectFilter
+              id="spec-lod-count"
+              label={t('specs.lodCount')}
+              value={filters.minLodCount ? String(filters.minLodCount) : null}
+              anyLabel={t('filters.any')}
+              options={LOD_COUNT_OPTIONS.map((count) => ({
+                value: String(count),
+                label: t('filters.lodAtLeast', { count }),
+              }))}
+              onChange={handleLodChange}
+            />
+          </FilterSection>
         </div>
 
         <div
@@ -1,25 +1,52 @@
 import React, { memo } from 'react';
+import { useI18n } from '../../../context/I18nContext';
 import { CheckIcon } from '../../Icons';
 
+/**
+ * Checkbox option for a filter facet. When `count` is given it is shown
+ * next to the label, and an unchecked option with no matches is disabled.
+ */
 const CheckboxFilter = memo(function CheckboxFilter({
   id,
   label,
   checked,
   onChange,
+  count,
 }) {
+  const { t } = useI18n();
+  const hasCount = typeof count === 'number';
+  const isDisabled = hasCount && count === 0 && !checked;
+  const countId = `${id}-count`;
+
   return (
-    <label className="checkbox-filter" htmlFor={id}>
+    <label
+      className={`checkbox-filter ${
+        isDisabled ? 'checkbox-filter--disabled' : ''
+      }`}
+      htmlFor={id}
+    >
       <input
         type="checkbox"
         id={id}
         className="checkbox-filter__input"
         checked={checked}
         onChange={onChange}
+        disabled={isDisabled}
+        aria-label={hasCount ? label : undefined}
+        aria-describedby={hasCount ? countId : undefined}
       />
       <span className="checkbox-filter__box" aria-hidden="true">
         <CheckIcon />
       </span>
       <span className="checkbox-filter__label">{label}</span>
+      {hasCount && (
+        <span id={countId} className="checkbox-filter__count">
+          {count}
+          <span className="visually-hidden">
+            {t('filters.modelCount', { count })}
+          </span>
+        </span>
+      )}
     </label>
   );
 });
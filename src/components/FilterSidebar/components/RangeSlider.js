@@ -1,4 +1,5 @@
 import { useState, useCallback, useEffect, memo } from 'react';
+import { useI18n } from '../../../context/I18nContext';
 
 const RangeSlider = memo(function RangeSlider({
   id,
@@ -10,6 +11,7 @@ const RangeSlider = memo(function RangeSlider({
   formatValue = (v) => v,
   step = 1,
 }) {
+  const { t } = useI18n();
   const [localValue, setLocalValue] = useState(value);
 
   const handleMinChange = useCallback(
@@ -44,6 +46,11 @@ const RangeSlider = memo(function RangeSlider({
 
   const minPercent = ((localValue[0] - min) / (max - min)) * 100;
   const maxPercent = ((localValue[1] - min) / (max - min)) * 100;
+  // The top of the track has no upper limit (see filterProducts)
+  const maxLabel =
+    localValue[1] >= max
+      ? t('filters.andAbove', { value: formatValue(localValue[1]) })
+      : formatValue(localValue[1]);
 
   return (
     <div className="range-slider" role="group" aria-labelledby={`${id}-label`}>
@@ -68,7 +75,7 @@ const RangeSlider = memo(function RangeSlider({
           step={step}
           value={localValue[0]}
           onChange={handleMinChange}
-          aria-label={`Minimum ${label}`}
+          aria-label={t('filters.minimum', { label })}
           aria-valuemin={min}
           aria-valuemax={max}
           aria-valuenow={localValue[0]}
@@ -82,10 +89,11 @@ const RangeSlider = memo(function RangeSlider({
           step={step}
           value={localValue[1]}
           onChange={handleMaxChange}
-          aria-label={`Maximum ${label}`}
+          aria-label={t('filters.maximum', { label })}
           aria-valuemin={min}
           aria-valuemax={max}
           aria-valuenow={localValue[1]}
+          aria-valuetext={String(maxLabel)}
         />
       </div>
 
@@ -94,9 +102,7 @@ const RangeSlider = memo(function RangeSlider({
           {formatValue(localValue[0])}
         </span>
         <span className="range-slider__separator" aria-hidden="true" />
-        <span className="range-slider__value">
-          {formatValue(localValue[1])}
-        </span>
+        <span className="range-slider__value">{maxLabel}</span>
       </div>
     </div>
   );
@@ -0,0 +1,37 @@
+import React, { memo } from 'react';
+
+/**
+ * Labelled select for a single-value filter. The empty option (`anyLabel`)
+ * clears the filter, which `onChange` receives as `null`.
+ */
+const SelectFilter = memo(function SelectFilter({
+  id,
+  label,
+  value,
+  options,
+  anyLabel,
+  onChange,
+}) {
+  return (
+    <div className="select-filter">
+      <label htmlFor={id} className="select-filter__label">
+        {label}
+      </label>
+      <select
+        id={id}
+        className="select-filter__select"
+        value={value ?? ''}
+        onChange={(e) => onChange(e.target.value || null)}
+      >
+        <option value="">{anyLabel}</option>
+        {options.map((option) => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+});
+
+export default SelectFilter;
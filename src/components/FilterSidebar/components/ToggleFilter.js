@@ -0,0 +1,53 @@
+import React, { memo } from 'react';
+import { useI18n } from '../../../context/I18nContext';
+
+/**
+ * On/off switch for a boolean filter. Like `CheckboxFilter`, a `count` is
+ * shown next to the label and an unchecked switch with no matches is
+ * disabled.
+ */
+const ToggleFilter = memo(function ToggleFilter({
+  id,
+  label,
+  checked,
+  onChange,
+  count,
+}) {
+  const { t } = useI18n();
+  const hasCount = typeof count === 'number';
+  const isDisabled = hasCount && count === 0 && !checked;
+  const countId = `${id}-count`;
+
+  return (
+    <label
+      className={`toggle-filter ${isDisabled ? 'toggle-filter--disabled' : ''}`}
+      htmlFor={id}
+    >
+      <span className="toggle-filter__label">{label}</span>
+      {hasCount && (
+        <span id={countId} className="toggle-filter__count">
+          {count}
+          <span className="visually-hidden">
+            {t('filters.modelCount', { count })}
+          </span>
+        </span>
+      )}
+      <input
+        type="checkbox"
+        role="switch"
+        id={id}
+        className="toggle-filter__input"
+        checked={checked}
+        onChange={onChange}
+        disabled={isDisabled}
+        aria-label={hasCount ? label : undefined}
+        aria-describedby={hasCount ? countId : undefined}
+      />
+      <span className="toggle-filter__track" aria-hidden="true">
+        <span className="toggle-filter__thumb" />
+      </span>
+    </label>
+  );
+});
+
+export default ToggleFilter;
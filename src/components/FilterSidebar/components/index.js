@@ -1,3 +1,5 @@
 export { default as FilterSection } from './FilterSection';
 export { default as CheckboxFilter } from './CheckboxFilter';
 export { default as RangeSlider } from './RangeSlider';
+export { default as ToggleFilter } from './ToggleFilter';
+export { default as SelectFilter } from './SelectFilter';
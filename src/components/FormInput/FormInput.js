@@ -11,6 +11,7 @@ import './FormInput.scss';
  * - Label with required indicator
  * - Error state with accessible error messages
  * - Support for all standard input attributes
+ * - Renders a textarea for multi-line values
  * - Forwards refs for parent component access (e.g., focus management)
  */
 const FormInput = memo(
@@ -29,11 +30,15 @@ const FormInput = memo(
       pattern,
       inputMode,
       disabled = false,
+      multiline = false,
+      rows = 4,
       className = '',
       ...props
     },
     ref
   ) {
+    const Control = multiline ? 'textarea' : 'input';
+
     return (
       <div
         className={`form-field ${error ? 'form-field--error' : ''} ${className}`}
@@ -46,11 +51,12 @@ const FormInput = memo(
             </span>
           )}
         </label>
-        <input
+        <Control
           ref={ref}
           id={id}
           name={id}
-          type={type}
+          type={multiline ? undefined : type}
+          rows={multiline ? rows : undefined}
           value={value}
           onChange={(e) => onChange(id, e.target.value)}
           placeholder={placeholder}
@@ -90,6 +96,8 @@ FormInput.propTypes = {
   pattern: PropTypes.string,
   inputMode: PropTypes.string,
   disabled: PropTypes.bool,
+  multiline: PropTypes.bool,
+  rows: PropTypes.number,
   className: PropTypes.string,
 };
 
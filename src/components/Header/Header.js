@@ -1,20 +1,22 @@
 import { Link } from 'react-router-dom';
 import { useCart } from '../../context/CartContext';
-import { LogoIcon, CartIcon } from '../Icons';
+import { useWishlist } from '../../context/WishlistContext';
+import { useCurrency } from '../../context/CurrencyContext';
+import { useI18n } from '../../context/I18nContext';
+import { LogoIcon, CartIcon, HeartIcon } from '../Icons';
 import './Header.scss';
 
 function Header() {
   const { cartCount } = useCart();
+  const { wishlistCount } = useWishlist();
+  const { currency, currencies, setCurrency } = useCurrency();
+  const { locale, locales, setLocale, t } = useI18n();
 
   return (
     <header className="header" role="banner">
-      <nav className="header__nav" aria-label="Main navigation">
+      <nav className="header__nav" aria-label={t('header.mainNavigation')}>
         <div className="header__brand">
-          <Link
-            to="/"
-            className="header__logo"
-            aria-label="NEXUS3D - Go to homepage"
-          >
+          <Link to="/" className="header__logo" aria-label={t('header.home')}>
             <span className="header__logo-icon" aria-hidden="true">
               <LogoIcon />
             </span>
@@ -28,17 +30,59 @@ function Header() {
         <ul className="header__nav-list">
           <li className="header__nav-item">
             <Link to="/" className="header__nav-link">
-              Browse
+              {t('header.browse')}
+            </Link>
+          </li>
+          <li className="header__nav-item">
+            <select
+              className="header__language"
+              aria-label={t('header.language')}
+              value={locale}
+              onChange={(e) => setLocale(e.target.value)}
+            >
+              {locales.map(({ code, name }) => (
+                <option key={code} value={code} title={name}>
+                  {code.toUpperCase()}
+                </option>
+              ))}
+            </select>
+          </li>
+          <li className="header__nav-item">
+            <select
+              className="header__currency"
+              aria-label={t('header.currency')}
+              value={currency}
+              onChange={(e) => setCurrency(e.target.value)}
+            >
+              {currencies.map(({ code, name }) => (
+                <option key={code} value={code} title={name}>
+                  {code}
+                </option>
+              ))}
+            </select>
+          </li>
+          <li className="header__nav-item">
+            <Link
+              to="/wishlist"
+              className="header__wishlist-btn"
+              aria-label={t('header.wishlist', { count: wishlistCount })}
+            >
+              <HeartIcon className="header__wishlist-icon" />
+              {wishlistCount > 0 && (
+                <span className="header__cart-badge" aria-hidden="true">
+                  {wishlistCount > 99 ? '99+' : wishlistCount}
+                </span>
+              )}
             </Link>
           </li>
           <li className="header__nav-item">
             <Link
               to="/cart"
               className="header__cart-btn"
-              aria-label={`Shopping cart with ${cartCount} items`}
+              aria-label={t('header.cart', { count: cartCount })}
             >
               <CartIcon className="header__cart-icon" />
-              <span className="header__cart-text">Cart</span>
+              <span className="header__cart-text">{t('header.cartText')}</span>
               {cartCount > 0 && (
                 <span className="header__cart-badge" aria-hidden="true">
                   {cartCount > 99 ? '99+' : cartCount}
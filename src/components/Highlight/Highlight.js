@@ -0,0 +1,45 @@
+import { memo, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { getHighlightSegments } from '../../utils/search';
+import './Highlight.scss';
+
+/**
+ * Highlight Component
+ *
+ * Renders text with the words matching a search query wrapped in <mark>.
+ * Matching uses the same tokenizing and typo tolerance as the catalog
+ * search, so "helmit" highlights "Helmet".
+ *
+ * Features:
+ * - Renders plain text when there is no query
+ * - Keeps the full text content, so accessible names are unchanged
+ */
+const Highlight = memo(function Highlight({ text = '', query = '' }) {
+  const segments = useMemo(
+    () => getHighlightSegments(text, query),
+    [text, query]
+  );
+
+  return (
+    <>
+      {segments.map((segment, index) =>
+        segment.highlight ? (
+          <mark key={index} className="highlight">
+            {segment.text}
+          </mark>
+        ) : (
+          segment.text
+        )
+      )}
+    </>
+  );
+});
+
+Highlight.displayName = 'Highlight';
+
+Highlight.propTypes = {
+  text: PropTypes.string,
+  query: PropTypes.string,
+};
+
+export default Highlight;
@@ -23,8 +23,12 @@ export {
   TagIcon,
   CreditCardIcon,
   EmptyCartIcon,
+  HeartIcon,
+  CompareIcon,
   LogoIcon,
   MinusIcon,
+  PauseIcon,
+  PlayIcon,
   VisaIcon,
   MastercardIcon,
   AmexIcon,
@@ -6,7 +6,7 @@ import React, {
   memo,
   useEffect,
 } from 'react';
-import { Canvas } from '@react-three/fiber';
+import { Canvas, useThree } from '@react-three/fiber';
 import {
   OrbitControls,
   useGLTF,
@@ -17,16 +17,18 @@ import {
   Html,
   useProgress,
 } from '@react-three/drei';
+import { useI18n } from '../../context/I18nContext';
 import './ModelViewer.scss';
 
-function Loader() {
+// Rendered inside the Canvas, so the message comes in as a prop
+function Loader({ label }) {
   const { progress } = useProgress();
   return (
     <Html center>
       <div className="model-viewer__loader" role="status" aria-live="polite">
         <div className="model-viewer__loader-spinner" aria-hidden="true" />
         <span className="model-viewer__loader-text">
-          Loading 3D Model... {progress.toFixed(0)}%
+          {label} {progress.toFixed(0)}%
         </span>
       </div>
     </Html>
@@ -72,7 +74,57 @@ const AnimatedModel = memo(function AnimatedModel({
   );
 });
 
+/**
+ * Connects this viewer's orbit camera to a shared camera sync store
+ * (see cameraSync.js): publishes user moves and applies moves made in the
+ * other viewers.
+ */
+function CameraSyncBridge({ cameraSync }) {
+  const camera = useThree((state) => state.camera);
+  const controls = useThree((state) => state.controls);
+  const idRef = useRef(Symbol('model-viewer'));
+
+  useEffect(() => {
+    if (!controls) return;
+
+    const id = idRef.current;
+    // Applying a remote state fires the controls' change event; don't echo it
+    let isApplying = false;
+
+    const applyState = ({ position, target }) => {
+      isApplying = true;
+      camera.position.fromArray(position);
+      controls.target.fromArray(target);
+      controls.update();
+      isApplying = false;
+    };
+
+    const handleChange = () => {
+      if (isApplying) return;
+      cameraSync.publish(id, {
+        position: camera.position.toArray(),
+        target: controls.target.toArray(),
+      });
+    };
+
+    const initialState = cameraSync.getState();
+    if (initialState) applyState(initialState);
+
+    const unsubscribe = cameraSync.subscribe(id, applyState);
+    controls.addEventListener('change', handleChange);
+
+    return () => {
+      unsubscribe();
+      controls.removeEventListener('change', handleChange);
+    };
+  }, [cameraSync, camera, controls]);
+
+  return null;
+}
+
 function ErrorFallback({ error, onRetry }) {
+  const { t } = useI18n();
+
   return (
     <div className="model-viewer__error" role="alert">
       <div className="model-viewer__error-icon" aria-hidden="true">
@@ -86,9 +138,9 @@ function ErrorFallback({ error, onRetry }) {
           <path d="M12 8v4M12 16h.01" />
         </svg>
       </div>
-      <p className="model-viewer__error-title">Unable to load 3D model</p>
+      <p className="model-viewer__error-title">{t('viewer.loadError')}</p>
       <p className="model-viewer__error-message">
-        {error?.message || 'WebGL may not be supported in your browser'}
+        {error?.message || t('viewer.webglUnsupported')}
       </p>
       {onRetry && (
         <button
@@ -96,7 +148,7 @@ function ErrorFallback({ error, onRetry }) {
           className="model-viewer__error-btn"
           onClick={onRetry}
         >
-          Try Again
+          {t('common.tryAgain')}
         </button>
       )}
     </div>
@@ -129,8 +181,12 @@ const ModelViewer = memo(function ModelViewer({
   productName = '3D Model',
   fallbackImage,
   previewColor = 'linear-gradient(135deg, #4A90E2, #357ABD)',
+  cameraSync = null,
 }) {
-  const [autoRotate, setAutoRotate] = useState(true);
+  const { t } = useI18n();
+  // Synced viewers start still; independent auto-rotation would fight over
+  // the shared camera
+  const [autoRotate, setAutoRotate] = useState(!cameraSync);
   const [wireframe, setWireframe] = useState(false);
   const [isFullscreen, setIsFullscreen] = useState(false);
   const [hasError, setHasError] = useState(false);
@@ -286,7 +342,7 @@ const ModelViewer = memo(function ModelViewer({
       ref={containerRef}
       className={`model-viewer ${isFullscreen ? 'model-viewer--fullscreen' : ''}`}
       role="img"
-      aria-label={`Interactive 3D model of ${productName}. Use mouse to rotate and zoom.`}
+      aria-label={t('viewer.label', { name: productName })}
     >
       <div className="model-viewer__canvas">
         <Canvas
@@ -316,7 +372,7 @@ const ModelViewer = memo(function ModelViewer({
 
           <Environment preset="city" />
 
-          <Suspense fallback={<Loader />}>
+          <Suspense fallback={<Loader label={t('viewer.loadingModel')} />}>
             {model && (
               <AnimatedModel
                 key={model.url}
@@ -336,6 +392,7 @@ const ModelViewer = memo(function ModelViewer({
           </Suspense>
 
           <OrbitControls
+            makeDefault
             autoRotate={autoRotate}
             autoRotateSpeed={2}
             enablePan={true}
@@ -346,31 +403,41 @@ const ModelViewer = memo(function ModelViewer({
             minPolarAngle={Math.PI / 6}
             maxPolarAngle={Math.PI - Math.PI / 6}
           />
+
+          {cameraSync && <CameraSyncBridge cameraSync={cameraSync} />}
         </Canvas>
       </div>
 
       <div
         className="model-viewer__controls"
         role="toolbar"
-        aria-label="3D viewer controls"
+        aria-label={t('viewer.controls')}
       >
         <ControlButton
           icon={icons.rotate}
-          label={autoRotate ? 'Pause rotation' : 'Start rotation'}
+          label={
+            autoRotate ? t('viewer.pauseRotation') : t('viewer.startRotation')
+          }
           active={autoRotate}
           onClick={toggleAutoRotate}
           ariaPressed={autoRotate}
         />
         <ControlButton
           icon={icons.wireframe}
-          label={wireframe ? 'Show textured' : 'Show wireframe'}
+          label={
+            wireframe ? t('viewer.showTextured') : t('viewer.showWireframe')
+          }
           active={wireframe}
           onClick={toggleWireframe}
           ariaPressed={wireframe}
         />
         <ControlButton
           icon={icons.fullscreen}
-          label={isFullscreen ? 'Exit fullscreen' : 'Enter fullscreen'}
+          label={
+            isFullscreen
+              ? t('viewer.exitFullscreen')
+              : t('viewer.enterFullscreen')
+          }
           active={isFullscreen}
           onClick={toggleFullscreen}
           ariaPressed={isFullscreen}
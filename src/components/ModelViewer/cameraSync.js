@@ -0,0 +1,51 @@
+/**
+ * Camera Sync
+ *
+ * A tiny publish/subscribe store that lets several ModelViewers share one
+ * camera. Each viewer publishes its orbit camera (position and target) when
+ * the user moves it and applies what the others publish.
+ *
+ * Kept free of Three.js so it can be created by pages without pulling in the
+ * 3D bundle.
+ *
+ * @returns {Object} { publish, subscribe, getState }
+ */
+export function createCameraSync() {
+  let state = null;
+  const listeners = new Set();
+
+  return {
+    /**
+     * Share a camera state with every other subscriber.
+     * @param {*} sourceId - Identifies the publishing viewer; its own
+     *   listener is skipped
+     * @param {{ position: number[], target: number[] }} nextState
+     */
+    publish(sourceId, nextState) {
+      state = nextState;
+      listeners.forEach((listener) => {
+        if (listener.id !== sourceId) listener.callback(nextState);
+      });
+    },
+
+    /**
+     * @param {*} id - The subscribing viewer
+     * @param {Function} callback - Called with each camera state published
+     *   by another viewer
+     * @returns {Function} Unsubscribe
+     */
+    subscribe(id, callback) {
+      const listener = { id, callback };
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * Last published camera state, so late-mounting viewers can catch up
+     * @returns {{ position: number[], target: number[] }|null}
+     */
+    getState() {
+      return state;
+    },
+  };
+}
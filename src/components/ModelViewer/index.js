@@ -7,6 +7,9 @@
  */
 
 import { lazy, Suspense, memo } from 'react';
+import { useI18n } from '../../context/I18nContext';
+
+export { createCameraSync } from './cameraSync';
 
 // Lazy load the actual ModelViewer component with Three.js
 const ModelViewerImpl = lazy(
@@ -17,6 +20,8 @@ const ModelViewerImpl = lazy(
 function LoadingPlaceholder({
   previewColor = 'linear-gradient(135deg, #4A90E2, #357ABD)',
 }) {
+  const { t } = useI18n();
+
   return (
     <div
       className="model-viewer model-viewer--loading"
@@ -52,7 +57,7 @@ function LoadingPlaceholder({
           }}
           aria-hidden="true"
         />
-        <span>Loading 3D Viewer...</span>
+        <span>{t('viewer.loading')}</span>
       </div>
       <style>{`
         @keyframes spin {
@@ -1,5 +1,6 @@
 import { memo, forwardRef } from 'react';
 import PropTypes from 'prop-types';
+import { useI18n } from '../../context/I18nContext';
 import './OrderSummary.scss';
 
 /**
@@ -16,22 +17,17 @@ import './OrderSummary.scss';
  */
 const OrderSummary = memo(
   forwardRef(function OrderSummary(
-    {
-      title = 'Order Summary',
-      items = [],
-      className = '',
-      children,
-      headingLevel = 2,
-      ...props
-    },
+    { title, items = [], className = '', children, headingLevel = 2, ...props },
     ref
   ) {
+    const { t } = useI18n();
     const HeadingTag = `h${headingLevel}`;
+    const heading = title ?? t('common.orderSummary');
 
     return (
       <div ref={ref} className={`order-summary ${className}`} {...props}>
-        {title && (
-          <HeadingTag className="order-summary__title">{title}</HeadingTag>
+        {heading && (
+          <HeadingTag className="order-summary__title">{heading}</HeadingTag>
         )}
         <div className="order-summary__lines">
           {items.map((item, index) => (
@@ -0,0 +1,119 @@
+import { memo, forwardRef } from 'react';
+import PropTypes from 'prop-types';
+import { useI18n } from '../../context/I18nContext';
+import { ArrowLeftIcon, ArrowRightIcon } from '../Icons';
+import './Pagination.scss';
+
+// Pages shown either side of the current one before collapsing to "…"
+const SIBLING_COUNT = 1;
+
+/**
+ * Page numbers to render, with null marking a collapsed gap.
+ * e.g. page 6 of 10 -> [1, null, 5, 6, 7, null, 10]
+ */
+export const getPageItems = (page, pageCount) => {
+  const items = [];
+
+  for (let n = 1; n <= pageCount; n++) {
+    const isEdge = n === 1 || n === pageCount;
+    const isNearCurrent = Math.abs(n - page) <= SIBLING_COUNT;
+
+    if (isEdge || isNearCurrent) {
+      items.push(n);
+    } else if (items[items.length - 1] !== null) {
+      items.push(null);
+    }
+  }
+
+  return items;
+};
+
+/**
+ * Pagination Component
+ *
+ * Previous/next controls and page numbers for a paged list.
+ *
+ * Features:
+ * - Collapses long page ranges with an ellipsis
+ * - Marks the current page with aria-current
+ * - Renders nothing for a single page
+ * - Forwards refs to the nav element
+ */
+const Pagination = memo(
+  forwardRef(function Pagination(
+    { page, pageCount, onPageChange, ariaLabel, className = '' },
+    ref
+  ) {
+    const { t } = useI18n();
+
+    if (pageCount <= 1) return null;
+
+    return (
+      <nav
+        ref={ref}
+        className={`pagination ${className}`}
+        aria-label={ariaLabel ?? t('pagination.label')}
+      >
+        <button
+          type="button"
+          className="pagination__step"
+          onClick={() => onPageChange(page - 1)}
+          disabled={page <= 1}
+          aria-label={t('pagination.previous')}
+        >
+          <ArrowLeftIcon />
+        </button>
+
+        <ol className="pagination__pages">
+          {getPageItems(page, pageCount).map((item, index) =>
+            item === null ? (
+              <li
+                key={`gap-${index}`}
+                className="pagination__gap"
+                aria-hidden="true"
+              >
+                &hellip;
+              </li>
+            ) : (
+              <li key={item}>
+                <button
+                  type="button"
+                  className={`pagination__page ${
+                    item === page ? 'pagination__page--current' : ''
+                  }`}
+                  onClick={() => onPageChange(item)}
+                  aria-label={t('pagination.page', { page: item })}
+                  aria-current={item === page ? 'page' : undefined}
+                >
+                  {item}
+                </button>
+              </li>
+            )
+          )}
+        </ol>
+
+        <button
+          type="button"
+          className="pagination__step"
+          onClick={() => onPageChange(page + 1)}
+          disabled={page >= pageCount}
+          aria-label={t('pagination.next')}
+        >
+          <ArrowRightIcon />
+        </button>
+      </nav>
+    );
+  })
+);
+
+Pagination.displayName = 'Pagination';
+
+Pagination.propTypes = {
+  page: PropTypes.number.isRequired,
+  pageCount: PropTypes.number.isRequired,
+  onPageChange: PropTypes.func.isRequired,
+  ariaLabel: PropTypes.string,
+  className: PropTypes.string,
+};
+
+export default Pagination;
@@ -0,0 +1 @@
+export { default, getPageItems } from './Pagination';
@@ -1,14 +1,40 @@
 import { memo, lazy, Suspense, useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { useCart } from '../../context/CartContext';
+import { useCompare } from '../../context/CompareContext';
+import { useCurrency } from '../../context/CurrencyContext';
+import { useI18n } from '../../context/I18nContext';
+import { LIST_PRICE_FORMAT } from '../../utils/currency';
 import { useExperiment, EXPERIMENTS } from '../../context/ABTestContext';
-import { CartIcon, PlusIcon, StarIcon, LayersIcon } from '../Icons';
+import {
+  CartIcon,
+  PlusIcon,
+  StarIcon,
+  LayersIcon,
+  CompareIcon,
+} from '../Icons';
+import Highlight from '../Highlight';
+import WishlistButton from '../WishlistButton';
 import './ProductCard.scss';
 
 const ModelPreview = lazy(() => import('../ModelPreview'));
 
-const ProductCard = memo(function ProductCard({ product, index = 0 }) {
+const ProductCard = memo(function ProductCard({
+  product,
+  index = 0,
+  animate = true,
+  highlight = '',
+  position,
+  setSize,
+}) {
   const { addToCart } = useCart();
+  const { formatPrice } = useCurrency();
+  const { locale, t } = useI18n();
+  const price = formatPrice(product.price, LIST_PRICE_FORMAT);
+  const { isInCompare, isCompareFull, toggleCompare } = useCompare();
+  const isCompared = isInCompare(product.id);
+  // A full tray can still drop this product, but not take it
+  const isCompareBlocked = isCompareFull && !isCompared;
   const [enable3D, setEnable3D] = useState(false);
 
   const { variant, trackConversion } = useExperiment(
@@ -37,6 +63,11 @@ const ProductCard = memo(function ProductCard({ product, index = 0 }) {
     addToCart(product);
   };
 
+  const handleToggleCompare = () => {
+    if (isCompareBlocked) return;
+    toggleCompare(product);
+  };
+
   const animationDelay = `${index * 0.05}s`;
 
   const renderCTAButton = () => {
@@ -47,11 +78,11 @@ const ProductCard = memo(function ProductCard({ product, index = 0 }) {
             type="button"
             className="product-card__btn product-card__btn--quick"
             onClick={handleAddToCart}
-            aria-label={`Quick add ${product.name} to cart`}
+            aria-label={t('productCard.quickAddLabel', { name: product.name })}
             data-testid="product-card-cta"
           >
             <PlusIcon className="product-card__btn-icon" />
-            Quick Add
+            {t('productCard.quickAdd')}
           </button>
         );
 
@@ -61,13 +92,18 @@ const ProductCard = memo(function ProductCard({ product, index = 0 }) {
             type="button"
             className="product-card__btn product-card__btn--price"
             onClick={handleAddToCart}
-            aria-label={`Add ${product.name} to cart for $${product.price}`}
+            aria-label={t('productCard.addToCartLabel', {
+              name: product.name,
+              price,
+            })}
             data-testid="product-card-cta"
           >
             <CartIcon className="product-card__btn-icon" />
-            <span className="product-card__btn-text">Add</span>
+            <span className="product-card__btn-text">
+              {t('productCard.add')}
+            </span>
             <span className="product-card__btn-separator">•</span>
-            <span className="product-card__btn-price">${product.price}</span>
+            <span className="product-card__btn-price">{price}</span>
           </button>
         );
 
@@ -77,11 +113,14 @@ const ProductCard = memo(function ProductCard({ product, index = 0 }) {
             type="button"
             className="product-card__btn"
             onClick={handleAddToCart}
-            aria-label={`Add ${product.name} to cart for $${product.price}`}
+            aria-label={t('productCard.addToCartLabel', {
+              name: product.name,
+              price,
+            })}
             data-testid="product-card-cta"
           >
             <CartIcon className="product-card__btn-icon" />
-            Add to Cart
+            {t('productCard.addToCart')}
           </button>
         );
     }
@@ -89,17 +128,21 @@ const ProductCard = memo(function ProductCard({ product, index = 0 }) {
 
   return (
     <article
-      className={`product-card product-card--cta-${variant}`}
+      className={`product-card product-card--cta-${variant} ${
+        animate ? '' : 'product-card--static'
+      }`}
       style={{ '--animation-delay': animationDelay }}
       itemScope
       itemType="https://schema.org/Product"
       role="listitem"
+      aria-posinset={position}
+      aria-setsize={setSize}
       data-variant={variant}
     >
       <Link
         to={`/products/${product.id}`}
         className="product-card__link"
-        aria-label={`View ${product.name} details - $${product.price}`}
+        aria-label={t('productCard.viewDetails', { name: product.name, price })}
       >
         <div className="product-card__preview">
           {product.model && enable3D ? (
@@ -127,7 +170,10 @@ const ProductCard = memo(function ProductCard({ product, index = 0 }) {
                 model={product.model}
                 fallbackImage={product.image}
                 previewColor={product.previewColor}
-                alt={`${product.name} - ${product.category} 3D model`}
+                alt={t('productCard.imageAlt', {
+                  name: product.name,
+                  category: product.category,
+                })}
               />
             </Suspense>
           ) : (
@@ -148,7 +194,10 @@ const ProductCard = memo(function ProductCard({ product, index = 0 }) {
               {product.image && (
                 <img
                   src={product.image}
-                  alt={`${product.name} - ${product.category} 3D model`}
+                  alt={t('productCard.imageAlt', {
+                    name: product.name,
+                    category: product.category,
+                  })}
                   className="product-card__image"
                   loading="lazy"
                   decoding="async"
@@ -158,41 +207,50 @@ const ProductCard = memo(function ProductCard({ product, index = 0 }) {
             </>
           )}
 
-          <div
-            className="product-card__rating"
-            aria-label={`Rating: ${product.rating} out of 5 stars`}
-          >
-            <StarIcon className="product-card__rating-star" />
-            <span
-              itemProp="aggregateRating"
-              itemScope
-              itemType="https://schema.org/AggregateRating"
+          {/* Rated from the product's reviews, like its product page */}
+          {product.reviewCount > 0 && (
+            <div
+              className="product-card__rating"
+              aria-label={t('productCard.rating', {
+                rating: product.rating,
+                count: product.reviewCount,
+              })}
             >
-              <meta itemProp="ratingValue" content={product.rating} />
-              <meta itemProp="bestRating" content="5" />
-              {product.rating}
-            </span>
-          </div>
+              <StarIcon className="product-card__rating-star" />
+              <span
+                itemProp="aggregateRating"
+                itemScope
+                itemType="https://schema.org/AggregateRating"
+              >
+                <meta itemProp="ratingValue" content={product.rating} />
+                <meta itemProp="bestRating" content="5" />
+                <meta itemProp="reviewCount" content={product.reviewCount} />
+                {product.rating}
+              </span>
+            </div>
+          )}
         </div>
 
         <div className="product-card__content">
           <p className="product-card__category">{product.category}</p>
 
           <h3 className="product-card__name" itemProp="name">
-            {product.name}
+            <Highlight text={product.name} query={highlight} />
           </h3>
 
           <p className="product-card__description" itemProp="description">
-            {product.description}
+            <Highlight text={product.description} query={highlight} />
           </p>
 
           <div className="product-card__specs">
             <span
               className="product-card__spec"
-              aria-label={`${product.polyCount.toLocaleString()} polygons`}
+              aria-label={t('productCard.polygons', {
+                count: product.polyCount.toLocaleString(locale),
+              })}
             >
               <LayersIcon className="product-card__spec-icon" />
-              {product.polyCount.toLocaleString()}
+              {product.polyCount.toLocaleString(locale)}
             </span>
             <span className="product-card__spec product-card__spec--format">
               {product.fileFormat[0]}
@@ -208,7 +266,7 @@ const ProductCard = memo(function ProductCard({ product, index = 0 }) {
             >
               <meta itemProp="priceCurrency" content={product.currency} />
               <span itemProp="price" content={product.price}>
-                ${product.price}
+                {price}
               </span>
               <meta
                 itemProp="availability"
@@ -219,7 +277,26 @@ const ProductCard = memo(function ProductCard({ product, index = 0 }) {
         </div>
       </Link>
 
-      <div className="product-card__cta">{renderCTAButton()}</div>
+      <WishlistButton product={product} className="product-card__wishlist" />
+
+      <div className="product-card__cta">
+        {renderCTAButton()}
+        <button
+          type="button"
+          className={`product-card__compare ${isCompared ? 'product-card__compare--active' : ''}`}
+          onClick={handleToggleCompare}
+          aria-pressed={isCompared}
+          aria-disabled={isCompareBlocked || undefined}
+          aria-label={
+            isCompareBlocked
+              ? t('productCard.compareFullLabel', { name: product.name })
+              : t('productCard.compareLabel', { name: product.name })
+          }
+        >
+          <CompareIcon className="product-card__compare-icon" />
+          {t('productCard.compare')}
+        </button>
+      </div>
 
       <div className="product-card__hover-overlay" aria-hidden="true" />
     </article>
@@ -0,0 +1,67 @@
+import { memo, forwardRef, useId } from 'react';
+import PropTypes from 'prop-types';
+import ProductCard from '../ProductCard';
+import './ProductRail.scss';
+
+/**
+ * ProductRail Component
+ *
+ * A titled, horizontally scrolling row of product cards, used for secondary
+ * product lists such as "Recently Viewed".
+ *
+ * Features:
+ * - Renders nothing when there are no products
+ * - Keeps list semantics; cards report their position in the rail
+ * - Optional action (e.g. a "Clear" button) next to the title
+ * - Forwards refs to the section element
+ */
+const ProductRail = memo(
+  forwardRef(function ProductRail(
+    { title, products, action, headingLevel = 2, className = '' },
+    ref
+  ) {
+    const titleId = useId();
+    const HeadingTag = `h${headingLevel}`;
+
+    if (products.length === 0) return null;
+
+    return (
+      <section
+        ref={ref}
+        className={`product-rail ${className}`}
+        aria-labelledby={titleId}
+      >
+        <div className="product-rail__header">
+          <HeadingTag id={titleId} className="product-rail__title">
+            {title}
+          </HeadingTag>
+          {action}
+        </div>
+
+        <div className="product-rail__list" role="list" aria-label={title}>
+          {products.map((product, index) => (
+            <ProductCard
+              key={product.id}
+              product={product}
+              index={index}
+              position={index + 1}
+              setSize={products.length}
+            />
+          ))}
+        </div>
+      </section>
+    );
+  })
+);
+
+ProductRail.displayName = 'ProductRail';
+
+ProductRail.propTypes = {
+  title: PropTypes.string.isRequired,
+  products: PropTypes.arrayOf(PropTypes.object).isRequired,
+  action: PropTypes.node,
+  headingLevel: PropTypes.oneOf([2, 3, 4]),
+  className: PropTypes.string,
+};
+
+export default ProductRail;
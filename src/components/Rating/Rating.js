@@ -12,6 +12,7 @@ import './Rating.scss';
  * Features:
  * - Configurable max rating (default: 5)
  * - Optional label/subtitle text
+ * - Optional review count for structured data
  * - Schema.org structured data support
  * - Accessible with proper ARIA labels
  * - Forwards refs for parent component access
@@ -21,6 +22,7 @@ const Rating = memo(
     {
       value,
       maxValue = 5,
+      count,
       label,
       showValue = true,
       size = 'md',
@@ -40,6 +42,7 @@ const Rating = memo(
       >
         <meta itemProp="ratingValue" content={value} />
         <meta itemProp="bestRating" content={maxValue} />
+        {count !== undefined && <meta itemProp="reviewCount" content={count} />}
         <div className="rating__stars">
           <StarIcon className="rating__icon" />
           {showValue && <span className="rating__value">{value}</span>}
@@ -55,6 +58,7 @@ Rating.displayName = 'Rating';
 Rating.propTypes = {
   value: PropTypes.number.isRequired,
   maxValue: PropTypes.number,
+  count: PropTypes.number,
   label: PropTypes.string,
   showValue: PropTypes.bool,
   size: PropTypes.oneOf(['sm', 'md', 'lg']),
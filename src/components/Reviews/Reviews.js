@@ -0,0 +1,152 @@
+import { memo, forwardRef, useId } from 'react';
+import PropTypes from 'prop-types';
+import { REVIEW_SORT_OPTIONS } from '../../data/reviews';
+import { useI18n } from '../../context/I18nContext';
+import { AlertIcon } from '../Icons';
+import EmptyState from '../EmptyState';
+import Pagination from '../Pagination';
+import { RatingBreakdown, ReviewList, ReviewForm } from './components';
+import './Reviews.scss';
+
+/**
+ * Reviews Component
+ *
+ * Customer reviews for a product: the rating breakdown, a sortable and paged
+ * review list, and a form for posting a new review. Data and actions come
+ * from the page (see `useProductReviews`).
+ *
+ * Features:
+ * - Star histogram for the product's aggregate rating
+ * - Sort select and pagination for the review list
+ * - Validated submission form with per-field errors
+ * - Error state with retry
+ * - Forwards refs to the section element
+ */
+const Reviews = memo(
+  forwardRef(function Reviews(
+    {
+      reviews,
+      summary,
+      sort,
+      onSortChange,
+      page,
+      pageCount,
+      onPageChange,
+      onSubmit,
+      isLoading = false,
+      error = null,
+      onRetry,
+      className = '',
+    },
+    ref
+  ) {
+    const { t } = useI18n();
+    const titleId = useId();
+    const sortId = useId();
+
+    const renderList = () => {
+      if (error) {
+        return (
+          <EmptyState
+            icon={<AlertIcon />}
+            title={t(error)}
+            actionLabel={t('common.tryAgain')}
+            onAction={onRetry}
+            headingLevel={3}
+          />
+        );
+      }
+
+      if (isLoading && reviews.length === 0) {
+        return (
+          <p className="reviews__status" role="status">
+            {t('reviews.loading')}
+          </p>
+        );
+      }
+
+      if (summary.count === 0) {
+        return <p className="reviews__empty">{t('reviews.empty')}</p>;
+      }
+
+      return (
+        <>
+          <ReviewList reviews={reviews} />
+          <Pagination
+            page={page}
+            pageCount={pageCount}
+            onPageChange={onPageChange}
+            ariaLabel={t('reviews.pages')}
+            className="reviews__pagination"
+          />
+        </>
+      );
+    };
+
+    return (
+      <section
+        ref={ref}
+        className={`reviews ${className}`}
+        aria-labelledby={titleId}
+        aria-busy={isLoading}
+      >
+        <h2 id={titleId} className="reviews__title">
+          {t('reviews.title')}
+        </h2>
+
+        <div className="reviews__layout">
+          <aside className="reviews__aside">
+            <RatingBreakdown summary={summary} />
+            <ReviewForm onSubmit={onSubmit} />
+          </aside>
+
+          <div className="reviews__main">
+            {summary.count > 1 && !error && (
+              <div className="reviews__toolbar">
+                <label htmlFor={sortId} className="reviews__sort-label">
+                  {t('reviews.sortLabel')}
+                </label>
+                <select
+                  id={sortId}
+                  className="reviews__sort-select"
+                  value={sort}
+                  onChange={(e) => onSortChange(e.target.value)}
+                >
+                  {REVIEW_SORT_OPTIONS.map((option) => (
+                    <option key={option} value={option}>
+                      {t(`reviews.sort.${option}`)}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+            {renderList()}
+          </div>
+        </div>
+      </section>
+    );
+  })
+);
+
+Reviews.displayName = 'Reviews';
+
+Reviews.propTypes = {
+  reviews: PropTypes.arrayOf(PropTypes.object).isRequired,
+  summary: PropTypes.shape({
+    average: PropTypes.number.isRequired,
+    count: PropTypes.number.isRequired,
+    breakdown: PropTypes.object.isRequired,
+  }).isRequired,
+  sort: PropTypes.oneOf(REVIEW_SORT_OPTIONS).isRequired,
+  onSortChange: PropTypes.func.isRequired,
+  page: PropTypes.number.isRequired,
+  pageCount: PropTypes.number.isRequired,
+  onPageChange: PropTypes.func.isRequired,
+  onSubmit: PropTypes.func.isRequired,
+  isLoading: PropTypes.bool,
+  error: PropTypes.string,
+  onRetry: PropTypes.func,
+  className: PropTypes.string,
+};
+
+export default Reviews;
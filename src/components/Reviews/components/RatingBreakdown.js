@@ -0,0 +1,60 @@
+import { memo } from 'react';
+import { useI18n } from '../../../context/I18nContext';
+import { StarIcon } from '../../Icons';
+
+const STAR_VALUES = [5, 4, 3, 2, 1];
+
+/**
+ * Average rating with a histogram of how many reviews gave each star value.
+ */
+const RatingBreakdown = memo(function RatingBreakdown({ summary }) {
+  const { t } = useI18n();
+  const { average, count, breakdown } = summary;
+
+  return (
+    <div className="rating-breakdown">
+      <div className="rating-breakdown__overview">
+        <p className="rating-breakdown__average">
+          <StarIcon className="rating-breakdown__icon" />
+          <span aria-hidden="true">{average}</span>
+          <span className="visually-hidden">
+            {t('reviews.average', { average })}
+          </span>
+        </p>
+        <p className="rating-breakdown__count">
+          {t('reviews.count', { count })}
+        </p>
+      </div>
+      <ul
+        className="rating-breakdown__list"
+        aria-label={t('reviews.breakdown')}
+      >
+        {STAR_VALUES.map((stars) => {
+          const share = count > 0 ? (breakdown[stars] / count) * 100 : 0;
+
+          return (
+            <li key={stars} className="rating-breakdown__row">
+              <span className="rating-breakdown__label">
+                {t('reviews.stars', { count: stars })}
+              </span>
+              <span className="rating-breakdown__bar" aria-hidden="true">
+                <span
+                  className="rating-breakdown__fill"
+                  style={{ width: `${share}%` }}
+                />
+              </span>
+              <span className="rating-breakdown__value" aria-hidden="true">
+                {breakdown[stars]}
+              </span>
+              <span className="visually-hidden">
+                {t('reviews.count', { count: breakdown[stars] })}
+              </span>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+});
+
+export default RatingBreakdown;
@@ -0,0 +1,168 @@
+import { useState, useCallback, useId, memo } from 'react';
+import { useI18n } from '../../../context/I18nContext';
+import { REVIEW_LIMITS } from '../../../data/reviews';
+import { StarIcon } from '../../Icons';
+import FormInput from '../../FormInput';
+import Button from '../../Button';
+
+const STARS = [1, 2, 3, 4, 5];
+
+const EMPTY_REVIEW = { rating: 0, author: '', title: '', body: '' };
+
+/**
+ * Review submission form. Field errors come back from `onSubmit`, which
+ * resolves to the review service result; the form clears on success. If
+ * `onSubmit` rejects (e.g. the review adapter is offline) the values are
+ * kept and a general error is shown.
+ */
+const ReviewForm = memo(function ReviewForm({ onSubmit }) {
+  const { t } = useI18n();
+  // Field ids are scoped to this form; FormInput reports changes by id
+  const idPrefix = useId();
+  const fieldId = (field) => `${idPrefix}${field}`;
+  const [values, setValues] = useState(EMPTY_REVIEW);
+  const [errors, setErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [isSubmitted, setIsSubmitted] = useState(false);
+  const [submitFailed, setSubmitFailed] = useState(false);
+
+  const handleChange = useCallback((field, value) => {
+    setValues((prev) => ({ ...prev, [field]: value }));
+    setErrors((prev) => ({ ...prev, [field]: undefined }));
+    setIsSubmitted(false);
+    setSubmitFailed(false);
+  }, []);
+
+  const handleInputChange = useCallback(
+    (id, value) => handleChange(id.slice(idPrefix.length), value),
+    [idPrefix, handleChange]
+  );
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setSubmitFailed(false);
+
+    try {
+      const result = await onSubmit(values);
+      if (result.success) {
+        setValues(EMPTY_REVIEW);
+        setErrors({});
+        setIsSubmitted(true);
+      } else {
+        setErrors(result.errors);
+      }
+    } catch {
+      setSubmitFailed(true);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form
+      className="review-form"
+      onSubmit={handleSubmit}
+      aria-labelledby={fieldId('heading')}
+      noValidate
+    >
+      <h3 id={fieldId('heading')} className="review-form__title">
+        {t('reviews.form.title')}
+      </h3>
+
+      <fieldset
+        className={`review-form__rating ${
+          errors.rating ? 'review-form__rating--error' : ''
+        }`}
+        aria-describedby={errors.rating ? fieldId('rating-error') : undefined}
+      >
+        <legend className="form-field__label">
+          {t('reviews.form.rating')}
+          <span className="form-field__required" aria-hidden="true">
+            *
+          </span>
+        </legend>
+        <div className="review-form__stars">
+          {STARS.map((star) => (
+            <label
+              key={star}
+              className={`review-form__star ${
+                star <= values.rating ? 'review-form__star--active' : ''
+              }`}
+            >
+              <input
+                type="radio"
+                name={fieldId('rating')}
+                value={star}
+                checked={values.rating === star}
+                onChange={() => handleChange('rating', star)}
+                className="visually-hidden"
+              />
+              <StarIcon className="review-form__star-icon" />
+              <span className="visually-hidden">
+                {t('reviews.stars', { count: star })}
+              </span>
+            </label>
+          ))}
+        </div>
+        {errors.rating && (
+          <p
+            id={fieldId('rating-error')}
+            className="form-field__error"
+            role="alert"
+          >
+            {errors.rating}
+          </p>
+        )}
+      </fieldset>
+
+      <FormInput
+        id={fieldId('author')}
+        label={t('reviews.form.author')}
+        value={values.author}
+        onChange={handleInputChange}
+        error={errors.author}
+        maxLength={REVIEW_LIMITS.authorMax}
+        autoComplete="name"
+        required
+      />
+      <FormInput
+        id={fieldId('title')}
+        label={t('reviews.form.reviewTitle')}
+        value={values.title}
+        onChange={handleInputChange}
+        error={errors.title}
+        maxLength={REVIEW_LIMITS.titleMax}
+        required
+      />
+      <FormInput
+        id={fieldId('body')}
+        label={t('reviews.form.body')}
+        value={values.body}
+        onChange={handleInputChange}
+        error={errors.body}
+        maxLength={REVIEW_LIMITS.bodyMax}
+        multiline
+        required
+      />
+
+      <div className="review-form__actions">
+        <Button type="submit" variant="primary" disabled={isSubmitting}>
+          {isSubmitting
+            ? t('reviews.form.submitting')
+            : t('reviews.form.submit')}
+        </Button>
+        <p className="review-form__status" role="status">
+          {isSubmitted ? t('reviews.form.success') : ''}
+        </p>
+        {submitFailed && (
+          <p className="review-form__error" role="alert">
+            {t('reviews.form.submitError')}
+          </p>
+        )}
+      </div>
+    </form>
+  );
+});
+
+export default ReviewForm;
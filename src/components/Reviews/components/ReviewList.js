@@ -0,0 +1,51 @@
+import { memo } from 'react';
+import { useI18n } from '../../../context/I18nContext';
+import { StarIcon } from '../../Icons';
+
+const STARS = [1, 2, 3, 4, 5];
+
+const DATE_FORMAT = { year: 'numeric', month: 'long', day: 'numeric' };
+
+/**
+ * One page of reviews, each with its star rating, author and date.
+ */
+const ReviewList = memo(function ReviewList({ reviews }) {
+  const { t, formatDate } = useI18n();
+
+  return (
+    <ol className="review-list">
+      {reviews.map((review) => (
+        <li key={review.id} className="review-list__item">
+          <article className="review">
+            <header className="review__header">
+              <span
+                className="review__stars"
+                role="img"
+                aria-label={t('reviews.rated', { rating: review.rating })}
+              >
+                {STARS.map((star) => (
+                  <StarIcon
+                    key={star}
+                    className={`review__star ${
+                      star <= review.rating ? 'review__star--filled' : ''
+                    }`}
+                  />
+                ))}
+              </span>
+              <h3 className="review__title">{review.title}</h3>
+            </header>
+            <p className="review__body">{review.body}</p>
+            <footer className="review__meta">
+              <span className="review__author">{review.author}</span>
+              <time className="review__date" dateTime={review.createdAt}>
+                {formatDate(review.createdAt, DATE_FORMAT)}
+              </time>
+            </footer>
+          </article>
+        </li>
+      ))}
+    </ol>
+  );
+});
+
+export default ReviewList;
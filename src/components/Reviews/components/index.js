@@ -0,0 +1,3 @@
+export { default as RatingBreakdown } from './RatingBreakdown';
+export { default as ReviewList } from './ReviewList';
+export { default as ReviewForm } from './ReviewForm';
@@ -0,0 +1,275 @@
+import { memo, forwardRef, useState, useMemo, useCallback, useId } from 'react';
+import PropTypes from 'prop-types';
+import { getSearchSuggestions } from '../../utils/search';
+import { useRecentSearches } from '../../hooks/useRecentSearches';
+import { useI18n } from '../../context/I18nContext';
+import { SearchIcon, CloseIcon } from '../Icons';
+import Highlight from '../Highlight';
+import './SearchAutocomplete.scss';
+
+const GROUP_ORDER = ['recent', 'product', 'category', 'tag'];
+
+/**
+ * SearchAutocomplete Component
+ *
+ * Search input with a suggestion popup, following the ARIA 1.2 combobox
+ * pattern (list autocomplete, focus stays on the input and the active
+ * option is exposed via aria-activedescendant).
+ *
+ * Features:
+ * - Suggests matching products, categories and tags as the user types
+ * - Shows recent searches (kept in localStorage) when the input is empty
+ * - Arrow keys move through options, Enter selects, Escape closes or clears
+ * - Forwards refs to the input element
+ */
+const SearchAutocomplete = memo(
+  forwardRef(function SearchAutocomplete(
+    {
+      value,
+      onChange,
+      onSelect,
+      products = [],
+      placeholder,
+      ariaLabel,
+      className = '',
+    },
+    ref
+  ) {
+    const { t } = useI18n();
+    const [isOpen, setIsOpen] = useState(false);
+    const [activeIndex, setActiveIndex] = useState(-1);
+    const { recentSearches, addRecentSearch, clearRecentSearches } =
+      useRecentSearches();
+    const listboxId = useId();
+
+    const options = useMemo(() => {
+      if (!value.trim()) {
+        return recentSearches.map((term) => ({
+          type: 'recent',
+          value: term,
+          label: term,
+        }));
+      }
+      return getSearchSuggestions(products, value);
+    }, [value, products, recentSearches]);
+
+    const groups = useMemo(
+      () =>
+        GROUP_ORDER.map((type) => ({
+          type,
+          options: options.filter((option) => option.type === type),
+        })).filter((group) => group.options.length > 0),
+      [options]
+    );
+
+    const isExpanded = isOpen && options.length > 0;
+    const showingRecent = !value.trim();
+    const getOptionId = (index) => `${listboxId}-option-${index}`;
+
+    const close = useCallback(() => {
+      setIsOpen(false);
+      setActiveIndex(-1);
+    }, []);
+
+    const selectOption = useCallback(
+      (option) => {
+        addRecentSearch(option.type === 'recent' ? option.value : value);
+        close();
+        onSelect(option);
+      },
+      [value, addRecentSearch, close, onSelect]
+    );
+
+    const handleChange = (e) => {
+      onChange(e.target.value);
+      setIsOpen(true);
+      setActiveIndex(-1);
+    };
+
+    const handleKeyDown = (e) => {
+      switch (e.key) {
+        case 'ArrowDown':
+          e.preventDefault();
+          if (!isExpanded) {
+            setIsOpen(true);
+            setActiveIndex(e.altKey || options.length === 0 ? -1 : 0);
+          } else if (!e.altKey) {
+            setActiveIndex((prev) => (prev + 1) % options.length);
+          }
+          break;
+
+        case 'ArrowUp':
+          e.preventDefault();
+          if (!isExpanded) {
+            setIsOpen(true);
+            setActiveIndex(options.length - 1);
+          } else {
+            setActiveIndex((prev) =>
+              prev <= 0 ? options.length - 1 : prev - 1
+            );
+          }
+          break;
+
+        case 'Enter':
+          if (isExpanded && activeIndex >= 0) {
+            e.preventDefault();
+            selectOption(options[activeIndex]);
+          } else {
+            addRecentSearch(value);
+            close();
+          }
+          break;
+
+        case 'Escape':
+          if (isExpanded) {
+            e.preventDefault();
+            close();
+          } else if (value) {
+            e.preventDefault();
+            onChange('');
+          }
+          break;
+
+        default:
+          break;
+      }
+    };
+
+    const handleClear = () => {
+      onChange('');
+      close();
+    };
+
+    // Keep focus on the input when clicking inside the popup
+    const preventBlur = (e) => e.preventDefault();
+
+    let optionIndex = -1;
+
+    return (
+      <div className={`search-autocomplete ${className}`}>
+        <SearchIcon className="search-autocomplete__icon" />
+        <input
+          ref={ref}
+          type="search"
+          role="combobox"
+          className="search-autocomplete__input"
+          placeholder={placeholder ?? t('search.placeholder')}
+          value={value}
+          onChange={handleChange}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setIsOpen(true)}
+          onBlur={close}
+          onClick={() => setIsOpen(true)}
+          aria-label={ariaLabel ?? t('search.label')}
+          aria-autocomplete="list"
+          aria-expanded={isExpanded}
+          aria-controls={listboxId}
+          aria-activedescendant={
+            isExpanded && activeIndex >= 0
+              ? getOptionId(activeIndex)
+              : undefined
+          }
+          autoComplete="off"
+        />
+        {value && (
+          <button
+            type="button"
+            className="search-autocomplete__clear"
+            onClick={handleClear}
+            aria-label={t('search.clear')}
+          >
+            <CloseIcon />
+          </button>
+        )}
+
+        <div
+          className={`search-autocomplete__popup ${
+            isExpanded ? 'search-autocomplete__popup--open' : ''
+          }`}
+          onMouseDown={preventBlur}
+        >
+          <div
+            id={listboxId}
+            role="listbox"
+            className="search-autocomplete__listbox"
+            aria-label={
+              showingRecent
+                ? t('search.groups.recent')
+                : t('search.suggestions')
+            }
+          >
+            {isExpanded &&
+              groups.map((group) => (
+                <div
+                  key={group.type}
+                  role="group"
+                  className="search-autocomplete__group"
+                  aria-labelledby={`${listboxId}-${group.type}`}
+                >
+                  <div
+                    id={`${listboxId}-${group.type}`}
+                    role="presentation"
+                    className="search-autocomplete__group-label"
+                  >
+                    {t(`search.groups.${group.type}`)}
+                  </div>
+                  {group.options.map((option) => {
+                    optionIndex += 1;
+                    const index = optionIndex;
+                    const isActive = index === activeIndex;
+
+                    return (
+                      <div
+                        key={`${option.type}-${option.value}`}
+                        id={getOptionId(index)}
+                        role="option"
+                        aria-selected={isActive}
+                        aria-label={option.label}
+                        className={`search-autocomplete__option ${
+                          isActive ? 'search-autocomplete__option--active' : ''
+                        }`}
+                        onClick={() => selectOption(option)}
+                        onMouseEnter={() => setActiveIndex(index)}
+                      >
+                        <span className="search-autocomplete__option-label">
+                          {option.type === 'recent' ? (
+                            option.label
+                          ) : (
+                            <Highlight text={option.label} query={value} />
+                          )}
+                        </span>
+                      </div>
+                    );
+                  })}
+                </div>
+              ))}
+          </div>
+
+          {isExpanded && showingRecent && (
+            <button
+              type="button"
+              className="search-autocomplete__clear-recent"
+              onClick={clearRecentSearches}
+            >
+              {t('search.clearRecent')}
+            </button>
+          )}
+        </div>
+      </div>
+    );
+  })
+);
+
+SearchAutocomplete.displayName = 'SearchAutocomplete';
+
+SearchAutocomplete.propTypes = {
+  value: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+  onSelect: PropTypes.func.isRequired,
+  products: PropTypes.arrayOf(PropTypes.object),
+  placeholder: PropTypes.string,
+  ariaLabel: PropTypes.string,
+  className: PropTypes.string,
+};
+
+export default SearchAutocomplete;
@@ -1,38 +1,34 @@
 import { memo, forwardRef } from 'react';
 import PropTypes from 'prop-types';
+import { Link } from 'react-router-dom';
+import { useI18n } from '../../context/I18nContext';
 import './TagList.scss';
 
 /**
  * TagList Component
  *
  * Displays a list of tags/labels with optional prefix (e.g., hashtags).
- * Useful for product tags, categories, keywords, etc.
+ * Each tag links to its `/tags/:tag` landing page.
  *
  * Features:
  * - Configurable tag prefix (default: #)
- * - Optional click handler for interactive tags
+ * - Optional click handler, which renders buttons instead of links
  * - Accessible with proper ARIA labels
  * - Forwards refs for parent component access
  */
 const TagList = memo(
   forwardRef(function TagList(
-    {
-      tags = [],
-      prefix = '#',
-      onClick,
-      ariaLabel = 'Tags',
-      className = '',
-      ...props
-    },
+    { tags = [], prefix = '#', onClick, ariaLabel, className = '', ...props },
     ref
   ) {
+    const { t } = useI18n();
     const isInteractive = typeof onClick === 'function';
 
     return (
       <div
         ref={ref}
         className={`tag-list ${className}`}
-        aria-label={ariaLabel}
+        aria-label={ariaLabel ?? t('common.tags')}
         {...props}
       >
         {tags.map((tag) =>
@@ -47,10 +43,14 @@ const TagList = memo(
               {tag}
             </button>
           ) : (
-            <span key={tag} className="tag-list__tag">
+            <Link
+              key={tag}
+              to={`/tags/${encodeURIComponent(tag)}`}
+              className="tag-list__tag tag-list__tag--interactive"
+            >
               {prefix}
               {tag}
-            </span>
+            </Link>
           )
         )}
       </div>
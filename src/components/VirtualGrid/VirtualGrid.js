@@ -0,0 +1,197 @@
+import {
+  Fragment,
+  memo,
+  forwardRef,
+  useState,
+  useRef,
+  useCallback,
+  useLayoutEffect,
+  useEffect,
+  useImperativeHandle,
+} from 'react';
+import PropTypes from 'prop-types';
+
+// Items rendered before the grid has been measured for the first time
+const INITIAL_ITEM_COUNT = 24;
+
+const UNMEASURED = { mode: 'initial' };
+const NO_LAYOUT = { mode: 'all' };
+
+const hasMoved = (prev, next) =>
+  prev.mode === 'virtual' &&
+  (prev.startRow !== next.startRow || prev.columns !== next.columns);
+
+const isSameWindow = (a, b) =>
+  a.mode === b.mode &&
+  a.columns === b.columns &&
+  a.rowHeight === b.rowHeight &&
+  a.startRow === b.startRow &&
+  a.endRow === b.endRow;
+
+/**
+ * VirtualGrid Component
+ *
+ * Windowed renderer for a CSS grid list. Only the rows near the viewport are
+ * mounted; the rest of the list is represented by top/bottom padding so the
+ * scrollbar and page height stay correct.
+ *
+ * The column count is read from the computed `grid-template-columns` of the
+ * grid itself, so breakpoints stay in the stylesheet, and row height is
+ * measured from the first rendered item. Both are recomputed on scroll and
+ * resize. When the grid has no layout (e.g. a hidden container or a test
+ * environment) every item is rendered.
+ *
+ * Features:
+ * - Keeps role="list" on the grid container
+ * - Tells each item whether it may play its entrance animation: only rows
+ *   shown before the window first moves do, so rows that scroll (back) into
+ *   view appear without replaying it
+ * - Forwards refs to the grid element
+ */
+const VirtualGrid = memo(
+  forwardRef(function VirtualGrid(
+    {
+      items,
+      renderItem,
+      getItemKey,
+      overscanRows = 2,
+      estimatedRowHeight = 480,
+      ariaLabel,
+      className = '',
+    },
+    ref
+  ) {
+    const gridRef = useRef(null);
+    const frameRef = useRef(null);
+    const [windowState, setWindowState] = useState(UNMEASURED);
+
+    useImperativeHandle(ref, () => gridRef.current);
+
+    // Identifies the list by its first item: a new list (filtered, sorted,
+    // paged) animates again, items appended by infinite scroll don't
+    const listKey = items.length > 0 ? getItemKey(items[0]) : null;
+
+    const measure = useCallback(() => {
+      const grid = gridRef.current;
+      if (!grid) return;
+
+      if (!grid.clientWidth) {
+        setWindowState((prev) => (prev.mode === 'all' ? prev : NO_LAYOUT));
+        return;
+      }
+
+      const styles = window.getComputedStyle(grid);
+      const columns = Math.max(
+        1,
+        styles.gridTemplateColumns.split(' ').filter(Boolean).length
+      );
+      const rowGap = parseFloat(styles.rowGap) || 0;
+      const itemHeight = grid.firstElementChild?.offsetHeight;
+      const rowHeight = itemHeight ? itemHeight + rowGap : estimatedRowHeight;
+
+      const rowCount = Math.ceil(items.length / columns);
+      const scrolledPast = -grid.getBoundingClientRect().top;
+      const startRow = Math.min(
+        Math.max(0, Math.floor(scrolledPast / rowHeight) - overscanRows),
+        Math.max(0, rowCount - 1)
+      );
+      const endRow = Math.min(
+        rowCount,
+        Math.max(
+          startRow + 1,
+          Math.ceil((scrolledPast + window.innerHeight) / rowHeight) +
+            overscanRows
+        )
+      );
+
+      const next = { mode: 'virtual', columns, rowHeight, startRow, endRow };
+      setWindowState((prev) => {
+        if (isSameWindow(prev, next)) return prev;
+        const movedList = hasMoved(prev, next) ? listKey : prev.movedList;
+        return { ...next, movedList };
+      });
+    }, [items.length, listKey, overscanRows, estimatedRowHeight]);
+
+    // Re-measure before paint after every render (new items, new page);
+    // state only changes when the visible window does
+    useLayoutEffect(() => {
+      measure();
+    });
+
+    useEffect(() => {
+      const scheduleMeasure = () => {
+        if (frameRef.current) return;
+        frameRef.current = window.requestAnimationFrame(() => {
+          frameRef.current = null;
+          measure();
+        });
+      };
+
+      window.addEventListener('scroll', scheduleMeasure, { passive: true });
+      window.addEventListener('resize', scheduleMeasure);
+
+      let resizeObserver;
+      if ('ResizeObserver' in window && gridRef.current) {
+        resizeObserver = new window.ResizeObserver(scheduleMeasure);
+        resizeObserver.observe(gridRef.current);
+      }
+
+      return () => {
+        window.removeEventListener('scroll', scheduleMeasure);
+        window.removeEventListener('resize', scheduleMeasure);
+        resizeObserver?.disconnect();
+        if (frameRef.current) {
+          window.cancelAnimationFrame(frameRef.current);
+          frameRef.current = null;
+        }
+      };
+    }, [measure]);
+
+    const animate = windowState.movedList !== listKey;
+    let start = 0;
+    let end = items.length;
+    let paddingTop = 0;
+    let paddingBottom = 0;
+
+    if (windowState.mode === 'initial') {
+      end = Math.min(items.length, INITIAL_ITEM_COUNT);
+    } else if (windowState.mode === 'virtual') {
+      const { columns, rowHeight, startRow, endRow } = windowState;
+      const rowCount = Math.ceil(items.length / columns);
+      start = startRow * columns;
+      end = Math.min(items.length, endRow * columns);
+      paddingTop = startRow * rowHeight;
+      paddingBottom = Math.max(0, rowCount - endRow) * rowHeight;
+    }
+
+    return (
+      <div
+        ref={gridRef}
+        className={`virtual-grid ${className}`}
+        role="list"
+        aria-label={ariaLabel}
+        style={{ paddingTop, paddingBottom }}
+      >
+        {items.slice(start, end).map((item, offset) => (
+          <Fragment key={getItemKey(item)}>
+            {renderItem(item, { index: start + offset, animate })}
+          </Fragment>
+        ))}
+      </div>
+    );
+  })
+);
+
+VirtualGrid.displayName = 'VirtualGrid';
+
+VirtualGrid.propTypes = {
+  items: PropTypes.array.isRequired,
+  renderItem: PropTypes.func.isRequired,
+  getItemKey: PropTypes.func.isRequired,
+  overscanRows: PropTypes.number,
+  estimatedRowHeight: PropTypes.number,
+  ariaLabel: PropTypes.string,
+  className: PropTypes.string,
+};
+
+export default VirtualGrid;
@@ -0,0 +1,73 @@
+import { memo, forwardRef } from 'react';
+import PropTypes from 'prop-types';
+import { useWishlist } from '../../context/WishlistContext';
+import { useI18n } from '../../context/I18nContext';
+import { HeartIcon } from '../Icons';
+import './WishlistButton.scss';
+
+/**
+ * WishlistButton Component
+ *
+ * Heart toggle that saves a product to (or removes it from) the wishlist.
+ *
+ * Features:
+ * - Toggle button semantics via `aria-pressed`; the label stays constant
+ * - Filled heart while the product is saved
+ * - Optional visible "Wishlist" text for larger layouts
+ * - Forwards refs for parent component access
+ */
+const WishlistButton = memo(
+  forwardRef(function WishlistButton(
+    { product, showLabel = false, className = '', ...props },
+    ref
+  ) {
+    const { isInWishlist, toggleWishlist } = useWishlist();
+    const { t } = useI18n();
+    const isSaved = isInWishlist(product.id);
+
+    const handleClick = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      toggleWishlist(product);
+    };
+
+    return (
+      <button
+        ref={ref}
+        type="button"
+        className={[
+          'wishlist-button',
+          isSaved && 'wishlist-button--saved',
+          showLabel && 'wishlist-button--labeled',
+          className,
+        ]
+          .filter(Boolean)
+          .join(' ')}
+        onClick={handleClick}
+        aria-pressed={isSaved}
+        aria-label={t('wishlistButton.label', { name: product.name })}
+        {...props}
+      >
+        <HeartIcon className="wishlist-button__icon" filled={isSaved} />
+        {showLabel && (
+          <span className="wishlist-button__text">
+            {t('wishlistButton.text')}
+          </span>
+        )}
+      </button>
+    );
+  })
+);
+
+WishlistButton.displayName = 'WishlistButton';
+
+WishlistButton.propTypes = {
+  product: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+  }).isRequired,
+  showLabel: PropTypes.bool,
+  className: PropTypes.string,
+};
+
+export default WishlistButton;
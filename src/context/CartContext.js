@@ -6,15 +6,109 @@ import {
   useCallback,
   useEffect,
 } from 'react';
+import {
+  DEFAULT_LICENSE_TIER,
+  LEGACY_LICENSE_TIER,
+  getLicenseTier,
+  getLicensePrice,
+} from '../data/licenses';
+import { getCollectionById } from '../data/collections';
 
 const CART_STORAGE_KEY = 'marketplace_cart';
 
 const CartContext = createContext(null);
 
+/**
+ * Key of a cart line. The same model under two license tiers, or in two file
+ * formats, is two lines, and a model bought as part of a bundle is kept
+ * apart from the same model bought on its own.
+ * @param {string} productId
+ * @param {string} licenseId - License tier id
+ * @param {string|null} format - Delivered file format, if the product has any
+ * @param {string|null} bundleId - Collection the line was added with
+ * @returns {string}
+ */
+export const getCartLineId = (
+  productId,
+  licenseId = DEFAULT_LICENSE_TIER,
+  format = null,
+  bundleId = null
+) => {
+  const key = [productId, licenseId, format].filter(Boolean).join(':');
+  return bundleId ? `${bundleId}/${key}` : key;
+};
+
+/**
+ * File format delivered for a product: `format` when the product offers it,
+ * otherwise its first listed format
+ * @param {Object} product
+ * @param {string} [format]
+ * @returns {string|null}
+ */
+export const getLineFormat = (product, format) => {
+  const formats = product.fileFormat || [];
+  return formats.includes(format) ? format : formats[0] || null;
+};
+
+/**
+ * Group the lines added with a bundle. Every member line of a bundle shares
+ * its quantity; the discount is the gap between the members' prices and the
+ * bundle price, and only applies while every member is still in the cart.
+ * @param {Array} cartItems
+ * @returns {Array<Object>} { id, name, previewColor, items, quantity,
+ *   itemsTotal, price, discount } per bundle, where `itemsTotal` and `price`
+ *   are for one bundle and `discount` covers the whole quantity
+ */
+export const getCartBundles = (cartItems) => {
+  const groups = new Map();
+  cartItems.forEach((item) => {
+    if (!item.bundleId) return;
+    if (!groups.has(item.bundleId)) groups.set(item.bundleId, []);
+    groups.get(item.bundleId).push(item);
+  });
+
+  return [...groups].map(([bundleId, items]) => {
+    const collection = getCollectionById(bundleId);
+    const quantity = items[0].quantity;
+    const itemsTotal = items.reduce((total, item) => total + item.price, 0);
+    const isComplete =
+      !!collection &&
+      collection.productIds.every((id) => items.some((item) => item.id === id));
+    const price = isComplete
+      ? Math.min(collection.bundlePrice, itemsTotal)
+      : itemsTotal;
+
+    return {
+      id: bundleId,
+      name: collection?.name ?? bundleId,
+      previewColor: collection?.previewColor,
+      items,
+      quantity,
+      itemsTotal,
+      price,
+      discount: Math.round((itemsTotal - price) * quantity * 100) / 100,
+    };
+  });
+};
+
+// Carts saved before license tiers or formats were chosen are missing them.
+// Their listed price included a commercial license, so they keep that tier
+// at the stored price, and get the product's first format.
+const normalizeCartItem = (item) => {
+  const license = item.license || LEGACY_LICENSE_TIER;
+  const format = getLineFormat(item, item.format);
+  return {
+    ...item,
+    license,
+    format,
+    lineId: getCartLineId(item.id, license, format, item.bundleId),
+  };
+};
+
 function getInitialCart() {
   try {
     const stored = localStorage.getItem(CART_STORAGE_KEY);
-    return stored ? JSON.parse(stored) : [];
+    return stored ? JSON.parse(stored).map(normalizeCartItem) : [];
   } catch {
     return [];
   }
@@ -44,43 +138,140 @@ export function CartProvider({ children }) {
   }, []);
 
   const addToCart = useCallback(
-    (product) => {
+    (product, licenseId = DEFAULT_LICENSE_TIER, format) => {
+      const license = getLicenseTier(licenseId).id;
+      const lineFormat = getLineFormat(product, format);
+      const lineId = getCartLineId(product.id, license, lineFormat);
+      const line = {
+        ...product,
+        license,
+        format: lineFormat,
+        lineId,
+        price: getLicensePrice(product.price, license),
+      };
+
       setCartItems((prevItems) => {
-        const existingItem = prevItems.find((item) => item.id === product.id);
+        const existingItem = prevItems.find((item) => item.lineId === lineId);
         if (existingItem) {
           return prevItems.map((item) =>
-            item.id === product.id
+            item.lineId === lineId
+              ? { ...item, quantity: item.quantity + 1 }
+              : item
+          );
+        }
+        return [...prevItems, { ...line, quantity: 1 }];
+      });
+      showNotification(line);
+    },
+    [showNotification]
+  );
+
+  // A bundle adds every member of a collection under the default license and
+  // each member's first format; adding it again increases its quantity.
+  const addBundle = useCallback(
+    (collection, members) => {
+      setCartItems((prevItems) => {
+        if (prevItems.some((item) => item.bundleId === collection.id)) {
+          return prevItems.map((item) =>
+            item.bundleId === collection.id
               ? { ...item, quantity: item.quantity + 1 }
               : item
           );
         }
-        return [...prevItems, { ...product, quantity: 1 }];
+
+        const lines = members.map((product) => {
+          const format = getLineFormat(product);
+          return {
+            ...product,
+            license: DEFAULT_LICENSE_TIER,
+            format,
+            bundleId: collection.id,
+            lineId: getCartLineId(
+              product.id,
+              DEFAULT_LICENSE_TIER,
+              format,
+              collection.id
+            ),
+            quantity: 1,
+          };
+        });
+        return [...prevItems, ...lines];
+      });
+      showNotification({
+        id: collection.id,
+        name: collection.name,
+        price: collection.bundlePrice,
       });
-      showNotification(product);
     },
     [showNotification]
   );
 
-  const removeFromCart = useCallback((productId) => {
+  const updateBundleQuantity = useCallback((bundleId, quantity) => {
+    setCartItems((prevItems) =>
+      quantity <= 0
+        ? prevItems.filter((item) => item.bundleId !== bundleId)
+        : prevItems.map((item) =>
+            item.bundleId === bundleId ? { ...item, quantity } : item
+          )
+    );
+  }, []);
+
+  const removeBundle = useCallback((bundleId) => {
     setCartItems((prevItems) =>
-      prevItems.filter((item) => item.id !== productId)
+      prevItems.filter((item) => item.bundleId !== bundleId)
     );
   }, []);
 
-  const updateQuantity = useCallback((productId, quantity) => {
+  const removeFromCart = useCallback((lineId) => {
+    setCartItems((prevItems) =>
+      prevItems.filter((item) => item.lineId !== lineId)
+    );
+  }, []);
+
+  const updateQuantity = useCallback((lineId, quantity) => {
     if (quantity <= 0) {
       setCartItems((prevItems) =>
-        prevItems.filter((item) => item.id !== productId)
+        prevItems.filter((item) => item.lineId !== lineId)
       );
       return;
     }
     setCartItems((prevItems) =>
       prevItems.map((item) =>
-        item.id === productId ? { ...item, quantity } : item
+        item.lineId === lineId ? { ...item, quantity } : item
       )
     );
   }, []);
 
+  // Changing a line's format changes its key; if another line already has
+  // the new key the two are merged.
+  const updateFormat = useCallback((lineId, format) => {
+    setCartItems((prevItems) => {
+      const line = prevItems.find((item) => item.lineId === lineId);
+      if (!line || getLineFormat(line, format) !== format) return prevItems;
+
+      const nextLineId = getCartLineId(
+        line.id,
+        line.license,
+        format,
+        line.bundleId
+      );
+      if (nextLineId === lineId) return prevItems;
+
+      if (prevItems.some((item) => item.lineId === nextLineId)) {
+        return prevItems
+          .filter((item) => item.lineId !== lineId)
+          .map((item) =>
+            item.lineId === nextLineId
+              ? { ...item, quantity: item.quantity + line.quantity }
+              : item
+          );
+      }
+      return prevItems.map((item) =>
+        item.lineId === lineId ? { ...item, format, lineId: nextLineId } : item
+      );
+    });
+  }, []);
+
   const clearCart = useCallback(() => {
     setCartItems([]);
   }, []);
@@ -96,26 +287,46 @@ export function CartProvider({ children }) {
     return cartItems.reduce((count, item) => count + item.quantity, 0);
   }, [cartItems]);
 
+  const cartBundles = useMemo(() => getCartBundles(cartItems), [cartItems]);
+
+  // Not part of cartTotal, which stays the sum of the lines' listed prices
+  const bundleDiscount = useMemo(
+    () => cartBundles.reduce((total, bundle) => total + bundle.discount, 0),
+    [cartBundles]
+  );
+
   const value = useMemo(
     () => ({
       cartItems,
       addToCart,
+      addBundle,
       removeFromCart,
+      removeBundle,
       updateQuantity,
+      updateBundleQuantity,
+      updateFormat,
       clearCart,
       cartTotal,
       cartCount,
+      cartBundles,
+      bundleDiscount,
       notification,
       hideNotification,
     }),
     [
       cartItems,
       addToCart,
+      addBundle,
       removeFromCart,
+      removeBundle,
       updateQuantity,
+      updateBundleQuantity,
+      updateFormat,
       clearCart,
       cartTotal,
       cartCount,
+      cartBundles,
+      bundleDiscount,
       notification,
       hideNotification,
     ]
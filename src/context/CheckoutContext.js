@@ -14,6 +14,9 @@ import {
   trackCheckoutStep,
 } from '../services/checkoutService';
 import { useCart } from './CartContext';
+import { useCurrency } from './CurrencyContext';
+import { useI18n } from './I18nContext';
+import { roundToCurrency } from '../utils/currency';
 
 export const CHECKOUT_STEPS = {
   SHIPPING: 'shipping',
@@ -29,13 +32,6 @@ export const STEP_ORDER = [
   CHECKOUT_STEPS.CONFIRMATION,
 ];
 
-export const STEP_TITLES = {
-  [CHECKOUT_STEPS.SHIPPING]: 'Shipping',
-  [CHECKOUT_STEPS.PAYMENT]: 'Payment',
-  [CHECKOUT_STEPS.REVIEW]: 'Review',
-  [CHECKOUT_STEPS.CONFIRMATION]: 'Confirmation',
-};
-
 const initialState = {
   currentStep: CHECKOUT_STEPS.SHIPPING,
   completedSteps: [],
@@ -160,25 +156,31 @@ const CheckoutActionsContext = createContext(null);
 
 export function CheckoutProvider({ children }) {
   const [state, dispatch] = useReducer(checkoutReducer, initialState);
-  const { cartItems, cartTotal, clearCart } = useCart();
+  const { cartItems, cartTotal, bundleDiscount, clearCart } = useCart();
+  const { displayCurrency, convertPrice } = useCurrency();
+  const { locale, t } = useI18n();
 
   const totals = useMemo(() => {
     const subtotal = cartTotal;
     const discount = state.discount;
-    const discountedSubtotal = Math.max(0, subtotal - discount);
+    const discountedSubtotal = Math.max(
+      0,
+      subtotal - bundleDiscount - discount
+    );
     const tax = discountedSubtotal * 0.1; // 10% tax
     const shipping = state.shippingOption === 'priority' ? 4.99 : 0;
     const total = discountedSubtotal + tax + shipping;
 
     return {
       subtotal,
+      bundleDiscount,
       discount,
       discountedSubtotal,
       tax,
       shipping,
       total,
     };
-  }, [cartTotal, state.discount, state.shippingOption]);
+  }, [cartTotal, bundleDiscount, state.discount, state.shippingOption]);
 
   const getCurrentStepIndex = useCallback(() => {
     return STEP_ORDER.indexOf(state.currentStep);
@@ -234,7 +236,7 @@ export function CheckoutProvider({ children }) {
     dispatch({ type: ACTIONS.CLEAR_ERRORS });
 
     try {
-      const result = await validateAddress(state.shippingInfo);
+      const result = await validateAddress(state.shippingInfo, locale);
 
       if (!result.success) {
         dispatch({ type: ACTIONS.SET_FIELD_ERRORS, payload: result.errors });
@@ -259,12 +261,12 @@ export function CheckoutProvider({ children }) {
     } catch (error) {
       dispatch({
         type: ACTIONS.SET_ERRORS,
-        payload: { general: 'Failed to validate address. Please try again.' },
+        payload: { general: t('checkout.errors.address') },
       });
       dispatch({ type: ACTIONS.SET_LOADING, payload: false });
       return false;
     }
-  }, [state.shippingInfo, cartItems.length]);
+  }, [state.shippingInfo, cartItems.length, locale, t]);
 
   const updatePaymentInfo = useCallback((field, value) => {
     dispatch({ type: ACTIONS.UPDATE_PAYMENT, payload: { [field]: value } });
@@ -276,7 +278,7 @@ export function CheckoutProvider({ children }) {
     dispatch({ type: ACTIONS.CLEAR_ERRORS });
 
     try {
-      const result = await validatePaymentDetails(state.paymentInfo);
+      const result = await validatePaymentDetails(state.paymentInfo, locale);
 
       if (!result.success) {
         dispatch({ type: ACTIONS.SET_FIELD_ERRORS, payload: result.errors });
@@ -295,12 +297,12 @@ export function CheckoutProvider({ children }) {
     } catch (error) {
       dispatch({
         type: ACTIONS.SET_ERRORS,
-        payload: { general: 'Failed to validate payment. Please try again.' },
+        payload: { general: t('checkout.errors.payment') },
       });
       dispatch({ type: ACTIONS.SET_LOADING, payload: false });
       return false;
     }
-  }, [state.paymentInfo, cartItems.length]);
+  }, [state.paymentInfo, cartItems.length, locale, t]);
 
   const applyPromoCode = useCallback(
     async (code) => {
@@ -308,7 +310,12 @@ export function CheckoutProvider({ children }) {
       dispatch({ type: ACTIONS.CLEAR_ERRORS });
 
       try {
-        const result = await validatePromoCode(code, totals.subtotal);
+        // Promo codes apply to what is left after bundle savings
+        const result = await validatePromoCode(
+          code,
+          totals.subtotal - totals.bundleDiscount,
+          locale
+        );
 
         if (!result.success) {
           dispatch({
@@ -328,13 +335,13 @@ export function CheckoutProvider({ children }) {
       } catch (error) {
         dispatch({
           type: ACTIONS.SET_ERRORS,
-          payload: { promo: 'Failed to apply promo code.' },
+          payload: { promo: t('checkout.errors.promo') },
         });
         dispatch({ type: ACTIONS.SET_LOADING, payload: false });
         return false;
       }
     },
-    [totals.subtotal]
+    [totals.subtotal, totals.bundleDiscount, locale, t]
   );
 
   const removePromoCode = useCallback(() => {
@@ -350,9 +357,13 @@ export function CheckoutProvider({ children }) {
     dispatch({ type: ACTIONS.CLEAR_ERRORS });
 
     try {
+      // Totals are kept in the base currency; the card is charged in the
+      // currency the shopper is viewing prices in
       const paymentResult = await processPayment(
         state.paymentInfo,
-        totals.total
+        roundToCurrency(convertPrice(totals.total), displayCurrency),
+        displayCurrency,
+        locale
       );
 
       if (!paymentResult.success) {
@@ -370,13 +381,15 @@ export function CheckoutProvider({ children }) {
         items: cartItems,
         shippingAddress: state.shippingInfo,
         paymentResult,
+        exchangeRate: convertPrice(1),
         totals,
+        locale,
       });
 
       if (!orderResult.success) {
         dispatch({
           type: ACTIONS.SET_ERRORS,
-          payload: { order: 'Failed to create order. Please try again.' },
+          payload: { order: t('checkout.errors.order') },
         });
         dispatch({ type: ACTIONS.SET_LOADING, payload: false });
         return false;
@@ -399,12 +412,22 @@ export function CheckoutProvider({ children }) {
     } catch (error) {
       dispatch({
         type: ACTIONS.SET_ERRORS,
-        payload: { general: 'An unexpected error occurred. Please try again.' },
+        payload: { general: t('checkout.errors.general') },
       });
       dispatch({ type: ACTIONS.SET_LOADING, payload: false });
       return false;
     }
-  }, [state.paymentInfo, state.shippingInfo, cartItems, totals, clearCart]);
+  }, [
+    state.paymentInfo,
+    state.shippingInfo,
+    cartItems,
+    totals,
+    clearCart,
+    convertPrice,
+    displayCurrency,
+    locale,
+    t,
+  ]);
 
   const resetCheckout = useCallback(() => {
     dispatch({ type: ACTIONS.RESET });
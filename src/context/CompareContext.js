@@ -0,0 +1,104 @@
+import {
+  createContext,
+  useContext,
+  useState,
+  useMemo,
+  useCallback,
+  useEffect,
+} from 'react';
+
+const COMPARE_STORAGE_KEY = 'marketplace_compare';
+export const MAX_COMPARE_ITEMS = 4;
+
+const CompareContext = createContext(null);
+
+function getInitialCompareItems() {
+  try {
+    const stored = localStorage.getItem(COMPARE_STORAGE_KEY);
+    const parsed = stored ? JSON.parse(stored) : [];
+    return Array.isArray(parsed) ? parsed.slice(0, MAX_COMPARE_ITEMS) : [];
+  } catch {
+    return [];
+  }
+}
+
+export function CompareProvider({ children }) {
+  const [compareItems, setCompareItems] = useState(getInitialCompareItems);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(COMPARE_STORAGE_KEY, JSON.stringify(compareItems));
+    } catch {
+      // localStorage not available or quota exceeded
+    }
+  }, [compareItems]);
+
+  // Adding to a full tray is a no-op; the UI disables the control instead
+  const addToCompare = useCallback((product) => {
+    setCompareItems((prevItems) =>
+      prevItems.some((item) => item.id === product.id) ||
+      prevItems.length >= MAX_COMPARE_ITEMS
+        ? prevItems
+        : [...prevItems, product]
+    );
+  }, []);
+
+  const removeFromCompare = useCallback((productId) => {
+    setCompareItems((prevItems) =>
+      prevItems.filter((item) => item.id !== productId)
+    );
+  }, []);
+
+  const toggleCompare = useCallback((product) => {
+    setCompareItems((prevItems) => {
+      if (prevItems.some((item) => item.id === product.id)) {
+        return prevItems.filter((item) => item.id !== product.id);
+      }
+      return prevItems.length >= MAX_COMPARE_ITEMS
+        ? prevItems
+        : [...prevItems, product];
+    });
+  }, []);
+
+  const clearCompare = useCallback(() => {
+    setCompareItems([]);
+  }, []);
+
+  const isInCompare = useCallback(
+    (productId) => compareItems.some((item) => item.id === productId),
+    [compareItems]
+  );
+
+  const value = useMemo(
+    () => ({
+      compareItems,
+      addToCompare,
+      removeFromCompare,
+      toggleCompare,
+      clearCompare,
+      isInCompare,
+      compareCount: compareItems.length,
+      isCompareFull: compareItems.length >= MAX_COMPARE_ITEMS,
+    }),
+    [
+      compareItems,
+      addToCompare,
+      removeFromCompare,
+      toggleCompare,
+      clearCompare,
+      isInCompare,
+    ]
+  );
+
+  return (
+    <CompareContext.Provider value={value}>{children}</CompareContext.Provider>
+  );
+}
+
+export function useCompare() {
+  const context = useContext(CompareContext);
+  if (!context) {
+    throw new Error('useCompare must be used within a CompareProvider');
+  }
+  return context;
+}
@@ -0,0 +1,131 @@
+import {
+  createContext,
+  useContext,
+  useState,
+  useMemo,
+  useCallback,
+  useEffect,
+} from 'react';
+import {
+  SUPPORTED_CURRENCIES,
+  getExchangeRates,
+  isSupportedCurrency,
+} from '../services/currencyService';
+import {
+  BASE_CURRENCY,
+  formatPrice as formatAmount,
+  convertPrice as convertAmount,
+} from '../utils/currency';
+import { useI18n } from './I18nContext';
+
+const CURRENCY_STORAGE_KEY = 'marketplace_currency';
+
+const CurrencyContext = createContext(null);
+
+function getInitialCurrency() {
+  try {
+    const stored = localStorage.getItem(CURRENCY_STORAGE_KEY);
+    return isSupportedCurrency(stored) ? stored : BASE_CURRENCY;
+  } catch {
+    return BASE_CURRENCY;
+  }
+}
+
+export function CurrencyProvider({ children }) {
+  const [currency, setSelectedCurrency] = useState(getInitialCurrency);
+  const [rates, setRates] = useState({ [BASE_CURRENCY]: 1 });
+  const [ratesFailed, setRatesFailed] = useState(false);
+  // Separators and symbol placement follow the selected language
+  const { locale } = useI18n();
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(CURRENCY_STORAGE_KEY, currency);
+    } catch {
+      // localStorage not available
+    }
+  }, [currency]);
+
+  // Rates are only fetched once a currency other than the base is chosen.
+  // A failed fetch isn't repeated until the visitor picks a currency again.
+  const needsRates = !rates[currency];
+  const isLoadingRates = needsRates && !ratesFailed;
+
+  useEffect(() => {
+    if (!isLoadingRates) return undefined;
+    let cancelled = false;
+
+    getExchangeRates()
+      .then((result) => {
+        if (cancelled) return;
+        if (result.success) setRates(result.rates);
+        else setRatesFailed(true);
+      })
+      .catch(() => {
+        // Keep showing base-currency prices
+        if (!cancelled) setRatesFailed(true);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isLoadingRates]);
+
+  // Until the rates arrive, prices stay in the base currency rather than
+  // showing base amounts with another currency's symbol
+  const displayCurrency = needsRates ? BASE_CURRENCY : currency;
+
+  const setCurrency = useCallback((code) => {
+    if (!isSupportedCurrency(code)) return;
+    setSelectedCurrency(code);
+    setRatesFailed(false);
+  }, []);
+
+  const convertPrice = useCallback(
+    (amount) => convertAmount(amount, BASE_CURRENCY, displayCurrency, rates),
+    [displayCurrency, rates]
+  );
+
+  const formatPrice = useCallback(
+    (amount, options) =>
+      formatAmount(convertPrice(amount), displayCurrency, {
+        locale,
+        ...options,
+      }),
+    [convertPrice, displayCurrency, locale]
+  );
+
+  const value = useMemo(
+    () => ({
+      currency,
+      displayCurrency,
+      currencies: SUPPORTED_CURRENCIES,
+      setCurrency,
+      convertPrice,
+      formatPrice,
+      isLoadingRates,
+    }),
+    [
+      currency,
+      displayCurrency,
+      setCurrency,
+      convertPrice,
+      formatPrice,
+      isLoadingRates,
+    ]
+  );
+
+  return (
+    <CurrencyContext.Provider value={value}>
+      {children}
+    </CurrencyContext.Provider>
+  );
+}
+
+export function useCurrency() {
+  const context = useContext(CurrencyContext);
+  if (!context) {
+    throw new Error('useCurrency must be used within a CurrencyProvider');
+  }
+  return context;
+}
@@ -0,0 +1,73 @@
+import {
+  createContext,
+  useContext,
+  useState,
+  useMemo,
+  useCallback,
+  useEffect,
+} from 'react';
+import {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  createTranslator,
+  isSupportedLocale,
+} from '../utils/i18n';
+
+const LOCALE_STORAGE_KEY = 'marketplace_locale';
+
+const I18nContext = createContext(null);
+
+function getInitialLocale() {
+  try {
+    const stored = localStorage.getItem(LOCALE_STORAGE_KEY);
+    return isSupportedLocale(stored) ? stored : DEFAULT_LOCALE;
+  } catch {
+    return DEFAULT_LOCALE;
+  }
+}
+
+export function I18nProvider({ children }) {
+  const [locale, setSelectedLocale] = useState(getInitialLocale);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+    } catch {
+      // localStorage not available
+    }
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  const setLocale = useCallback((code) => {
+    if (isSupportedLocale(code)) setSelectedLocale(code);
+  }, []);
+
+  const t = useMemo(() => createTranslator(locale), [locale]);
+
+  const formatDate = useCallback(
+    (date, options) =>
+      new Intl.DateTimeFormat(locale, options).format(new Date(date)),
+    [locale]
+  );
+
+  const value = useMemo(
+    () => ({
+      locale,
+      locales: SUPPORTED_LOCALES,
+      setLocale,
+      t,
+      formatDate,
+    }),
+    [locale, setLocale, t, formatDate]
+  );
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
+
+export function useI18n() {
+  const context = useContext(I18nContext);
+  if (!context) {
+    throw new Error('useI18n must be used within an I18nProvider');
+  }
+  return context;
+}
@@ -0,0 +1,103 @@
+import {
+  createContext,
+  useContext,
+  useState,
+  useMemo,
+  useCallback,
+  useEffect,
+} from 'react';
+
+const WISHLIST_STORAGE_KEY = 'marketplace_wishlist';
+
+const WishlistContext = createContext(null);
+
+function getInitialWishlist() {
+  try {
+    const stored = localStorage.getItem(WISHLIST_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch {
+    return [];
+  }
+}
+
+export function WishlistProvider({ children }) {
+  const [wishlistItems, setWishlistItems] = useState(getInitialWishlist);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(WISHLIST_STORAGE_KEY, JSON.stringify(wishlistItems));
+    } catch {
+      // localStorage not available or quota exceeded
+    }
+  }, [wishlistItems]);
+
+  const addToWishlist = useCallback((product) => {
+    setWishlistItems((prevItems) =>
+      prevItems.some((item) => item.id === product.id)
+        ? prevItems
+        : [...prevItems, product]
+    );
+  }, []);
+
+  const removeFromWishlist = useCallback((productId) => {
+    setWishlistItems((prevItems) =>
+      prevItems.filter((item) => item.id !== productId)
+    );
+  }, []);
+
+  const toggleWishlist = useCallback((product) => {
+    setWishlistItems((prevItems) =>
+      prevItems.some((item) => item.id === product.id)
+        ? prevItems.filter((item) => item.id !== product.id)
+        : [...prevItems, product]
+    );
+  }, []);
+
+  const clearWishlist = useCallback(() => {
+    setWishlistItems([]);
+  }, []);
+
+  const wishlistIds = useMemo(
+    () => new Set(wishlistItems.map((item) => item.id)),
+    [wishlistItems]
+  );
+
+  const isInWishlist = useCallback(
+    (productId) => wishlistIds.has(productId),
+    [wishlistIds]
+  );
+
+  const value = useMemo(
+    () => ({
+      wishlistItems,
+      addToWishlist,
+      removeFromWishlist,
+      toggleWishlist,
+      clearWishlist,
+      isInWishlist,
+      wishlistCount: wishlistItems.length,
+    }),
+    [
+      wishlistItems,
+      addToWishlist,
+      removeFromWishlist,
+      toggleWishlist,
+      clearWishlist,
+      isInWishlist,
+    ]
+  );
+
+  return (
+    <WishlistContext.Provider value={value}>
+      {children}
+    </WishlistContext.Provider>
+  );
+}
+
+export function useWishlist() {
+  const context = useContext(WishlistContext);
+  if (!context) {
+    throw new Error('useWishlist must be used within a WishlistProvider');
+  }
+  return context;
+}
@@ -0,0 +1,84 @@
+import { getProductsByIds } from './products';
+
+/**
+ * Curated collections, sold as bundles.
+ *
+ * A bundle puts every member product in the cart under the personal license,
+ * grouped by `bundleId`. Members are priced at their listed price and the
+ * difference to `bundlePrice` is applied as a bundle discount at checkout,
+ * so `bundlePrice` must stay below the sum of the members' prices.
+ */
+export const collections = [
+  {
+    id: 'animated-animals',
+    name: 'Animated Animals',
+    description:
+      'Three fully animated animals ready to drop into nature scenes, wildlife games and children’s content: a galloping horse, a flamingo and a playful fox.',
+    productIds: ['animated-horse', 'tropical-flamingo', 'animated-fox'],
+    bundlePrice: 149,
+    currency: 'USD',
+    previewColor: 'linear-gradient(135deg, #E67E22, #FF6B9D)',
+  },
+  {
+    id: 'retro-props',
+    name: 'Retro Prop Pack',
+    description:
+      'Nostalgic props with realistic materials for period scenes and product shots: a vintage toy car, an 80s boombox and an antique oil lantern.',
+    productIds: ['vintage-toy-car', 'retro-boombox', 'vintage-lantern'],
+    bundlePrice: 85,
+    currency: 'USD',
+    previewColor: 'linear-gradient(135deg, #9B59B6, #607D8B)',
+  },
+  {
+    id: 'game-ready-heroes',
+    name: 'Game-Ready Heroes',
+    description:
+      'Rigged, game-ready characters and gear for action games: a tactical soldier, an expressive robot and a battle-worn sci-fi helmet.',
+    productIds: ['tactical-soldier', 'expressive-robot', 'sci-fi-helmet'],
+    bundlePrice: 229,
+    currency: 'USD',
+    previewColor: 'linear-gradient(135deg, #4A90E2, #34495E)',
+  },
+];
+
+/**
+ * Find a collection by ID
+ * @param {string} id - The collection ID to search for
+ * @returns {Object|undefined} The collection or undefined if not found
+ */
+export const getCollectionById = (id) =>
+  collections.find((collection) => collection.id === id);
+
+/**
+ * Collections a product belongs to
+ * @param {string} productId
+ * @returns {Array} Collections listing the product
+ */
+export const getCollectionsForProduct = (productId) =>
+  collections.filter((collection) => collection.productIds.includes(productId));
+
+/**
+ * Compare a bundle's price with buying its members separately.
+ * @param {Object} collection
+ * @param {Array} source - Products to resolve members from (defaults to the
+ *   bundled catalog)
+ * @returns {Object} { products, itemsTotal, price, savings, savingsPercent }
+ *   where `products` are the members in collection order
+ */
+export const getBundlePricing = (collection, source) => {
+  const members = getProductsByIds(collection.productIds, source);
+  const itemsTotal = members.reduce(
+    (total, product) => total + product.price,
+    0
+  );
+  const savings = Math.max(0, itemsTotal - collection.bundlePrice);
+
+  return {
+    products: members,
+    itemsTotal,
+    price: collection.bundlePrice,
+    savings,
+    savingsPercent:
+      itemsTotal > 0 ? Math.round((savings / itemsTotal) * 100) : 0,
+  };
+};
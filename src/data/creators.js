@@ -0,0 +1,72 @@
+/**
+ * Creators (sellers) who publish models on the marketplace.
+ *
+ * Every product names its creator through `creatorId`. A creator's rating is
+ * not stored here; it is aggregated from the reviews of their products.
+ * `kind` says whether the creator is a studio or an individual artist.
+ */
+
+export const CREATOR_KINDS = {
+  STUDIO: 'studio',
+  INDIVIDUAL: 'individual',
+};
+
+export const creators = [
+  {
+    id: 'nova-forge',
+    name: 'Nova Forge Studio',
+    kind: CREATOR_KINDS.STUDIO,
+    location: 'Montréal, Canada',
+    bio: 'A small team of game artists building rigged, game-ready characters and hard-surface sci-fi assets. Every model ships with clean topology and PBR textures tested in Unity, Unreal and Blender.',
+    joinedAt: '2021-04-12',
+    avatarColor: 'linear-gradient(135deg, #4A90E2, #2C3E50)',
+  },
+  {
+    id: 'lena-hart',
+    name: 'Lena Hart',
+    kind: CREATOR_KINDS.INDIVIDUAL,
+    location: 'Bristol, United Kingdom',
+    bio: 'Wildlife animator focused on believable creature motion. Lena rigs and animates animals for games, documentaries and children’s content.',
+    joinedAt: '2022-02-03',
+    avatarColor: 'linear-gradient(135deg, #F39C12, #D35400)',
+  },
+  {
+    id: 'retro-works',
+    name: 'Retro Works',
+    kind: CREATOR_KINDS.STUDIO,
+    location: 'Austin, United States',
+    bio: 'Props and product-visualization models with a nostalgic streak: vintage toys, 80s electronics and everyday objects, all with realistic materials.',
+    joinedAt: '2020-09-28',
+    avatarColor: 'linear-gradient(135deg, #9B59B6, #E94B8A)',
+  },
+  {
+    id: 'kenji-mori',
+    name: 'Kenji Mori',
+    kind: CREATOR_KINDS.INDIVIDUAL,
+    location: 'Osaka, Japan',
+    bio: 'Environment artist and photogrammetry specialist. Kenji builds detailed architectural dioramas and museum-grade scans of historical pieces.',
+    joinedAt: '2023-01-17',
+    avatarColor: 'linear-gradient(135deg, #1ABC9C, #795548)',
+  },
+];
+
+/**
+ * Find a creator by ID
+ * @param {string} id - The creator ID to search for
+ * @returns {Object|undefined} The creator or undefined if not found
+ */
+export const getCreatorById = (id) =>
+  creators.find((creator) => creator.id === id);
+
+/**
+ * Initials shown in a creator's avatar, e.g. 'Nova Forge Studio' -> 'NF'
+ * @param {string} name
+ * @returns {string} Up to two uppercase letters
+ */
+export const getCreatorInitials = (name) =>
+  name
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map((word) => word[0].toUpperCase())
+    .join('');
@@ -0,0 +1,64 @@
+/**
+ * License tiers offered for every model.
+ *
+ * A product's listed `price` is the personal license; the other tiers scale
+ * it by their multiplier. The chosen tier is stored on each cart line and
+ * order item as `license` (the tier id).
+ */
+export const LICENSE_TIERS = [
+  {
+    id: 'personal',
+    name: 'Personal',
+    multiplier: 1,
+    description: 'Personal and non-commercial projects',
+  },
+  {
+    id: 'commercial',
+    name: 'Commercial',
+    multiplier: 2,
+    description: 'Commercial projects and client work',
+  },
+  {
+    id: 'extended',
+    name: 'Extended',
+    multiplier: 5,
+    description: 'Products for resale, games and unlimited distribution',
+  },
+];
+
+export const DEFAULT_LICENSE_TIER = 'personal';
+
+/**
+ * Tier of cart lines saved before tiers existed. The listed price was sold
+ * with a commercial license then, so those lines keep it at the price paid.
+ */
+export const LEGACY_LICENSE_TIER = 'commercial';
+
+/**
+ * Look up a license tier, falling back to the default tier for unknown ids
+ * @param {string} tierId
+ * @returns {Object} License tier
+ */
+export const getLicenseTier = (tierId) =>
+  LICENSE_TIERS.find((tier) => tier.id === tierId) ||
+  LICENSE_TIERS.find((tier) => tier.id === DEFAULT_LICENSE_TIER);
+
+/**
+ * Price of a model under a license tier, rounded to cents
+ * @param {number} basePrice - The product's listed (personal) price
+ * @param {string} tierId
+ * @returns {number}
+ */
+export const getLicensePrice = (basePrice, tierId) =>
+  Math.round(basePrice * getLicenseTier(tierId).multiplier * 100) / 100;
+
+/**
+ * License tiers with their price for a given product
+ * @param {Object} product
+ * @returns {Array<Object>} Tiers with an added `price`
+ */
+export const getLicenseOptions = (product) =>
+  LICENSE_TIERS.map((tier) => ({
+    ...tier,
+    price: getLicensePrice(product.price, tier.id),
+  }));
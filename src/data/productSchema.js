@@ -0,0 +1,198 @@
+import { CATEGORIES, FILE_FORMATS, TEXTURE_RESOLUTIONS } from './products';
+import { BASE_CURRENCY } from '../utils/currency';
+import { DEFAULT_LOCALE, createTranslator } from '../utils/i18n';
+
+// Errors carry a `productSchema.errors.*` message key and its params, so each
+// screen can show them in the selected language
+const schemaError = (key, params) => ({
+  message: `productSchema.errors.${key}`,
+  ...(params && { params }),
+});
+
+const isNonEmptyString = (value) =>
+  typeof value === 'string' && value.trim() !== '';
+
+const isNonNegativeNumber = (value) =>
+  typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+const string = () => (value) =>
+  isNonEmptyString(value) ? null : schemaError('text');
+
+const number =
+  ({ min = 0, max = Infinity, integer = false } = {}) =>
+  (value) => {
+    if (!isNonNegativeNumber(value) || value < min || value > max) {
+      return max === Infinity
+        ? schemaError('numberAtLeast', { min })
+        : schemaError('numberBetween', { min, max });
+    }
+    return integer && !Number.isInteger(value) ? schemaError('integer') : null;
+  };
+
+const boolean = () => (value) =>
+  typeof value === 'boolean' ? null : schemaError('boolean');
+
+const oneOf =
+  (options, { nullable = false } = {}) =>
+  (value) =>
+    options.includes(value) || (nullable && value === null)
+      ? null
+      : schemaError(nullable ? 'oneOfOrNone' : 'oneOf', {
+          options: options.join(', '),
+        });
+
+/**
+ * Field rules for a catalog entry. Each rule returns a { message, params }
+ * error, or null when the value is valid. `arrayOf` fields are checked item by item so
+ * errors point at the offending index (e.g. `fileFormat[1]`); `shape` fields
+ * are nested objects checked the same way.
+ */
+export const PRODUCT_SCHEMA = {
+  id: { rule: string() },
+  name: { rule: string() },
+  creatorId: { rule: string() },
+  price: { rule: number() },
+  // Storefront prices are converted from the base currency, and
+  // Intl.NumberFormat throws on unknown codes
+  currency: { rule: oneOf([BASE_CURRENCY]) },
+  description: { rule: string() },
+  category: { rule: oneOf(CATEGORIES) },
+  previewColor: { rule: string() },
+  polyCount: { rule: number({ integer: true }) },
+  fileFormat: { arrayOf: oneOf(FILE_FORMATS), nonEmpty: true },
+  rigged: { rule: boolean() },
+  animated: { rule: boolean() },
+  pbr: { rule: boolean() },
+  uvUnwrapped: { rule: boolean() },
+  textureResolution: {
+    rule: oneOf(TEXTURE_RESOLUTIONS, { nullable: true }),
+  },
+  lodCount: { rule: number({ min: 1, integer: true }) },
+  tags: { arrayOf: string() },
+  featured: { rule: boolean() },
+  model: {
+    optional: true,
+    shape: {
+      name: { rule: string() },
+      url: { rule: string() },
+      scale: { rule: number(), optional: true },
+    },
+  },
+  image: { rule: string(), optional: true },
+  archived: { rule: boolean(), optional: true },
+};
+
+const validateFields = (value, schema, prefix, errors) => {
+  Object.entries(schema).forEach(([field, definition]) => {
+    const path = prefix ? `${prefix}.${field}` : field;
+    const fieldValue = value[field];
+
+    if (fieldValue === undefined) {
+      if (!definition.optional)
+        errors.push({ path, ...schemaError('required') });
+      return;
+    }
+
+    if (definition.arrayOf) {
+      if (!Array.isArray(fieldValue)) {
+        errors.push({ path, ...schemaError('array') });
+      } else if (definition.nonEmpty && fieldValue.length === 0) {
+        errors.push({ path, ...schemaError('nonEmpty') });
+      } else {
+        fieldValue.forEach((item, index) => {
+          const error = definition.arrayOf(item);
+          if (error) errors.push({ path: `${path}[${index}]`, ...error });
+        });
+      }
+      return;
+    }
+
+    if (definition.shape) {
+      if (!fieldValue || typeof fieldValue !== 'object') {
+        errors.push({ path, ...schemaError('object') });
+      } else {
+        validateFields(fieldValue, definition.shape, path, errors);
+      }
+      return;
+    }
+
+    const error = definition.rule(fieldValue);
+    if (error) errors.push({ path, ...error });
+  });
+};
+
+/**
+ * Check one catalog entry against PRODUCT_SCHEMA.
+ * @param {*} product - Candidate product record
+ * @returns {Array<Object>} { path, message, params } per invalid field,
+ *   where `message` is a locale key and `params` its placeholder values
+ *   (left out when there are none); empty when the entry is valid
+ */
+export const validateProduct = (product) => {
+  if (!product || typeof product !== 'object' || Array.isArray(product)) {
+    return [{ path: '', ...schemaError('object') }];
+  }
+
+  const errors = [];
+  validateFields(product, PRODUCT_SCHEMA, '', errors);
+  return errors;
+};
+
+/**
+ * Error for a product whose id is already taken by another entry.
+ * @param {string} id
+ * @returns {Object} { path, message, params }
+ */
+export const duplicateIdError = (id) => ({
+  path: 'id',
+  ...schemaError('duplicateId', { id }),
+});
+
+/**
+ * Split a list of catalog entries into valid products and quarantined ones.
+ * An entry reusing the id of an earlier valid entry is quarantined too.
+ * @param {Array} entries - Candidate product records
+ * @returns {Object} { products, invalid } where `invalid` holds
+ *   { index, id, errors } per rejected entry, in source order
+ */
+export const validateCatalog = (entries) => {
+  const valid = [];
+  const invalid = [];
+  const seenIds = new Set();
+
+  entries.forEach((entry, index) => {
+    const errors = validateProduct(entry);
+    if (errors.length === 0 && seenIds.has(entry.id)) {
+      errors.push(duplicateIdError(entry.id));
+    }
+
+    if (errors.length > 0) {
+      invalid.push({ index, id: entry?.id ?? null, errors });
+    } else {
+      seenIds.add(entry.id);
+      valid.push(entry);
+    }
+  });
+
+  return { products: valid, invalid };
+};
+
+/**
+ * Readable report of the entries rejected by validateCatalog, one line per
+ * invalid field, e.g. `products[3] (toy-car).fileFormat[1]: Must be one of …`
+ * @param {Array<Object>} invalid - `invalid` from validateCatalog
+ * @param {string} locale - Language of the messages (default: English)
+ * @returns {string}
+ */
+export const formatCatalogErrors = (invalid, locale = DEFAULT_LOCALE) => {
+  const t = createTranslator(locale);
+
+  return invalid
+    .flatMap(({ index, id, errors }) =>
+      errors.map(({ path, message, params }) => {
+        const entry = id ? `products[${index}] (${id})` : `products[${index}]`;
+        return `${entry}${path ? `.${path}` : ''}: ${t(message, params)}`;
+      })
+    )
+    .join('\n');
+};
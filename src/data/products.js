@@ -1,3 +1,5 @@
+import { rankProducts } from '../utils/search';
+
 /**
  * Base URLs for 3D model sources (all free/CC licensed)
  */
@@ -145,32 +147,72 @@ export const CATEGORIES = [
 export const FILE_FORMATS = ['FBX', 'OBJ', 'GLTF', 'BLEND', 'MAX'];
 
 /**
- * Price range bounds
+ * Boolean technical specs that can be required with the spec filters
+ */
+export const SPEC_FEATURES = ['rigged', 'animated', 'pbr', 'uvUnwrapped'];
+
+/**
+ * Texture resolutions, lowest first
+ */
+export const TEXTURE_RESOLUTIONS = ['1K', '2K', '4K', '8K'];
+
+/**
+ * Minimum LOD (level of detail) counts offered by the LOD filter
+ */
+export const LOD_COUNT_OPTIONS = [2, 3];
+
+/**
+ * Price range bounds. A range ending at `max` also matches higher prices.
  */
 export const PRICE_RANGE = { min: 0, max: 500 };
 
 /**
- * Polygon count range bounds
+ * Polygon count range bounds. A range ending at `max` also matches higher
+ * counts.
  */
 export const POLY_COUNT_RANGE = { min: 0, max: 100000 };
 
+/**
+ * Sort modes for the product grid
+ */
+export const SORT_OPTIONS = [
+  { value: 'relevance', label: 'Relevance' },
+  { value: 'price-asc', label: 'Price: Low to High' },
+  { value: 'price-desc', label: 'Price: High to Low' },
+  { value: 'rating', label: 'Top Rated' },
+  { value: 'poly-count', label: 'Polygon Count: Low to High' },
+  { value: 'featured', label: 'Featured First' },
+];
+
+export const DEFAULT_SORT = 'relevance';
+
 /**
  * Product catalog with enhanced metadata for the marketplace
- * Each product includes filtering attributes and SEO-friendly data
+ * Each product includes filtering attributes and SEO-friendly data.
+ * Technical specs: `rigged`, `animated`, `pbr` and `uvUnwrapped` flags, the
+ * `textureResolution` of the supplied maps (one of TEXTURE_RESOLUTIONS, or
+ * null for untextured models) and `lodCount`, the number of detail levels
+ * (1 when the model ships a single mesh).
  */
 export const products = [
   {
     id: 'tactical-soldier',
     name: 'Tactical Combat Soldier',
+    creatorId: 'nova-forge',
     price: 89,
     currency: 'USD',
     description:
       'Professional military soldier 3D model with full combat gear. Game-ready rigged character perfect for FPS games, military simulations, and action cinematics.',
     category: 'Characters',
-    rating: 4.8,
     previewColor: 'linear-gradient(135deg, #4A90E2, #357ABD)',
     polyCount: 45000,
     fileFormat: ['FBX', 'OBJ', 'BLEND'],
+    rigged: true,
+    animated: true,
+    pbr: false,
+    uvUnwrapped: true,
+    textureResolution: '2K',
+    lodCount: 3,
     tags: ['soldier', 'military', 'character', 'game-ready', 'rigged', 'fps'],
     featured: true,
     model: MODEL_LIBRARY.soldier,
@@ -178,15 +220,21 @@ export const products = [
   {
     id: 'vintage-toy-car',
     name: 'Classic Toy Car Model',
+    creatorId: 'retro-works',
     price: 49,
     currency: 'USD',
     description:
       'Charming vintage toy car with detailed PBR textures and realistic materials. Ideal for product visualization, game props, and nostalgic scene compositions.',
     category: 'Vehicles',
-    rating: 4.9,
     previewColor: 'linear-gradient(135deg, #E94B8A, #C73E75)',
     polyCount: 12000,
     fileFormat: ['FBX', 'GLTF', 'MAX'],
+    rigged: false,
+    animated: false,
+    pbr: true,
+    uvUnwrapped: true,
+    textureResolution: '4K',
+    lodCount: 2,
     tags: ['toy', 'car', 'vehicle', 'vintage', 'prop', 'game-ready'],
     featured: true,
     model: MODEL_LIBRARY.toyCar,
@@ -194,15 +242,21 @@ export const products = [
   {
     id: 'realistic-avocado',
     name: 'Photorealistic Avocado',
+    creatorId: 'retro-works',
     price: 25,
     currency: 'USD',
     description:
       'Ultra-realistic avocado 3D model with high-resolution PBR textures. Perfect for food visualization, kitchen scenes, advertising, and culinary applications.',
     category: 'Props',
-    rating: 4.7,
     previewColor: 'linear-gradient(135deg, #27AE60, #2ECC71)',
     polyCount: 8500,
     fileFormat: ['FBX', 'OBJ', 'GLTF'],
+    rigged: false,
+    animated: false,
+    pbr: true,
+    uvUnwrapped: true,
+    textureResolution: '4K',
+    lodCount: 1,
     tags: ['food', 'avocado', 'organic', 'realistic', 'kitchen', 'product-viz'],
     featured: false,
     model: MODEL_LIBRARY.avocado,
@@ -210,15 +264,21 @@ export const products = [
   {
     id: 'japanese-city-diorama',
     name: 'Tokyo Street Diorama',
+    creatorId: 'kenji-mori',
     price: 249,
     currency: 'USD',
     description:
       'Stunning Japanese cityscape diorama with intricate architectural details. Animated scene featuring traditional and modern Tokyo elements, perfect for games and cinematics.',
     category: 'Architecture',
-    rating: 5.0,
     previewColor: 'linear-gradient(135deg, #1ABC9C, #16A085)',
     polyCount: 85000,
     fileFormat: ['FBX', 'BLEND', 'MAX'],
+    rigged: false,
+    animated: true,
+    pbr: false,
+    uvUnwrapped: true,
+    textureResolution: '2K',
+    lodCount: 1,
     tags: ['japan', 'tokyo', 'city', 'diorama', 'animated', 'architecture'],
     featured: true,
     model: MODEL_LIBRARY.littlestTokyo,
@@ -226,15 +286,21 @@ export const products = [
   {
     id: 'animated-horse',
     name: 'Galloping Horse',
+    creatorId: 'lena-hart',
     price: 75,
     currency: 'USD',
     description:
       'Beautifully animated horse 3D model with realistic galloping motion. Ideal for equestrian games, historical scenes, fantasy environments, and nature documentaries.',
     category: 'Characters',
-    rating: 4.6,
     previewColor: 'linear-gradient(135deg, #E67E22, #D35400)',
     polyCount: 38000,
     fileFormat: ['FBX', 'OBJ'],
+    rigged: false,
+    animated: true,
+    pbr: false,
+    uvUnwrapped: true,
+    textureResolution: '1K',
+    lodCount: 1,
     tags: ['horse', 'animal', 'animated', 'equine', 'nature', 'game-ready'],
     featured: false,
     model: MODEL_LIBRARY.horse,
@@ -242,15 +308,21 @@ export const products = [
   {
     id: 'tropical-flamingo',
     name: 'Pink Flamingo Bird',
+    creatorId: 'lena-hart',
     price: 59,
     currency: 'USD',
     description:
       'Elegant pink flamingo with lifelike animated wing movements. Perfect for tropical environments, wildlife scenes, nature simulations, and decorative applications.',
     category: 'Nature',
-    rating: 4.8,
     previewColor: 'linear-gradient(135deg, #FF6B9D, #C44569)',
     polyCount: 15000,
     fileFormat: ['FBX', 'GLTF', 'BLEND'],
+    rigged: false,
+    animated: true,
+    pbr: false,
+    uvUnwrapped: true,
+    textureResolution: '1K',
+    lodCount: 1,
     tags: ['flamingo', 'bird', 'tropical', 'wildlife', 'animated', 'nature'],
     featured: false,
     model: MODEL_LIBRARY.flamingo,
@@ -258,15 +330,21 @@ export const products = [
   {
     id: 'expressive-robot',
     name: 'Expressive Robot Character',
+    creatorId: 'nova-forge',
     price: 129,
     currency: 'USD',
     description:
       'Adorable robot character with rich expressive animations and dynamic poses. Game-ready with multiple emotion states, perfect for mascots, games, and animated content.',
     category: 'Characters',
-    rating: 4.9,
     previewColor: 'linear-gradient(135deg, #34495E, #2C3E50)',
     polyCount: 28000,
     fileFormat: ['FBX', 'MAX', 'BLEND'],
+    rigged: true,
+    animated: true,
+    pbr: false,
+    uvUnwrapped: true,
+    textureResolution: '2K',
+    lodCount: 3,
     tags: [
       'robot',
       'character',
@@ -281,15 +359,21 @@ export const products = [
   {
     id: 'retro-boombox',
     name: 'Retro Boombox Speaker',
+    creatorId: 'retro-works',
     price: 35,
     currency: 'USD',
     description:
       'Iconic 80s-style boombox with detailed controls and realistic materials. Great for retro scenes, music visualizations, urban environments, and nostalgic projects.',
     category: 'Props',
-    rating: 4.5,
     previewColor: 'linear-gradient(135deg, #9B59B6, #8E44AD)',
     polyCount: 12000,
     fileFormat: ['FBX', 'OBJ', 'GLTF'],
+    rigged: false,
+    animated: false,
+    pbr: true,
+    uvUnwrapped: true,
+    textureResolution: '4K',
+    lodCount: 2,
     tags: ['boombox', 'retro', '80s', 'music', 'speaker', 'prop', 'vintage'],
     featured: false,
     model: MODEL_LIBRARY.boomBox,
@@ -297,15 +381,21 @@ export const products = [
   {
     id: 'sci-fi-helmet',
     name: 'Damaged Sci-Fi Helmet',
+    creatorId: 'nova-forge',
     price: 89,
     currency: 'USD',
     description:
       'Battle-worn sci-fi helmet with stunning PBR damage effects and weathering. Includes scratches, dents, and wear details perfect for post-apocalyptic and military scenes.',
     category: 'Sci-Fi',
-    rating: 4.7,
     previewColor: 'linear-gradient(135deg, #3498DB, #2980B9)',
     polyCount: 55000,
     fileFormat: ['FBX', 'GLTF', 'MAX'],
+    rigged: false,
+    animated: false,
+    pbr: true,
+    uvUnwrapped: true,
+    textureResolution: '4K',
+    lodCount: 1,
     tags: ['helmet', 'sci-fi', 'damaged', 'military', 'prop', 'pbr'],
     featured: false,
     model: MODEL_LIBRARY.damagedHelmet,
@@ -313,15 +403,21 @@ export const products = [
   {
     id: 'animated-fox',
     name: 'Playful Fox Character',
+    creatorId: 'lena-hart',
     price: 65,
     currency: 'USD',
     description:
       "Charming animated fox with fluid motion and expressive personality. Perfect for wildlife games, children's content, mascot design, and nature-themed projects.",
     category: 'Characters',
-    rating: 4.9,
     previewColor: 'linear-gradient(135deg, #F39C12, #F1C40F)',
     polyCount: 18000,
     fileFormat: ['FBX', 'BLEND', 'GLTF'],
+    rigged: true,
+    animated: true,
+    pbr: false,
+    uvUnwrapped: true,
+    textureResolution: '1K',
+    lodCount: 2,
     tags: ['fox', 'animal', 'animated', 'wildlife', 'character', 'stylized'],
     featured: true,
     model: MODEL_LIBRARY.fox,
@@ -329,15 +425,21 @@ export const products = [
   {
     id: 'nefertiti-bust',
     name: 'Queen Nefertiti Bust',
+    creatorId: 'kenji-mori',
     price: 149,
     currency: 'USD',
     description:
       'Museum-quality 3D scan of the iconic Egyptian Queen Nefertiti bust. Highly detailed sculpture perfect for educational content, historical visualization, and art projects.',
     category: 'Architecture',
-    rating: 4.8,
     previewColor: 'linear-gradient(135deg, #795548, #5D4037)',
     polyCount: 68000,
     fileFormat: ['FBX', 'OBJ', 'MAX'],
+    rigged: false,
+    animated: false,
+    pbr: false,
+    uvUnwrapped: true,
+    textureResolution: '8K',
+    lodCount: 3,
     tags: ['nefertiti', 'egypt', 'bust', 'sculpture', 'historical', 'museum'],
     featured: false,
     model: MODEL_LIBRARY.nefertiti,
@@ -345,15 +447,21 @@ export const products = [
   {
     id: 'vintage-lantern',
     name: 'Antique Oil Lantern',
+    creatorId: 'retro-works',
     price: 29,
     currency: 'USD',
     description:
       'Classic antique oil lantern with intricate metalwork and glass details. Ideal for camping scenes, horror games, historical settings, and atmospheric lighting props.',
     category: 'Props',
-    rating: 4.6,
     previewColor: 'linear-gradient(135deg, #607D8B, #455A64)',
     polyCount: 15000,
     fileFormat: ['FBX', 'GLTF', 'BLEND'],
+    rigged: false,
+    animated: false,
+    pbr: true,
+    uvUnwrapped: true,
+    textureResolution: '2K',
+    lodCount: 2,
     tags: ['lantern', 'antique', 'prop', 'lighting', 'vintage', 'atmospheric'],
     featured: false,
     model: MODEL_LIBRARY.lantern,
@@ -369,56 +477,239 @@ export const getProductById = (id) => {
   return products.find((product) => product.id === id);
 };
 
+/**
+ * Look up several products by ID, keeping the order of `ids`.
+ * IDs that aren't in `source` are skipped.
+ * @param {string[]} ids - Product IDs
+ * @param {Array} source - Products to look in (defaults to the bundled catalog)
+ * @returns {Array} The matching products
+ */
+export const getProductsByIds = (ids, source = products) => {
+  const byId = new Map(source.map((product) => [product.id, product]));
+  return ids.map((id) => byId.get(id)).filter(Boolean);
+};
+
+/**
+ * Products published by one creator, keeping the order of `source`.
+ * @param {string} creatorId
+ * @param {Array} source - Products to look in (defaults to the bundled catalog)
+ * @returns {Array} The creator's products
+ */
+export const getProductsByCreator = (creatorId, source = products) =>
+  source.filter((product) => product.creatorId === creatorId);
+
 export const getCategories = () => {
   return [...new Set(products.map((product) => product.category))];
 };
 
+/**
+ * URL slug for a category, used by the `/category/:slug` landing pages.
+ * e.g. 'Sci-Fi' -> 'sci-fi'
+ * @param {string} category - One of CATEGORIES
+ * @returns {string}
+ */
+export const getCategorySlug = (category) =>
+  category
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+
+/**
+ * Find the category a landing page slug refers to.
+ * @param {string} slug
+ * @returns {string|undefined} The category name, or undefined if unknown
+ */
+export const getCategoryBySlug = (slug) =>
+  CATEGORIES.find((category) => getCategorySlug(category) === slug);
+
 export const getFileFormats = () => {
   return [...new Set(products.flatMap((product) => product.fileFormat))];
 };
 
-export const getFeaturedProducts = () => {
-  return products.filter((product) => product.featured);
-};
+/**
+ * Products marked as featured, keeping the order of `source`.
+ * @param {Array} source - Products to look in (defaults to the bundled catalog)
+ * @returns {Array} The featured products
+ */
+export const getFeaturedProducts = (source = products) =>
+  source.filter((product) => product.featured);
 
-export const filterProducts = (filters = {}) => {
+/**
+ * Whether a texture resolution meets a minimum; untextured models never do
+ * @param {string|null} resolution - One of TEXTURE_RESOLUTIONS
+ * @param {string} minimum - One of TEXTURE_RESOLUTIONS
+ * @returns {boolean}
+ */
+export const meetsTextureResolution = (resolution, minimum) =>
+  TEXTURE_RESOLUTIONS.includes(resolution) &&
+  TEXTURE_RESOLUTIONS.indexOf(resolution) >=
+    TEXTURE_RESOLUTIONS.indexOf(minimum);
+
+// The top bound of a slider means "and above", so products priced or
+// modelled past the slider (e.g. added in the admin area) stay reachable
+const isInRange = (value, [low, high], bounds) =>
+  value >= low && (high >= bounds.max || value <= high);
+
+/**
+ * Filter a product list by search term, category, tag, price, polygon count,
+ * file format and technical specs. All criteria are combined with AND logic.
+ *
+ * When a search term is given, products are matched with the fuzzy,
+ * field-weighted ranking in `utils/search` and returned in relevance order
+ * (best match first); otherwise the input order is kept.
+ *
+ * `tags` matches products with any of the listed tags, while `requiredTag`
+ * (set by tag landing pages) must always be present. Every flag in
+ * `features` (see SPEC_FEATURES) must be set, and `minTextureResolution` and
+ * `minLodCount` are lower bounds. A `priceRange` or `polyCountRange` ending
+ * at the top of PRICE_RANGE / POLY_COUNT_RANGE has no upper limit.
+ * @param {Object} filters - Active filter values
+ * @param {Array} source - Products to filter (defaults to the bundled catalog)
+ * @returns {Array} Products matching every filter
+ */
+export const filterProducts = (filters = {}, source = products) => {
   const {
     searchTerm = '',
     categories = [],
+    tags = [],
+    requiredTag = null,
     priceRange = [PRICE_RANGE.min, PRICE_RANGE.max],
     polyCountRange = [POLY_COUNT_RANGE.min, POLY_COUNT_RANGE.max],
     fileFormats = [],
+    features = [],
+    minTextureResolution = null,
+    minLodCount = null,
   } = filters;
 
-  return products.filter((product) => {
-    const matchesSearch =
-      !searchTerm ||
-      product.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      product.category.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      product.tags.some((tag) =>
-        tag.toLowerCase().includes(searchTerm.toLowerCase())
-      );
+  const candidates = searchTerm.trim()
+    ? rankProducts(source, searchTerm).map((result) => result.product)
+    : source;
 
+  return candidates.filter((product) => {
     const matchesCategory =
       categories.length === 0 || categories.includes(product.category);
 
-    const matchesPrice =
-      product.price >= priceRange[0] && product.price <= priceRange[1];
+    const matchesTags =
+      (tags.length === 0 || product.tags.some((tag) => tags.includes(tag))) &&
+      (!requiredTag || product.tags.includes(requiredTag));
 
-    const matchesPolyCount =
-      product.polyCount >= polyCountRange[0] &&
-      product.polyCount <= polyCountRange[1];
+    const matchesPrice = isInRange(product.price, priceRange, PRICE_RANGE);
+
+    const matchesPolyCount = isInRange(
+      product.polyCount,
+      polyCountRange,
+      POLY_COUNT_RANGE
+    );
 
     const matchesFormat =
       fileFormats.length === 0 ||
       product.fileFormat.some((format) => fileFormats.includes(format));
 
+    const matchesSpecs =
+      features.every((feature) => product[feature] === true) &&
+      (!minTextureResolution ||
+        meetsTextureResolution(
+          product.textureResolution,
+          minTextureResolution
+        )) &&
+      (!minLodCount || product.lodCount >= minLodCount);
+
     return (
-      matchesSearch &&
       matchesCategory &&
+      matchesTags &&
       matchesPrice &&
       matchesPolyCount &&
-      matchesFormat
+      matchesFormat &&
+      matchesSpecs
     );
   });
 };
+
+const countOptions = (list, options, getValues) => {
+  const counts = Object.fromEntries(options.map((option) => [option, 0]));
+
+  list.forEach((product) => {
+    getValues(product).forEach((value) => {
+      if (value in counts) counts[value] += 1;
+    });
+  });
+
+  return counts;
+};
+
+/**
+ * Count how many products each category, file format and spec option would
+ * return. Each facet is counted against every other active filter but
+ * ignores its own selection, so checking one category doesn't zero out its
+ * siblings. Spec flags are combined with AND, so each is counted together
+ * with the flags already required.
+ * @param {Object} filters - Active filter values (same shape as filterProducts)
+ * @param {Array} source - Products to count (defaults to the bundled catalog)
+ * @returns {{ categories: Object<string, number>, fileFormats: Object<string, number>, features: Object<string, number> }}
+ */
+export const getFacetCounts = (filters = {}, source = products) => ({
+  categories: countOptions(
+    filterProducts({ ...filters, categories: [] }, source),
+    CATEGORIES,
+    (product) => [product.category]
+  ),
+  fileFormats: countOptions(
+    filterProducts({ ...filters, fileFormats: [] }, source),
+    FILE_FORMATS,
+    (product) => product.fileFormat
+  ),
+  features: Object.fromEntries(
+    SPEC_FEATURES.map((feature) => {
+      const features = [...new Set([...(filters.features || []), feature])];
+      return [feature, filterProducts({ ...filters, features }, source).length];
+    })
+  ),
+});
+
+const SORT_COMPARATORS = {
+  'price-asc': (a, b) => a.price - b.price,
+  'price-desc': (a, b) => b.price - a.price,
+  rating: (a, b) => b.rating - a.rating,
+  'poly-count': (a, b) => a.polyCount - b.polyCount,
+  featured: (a, b) => Number(b.featured) - Number(a.featured),
+};
+
+/**
+ * Sort a product list without mutating it. Ties keep their incoming order,
+ * so "relevance" (or any unknown mode) preserves the order produced by
+ * `filterProducts`, and the result composes cleanly with it:
+ * `sortProducts(filterProducts(filters), sort)`.
+ * @param {Array} list - Products to sort
+ * @param {string} sort - One of the SORT_OPTIONS values
+ * @returns {Array} A new, sorted array
+ */
+export const sortProducts = (list, sort = DEFAULT_SORT) => {
+  const compare = SORT_COMPARATORS[sort];
+  return compare ? [...list].sort(compare) : [...list];
+};
+
+/**
+ * Slice one page out of a product list.
+ * Out-of-range pages are clamped, so a stale `?page=` never yields an empty
+ * grid while matches exist. Without a page size the whole list is one page.
+ * @param {Array} list - Products to paginate
+ * @param {Object} options
+ * @param {number} options.page - 1-based page number (default: 1)
+ * @param {number} options.pageSize - Products per page
+ * @returns {{ items: Array, page: number, pageCount: number }}
+ */
+export const paginateProducts = (list, { page = 1, pageSize } = {}) => {
+  if (!pageSize) {
+    return { items: list, page: 1, pageCount: 1 };
+  }
+
+  const pageCount = Math.max(1, Math.ceil(list.length / pageSize));
+  const current = Math.min(Math.max(1, page), pageCount);
+  const start = (current - 1) * pageSize;
+
+  return {
+    items: list.slice(start, start + pageSize),
+    page: current,
+    pageCount,
+  };
+};
@@ -0,0 +1,332 @@
+/**
+ * Customer reviews.
+ *
+ * `reviews` seeds the local review adapter; reviews submitted in the browser
+ * are stored alongside them. Each review rates one product from 1 to 5 stars.
+ */
+
+/**
+ * Sort modes for a product's review list
+ */
+export const REVIEW_SORT_OPTIONS = ['newest', 'oldest', 'highest', 'lowest'];
+
+export const DEFAULT_REVIEW_SORT = 'newest';
+
+export const REVIEW_PAGE_SIZE = 5;
+
+/**
+ * Length limits enforced when a review is submitted
+ */
+export const REVIEW_LIMITS = {
+  authorMax: 50,
+  titleMax: 100,
+  bodyMin: 20,
+  bodyMax: 2000,
+};
+
+export const reviews = [
+  {
+    id: 'review-soldier-1',
+    productId: 'tactical-soldier',
+    author: 'Marcus K.',
+    rating: 5,
+    title: 'Dropped straight into our FPS prototype',
+    body: 'The rig imported cleanly into Unity and the gear is modeled separately, so we could swap helmets without touching the body mesh.',
+    createdAt: '2025-03-02T10:15:00Z',
+  },
+  {
+    id: 'review-soldier-2',
+    productId: 'tactical-soldier',
+    author: 'Priya S.',
+    rating: 5,
+    title: 'Great topology',
+    body: 'Clean edge loops around the joints, deforms nicely even at extreme poses. Textures are sharp at 4K.',
+    createdAt: '2025-02-14T18:40:00Z',
+  },
+  {
+    id: 'review-soldier-3',
+    productId: 'tactical-soldier',
+    author: 'Jonas W.',
+    rating: 4,
+    title: 'Solid, a little heavy for mobile',
+    body: 'Looks fantastic on desktop. For our mobile build we had to decimate it, which took some cleanup around the vest.',
+    createdAt: '2025-01-20T09:05:00Z',
+  },
+  {
+    id: 'review-soldier-4',
+    productId: 'tactical-soldier',
+    author: 'Elena R.',
+    rating: 5,
+    title: 'Worth every cent',
+    body: 'Used it for a short military cinematic. The animation-ready skeleton saved us days of rigging work.',
+    createdAt: '2024-12-08T14:30:00Z',
+  },
+  {
+    id: 'review-soldier-5',
+    productId: 'tactical-soldier',
+    author: 'Tom B.',
+    rating: 5,
+    title: 'Exactly as pictured',
+    body: 'Materials match the preview and the FBX came with embedded textures, which made the Blender import painless.',
+    createdAt: '2024-11-11T08:20:00Z',
+  },
+  {
+    id: 'review-soldier-6',
+    productId: 'tactical-soldier',
+    author: 'Aiko T.',
+    rating: 4,
+    title: 'Good base character',
+    body: 'Nice starting point for a squad. I would love a few more camouflage texture variants in a future update.',
+    createdAt: '2024-10-03T16:45:00Z',
+  },
+  {
+    id: 'review-soldier-7',
+    productId: 'tactical-soldier',
+    author: 'Dave L.',
+    rating: 3,
+    title: 'Fine, but check the scale',
+    body: 'The model is exported in centimeters, so it came in 100x too big in our engine. Easy fix once you know.',
+    createdAt: '2024-09-15T12:00:00Z',
+  },
+  {
+    id: 'review-car-1',
+    productId: 'vintage-toy-car',
+    author: 'Sofia M.',
+    rating: 5,
+    title: 'Adorable and detailed',
+    body: 'The PBR paint has a lovely worn look. Perfect hero prop for a nostalgic bedroom scene.',
+    createdAt: '2025-02-27T11:10:00Z',
+  },
+  {
+    id: 'review-car-2',
+    productId: 'vintage-toy-car',
+    author: 'Liam O.',
+    rating: 5,
+    title: 'Product shots look real',
+    body: 'Rendered it in Cycles for a toy shop mockup and nobody could tell it was CG. Great material work.',
+    createdAt: '2025-01-09T15:25:00Z',
+  },
+  {
+    id: 'review-avocado-1',
+    productId: 'realistic-avocado',
+    author: 'Hannah F.',
+    rating: 5,
+    title: 'Photoreal at a tiny poly count',
+    body: 'Scanned textures carry this model. It holds up in close-ups and barely dents the frame budget.',
+    createdAt: '2025-03-05T07:50:00Z',
+  },
+  {
+    id: 'review-avocado-2',
+    productId: 'realistic-avocado',
+    author: 'Raj P.',
+    rating: 4,
+    title: 'Great for food scenes',
+    body: 'Used it in a kitchen arch-viz set. The cut half would be a nice addition, but the whole fruit is excellent.',
+    createdAt: '2024-12-19T13:35:00Z',
+  },
+  {
+    id: 'review-diorama-1',
+    productId: 'japanese-city-diorama',
+    author: 'Kenji A.',
+    rating: 5,
+    title: 'Stunning level of detail',
+    body: 'Every balcony and sign is modeled. The animated train is a lovely touch for turntable renders.',
+    createdAt: '2025-02-02T19:00:00Z',
+  },
+  {
+    id: 'review-diorama-2',
+    productId: 'japanese-city-diorama',
+    author: 'Claire D.',
+    rating: 5,
+    title: 'A showcase piece',
+    body: 'I use it to demo lighting setups to clients. It always gets a reaction and the scene is very well organized.',
+    createdAt: '2024-11-28T10:40:00Z',
+  },
+  {
+    id: 'review-horse-1',
+    productId: 'animated-horse',
+    author: 'Mateo G.',
+    rating: 5,
+    title: 'Smooth gallop cycle',
+    body: 'The loop is seamless and the hooves plant convincingly. Dropped it into a racing scene with no tweaks.',
+    createdAt: '2025-01-30T17:15:00Z',
+  },
+  {
+    id: 'review-horse-2',
+    productId: 'animated-horse',
+    author: 'Nora J.',
+    rating: 4,
+    title: 'Nice, wish it had more clips',
+    body: 'The gallop is great. A walk and idle animation would make it usable for far more gameplay situations.',
+    createdAt: '2024-12-12T09:30:00Z',
+  },
+  {
+    id: 'review-flamingo-1',
+    productId: 'tropical-flamingo',
+    author: 'Isla C.',
+    rating: 5,
+    title: 'Lightweight and charming',
+    body: 'Flapping animation reads well from a distance. We scattered a whole flock in our resort flythrough.',
+    createdAt: '2025-02-20T12:05:00Z',
+  },
+  {
+    id: 'review-flamingo-2',
+    productId: 'tropical-flamingo',
+    author: 'Ben H.',
+    rating: 4,
+    title: 'Good stylized bird',
+    body: 'Low poly style fits our mobile game perfectly. Colors are a touch saturated but easy to adjust.',
+    createdAt: '2024-10-22T08:55:00Z',
+  },
+  {
+    id: 'review-robot-1',
+    productId: 'expressive-robot',
+    author: 'Zoe N.',
+    rating: 5,
+    title: 'So much personality',
+    body: 'The facial expressions and emotes are fantastic. Our players adopted it as the unofficial mascot.',
+    createdAt: '2025-03-08T16:20:00Z',
+  },
+  {
+    id: 'review-robot-2',
+    productId: 'expressive-robot',
+    author: 'Omar Y.',
+    rating: 5,
+    title: 'Best animated character in the store',
+    body: 'Thirteen clean animations with consistent timing. Blending between them in the animator just works.',
+    createdAt: '2025-01-15T11:45:00Z',
+  },
+  {
+    id: 'review-boombox-1',
+    productId: 'retro-boombox',
+    author: 'Grace E.',
+    rating: 5,
+    title: 'Perfect 80s prop',
+    body: 'The emissive speaker grille looks great with bloom. Instant retro vibe for our music video set.',
+    createdAt: '2025-02-10T20:10:00Z',
+  },
+  {
+    id: 'review-boombox-2',
+    productId: 'retro-boombox',
+    author: 'Felix Z.',
+    rating: 4,
+    title: 'Nice textures, simple mesh',
+    body: 'Good value for a background prop. The buttons are baked into the normal map rather than modeled.',
+    createdAt: '2024-12-01T14:00:00Z',
+  },
+  {
+    id: 'review-helmet-1',
+    productId: 'sci-fi-helmet',
+    author: 'Ava Q.',
+    rating: 5,
+    title: 'Reference-quality PBR',
+    body: 'This is my go-to asset for testing shaders. The battle damage and emissive visor look superb.',
+    createdAt: '2025-01-25T10:30:00Z',
+  },
+  {
+    id: 'review-helmet-2',
+    productId: 'sci-fi-helmet',
+    author: 'Lucas V.',
+    rating: 4,
+    title: 'Gorgeous but single-piece',
+    body: 'Looks incredible. I would have liked the visor as a separate object so it could open and close.',
+    createdAt: '2024-11-05T15:50:00Z',
+  },
+  {
+    id: 'review-fox-1',
+    productId: 'animated-fox',
+    author: 'Maya I.',
+    rating: 5,
+    title: 'Cute and well animated',
+    body: 'Survey, walk and run cycles all loop cleanly. Great low poly companion for our forest level.',
+    createdAt: '2025-02-16T09:40:00Z',
+  },
+  {
+    id: 'review-fox-2',
+    productId: 'animated-fox',
+    author: 'Noah U.',
+    rating: 5,
+    title: 'Great stylized wildlife',
+    body: 'Matches our art direction perfectly and the rig is simple enough to add custom animations.',
+    createdAt: '2024-12-27T18:25:00Z',
+  },
+  {
+    id: 'review-nefertiti-1',
+    productId: 'nefertiti-bust',
+    author: 'Layla A.',
+    rating: 5,
+    title: 'Museum-grade scan',
+    body: 'Used it for a virtual exhibition. The surface detail holds up even in 4K close-up renders.',
+    createdAt: '2025-01-12T13:15:00Z',
+  },
+  {
+    id: 'review-nefertiti-2',
+    productId: 'nefertiti-bust',
+    author: 'Peter K.',
+    rating: 4,
+    title: 'Beautiful, very dense',
+    body: 'Stunning sculpt, but you will want to bake a lower poly version before using it in real time.',
+    createdAt: '2024-10-30T07:05:00Z',
+  },
+  {
+    id: 'review-lantern-1',
+    productId: 'vintage-lantern',
+    author: 'Ruby W.',
+    rating: 5,
+    title: 'Lovely atmospheric prop',
+    body: 'Paired with a point light it makes any dungeon corridor feel alive. Rust textures are spot on.',
+    createdAt: '2025-03-01T21:00:00Z',
+  },
+  {
+    id: 'review-lantern-2',
+    productId: 'vintage-lantern',
+    author: 'Sam T.',
+    rating: 4,
+    title: 'Good value',
+    body: 'Nicely textured and game ready. The glass could use a separate material slot for transparency.',
+    createdAt: '2024-11-19T10:10:00Z',
+  },
+];
+
+const SORT_COMPARATORS = {
+  newest: (a, b) => b.createdAt.localeCompare(a.createdAt),
+  oldest: (a, b) => a.createdAt.localeCompare(b.createdAt),
+  highest: (a, b) =>
+    b.rating - a.rating || b.createdAt.localeCompare(a.createdAt),
+  lowest: (a, b) =>
+    a.rating - b.rating || b.createdAt.localeCompare(a.createdAt),
+};
+
+/**
+ * Sort reviews without mutating the list. Unknown modes sort newest first.
+ * @param {Array} list - Reviews to sort
+ * @param {string} sort - One of REVIEW_SORT_OPTIONS
+ * @returns {Array} A new, sorted array
+ */
+export const sortReviews = (list, sort = DEFAULT_REVIEW_SORT) =>
+  [...list].sort(
+    SORT_COMPARATORS[sort] || SORT_COMPARATORS[DEFAULT_REVIEW_SORT]
+  );
+
+/**
+ * Aggregate rating of a set of reviews.
+ * @param {Array} list - Reviews of one product
+ * @returns {{ average: number, count: number, breakdown: Object<number, number> }}
+ *   `average` is rounded to one decimal (0 without reviews) and `breakdown`
+ *   counts the reviews for each star value from 5 down to 1
+ */
+export const summarizeReviews = (list) => {
+  const breakdown = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
+  let sum = 0;
+
+  list.forEach((review) => {
+    breakdown[review.rating] += 1;
+    sum += review.rating;
+  });
+
+  return {
+    average: list.length > 0 ? Math.round((sum / list.length) * 10) / 10 : 0,
+    count: list.length,
+    breakdown,
+  };
+};
@@ -0,0 +1,150 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  getProduct,
+  listProducts,
+  searchProducts,
+} from '../services/catalogService';
+
+// Errors are reported as message keys for the page to translate
+const LOAD_ERROR_MESSAGE = 'catalog.loadError';
+
+/**
+ * Runs a catalog search whenever `filters` changes.
+ * Previous results stay visible while a new request is in flight so the grid
+ * doesn't flash between keystrokes; `isLoading` is true until the first
+ * response arrives.
+ * @param {Object} filters - Memoized filter object passed to searchProducts
+ * @returns {Object} { products, total, page, pageCount, catalogSize, facets,
+ *   isLoading, error, retry }
+ */
+export function useProductSearch(filters) {
+  const [state, setState] = useState({
+    products: [],
+    total: 0,
+    page: 1,
+    pageCount: 1,
+    catalogSize: 0,
+    facets: null,
+    isLoading: true,
+    error: null,
+  });
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    searchProducts(filters)
+      .then((result) => {
+        if (cancelled) return;
+        setState({
+          products: result.products,
+          total: result.total,
+          page: result.page,
+          pageCount: result.pageCount,
+          catalogSize: result.catalogSize,
+          facets: result.facets,
+          isLoading: false,
+          error: null,
+        });
+      })
+      .catch(() => {
+        if (cancelled) return;
+        setState((prev) => ({
+          ...prev,
+          isLoading: false,
+          error: LOAD_ERROR_MESSAGE,
+        }));
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [filters, attempt]);
+
+  const retry = useCallback(() => {
+    setState((prev) => ({ ...prev, isLoading: true, error: null }));
+    setAttempt((prev) => prev + 1);
+  }, []);
+
+  return { ...state, retry };
+}
+
+/**
+ * Loads the full, unfiltered catalog once.
+ * Used for secondary UI such as search suggestions, so a failure leaves the
+ * list empty instead of surfacing an error.
+ * @returns {Object} { products, isLoading }
+ */
+export function useCatalogProducts() {
+  const [state, setState] = useState({ products: [], isLoading: true });
+
+  useEffect(() => {
+    let cancelled = false;
+
+    listProducts()
+      .then((result) => {
+        if (cancelled) return;
+        setState({ products: result.products, isLoading: false });
+      })
+      .catch(() => {
+        if (cancelled) return;
+        setState({ products: [], isLoading: false });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return state;
+}
+
+/**
+ * Loads a single product by id.
+ * @param {string} productId
+ * @returns {Object} { product, isLoading, notFound, error, retry }
+ */
+export function useProduct(productId) {
+  const [state, setState] = useState({
+    product: null,
+    isLoading: true,
+    notFound: false,
+    error: null,
+  });
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    setState({ product: null, isLoading: true, notFound: false, error: null });
+
+    getProduct(productId)
+      .then((result) => {
+        if (cancelled) return;
+        setState({
+          product: result.success ? result.product : null,
+          isLoading: false,
+          notFound: !result.success && result.error === 'not_found',
+          error: null,
+        });
+      })
+      .catch(() => {
+        if (cancelled) return;
+        setState({
+          product: null,
+          isLoading: false,
+          notFound: false,
+          error: LOAD_ERROR_MESSAGE,
+        });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [productId, attempt]);
+
+  const retry = useCallback(() => {
+    setAttempt((prev) => prev + 1);
+  }, []);
+
+  return { ...state, retry };
+}
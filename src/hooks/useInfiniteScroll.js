@@ -0,0 +1,47 @@
+import { useEffect, useRef } from 'react';
+
+/**
+ * Calls `onLoadMore` when a sentinel element scrolls into view.
+ * The observer is recreated whenever `enabled` or `resetKey` changes, so a
+ * sentinel that is still visible after a page loads (e.g. on a tall screen)
+ * triggers the next page too. Does nothing where IntersectionObserver is
+ * unavailable; pair it with a "load more" button as a fallback.
+ * @param {Object} options
+ * @param {Function} options.onLoadMore - Called when the sentinel is visible
+ * @param {boolean} options.enabled - Whether more items can be loaded now
+ * @param {*} options.resetKey - Changes when new items have rendered
+ * @param {string} options.rootMargin - How early to trigger (default: 400px)
+ * @returns {Object} Ref to attach to the sentinel element
+ */
+export function useInfiniteScroll({
+  onLoadMore,
+  enabled,
+  resetKey,
+  rootMargin = '400px',
+}) {
+  const sentinelRef = useRef(null);
+  const onLoadMoreRef = useRef(onLoadMore);
+  onLoadMoreRef.current = onLoadMore;
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!enabled || !sentinel || !('IntersectionObserver' in window)) {
+      return undefined;
+    }
+
+    const observer = new window.IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) {
+          observer.disconnect();
+          onLoadMoreRef.current();
+        }
+      },
+      { rootMargin }
+    );
+    observer.observe(sentinel);
+
+    return () => observer.disconnect();
+  }, [enabled, resetKey, rootMargin]);
+
+  return sentinelRef;
+}
@@ -0,0 +1,34 @@
+import { useState, useEffect } from 'react';
+
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+const getMediaQuery = () =>
+  typeof window.matchMedia === 'function'
+    ? window.matchMedia(REDUCED_MOTION_QUERY)
+    : null;
+
+/**
+ * Whether the visitor asked the OS to reduce motion, updated live when the
+ * setting changes. False where matchMedia is unavailable.
+ * @returns {boolean}
+ */
+export function usePrefersReducedMotion() {
+  const [prefersReducedMotion, setPrefersReducedMotion] = useState(
+    () => getMediaQuery()?.matches ?? false
+  );
+
+  useEffect(() => {
+    const mediaQuery = getMediaQuery();
+    if (!mediaQuery) return undefined;
+
+    const handleChange = (event) => setPrefersReducedMotion(event.matches);
+    setPrefersReducedMotion(mediaQuery.matches);
+    mediaQuery.addEventListener('change', handleChange);
+
+    return () => {
+      mediaQuery.removeEventListener('change', handleChange);
+    };
+  }, []);
+
+  return prefersReducedMotion;
+}
@@ -0,0 +1,55 @@
+import { useState, useEffect, useCallback } from 'react';
+
+const RECENT_SEARCHES_STORAGE_KEY = 'marketplace_recent_searches';
+export const MAX_RECENT_SEARCHES = 5;
+
+function getInitialRecentSearches() {
+  try {
+    const stored = localStorage.getItem(RECENT_SEARCHES_STORAGE_KEY);
+    const parsed = stored ? JSON.parse(stored) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Most recent search terms, newest first, persisted to localStorage.
+ * Terms are de-duplicated case-insensitively and capped at
+ * MAX_RECENT_SEARCHES.
+ * @returns {Object} { recentSearches, addRecentSearch, clearRecentSearches }
+ */
+export function useRecentSearches() {
+  const [recentSearches, setRecentSearches] = useState(
+    getInitialRecentSearches
+  );
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(
+        RECENT_SEARCHES_STORAGE_KEY,
+        JSON.stringify(recentSearches)
+      );
+    } catch {
+      // localStorage not available or quota exceeded
+    }
+  }, [recentSearches]);
+
+  const addRecentSearch = useCallback((term) => {
+    const trimmed = term.trim();
+    if (!trimmed) return;
+
+    setRecentSearches((prev) =>
+      [
+        trimmed,
+        ...prev.filter((item) => item.toLowerCase() !== trimmed.toLowerCase()),
+      ].slice(0, MAX_RECENT_SEARCHES)
+    );
+  }, []);
+
+  const clearRecentSearches = useCallback(() => {
+    setRecentSearches([]);
+  }, []);
+
+  return { recentSearches, addRecentSearch, clearRecentSearches };
+}
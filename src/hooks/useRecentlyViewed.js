@@ -0,0 +1,56 @@
+import { useState, useEffect, useCallback } from 'react';
+
+const RECENTLY_VIEWED_STORAGE_KEY = 'marketplace_recently_viewed';
+export const MAX_RECENTLY_VIEWED = 12;
+
+function getInitialRecentlyViewed() {
+  try {
+    const stored = localStorage.getItem(RECENTLY_VIEWED_STORAGE_KEY);
+    const parsed = stored ? JSON.parse(stored) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Ids of the most recently viewed products, newest first, persisted to
+ * localStorage and capped at MAX_RECENTLY_VIEWED.
+ * Only ids are stored so the rail always shows current catalog data; callers
+ * resolve them against the catalog and skip ids that no longer exist.
+ * @returns {Object} { recentlyViewedIds, addRecentlyViewed,
+ *   clearRecentlyViewed }
+ */
+export function useRecentlyViewed() {
+  const [recentlyViewedIds, setRecentlyViewedIds] = useState(
+    getInitialRecentlyViewed
+  );
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(
+        RECENTLY_VIEWED_STORAGE_KEY,
+        JSON.stringify(recentlyViewedIds)
+      );
+    } catch {
+      // localStorage not available or quota exceeded
+    }
+  }, [recentlyViewedIds]);
+
+  const addRecentlyViewed = useCallback((productId) => {
+    setRecentlyViewedIds((prev) =>
+      prev[0] === productId
+        ? prev
+        : [productId, ...prev.filter((id) => id !== productId)].slice(
+            0,
+            MAX_RECENTLY_VIEWED
+          )
+    );
+  }, []);
+
+  const clearRecentlyViewed = useCallback(() => {
+    setRecentlyViewedIds([]);
+  }, []);
+
+  return { recentlyViewedIds, addRecentlyViewed, clearRecentlyViewed };
+}
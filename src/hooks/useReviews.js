@@ -0,0 +1,196 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  getReviews,
+  getReviewSummary,
+  getProductRatings,
+  submitReview,
+} from '../services/reviewService';
+import { DEFAULT_REVIEW_SORT } from '../data/reviews';
+import { useI18n } from '../context/I18nContext';
+
+// Errors are reported as message keys for the page to translate
+const LOAD_ERROR_MESSAGE = 'reviews.loadError';
+
+const EMPTY_SUMMARY = {
+  average: 0,
+  count: 0,
+  breakdown: { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 },
+};
+
+const INITIAL_STATE = {
+  reviews: [],
+  summary: EMPTY_SUMMARY,
+  total: 0,
+  page: 1,
+  pageCount: 1,
+  isLoading: true,
+  error: null,
+};
+
+/**
+ * Loads a product's reviews one page at a time and submits new ones.
+ * Changing the sort returns to the first page; a successful submission
+ * switches to the newest reviews so the new one is visible right away.
+ * @param {string} productId
+ * @returns {Object} { reviews, summary, total, page, pageCount, sort,
+ *   setSort, setPage, isLoading, error, retry, submit }
+ */
+export function useProductReviews(productId) {
+  const { locale } = useI18n();
+  const [query, setQuery] = useState({
+    productId,
+    sort: DEFAULT_REVIEW_SORT,
+    page: 1,
+  });
+  const [state, setState] = useState(INITIAL_STATE);
+  const [attempt, setAttempt] = useState(0);
+
+  // Start over from the first page when navigating to another product, and
+  // don't show the previous product's reviews while the new ones load
+  if (query.productId !== productId) {
+    setQuery({ productId, sort: DEFAULT_REVIEW_SORT, page: 1 });
+    setState(INITIAL_STATE);
+  }
+
+  useEffect(() => {
+    let cancelled = false;
+
+    getReviews(query.productId, query)
+      .then((result) => {
+        if (cancelled) return;
+        setState({
+          reviews: result.reviews,
+          summary: result.summary,
+          total: result.total,
+          page: result.page,
+          pageCount: result.pageCount,
+          isLoading: false,
+          error: null,
+        });
+      })
+      .catch(() => {
+        if (cancelled) return;
+        setState((prev) => ({
+          ...prev,
+          isLoading: false,
+          error: LOAD_ERROR_MESSAGE,
+        }));
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [query, attempt]);
+
+  const setSort = useCallback((sort) => {
+    setQuery((prev) => ({ ...prev, sort, page: 1 }));
+  }, []);
+
+  const setPage = useCallback((page) => {
+    setQuery((prev) => ({ ...prev, page }));
+  }, []);
+
+  const retry = useCallback(() => {
+    setState((prev) => ({ ...prev, isLoading: true, error: null }));
+    setAttempt((prev) => prev + 1);
+  }, []);
+
+  const submit = useCallback(
+    async (input) => {
+      const result = await submitReview(productId, input, locale);
+      if (result.success) {
+        setQuery((prev) => ({ ...prev, sort: DEFAULT_REVIEW_SORT, page: 1 }));
+        setAttempt((prev) => prev + 1);
+      }
+      return result;
+    },
+    [productId, locale]
+  );
+
+  return { ...state, sort: query.sort, setSort, setPage, retry, submit };
+}
+
+/**
+ * Aggregates the reviews of several products, e.g. a creator's portfolio.
+ * The rating is secondary to the page it appears on, so a failure leaves the
+ * summary empty instead of surfacing an error.
+ * @param {string[]} productIds
+ * @returns {Object} { summary, isLoading }
+ */
+export function useReviewSummary(productIds) {
+  // Callers usually derive the ids on every render, so compare by value
+  const idsKey = productIds.join(',');
+  const [state, setState] = useState({
+    idsKey,
+    summary: EMPTY_SUMMARY,
+    isLoading: true,
+  });
+
+  // Don't show the previous products' summary while the new one loads
+  if (state.idsKey !== idsKey) {
+    setState({ idsKey, summary: EMPTY_SUMMARY, isLoading: true });
+  }
+
+  useEffect(() => {
+    let cancelled = false;
+    const ids = idsKey ? idsKey.split(',') : [];
+
+    getReviewSummary(ids)
+      .then((result) => {
+        if (cancelled) return;
+        setState({ idsKey, summary: result.summary, isLoading: false });
+      })
+      .catch(() => {
+        if (cancelled) return;
+        setState({ idsKey, summary: EMPTY_SUMMARY, isLoading: false });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [idsKey]);
+
+  return { summary: state.summary, isLoading: state.isLoading };
+}
+
+/**
+ * Average rating and review count of each of several products, for views
+ * that hold product snapshots rather than catalog results (e.g. the compare
+ * table). Like useReviewSummary, a failure leaves the ratings empty.
+ * @param {string[]} productIds
+ * @returns {Object} { ratings, isLoading } where `ratings` maps each product
+ *   id to { average, count }
+ */
+export function useProductRatings(productIds) {
+  const idsKey = productIds.join(',');
+  const [state, setState] = useState({
+    idsKey,
+    ratings: {},
+    isLoading: idsKey !== '',
+  });
+
+  if (state.idsKey !== idsKey) {
+    setState({ idsKey, ratings: {}, isLoading: idsKey !== '' });
+  }
+
+  useEffect(() => {
+    if (!idsKey) return undefined;
+    let cancelled = false;
+
+    getProductRatings(idsKey.split(','))
+      .then((result) => {
+        if (cancelled) return;
+        setState({ idsKey, ratings: result.ratings, isLoading: false });
+      })
+      .catch(() => {
+        if (cancelled) return;
+        setState({ idsKey, ratings: {}, isLoading: false });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [idsKey]);
+
+  return { ratings: state.ratings, isLoading: state.isLoading };
+}
@@ -0,0 +1,43 @@
+import { useState, useCallback } from 'react';
+
+const ROLE_STORAGE_KEY = 'marketplace_role';
+
+export const ROLES = {
+  CUSTOMER: 'customer',
+  ADMIN: 'admin',
+};
+
+function getInitialRole() {
+  try {
+    const stored = localStorage.getItem(ROLE_STORAGE_KEY);
+    return Object.values(ROLES).includes(stored) ? stored : ROLES.CUSTOMER;
+  } catch {
+    return ROLES.CUSTOMER;
+  }
+}
+
+/**
+ * The visitor's role in this browser, persisted to localStorage.
+ * This is a local switch that keeps the admin area out of the way of
+ * shoppers, not authentication: anyone with the browser can change it.
+ * The role is stored as soon as it is set, so a page that switches it and
+ * navigates away in the same handler hands it to the next page.
+ * @returns {Object} { role, isAdmin, setRole }
+ */
+export function useRole() {
+  const [role, setRoleState] = useState(getInitialRole);
+
+  const setRole = useCallback((nextRole) => {
+    const validRole = Object.values(ROLES).includes(nextRole)
+      ? nextRole
+      : ROLES.CUSTOMER;
+    try {
+      localStorage.setItem(ROLE_STORAGE_KEY, validRole);
+    } catch {
+      // localStorage not available or quota exceeded
+    }
+    setRoleState(validRole);
+  }, []);
+
+  return { role, isAdmin: role === ROLES.ADMIN, setRole };
+}
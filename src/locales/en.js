@@ -0,0 +1,781 @@
+/**
+ * English messages. This is the reference catalog: every key used in the app
+ * must exist here, and other locales fall back to it for missing keys.
+ */
+const en = {
+  common: {
+    siteName: '3D Marketplace',
+    pageTitle: '{title} | 3D Marketplace',
+    skipToContent: 'Skip to main content',
+    clear: 'Clear',
+    back: 'Back',
+    edit: 'Edit',
+    tryAgain: 'Try Again',
+    loading: 'Loading...',
+    validating: 'Validating...',
+    browseProducts: 'Browse Products',
+    continueShopping: 'Continue Shopping',
+    backToProducts: 'Back to Products',
+    free: 'FREE',
+    subtotal: 'Subtotal',
+    total: 'Total',
+    bundleSavings: 'Bundle savings',
+    orderSummary: 'Order Summary',
+    tags: 'Tags',
+    models: { one: '{count} model', other: '{count} models' },
+    items: { one: '{count} item', other: '{count} items' },
+  },
+
+  header: {
+    home: 'NEXUS3D - Go to homepage',
+    mainNavigation: 'Main navigation',
+    browse: 'Browse',
+    language: 'Language',
+    currency: 'Currency',
+    wishlist: 'Wishlist with {count} items',
+    cart: 'Shopping cart with {count} items',
+    cartText: 'Cart',
+  },
+
+  catalog: {
+    loadError:
+      'We could not load the catalog. Please check your connection and try again.',
+  },
+
+  licenses: {
+    personal: {
+      name: 'Personal',
+      description: 'Personal and non-commercial projects',
+    },
+    commercial: {
+      name: 'Commercial',
+      description: 'Commercial projects and client work',
+    },
+    extended: {
+      name: 'Extended',
+      description: 'Products for resale, games and unlimited distribution',
+    },
+    label: '{name} license',
+  },
+
+  productCard: {
+    quickAdd: 'Quick Add',
+    quickAddLabel: 'Quick add {name} to cart',
+    add: 'Add',
+    addToCart: 'Add to Cart',
+    addToCartLabel: 'Add {name} to cart for {price}',
+    viewDetails: 'View {name} details - {price}',
+    imageAlt: '{name} - {category} 3D model',
+    rating: {
+      one: 'Rating: {rating} out of 5 stars from {count} review',
+      other: 'Rating: {rating} out of 5 stars from {count} reviews',
+    },
+    polygons: '{count} polygons',
+    compare: 'Compare',
+    compareLabel: 'Compare {name}',
+    compareFullLabel: 'Compare {name} (compare tray is full)',
+  },
+
+  wishlistButton: {
+    label: 'Save {name} to wishlist',
+    text: 'Wishlist',
+  },
+
+  notification: {
+    added: 'Added to cart',
+    addedExcited: 'Added to cart!',
+    addedSuffix: 'added',
+    close: 'Close notification',
+    viewCart: 'View Cart',
+    checkoutNow: 'Checkout Now',
+    cartTotal: {
+      one: 'Cart Total ({count} item)',
+      other: 'Cart Total ({count} items)',
+    },
+  },
+
+  home: {
+    metaTitle: '3D Marketplace | Premium Digital Assets & 3D Models',
+    metaDescription:
+      'Discover premium 3D models and digital assets for your creative projects. Browse characters, vehicles, props, and more. Perfect for game development and visualization.',
+    socialTitle: '3D Marketplace | Premium Digital Assets',
+    socialDescription:
+      'Discover premium 3D models and digital assets for your creative projects.',
+    twitterDescription:
+      'Premium 3D models for game development and visualization.',
+    heroBadge: 'Premium 3D Marketplace',
+    heroTitleLine1: 'Next-Gen',
+    heroTitleLine2: '3D Assets',
+    heroDescription:
+      'Professional-grade 3D models optimized for real-time rendering, game development, and digital visualization. Industry-standard formats, instant downloads.',
+    heroFeatureHighPoly: 'High-Poly Models',
+    heroFeaturePbr: 'PBR Textures',
+    heroFeatureFormats: 'Multi-Format',
+    heroStats: 'premium assets available',
+    recentlyViewed: 'Recently Viewed',
+    clearRecentlyViewed: 'Clear recently viewed models',
+    allModels: 'All Models',
+    loadingModels: 'Loading models...',
+    resultCount: {
+      one: '{total} of {count} model',
+      other: '{total} of {count} models',
+    },
+    filters: 'Filters',
+    activeFilters: {
+      one: '{count} active filter',
+      other: '{count} active filters',
+    },
+    searchPlaceholder: 'Search models, categories, tags...',
+    searchLabel: 'Search products',
+    sortBy: 'Sort by',
+    sort: {
+      relevance: 'Relevance',
+      'price-asc': 'Price: Low to High',
+      'price-desc': 'Price: High to Low',
+      rating: 'Top Rated',
+      'poly-count': 'Polygon Count: Low to High',
+      featured: 'Featured First',
+    },
+    infiniteScroll: 'Infinite scroll',
+    tagFilters: 'Tag filters',
+    removeTag: 'Remove tag filter {tag}',
+    loadError: 'Unable to load models',
+    loadingListings: 'Loading product listings',
+    listings: 'Product listings',
+    showing: 'Showing {loaded} of {total}',
+    loadMore: 'Load more models',
+    productPages: 'Product pages',
+    noResults: 'No models found',
+    noResultsDescription: 'Try adjusting your filters or search term',
+    resetFilters: 'Reset Filters',
+  },
+
+  facet: {
+    categoryBadge: 'Category',
+    categoryTitle: '{category} 3D Models',
+    categoryDescription:
+      'Browse premium {category} 3D models and digital assets. Game-ready, with PBR textures in industry-standard formats.',
+    tagBadge: 'Tag',
+    tagTitle: '#{tag} 3D Models',
+    tagDescription:
+      'Browse premium 3D models tagged "{tag}". Game-ready, with PBR textures in industry-standard formats.',
+    breadcrumb: 'Breadcrumb',
+    home: 'All Models',
+    models: 'Models',
+    notFoundTitle: 'Category Not Found',
+    notFoundDescription: "The category you're looking for doesn't exist.",
+  },
+
+  filters: {
+    label: 'Product filters',
+    title: 'Filters',
+    close: 'Close filters panel',
+    active: '{count} Active',
+    reset: 'Reset all filters',
+    resetAll: 'Reset All',
+    category: 'Category',
+    priceRange: 'Price Range',
+    price: 'Price',
+    polygonCount: 'Polygon Count',
+    polygonCountLabel: 'Polygon count',
+    fileFormat: 'File Format',
+    minimum: 'Minimum {label}',
+    maximum: 'Maximum {label}',
+    modelCount: { one: ' model', other: ' models' },
+    specs: 'Technical Specs',
+    any: 'Any',
+    atLeast: '{value} or higher',
+    andAbove: '{value}+',
+    lodAtLeast: { one: '{count}+ level', other: '{count}+ levels' },
+  },
+
+  specs: {
+    rigged: 'Rigged',
+    animated: 'Animated',
+    pbr: 'PBR materials',
+    uvUnwrapped: 'UV unwrapped',
+    textureResolution: 'Texture resolution',
+    lodCount: 'LOD levels',
+    untextured: 'Untextured',
+    yes: 'Yes',
+    no: 'No',
+  },
+
+  search: {
+    placeholder: 'Search...',
+    label: 'Search',
+    clear: 'Clear search',
+    suggestions: 'Search suggestions',
+    clearRecent: 'Clear recent searches',
+    groups: {
+      recent: 'Recent searches',
+      product: 'Products',
+      category: 'Categories',
+      tag: 'Tags',
+    },
+  },
+
+  pagination: {
+    label: 'Pagination',
+    previous: 'Previous page',
+    next: 'Next page',
+    page: 'Page {page}',
+  },
+
+  featuredCarousel: {
+    label: 'Featured models',
+    roleDescription: 'carousel',
+    slide: 'slide',
+    slideLabel: '{index} of {count}',
+    featured: 'Featured',
+    pause: 'Pause automatic slide show',
+    play: 'Start automatic slide show',
+    previous: 'Previous slide',
+    next: 'Next slide',
+    choose: 'Choose a slide',
+    goTo: 'Slide {index}: {name}',
+  },
+
+  viewer: {
+    loading: 'Loading 3D Viewer...',
+    loadingModel: 'Loading 3D Model...',
+    loadError: 'Unable to load 3D model',
+    webglUnsupported: 'WebGL may not be supported in your browser',
+    label: 'Interactive 3D model of {name}. Use mouse to rotate and zoom.',
+    controls: '3D viewer controls',
+    pauseRotation: 'Pause rotation',
+    startRotation: 'Start rotation',
+    showTextured: 'Show textured',
+    showWireframe: 'Show wireframe',
+    exitFullscreen: 'Exit fullscreen',
+    enterFullscreen: 'Enter fullscreen',
+  },
+
+  errorBoundary: {
+    title: 'Something went wrong',
+    message:
+      "We're sorry, but something unexpected happened. Please try again or refresh the page.",
+    refresh: 'Refresh Page',
+    details: 'Error Details',
+  },
+
+  product: {
+    loading: 'Loading product',
+    errorTitle: 'Something Went Wrong',
+    loadError: 'Unable to Load Product',
+    notFoundTitle: 'Product Not Found',
+    notFoundDescription:
+      "The product you're looking for doesn't exist or has been removed.",
+    metaDescription:
+      '{name} - {description} Available in {formats} formats. {polygons} polygons. {price} {currency}.',
+    breadcrumb: 'Breadcrumb',
+    interactivePreview: 'Interactive 3D preview available',
+    imagePreview: 'High-resolution preview',
+    tags: 'Product tags',
+    specifications: 'Technical Specifications',
+    category: 'Category',
+    polygons: 'Polygons',
+    formats: 'Formats',
+    license: 'License',
+    previewAvailable: '3D preview available',
+    previewBadge: 'Interactive 3D Preview Available',
+    bundlesTitle: 'Save with a bundle',
+    bundleOffer: {
+      one: '{count} model for {price}',
+      other: '{count} models for {price}',
+    },
+    whatsIncluded: "What's Included",
+    features: {
+      quality: 'High-quality digital asset',
+      download: 'Instant download after purchase',
+      access: 'Lifetime access',
+      license: '{name} license included',
+    },
+    fileFormat: 'File format',
+    price: 'Price',
+    addToCartLabel: 'Add {name} to cart for {price} ({license} license)',
+    related: 'You May Also Like',
+    recentlyViewed: 'Recently Viewed',
+  },
+
+  reviews: {
+    title: 'Customer Reviews',
+    count: { one: '{count} review', other: '{count} reviews' },
+    none: 'No reviews yet',
+    empty: 'Be the first to review this model.',
+    average: '{average} out of 5',
+    breakdown: 'Rating breakdown',
+    stars: { one: '{count} star', other: '{count} stars' },
+    rated: 'Rated {rating} out of 5',
+    sortLabel: 'Sort reviews',
+    sort: {
+      newest: 'Newest',
+      oldest: 'Oldest',
+      highest: 'Highest rated',
+      lowest: 'Lowest rated',
+    },
+    pages: 'Review pages',
+    loading: 'Loading reviews...',
+    loadError: 'Reviews could not be loaded.',
+    form: {
+      title: 'Write a Review',
+      rating: 'Your rating',
+      author: 'Name',
+      reviewTitle: 'Title',
+      body: 'Review',
+      submit: 'Submit Review',
+      submitting: 'Submitting...',
+      success: 'Thanks! Your review has been posted.',
+      submitError: 'Your review could not be posted. Please try again.',
+    },
+    validation: {
+      ratingRequired: 'Please select a rating',
+      authorRequired: 'Name is required',
+      authorTooLong: 'Name must be {max} characters or fewer',
+      titleRequired: 'Title is required',
+      titleTooLong: 'Title must be {max} characters or fewer',
+      bodyRequired: 'Review is required',
+      bodyTooShort: 'Review must be at least {min} characters',
+      bodyTooLong: 'Review must be {max} characters or fewer',
+    },
+  },
+
+  creator: {
+    about: 'About the Creator',
+    badge: 'Creator',
+    breadcrumb: 'Breadcrumb',
+    viewProfile: 'View profile',
+    viewProfileLabel: "View {name}'s profile",
+    metaDescription: '3D models by {name}. {bio}',
+    joined: 'Member since {date}',
+    portfolio: 'Portfolio',
+    portfolioLabel: 'Models by {name}',
+    loading: 'Loading portfolio...',
+    empty: "This creator hasn't published any models yet.",
+    notFoundTitle: 'Creator Not Found',
+    notFoundDescription:
+      "The creator you're looking for doesn't exist or has left the marketplace.",
+  },
+
+  collection: {
+    badge: 'Bundle',
+    breadcrumb: 'Breadcrumb',
+    separately: '{price} when bought separately',
+    savings: 'Save {amount} ({percent}%)',
+    addBundle: 'Add Bundle to Cart',
+    members: 'In This Bundle',
+    membersLabel: 'Models in {name}',
+    loading: 'Loading models...',
+    notFoundTitle: 'Collection Not Found',
+    notFoundDescription:
+      "The collection you're looking for doesn't exist or is no longer available.",
+  },
+
+  cart: {
+    metaTitle: 'Shopping Cart',
+    metaDescription: {
+      one: 'Your cart contains {count} item totaling {total}. Review and checkout your premium 3D models.',
+      other:
+        'Your cart contains {count} items totaling {total}. Review and checkout your premium 3D models.',
+    },
+    metaDescriptionEmpty:
+      'Your shopping cart is empty. Browse our collection of premium 3D models and digital assets.',
+    emptyTitle: 'Your Cart is Empty',
+    emptyDescription: 'Start adding some amazing products!',
+    title: 'Shopping Cart',
+    items: 'Cart items',
+    view: 'View {name}',
+    previewAlt: '{name} 3D preview',
+    format: 'Format',
+    formatLabel: 'File format for {name} ({license})',
+    decrease: 'Decrease quantity of {name} ({line})',
+    increase: 'Increase quantity of {name} ({line})',
+    quantity: 'Quantity: {count}',
+    each: '{price} each',
+    bundle: 'Bundle',
+    bundleItems: 'Models in {name}',
+    viewBundle: 'View the {name} bundle',
+    bundleSaving: 'You save {amount}',
+    remove: 'Remove {name} from cart ({line})',
+    summary: 'Order summary',
+    tax: 'Tax (estimated)',
+    proceedLabel: 'Proceed to checkout',
+    proceed: 'Proceed to Checkout',
+    clearLabel: 'Clear all items from cart',
+    clear: 'Clear Cart',
+  },
+
+  wishlist: {
+    metaTitle: 'Wishlist',
+    metaDescription:
+      "Models you saved for later. Move them to your cart when you're ready to buy.",
+    emptyTitle: 'Your Wishlist is Empty',
+    emptyDescription: 'Tap the heart on any model to save it for later.',
+    title: 'Wishlist',
+    count: { one: '{count} saved model', other: '{count} saved models' },
+    items: 'Saved models',
+    moveLabel: 'Move {name} to cart',
+    move: 'Move to Cart',
+    remove: 'Remove {name} from wishlist',
+    moveAll: 'Move All to Cart',
+    clearLabel: 'Clear all items from wishlist',
+    clear: 'Clear Wishlist',
+  },
+
+  compare: {
+    metaTitle: 'Compare Models',
+    metaDescription:
+      'Compare polygon count, formats, price and rating of 3D models side by side.',
+    emptyTitle: 'Nothing to Compare',
+    emptyDescription: 'Use the Compare button on any model to add it here.',
+    title: 'Compare Models',
+    clearLabel: 'Clear comparison',
+    clearAll: 'Clear All',
+    hint: 'Add another model to compare it side by side.',
+    previews: '3D previews',
+    viewerHint:
+      'Cameras are linked: rotating or zooming one model moves them all.',
+    onlyDifferences: 'Only show differences',
+    caption: 'Specifications of the compared models',
+    remove: 'Remove {name} from comparison',
+    differs: 'Differs',
+    noDifferences: 'These models share every listed spec.',
+    specs: {
+      price: 'Price',
+      rating: 'Rating',
+      polyCount: 'Polygons',
+      fileFormat: 'Formats',
+      category: 'Category',
+    },
+    tray: 'Compare tray',
+    selected: '{count} of {max} selected',
+    open: 'Compare ({count})',
+  },
+
+  checkout: {
+    metaTitle: 'Checkout',
+    metaDescription:
+      'Complete your purchase of premium 3D models and digital assets. Secure checkout with multiple payment options.',
+    home: 'Return to 3D Marketplace home',
+    logo: 'MARKETPLACE',
+    title: 'Checkout',
+    secure: 'Secure Checkout',
+    copyright: '© {year} 3D Marketplace. All rights reserved.',
+    terms: 'Terms of Service',
+    privacy: 'Privacy Policy',
+    support: 'Support',
+    progress: 'Checkout progress',
+    steps: {
+      shipping: 'Shipping',
+      payment: 'Payment',
+      review: 'Review',
+      confirmation: 'Confirmation',
+    },
+    shipping: {
+      title: 'Shipping Information',
+      description:
+        'Enter your contact and delivery information for your digital assets.',
+      contact: 'Contact Information',
+      firstName: 'First Name',
+      lastName: 'Last Name',
+      email: 'Email Address',
+      phone: 'Phone Number',
+      billing: 'Billing Address',
+      street: 'Street Address',
+      streetPlaceholder: '123 Main Street, Apt 4',
+      city: 'City',
+      state: 'State',
+      zipCode: 'ZIP Code',
+      country: 'Country',
+      backToCart: 'Back to Cart',
+      continue: 'Continue to Payment',
+    },
+    payment: {
+      title: 'Payment Details',
+      description:
+        'Enter your card information. Your payment is secure and encrypted.',
+      card: 'Card Information',
+      cardNumber: 'Card Number',
+      cardHolder: 'Cardholder Name',
+      expiryDate: 'Expiry Date',
+      expiryPlaceholder: 'MM/YY',
+      cvv: 'CVV',
+      saveCard: 'Save card for future purchases',
+      secure: 'Your payment information is encrypted and secure',
+      continue: 'Review Order',
+    },
+    review: {
+      title: 'Review Your Order',
+      description:
+        'Please review your order details before completing your purchase.',
+      items: 'Order Items',
+      quantity: 'Qty: {count}',
+      bundle: '{name} bundle',
+      contact: 'Contact & Billing',
+      name: 'Name',
+      email: 'Email',
+      phone: 'Phone',
+      address: 'Address',
+      paymentMethod: 'Payment Method',
+      delivery: 'Delivery Option',
+      instant: 'Instant Download',
+      instantDescription: 'Get immediate access to your files',
+      priority: 'Priority Processing',
+      priorityDescription: 'Priority queue for download links',
+      promo: 'Promo Code',
+      removePromo: 'Remove promo code',
+      promoPlaceholder: 'Enter promo code',
+      applying: 'Applying...',
+      apply: 'Apply',
+      promoHint: 'Try: WELCOME10, SAVE20, 3DFREE, or NEWUSER',
+      discount: 'Discount',
+      tax: 'Tax (10%)',
+      deliveryLine: 'Delivery',
+      processing: 'Processing...',
+      complete: 'Complete Purchase - {total}',
+    },
+    confirmation: {
+      unavailable: 'Order information not available.',
+      returnToShop: 'Return to Shop',
+      title: 'Order Confirmed!',
+      subtitle:
+        'Thank you for your purchase. Your order has been successfully placed.',
+      orderId: 'Order ID',
+      copied: 'Copied!',
+      copyLabel: 'Copy order ID',
+      copy: 'Copy',
+      tax: 'Tax',
+      shipping: 'Shipping',
+      totalPaid: 'Total Paid',
+      delivery: 'Delivery Information',
+      email: 'Download links will be sent to:',
+      estimated: 'Estimated delivery by:',
+      timeline: 'Order Timeline',
+      print: 'Print Receipt',
+    },
+    errors: {
+      address: 'Failed to validate address. Please try again.',
+      payment: 'Failed to validate payment. Please try again.',
+      promo: 'Failed to apply promo code.',
+      order: 'Failed to create order. Please try again.',
+      general: 'An unexpected error occurred. Please try again.',
+    },
+  },
+
+  // Messages returned by checkoutService
+  validation: {
+    firstNameRequired: 'First name is required',
+    lastNameRequired: 'Last name is required',
+    emailRequired: 'Email is required',
+    emailInvalid: 'Please enter a valid email address',
+    phoneRequired: 'Phone number is required',
+    phoneInvalid: 'Please enter a valid phone number',
+    streetRequired: 'Street address is required',
+    cityRequired: 'City is required',
+    stateRequired: 'State is required',
+    zipCodeRequired: 'ZIP code is required',
+    zipCodeInvalid: 'Please enter a valid ZIP code (e.g., 12345 or 12345-6789)',
+    countryRequired: 'Country is required',
+    addressInvalid: 'Please correct the errors in your address',
+    addressValid: 'Address validated successfully',
+    cardNumberRequired: 'Card number is required',
+    cardNumberFormat: 'Please enter a valid card number',
+    cardNumberInvalid: 'Invalid card number',
+    cardHolderRequired: 'Cardholder name is required',
+    cardHolderShort: 'Please enter the full name as shown on card',
+    expiryRequired: 'Expiry date is required',
+    expiryFormat: 'Please enter a valid expiry date (MM/YY)',
+    expiryMonth: 'Invalid month',
+    expired: 'Card has expired',
+    cvvRequired: 'CVV is required',
+    cvvLength: 'CVV must be {length} digits',
+    paymentInvalid: 'Please correct the errors in your payment details',
+    paymentValid: 'Payment details validated',
+    insufficientFunds: 'Transaction declined: Insufficient funds',
+    cardDeclined: 'Transaction declined: Please contact your bank',
+    paymentProcessed: 'Payment processed successfully',
+    orderCreated: 'Order created successfully',
+    promoInvalid: 'Invalid promo code',
+    promoMinimum: 'Minimum order of {amount} required for this code',
+    promoApplied: 'Promo code applied: {description}',
+  },
+
+  promos: {
+    percentOff: '{value}% off your order',
+    percentOffOver: '{value}% off orders over {amount}',
+    amountOffOver: '{value} off orders over {amount}',
+    newUser: '{value}% new user discount',
+  },
+
+  // Messages returned by the product schema (data/productSchema.js)
+  productSchema: {
+    errors: {
+      required: 'Required',
+      text: 'Enter some text',
+      numberAtLeast: 'Enter a number of at least {min}',
+      numberBetween: 'Enter a number between {min} and {max}',
+      integer: 'Enter a whole number',
+      boolean: 'Must be true or false',
+      oneOf: 'Must be one of {options}',
+      oneOfOrNone: 'Must be one of {options}, or empty',
+      array: 'Must be a list',
+      nonEmpty: 'Choose at least one',
+      object: 'Must be an object',
+      duplicateId: 'The ID "{id}" is already used by another model',
+    },
+  },
+
+  catalogTransfer: {
+    metaTitle: 'Catalog Import & Export',
+    title: 'Import & Export',
+    intro:
+      'Move the catalog in and out of spreadsheets. Imports are checked against the product schema and compared with the current catalog.',
+    exportTitle: 'Export',
+    exportAll: {
+      one: '{count} model in the catalog.',
+      other: '{count} models in the catalog.',
+    },
+    exportFiltered: {
+      one: '{count} model matches the current filters.',
+      other: '{count} models match the current filters.',
+    },
+    exportAllLink: 'Export the whole catalog',
+    format: 'Format',
+    download: 'Download {format}',
+    importTitle: 'Import',
+    importHint:
+      'Columns are matched to product fields by name, e.g. "Poly Count" or "polyCount". Lists such as file formats and tags are separated by commas.',
+    file: 'CSV or JSON file',
+    paste: 'Or paste CSV or JSON',
+    preview: 'Preview Import',
+    previewTitle: 'Import Preview',
+    previewOf: 'Import Preview: {name}',
+    summary: 'Changes',
+    added: { one: '{count} new model', other: '{count} new models' },
+    changed: { one: '{count} updated model', other: '{count} updated models' },
+    unchanged: { one: '{count} unchanged', other: '{count} unchanged' },
+    missing: {
+      one: '{count} not in the file',
+      other: '{count} not in the file',
+    },
+    invalid: { one: '{count} invalid row', other: '{count} invalid rows' },
+    unmapped: 'Ignored columns: {columns}',
+    invalidTitle: 'Invalid Rows',
+    row: 'Row',
+    id: 'ID',
+    problems: 'Problems',
+    addedTitle: 'New Models',
+    changedTitle: 'Updated Models',
+    missingTitle: 'Not in the File',
+    empty: '(empty)',
+    errors: {
+      unreadable: 'The file could not be read as CSV or JSON.',
+      empty: 'The file has no product rows.',
+    },
+  },
+
+  admin: {
+    metaTitle: 'Catalog Admin',
+    title: 'Catalog Admin',
+    accessTitle: 'Admin access required',
+    accessDescription:
+      'The catalog admin area is for store staff. Ask a store administrator for access.',
+    loadFailed: 'The catalog could not be loaded',
+    enter: 'Switch to Admin Role',
+    leave: 'Leave Admin',
+    resetCatalog: 'Reset Catalog',
+    confirmReset:
+      'Discard every catalog change and restore the bundled products?',
+    confirmDelete: 'Delete "{name}" for good? Archive it to only hide it.',
+    nav: {
+      label: 'Admin sections',
+      products: 'Products',
+      newProduct: 'New Product',
+    },
+    table: {
+      caption: { one: '{count} product', other: '{count} products' },
+      product: 'Product',
+      status: 'Status',
+      actions: 'Actions',
+      editLabel: 'Edit {name}',
+      archive: 'Archive',
+      archiveLabel: 'Archive {name}',
+      restore: 'Restore',
+      restoreLabel: 'Restore {name}',
+      delete: 'Delete',
+      deleteLabel: 'Delete {name}',
+    },
+    status: {
+      live: 'Live',
+      archived: 'Archived',
+      featured: 'Featured',
+      invalid: 'Invalid',
+    },
+    form: {
+      createTitle: 'New Product',
+      editTitle: 'Edit {name}',
+      notFound: 'Product not found',
+      cancel: 'Back to products',
+      errorSummary: {
+        one: '{count} field needs fixing before the product can be saved.',
+        other: '{count} fields need fixing before the product can be saved.',
+      },
+      details: 'Details',
+      choose: 'Choose...',
+      tagsHint: 'Separated by commas',
+      pricing: 'Pricing',
+      media: 'Model & Media',
+      noModel: 'No 3D model',
+      currentModel: 'Current: {name}',
+      defaultScale: 'Default ({scale})',
+      save: 'Save Product',
+    },
+    fields: {
+      id: 'ID',
+      name: 'Name',
+      description: 'Description',
+      category: 'Category',
+      creatorId: 'Creator',
+      price: 'Price',
+      currency: 'Currency',
+      featured: 'Featured',
+      polyCount: 'Poly count',
+      fileFormat: 'File formats',
+      model: '3D model',
+      modelScale: 'Model scale',
+      previewColor: 'Preview color',
+      image: 'Image URL',
+    },
+    notices: {
+      saved: '"{name}" was saved.',
+      archived: '"{name}" was archived and is hidden from the store.',
+      restored: '"{name}" is back in the store.',
+      deleted: '"{name}" was deleted.',
+      reset: 'The bundled catalog was restored.',
+      saveFailed: 'The catalog could not be saved. Try again.',
+    },
+  },
+
+  staffAccess: {
+    title: 'Staff Access',
+    description:
+      'Switch this device to the admin role to manage the catalog. This is a local setting, not a sign-in.',
+    active: 'This device is using the admin role.',
+    open: 'Open Catalog Admin',
+  },
+
+  order: {
+    timeline: {
+      placed: 'Order Placed',
+      placedDescription: 'Your order has been received',
+      processing: 'Processing',
+      processingDescription: 'Preparing your digital assets',
+      ready: 'Ready for Download',
+      readyDescription: 'Your files are ready',
+      delivered: 'Delivered',
+      deliveredDescription: 'Download links sent to email',
+    },
+  },
+};
+
+export default en;
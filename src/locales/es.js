@@ -0,0 +1,793 @@
+/**
+ * Spanish messages. Keys missing here fall back to the English catalog.
+ */
+const es = {
+  common: {
+    siteName: '3D Marketplace',
+    pageTitle: '{title} | 3D Marketplace',
+    skipToContent: 'Saltar al contenido principal',
+    clear: 'Borrar',
+    back: 'Atrás',
+    edit: 'Editar',
+    tryAgain: 'Reintentar',
+    loading: 'Cargando...',
+    validating: 'Validando...',
+    browseProducts: 'Ver productos',
+    continueShopping: 'Seguir comprando',
+    backToProducts: 'Volver a los productos',
+    free: 'GRATIS',
+    subtotal: 'Subtotal',
+    total: 'Total',
+    bundleSavings: 'Ahorro por paquete',
+    orderSummary: 'Resumen del pedido',
+    tags: 'Etiquetas',
+    models: { one: '{count} modelo', other: '{count} modelos' },
+    items: { one: '{count} artículo', other: '{count} artículos' },
+  },
+
+  header: {
+    home: 'NEXUS3D - Ir a la página de inicio',
+    mainNavigation: 'Navegación principal',
+    browse: 'Explorar',
+    language: 'Idioma',
+    currency: 'Moneda',
+    wishlist: 'Lista de deseos con {count} artículos',
+    cart: 'Carrito con {count} artículos',
+    cartText: 'Carrito',
+  },
+
+  catalog: {
+    loadError:
+      'No pudimos cargar el catálogo. Comprueba tu conexión e inténtalo de nuevo.',
+  },
+
+  licenses: {
+    personal: {
+      name: 'Personal',
+      description: 'Proyectos personales y no comerciales',
+    },
+    commercial: {
+      name: 'Comercial',
+      description: 'Proyectos comerciales y trabajos para clientes',
+    },
+    extended: {
+      name: 'Extendida',
+      description:
+        'Productos para reventa, videojuegos y distribución ilimitada',
+    },
+    label: 'Licencia {name}',
+  },
+
+  productCard: {
+    quickAdd: 'Añadir rápido',
+    quickAddLabel: 'Añadir rápido {name} al carrito',
+    add: 'Añadir',
+    addToCart: 'Añadir al carrito',
+    addToCartLabel: 'Añadir {name} al carrito por {price}',
+    viewDetails: 'Ver detalles de {name} - {price}',
+    imageAlt: '{name} - modelo 3D de {category}',
+    rating: {
+      one: 'Valoración: {rating} de 5 estrellas en {count} opinión',
+      other: 'Valoración: {rating} de 5 estrellas en {count} opiniones',
+    },
+    polygons: '{count} polígonos',
+    compare: 'Comparar',
+    compareLabel: 'Comparar {name}',
+    compareFullLabel: 'Comparar {name} (la bandeja de comparación está llena)',
+  },
+
+  wishlistButton: {
+    label: 'Guardar {name} en la lista de deseos',
+    text: 'Lista de deseos',
+  },
+
+  notification: {
+    added: 'Añadido al carrito',
+    addedExcited: '¡Añadido al carrito!',
+    addedSuffix: 'añadido',
+    close: 'Cerrar notificación',
+    viewCart: 'Ver carrito',
+    checkoutNow: 'Pagar ahora',
+    cartTotal: {
+      one: 'Total del carrito ({count} artículo)',
+      other: 'Total del carrito ({count} artículos)',
+    },
+  },
+
+  home: {
+    metaTitle: '3D Marketplace | Recursos digitales y modelos 3D premium',
+    metaDescription:
+      'Descubre modelos 3D y recursos digitales premium para tus proyectos creativos. Explora personajes, vehículos, objetos y más. Ideal para desarrollo de videojuegos y visualización.',
+    socialTitle: '3D Marketplace | Recursos digitales premium',
+    socialDescription:
+      'Descubre modelos 3D y recursos digitales premium para tus proyectos creativos.',
+    twitterDescription:
+      'Modelos 3D premium para desarrollo de videojuegos y visualización.',
+    heroBadge: 'Marketplace 3D premium',
+    heroTitleLine1: 'Recursos 3D',
+    heroTitleLine2: 'de nueva generación',
+    heroDescription:
+      'Modelos 3D de calidad profesional optimizados para renderizado en tiempo real, desarrollo de videojuegos y visualización digital. Formatos estándar del sector y descargas instantáneas.',
+    heroFeatureHighPoly: 'Modelos de alta poligonización',
+    heroFeaturePbr: 'Texturas PBR',
+    heroFeatureFormats: 'Multiformato',
+    heroStats: 'recursos premium disponibles',
+    recentlyViewed: 'Vistos recientemente',
+    clearRecentlyViewed: 'Borrar los modelos vistos recientemente',
+    allModels: 'Todos los modelos',
+    loadingModels: 'Cargando modelos...',
+    resultCount: {
+      one: '{total} de {count} modelo',
+      other: '{total} de {count} modelos',
+    },
+    filters: 'Filtros',
+    activeFilters: {
+      one: '{count} filtro activo',
+      other: '{count} filtros activos',
+    },
+    searchPlaceholder: 'Buscar modelos, categorías, etiquetas...',
+    searchLabel: 'Buscar productos',
+    sortBy: 'Ordenar por',
+    sort: {
+      relevance: 'Relevancia',
+      'price-asc': 'Precio: de menor a mayor',
+      'price-desc': 'Precio: de mayor a menor',
+      rating: 'Mejor valorados',
+      'poly-count': 'Polígonos: de menor a mayor',
+      featured: 'Destacados primero',
+    },
+    infiniteScroll: 'Desplazamiento infinito',
+    tagFilters: 'Filtros de etiquetas',
+    removeTag: 'Quitar el filtro de etiqueta {tag}',
+    loadError: 'No se pudieron cargar los modelos',
+    loadingListings: 'Cargando productos',
+    listings: 'Productos',
+    showing: 'Mostrando {loaded} de {total}',
+    loadMore: 'Cargar más modelos',
+    productPages: 'Páginas de productos',
+    noResults: 'No se encontraron modelos',
+    noResultsDescription: 'Prueba a ajustar los filtros o la búsqueda',
+    resetFilters: 'Restablecer filtros',
+  },
+
+  facet: {
+    categoryBadge: 'Categoría',
+    categoryTitle: 'Modelos 3D de {category}',
+    categoryDescription:
+      'Explora modelos 3D y recursos digitales premium de {category}. Listos para juegos, con texturas PBR en formatos estándar del sector.',
+    tagBadge: 'Etiqueta',
+    tagTitle: 'Modelos 3D #{tag}',
+    tagDescription:
+      'Explora modelos 3D premium con la etiqueta "{tag}". Listos para juegos, con texturas PBR en formatos estándar del sector.',
+    breadcrumb: 'Ruta de navegación',
+    home: 'Todos los modelos',
+    models: 'Modelos',
+    notFoundTitle: 'Categoría no encontrada',
+    notFoundDescription: 'La categoría que buscas no existe.',
+  },
+
+  filters: {
+    label: 'Filtros de productos',
+    title: 'Filtros',
+    close: 'Cerrar el panel de filtros',
+    active: '{count} activos',
+    reset: 'Restablecer todos los filtros',
+    resetAll: 'Restablecer todo',
+    category: 'Categoría',
+    priceRange: 'Rango de precio',
+    price: 'Precio',
+    polygonCount: 'Número de polígonos',
+    polygonCountLabel: 'Número de polígonos',
+    fileFormat: 'Formato de archivo',
+    minimum: '{label} mínimo',
+    maximum: '{label} máximo',
+    modelCount: { one: ' modelo', other: ' modelos' },
+    specs: 'Especificaciones técnicas',
+    any: 'Cualquiera',
+    atLeast: '{value} o superior',
+    andAbove: '{value}+',
+    lodAtLeast: { one: '{count}+ nivel', other: '{count}+ niveles' },
+  },
+
+  specs: {
+    rigged: 'Con rig',
+    animated: 'Animado',
+    pbr: 'Materiales PBR',
+    uvUnwrapped: 'UV desplegadas',
+    textureResolution: 'Resolución de texturas',
+    lodCount: 'Niveles de LOD',
+    untextured: 'Sin texturas',
+    yes: 'Sí',
+    no: 'No',
+  },
+
+  search: {
+    placeholder: 'Buscar...',
+    label: 'Buscar',
+    clear: 'Borrar búsqueda',
+    suggestions: 'Sugerencias de búsqueda',
+    clearRecent: 'Borrar búsquedas recientes',
+    groups: {
+      recent: 'Búsquedas recientes',
+      product: 'Productos',
+      category: 'Categorías',
+      tag: 'Etiquetas',
+    },
+  },
+
+  pagination: {
+    label: 'Paginación',
+    previous: 'Página anterior',
+    next: 'Página siguiente',
+    page: 'Página {page}',
+  },
+
+  featuredCarousel: {
+    label: 'Modelos destacados',
+    roleDescription: 'carrusel',
+    slide: 'diapositiva',
+    slideLabel: '{index} de {count}',
+    featured: 'Destacado',
+    pause: 'Pausar la presentación automática',
+    play: 'Iniciar la presentación automática',
+    previous: 'Diapositiva anterior',
+    next: 'Diapositiva siguiente',
+    choose: 'Elegir una diapositiva',
+    goTo: 'Diapositiva {index}: {name}',
+  },
+
+  viewer: {
+    loading: 'Cargando visor 3D...',
+    loadingModel: 'Cargando modelo 3D...',
+    loadError: 'No se pudo cargar el modelo 3D',
+    webglUnsupported: 'Es posible que tu navegador no admita WebGL',
+    label:
+      'Modelo 3D interactivo de {name}. Usa el ratón para girarlo y hacer zoom.',
+    controls: 'Controles del visor 3D',
+    pauseRotation: 'Pausar rotación',
+    startRotation: 'Iniciar rotación',
+    showTextured: 'Mostrar texturas',
+    showWireframe: 'Mostrar malla',
+    exitFullscreen: 'Salir de pantalla completa',
+    enterFullscreen: 'Pantalla completa',
+  },
+
+  errorBoundary: {
+    title: 'Algo salió mal',
+    message:
+      'Lo sentimos, ha ocurrido un error inesperado. Inténtalo de nuevo o recarga la página.',
+    refresh: 'Recargar página',
+    details: 'Detalles del error',
+  },
+
+  product: {
+    loading: 'Cargando producto',
+    errorTitle: 'Algo salió mal',
+    loadError: 'No se pudo cargar el producto',
+    notFoundTitle: 'Producto no encontrado',
+    notFoundDescription: 'El producto que buscas no existe o se ha eliminado.',
+    metaDescription:
+      '{name} - {description} Disponible en los formatos {formats}. {polygons} polígonos. {price} {currency}.',
+    breadcrumb: 'Ruta de navegación',
+    interactivePreview: 'Vista previa 3D interactiva disponible',
+    imagePreview: 'Vista previa en alta resolución',
+    tags: 'Etiquetas del producto',
+    specifications: 'Especificaciones técnicas',
+    category: 'Categoría',
+    polygons: 'Polígonos',
+    formats: 'Formatos',
+    license: 'Licencia',
+    previewAvailable: 'Vista previa 3D disponible',
+    previewBadge: 'Vista previa 3D interactiva disponible',
+    bundlesTitle: 'Ahorra con un paquete',
+    bundleOffer: {
+      one: '{count} modelo por {price}',
+      other: '{count} modelos por {price}',
+    },
+    whatsIncluded: 'Qué incluye',
+    features: {
+      quality: 'Recurso digital de alta calidad',
+      download: 'Descarga instantánea tras la compra',
+      access: 'Acceso de por vida',
+      license: 'Licencia {name} incluida',
+    },
+    fileFormat: 'Formato de archivo',
+    price: 'Precio',
+    addToCartLabel: 'Añadir {name} al carrito por {price} (licencia {license})',
+    related: 'También te puede interesar',
+    recentlyViewed: 'Vistos recientemente',
+  },
+
+  reviews: {
+    title: 'Opiniones de clientes',
+    count: { one: '{count} opinión', other: '{count} opiniones' },
+    none: 'Aún no hay opiniones',
+    empty: 'Sé el primero en opinar sobre este modelo.',
+    average: '{average} de 5',
+    breakdown: 'Desglose de valoraciones',
+    stars: { one: '{count} estrella', other: '{count} estrellas' },
+    rated: 'Valorado con {rating} de 5',
+    sortLabel: 'Ordenar opiniones',
+    sort: {
+      newest: 'Más recientes',
+      oldest: 'Más antiguas',
+      highest: 'Mejor valoradas',
+      lowest: 'Peor valoradas',
+    },
+    pages: 'Páginas de opiniones',
+    loading: 'Cargando opiniones...',
+    loadError: 'No se pudieron cargar las opiniones.',
+    form: {
+      title: 'Escribe una opinión',
+      rating: 'Tu valoración',
+      author: 'Nombre',
+      reviewTitle: 'Título',
+      body: 'Opinión',
+      submit: 'Enviar opinión',
+      submitting: 'Enviando...',
+      success: '¡Gracias! Tu opinión se ha publicado.',
+      submitError: 'No se pudo publicar tu opinión. Inténtalo de nuevo.',
+    },
+    validation: {
+      ratingRequired: 'Selecciona una valoración',
+      authorRequired: 'El nombre es obligatorio',
+      authorTooLong: 'El nombre debe tener como máximo {max} caracteres',
+      titleRequired: 'El título es obligatorio',
+      titleTooLong: 'El título debe tener como máximo {max} caracteres',
+      bodyRequired: 'La opinión es obligatoria',
+      bodyTooShort: 'La opinión debe tener al menos {min} caracteres',
+      bodyTooLong: 'La opinión debe tener como máximo {max} caracteres',
+    },
+  },
+
+  creator: {
+    about: 'Sobre el creador',
+    badge: 'Creador',
+    breadcrumb: 'Ruta de navegación',
+    viewProfile: 'Ver perfil',
+    viewProfileLabel: 'Ver el perfil de {name}',
+    metaDescription: 'Modelos 3D de {name}. {bio}',
+    joined: 'Miembro desde {date}',
+    portfolio: 'Portafolio',
+    portfolioLabel: 'Modelos de {name}',
+    loading: 'Cargando portafolio...',
+    empty: 'Este creador aún no ha publicado ningún modelo.',
+    notFoundTitle: 'Creador no encontrado',
+    notFoundDescription:
+      'El creador que buscas no existe o ha dejado el marketplace.',
+  },
+
+  collection: {
+    badge: 'Paquete',
+    breadcrumb: 'Ruta de navegación',
+    separately: '{price} si se compran por separado',
+    savings: 'Ahorra {amount} ({percent} %)',
+    addBundle: 'Añadir paquete al carrito',
+    members: 'En este paquete',
+    membersLabel: 'Modelos de {name}',
+    loading: 'Cargando modelos...',
+    notFoundTitle: 'Colección no encontrada',
+    notFoundDescription:
+      'La colección que buscas no existe o ya no está disponible.',
+  },
+
+  cart: {
+    metaTitle: 'Carrito',
+    metaDescription: {
+      one: 'Tu carrito contiene {count} artículo por un total de {total}. Revisa y paga tus modelos 3D premium.',
+      other:
+        'Tu carrito contiene {count} artículos por un total de {total}. Revisa y paga tus modelos 3D premium.',
+    },
+    metaDescriptionEmpty:
+      'Tu carrito está vacío. Explora nuestra colección de modelos 3D y recursos digitales premium.',
+    emptyTitle: 'Tu carrito está vacío',
+    emptyDescription: '¡Empieza a añadir productos increíbles!',
+    title: 'Carrito',
+    items: 'Artículos del carrito',
+    view: 'Ver {name}',
+    previewAlt: 'Vista previa 3D de {name}',
+    format: 'Formato',
+    formatLabel: 'Formato de archivo de {name} ({license})',
+    decrease: 'Reducir la cantidad de {name} ({line})',
+    increase: 'Aumentar la cantidad de {name} ({line})',
+    quantity: 'Cantidad: {count}',
+    each: '{price} cada uno',
+    bundle: 'Paquete',
+    bundleItems: 'Modelos de {name}',
+    viewBundle: 'Ver el paquete {name}',
+    bundleSaving: 'Ahorras {amount}',
+    remove: 'Quitar {name} del carrito ({line})',
+    summary: 'Resumen del pedido',
+    tax: 'Impuestos (estimados)',
+    proceedLabel: 'Ir al pago',
+    proceed: 'Ir al pago',
+    clearLabel: 'Quitar todos los artículos del carrito',
+    clear: 'Vaciar carrito',
+  },
+
+  wishlist: {
+    metaTitle: 'Lista de deseos',
+    metaDescription:
+      'Modelos que guardaste para más tarde. Pásalos al carrito cuando quieras comprarlos.',
+    emptyTitle: 'Tu lista de deseos está vacía',
+    emptyDescription:
+      'Toca el corazón de cualquier modelo para guardarlo para más tarde.',
+    title: 'Lista de deseos',
+    count: {
+      one: '{count} modelo guardado',
+      other: '{count} modelos guardados',
+    },
+    items: 'Modelos guardados',
+    moveLabel: 'Mover {name} al carrito',
+    move: 'Mover al carrito',
+    remove: 'Quitar {name} de la lista de deseos',
+    moveAll: 'Mover todo al carrito',
+    clearLabel: 'Quitar todos los artículos de la lista de deseos',
+    clear: 'Vaciar lista de deseos',
+  },
+
+  compare: {
+    metaTitle: 'Comparar modelos',
+    metaDescription:
+      'Compara el número de polígonos, los formatos, el precio y la valoración de modelos 3D uno al lado del otro.',
+    emptyTitle: 'Nada que comparar',
+    emptyDescription:
+      'Usa el botón Comparar de cualquier modelo para añadirlo aquí.',
+    title: 'Comparar modelos',
+    clearLabel: 'Borrar la comparación',
+    clearAll: 'Borrar todo',
+    hint: 'Añade otro modelo para compararlos uno al lado del otro.',
+    previews: 'Vistas previas 3D',
+    viewerHint:
+      'Las cámaras están vinculadas: al girar o acercar un modelo se mueven todos.',
+    onlyDifferences: 'Mostrar solo las diferencias',
+    caption: 'Especificaciones de los modelos comparados',
+    remove: 'Quitar {name} de la comparación',
+    differs: 'Distinto',
+    noDifferences: 'Estos modelos comparten todas las especificaciones.',
+    specs: {
+      price: 'Precio',
+      rating: 'Valoración',
+      polyCount: 'Polígonos',
+      fileFormat: 'Formatos',
+      category: 'Categoría',
+    },
+    tray: 'Bandeja de comparación',
+    selected: '{count} de {max} seleccionados',
+    open: 'Comparar ({count})',
+  },
+
+  checkout: {
+    metaTitle: 'Pago',
+    metaDescription:
+      'Completa la compra de tus modelos 3D y recursos digitales premium. Pago seguro con varios métodos de pago.',
+    home: 'Volver a la página de inicio de 3D Marketplace',
+    logo: 'MARKETPLACE',
+    title: 'Pago',
+    secure: 'Pago seguro',
+    copyright: '© {year} 3D Marketplace. Todos los derechos reservados.',
+    terms: 'Condiciones del servicio',
+    privacy: 'Política de privacidad',
+    support: 'Ayuda',
+    progress: 'Progreso del pago',
+    steps: {
+      shipping: 'Envío',
+      payment: 'Pago',
+      review: 'Revisión',
+      confirmation: 'Confirmación',
+    },
+    shipping: {
+      title: 'Información de envío',
+      description:
+        'Introduce tus datos de contacto y entrega para tus recursos digitales.',
+      contact: 'Información de contacto',
+      firstName: 'Nombre',
+      lastName: 'Apellidos',
+      email: 'Correo electrónico',
+      phone: 'Teléfono',
+      billing: 'Dirección de facturación',
+      street: 'Dirección',
+      streetPlaceholder: 'Calle Mayor 123, 4.º',
+      city: 'Ciudad',
+      state: 'Estado',
+      zipCode: 'Código postal',
+      country: 'País',
+      backToCart: 'Volver al carrito',
+      continue: 'Continuar al pago',
+    },
+    payment: {
+      title: 'Datos de pago',
+      description:
+        'Introduce los datos de tu tarjeta. Tu pago es seguro y está cifrado.',
+      card: 'Información de la tarjeta',
+      cardNumber: 'Número de tarjeta',
+      cardHolder: 'Titular de la tarjeta',
+      expiryDate: 'Fecha de caducidad',
+      expiryPlaceholder: 'MM/AA',
+      cvv: 'CVV',
+      saveCard: 'Guardar la tarjeta para futuras compras',
+      secure: 'Tu información de pago está cifrada y segura',
+      continue: 'Revisar pedido',
+    },
+    review: {
+      title: 'Revisa tu pedido',
+      description:
+        'Revisa los detalles de tu pedido antes de completar la compra.',
+      items: 'Artículos del pedido',
+      quantity: 'Cant.: {count}',
+      bundle: 'Paquete {name}',
+      contact: 'Contacto y facturación',
+      name: 'Nombre',
+      email: 'Correo electrónico',
+      phone: 'Teléfono',
+      address: 'Dirección',
+      paymentMethod: 'Método de pago',
+      delivery: 'Opción de entrega',
+      instant: 'Descarga instantánea',
+      instantDescription: 'Accede a tus archivos al instante',
+      priority: 'Procesamiento prioritario',
+      priorityDescription: 'Cola prioritaria para los enlaces de descarga',
+      promo: 'Código promocional',
+      removePromo: 'Quitar el código promocional',
+      promoPlaceholder: 'Introduce el código promocional',
+      applying: 'Aplicando...',
+      apply: 'Aplicar',
+      promoHint: 'Prueba: WELCOME10, SAVE20, 3DFREE o NEWUSER',
+      discount: 'Descuento',
+      tax: 'Impuestos (10 %)',
+      deliveryLine: 'Entrega',
+      processing: 'Procesando...',
+      complete: 'Completar compra - {total}',
+    },
+    confirmation: {
+      unavailable: 'La información del pedido no está disponible.',
+      returnToShop: 'Volver a la tienda',
+      title: '¡Pedido confirmado!',
+      subtitle: 'Gracias por tu compra. Tu pedido se ha realizado con éxito.',
+      orderId: 'ID del pedido',
+      copied: '¡Copiado!',
+      copyLabel: 'Copiar el ID del pedido',
+      copy: 'Copiar',
+      tax: 'Impuestos',
+      shipping: 'Envío',
+      totalPaid: 'Total pagado',
+      delivery: 'Información de entrega',
+      email: 'Los enlaces de descarga se enviarán a:',
+      estimated: 'Entrega estimada antes del:',
+      timeline: 'Estado del pedido',
+      print: 'Imprimir recibo',
+    },
+    errors: {
+      address: 'No se pudo validar la dirección. Inténtalo de nuevo.',
+      payment: 'No se pudo validar el pago. Inténtalo de nuevo.',
+      promo: 'No se pudo aplicar el código promocional.',
+      order: 'No se pudo crear el pedido. Inténtalo de nuevo.',
+      general: 'Se ha producido un error inesperado. Inténtalo de nuevo.',
+    },
+  },
+
+  validation: {
+    firstNameRequired: 'El nombre es obligatorio',
+    lastNameRequired: 'Los apellidos son obligatorios',
+    emailRequired: 'El correo electrónico es obligatorio',
+    emailInvalid: 'Introduce un correo electrónico válido',
+    phoneRequired: 'El teléfono es obligatorio',
+    phoneInvalid: 'Introduce un teléfono válido',
+    streetRequired: 'La dirección es obligatoria',
+    cityRequired: 'La ciudad es obligatoria',
+    stateRequired: 'El estado es obligatorio',
+    zipCodeRequired: 'El código postal es obligatorio',
+    zipCodeInvalid:
+      'Introduce un código postal válido (p. ej., 12345 o 12345-6789)',
+    countryRequired: 'El país es obligatorio',
+    addressInvalid: 'Corrige los errores de tu dirección',
+    addressValid: 'Dirección validada correctamente',
+    cardNumberRequired: 'El número de tarjeta es obligatorio',
+    cardNumberFormat: 'Introduce un número de tarjeta válido',
+    cardNumberInvalid: 'Número de tarjeta no válido',
+    cardHolderRequired: 'El titular de la tarjeta es obligatorio',
+    cardHolderShort:
+      'Introduce el nombre completo tal como aparece en la tarjeta',
+    expiryRequired: 'La fecha de caducidad es obligatoria',
+    expiryFormat: 'Introduce una fecha de caducidad válida (MM/AA)',
+    expiryMonth: 'Mes no válido',
+    expired: 'La tarjeta ha caducado',
+    cvvRequired: 'El CVV es obligatorio',
+    cvvLength: 'El CVV debe tener {length} dígitos',
+    paymentInvalid: 'Corrige los errores de tus datos de pago',
+    paymentValid: 'Datos de pago validados',
+    insufficientFunds: 'Transacción rechazada: fondos insuficientes',
+    cardDeclined: 'Transacción rechazada: ponte en contacto con tu banco',
+    paymentProcessed: 'Pago procesado correctamente',
+    orderCreated: 'Pedido creado correctamente',
+    promoInvalid: 'Código promocional no válido',
+    promoMinimum: 'Este código requiere un pedido mínimo de {amount}',
+    promoApplied: 'Código promocional aplicado: {description}',
+  },
+
+  promos: {
+    percentOff: '{value} % de descuento en tu pedido',
+    percentOffOver: '{value} % de descuento en pedidos de más de {amount}',
+    amountOffOver: '{value} de descuento en pedidos de más de {amount}',
+    newUser: '{value} % de descuento para nuevos usuarios',
+  },
+
+  // Messages returned by the product schema (data/productSchema.js)
+  productSchema: {
+    errors: {
+      required: 'Obligatorio',
+      text: 'Escribe un texto',
+      numberAtLeast: 'Introduce un número igual o mayor que {min}',
+      numberBetween: 'Introduce un número entre {min} y {max}',
+      integer: 'Introduce un número entero',
+      boolean: 'Debe ser verdadero o falso',
+      oneOf: 'Debe ser uno de estos valores: {options}',
+      oneOfOrNone: 'Debe ser uno de estos valores: {options}, o quedar vacío',
+      array: 'Debe ser una lista',
+      nonEmpty: 'Elige al menos uno',
+      object: 'Debe ser un objeto',
+      duplicateId: 'Otro modelo ya usa el ID "{id}"',
+    },
+  },
+
+  catalogTransfer: {
+    metaTitle: 'Importar y exportar catálogo',
+    title: 'Importar y exportar',
+    intro:
+      'Pasa el catálogo a hojas de cálculo y de vuelta. Las importaciones se validan con el esquema de producto y se comparan con el catálogo actual.',
+    exportTitle: 'Exportar',
+    exportAll: {
+      one: '{count} modelo en el catálogo.',
+      other: '{count} modelos en el catálogo.',
+    },
+    exportFiltered: {
+      one: '{count} modelo coincide con los filtros actuales.',
+      other: '{count} modelos coinciden con los filtros actuales.',
+    },
+    exportAllLink: 'Exportar todo el catálogo',
+    format: 'Formato',
+    download: 'Descargar {format}',
+    importTitle: 'Importar',
+    importHint:
+      'Las columnas se asignan a los campos del producto por nombre, p. ej. "Poly Count" o "polyCount". Las listas, como formatos de archivo y etiquetas, se separan con comas.',
+    file: 'Archivo CSV o JSON',
+    paste: 'O pega CSV o JSON',
+    preview: 'Previsualizar importación',
+    previewTitle: 'Vista previa de la importación',
+    previewOf: 'Vista previa de la importación: {name}',
+    summary: 'Cambios',
+    added: { one: '{count} modelo nuevo', other: '{count} modelos nuevos' },
+    changed: {
+      one: '{count} modelo actualizado',
+      other: '{count} modelos actualizados',
+    },
+    unchanged: { one: '{count} sin cambios', other: '{count} sin cambios' },
+    missing: {
+      one: '{count} no está en el archivo',
+      other: '{count} no están en el archivo',
+    },
+    invalid: {
+      one: '{count} fila no válida',
+      other: '{count} filas no válidas',
+    },
+    unmapped: 'Columnas ignoradas: {columns}',
+    invalidTitle: 'Filas no válidas',
+    row: 'Fila',
+    id: 'ID',
+    problems: 'Problemas',
+    addedTitle: 'Modelos nuevos',
+    changedTitle: 'Modelos actualizados',
+    missingTitle: 'No están en el archivo',
+    empty: '(vacío)',
+    errors: {
+      unreadable: 'No se pudo leer el archivo como CSV o JSON.',
+      empty: 'El archivo no tiene filas de productos.',
+    },
+  },
+
+  admin: {
+    metaTitle: 'Administración del catálogo',
+    title: 'Administración del catálogo',
+    accessTitle: 'Se requiere acceso de administrador',
+    accessDescription:
+      'La administración del catálogo es para el personal de la tienda. Pide acceso a un administrador de la tienda.',
+    loadFailed: 'No se pudo cargar el catálogo',
+    enter: 'Cambiar a administrador',
+    leave: 'Salir de administración',
+    resetCatalog: 'Restablecer catálogo',
+    confirmReset:
+      '¿Descartar todos los cambios del catálogo y restaurar los productos incluidos?',
+    confirmDelete:
+      '¿Eliminar "{name}" definitivamente? Archívalo si solo quieres ocultarlo.',
+    nav: {
+      label: 'Secciones de administración',
+      products: 'Productos',
+      newProduct: 'Nuevo producto',
+    },
+    table: {
+      caption: { one: '{count} producto', other: '{count} productos' },
+      product: 'Producto',
+      status: 'Estado',
+      actions: 'Acciones',
+      editLabel: 'Editar {name}',
+      archive: 'Archivar',
+      archiveLabel: 'Archivar {name}',
+      restore: 'Restaurar',
+      restoreLabel: 'Restaurar {name}',
+      delete: 'Eliminar',
+      deleteLabel: 'Eliminar {name}',
+    },
+    status: {
+      live: 'Publicado',
+      archived: 'Archivado',
+      featured: 'Destacado',
+      invalid: 'No válido',
+    },
+    form: {
+      createTitle: 'Nuevo producto',
+      editTitle: 'Editar {name}',
+      notFound: 'Producto no encontrado',
+      cancel: 'Volver a productos',
+      errorSummary: {
+        one: 'Hay que corregir {count} campo antes de guardar el producto.',
+        other: 'Hay que corregir {count} campos antes de guardar el producto.',
+      },
+      details: 'Detalles',
+      choose: 'Elegir...',
+      tagsHint: 'Separadas por comas',
+      pricing: 'Precio',
+      media: 'Modelo y medios',
+      noModel: 'Sin modelo 3D',
+      currentModel: 'Actual: {name}',
+      defaultScale: 'Predeterminada ({scale})',
+      save: 'Guardar producto',
+    },
+    fields: {
+      id: 'ID',
+      name: 'Nombre',
+      description: 'Descripción',
+      category: 'Categoría',
+      creatorId: 'Creador',
+      price: 'Precio',
+      currency: 'Moneda',
+      featured: 'Destacado',
+      polyCount: 'Polígonos',
+      fileFormat: 'Formatos de archivo',
+      model: 'Modelo 3D',
+      modelScale: 'Escala del modelo',
+      previewColor: 'Color de vista previa',
+      image: 'URL de la imagen',
+    },
+    notices: {
+      saved: 'Se guardó "{name}".',
+      archived: 'Se archivó "{name}" y ya no aparece en la tienda.',
+      restored: '"{name}" vuelve a estar en la tienda.',
+      deleted: 'Se eliminó "{name}".',
+      reset: 'Se restauró el catálogo incluido.',
+      saveFailed: 'No se pudo guardar el catálogo. Inténtalo de nuevo.',
+    },
+  },
+
+  staffAccess: {
+    title: 'Acceso del personal',
+    description:
+      'Cambia este dispositivo al rol de administrador para gestionar el catálogo. Es un ajuste local, no un inicio de sesión.',
+    active: 'Este dispositivo usa el rol de administrador.',
+    open: 'Abrir administración del catálogo',
+  },
+
+  order: {
+    timeline: {
+      placed: 'Pedido realizado',
+      placedDescription: 'Hemos recibido tu pedido',
+      processing: 'En proceso',
+      processingDescription: 'Preparando tus recursos digitales',
+      ready: 'Listo para descargar',
+      readyDescription: 'Tus archivos están listos',
+      delivered: 'Entregado',
+      deliveredDescription: 'Enlaces de descarga enviados por correo',
+    },
+  },
+};
+
+export default es;
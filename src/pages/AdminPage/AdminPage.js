@@ -0,0 +1,247 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  Routes,
+  Route,
+  Navigate,
+  NavLink,
+  Link,
+  useNavigate,
+  useParams,
+} from 'react-router-dom';
+import { Helmet } from 'react-helmet-async';
+import {
+  listCatalogEntries,
+  setProductArchived,
+  deleteProduct,
+  resetCatalog,
+} from '../../services/catalogAdminService';
+import { useRole, ROLES } from '../../hooks/useRole';
+import { useI18n } from '../../context/I18nContext';
+import Button from '../../components/Button';
+import EmptyState from '../../components/EmptyState';
+import SectionHeader from '../../components/SectionHeader';
+import { AlertIcon, LockIcon, SearchEmptyIcon } from '../../components/Icons';
+import { ProductTable, ProductForm } from './components';
+import './AdminPage.scss';
+
+// Create/edit screen; `key` remounts the form when switching products
+function ProductEditor({ products, onSaved }) {
+  const { productId } = useParams();
+  const navigate = useNavigate();
+  const { t } = useI18n();
+  const product = productId
+    ? products.find((entry) => entry.id === productId)
+    : null;
+
+  if (productId && !product) {
+    return (
+      <EmptyState
+        icon={<SearchEmptyIcon />}
+        title={t('admin.form.notFound')}
+        actionLabel={t('admin.nav.products')}
+        onAction={() => navigate('/admin')}
+      />
+    );
+  }
+
+  return (
+    <section className="admin-page__editor" aria-labelledby="admin-form-title">
+      <SectionHeader
+        id="admin-form-title"
+        title={
+          product
+            ? t('admin.form.editTitle', { name: product.name })
+            : t('admin.form.createTitle')
+        }
+        className="admin-page__section-header"
+      />
+      <ProductForm
+        key={productId || 'new'}
+        product={product}
+        onSaved={onSaved}
+      />
+      <Link to="/admin" className="admin-page__back">
+        {t('admin.form.cancel')}
+      </Link>
+    </section>
+  );
+}
+
+/**
+ * Catalog admin (`/admin`): the product table, create/edit forms and
+ * archive/delete actions. Only shown to the admin role, which is switched
+ * on from the separate staff access page; changes go through the catalog
+ * storage adapter, which the storefront reads from.
+ */
+function AdminPage() {
+  const { t } = useI18n();
+  const navigate = useNavigate();
+  const { isAdmin, setRole } = useRole();
+  const [entries, setEntries] = useState({
+    products: [],
+    isLoading: true,
+    loadFailed: false,
+  });
+  const [notice, setNotice] = useState(null);
+
+  const loadEntries = useCallback(async () => {
+    try {
+      const result = await listCatalogEntries();
+      setEntries({
+        products: result.products,
+        isLoading: false,
+        loadFailed: false,
+      });
+    } catch {
+      setEntries((prev) => ({ ...prev, isLoading: false, loadFailed: true }));
+    }
+  }, []);
+
+  const retryLoad = () => {
+    setEntries((prev) => ({ ...prev, isLoading: true, loadFailed: false }));
+    loadEntries();
+  };
+
+  useEffect(() => {
+    if (isAdmin) loadEntries();
+  }, [isAdmin, loadEntries]);
+
+  const runAction = async (action, successMessage) => {
+    let succeeded = false;
+    try {
+      succeeded = (await action()).success;
+    } catch {
+      // A storage adapter that rejects is reported like a failed save
+    }
+    setNotice(succeeded ? successMessage : t('admin.notices.saveFailed'));
+    await loadEntries();
+  };
+
+  const handleSaved = async (product) => {
+    setNotice(t('admin.notices.saved', { name: product.name }));
+    await loadEntries();
+    navigate('/admin');
+  };
+
+  const handleArchive = (product) =>
+    runAction(
+      () => setProductArchived(product.id, true),
+      t('admin.notices.archived', { name: product.name })
+    );
+
+  const handleRestore = (product) =>
+    runAction(
+      () => setProductArchived(product.id, false),
+      t('admin.notices.restored', { name: product.name })
+    );
+
+  const handleDelete = (product) => {
+    if (!window.confirm(t('admin.confirmDelete', { name: product.name }))) {
+      return;
+    }
+    runAction(
+      () => deleteProduct(product.id),
+      t('admin.notices.deleted', { name: product.name })
+    );
+  };
+
+  const handleReset = () => {
+    if (!window.confirm(t('admin.confirmReset'))) return;
+    runAction(resetCatalog, t('admin.notices.reset'));
+  };
+
+  const seo = (
+    <Helmet>
+      <title>{t('common.pageTitle', { title: t('admin.metaTitle') })}</title>
+      <meta name="robots" content="noindex, nofollow" />
+    </Helmet>
+  );
+
+  if (!isAdmin) {
+    return (
+      <div className="admin-page admin-page--locked">
+        {seo}
+        <EmptyState
+          icon={<LockIcon />}
+          title={t('admin.accessTitle')}
+          description={t('admin.accessDescription')}
+          actionLabel={t('common.continueShopping')}
+          onAction={() => navigate('/')}
+          headingLevel={1}
+        />
+      </div>
+    );
+  }
+
+  const editor = (
+    <ProductEditor products={entries.products} onSaved={handleSaved} />
+  );
+
+  return (
+    <div className="admin-page">
+      {seo}
+      <header className="admin-page__header">
+        <h1 className="admin-page__title">{t('admin.title')}</h1>
+        <nav className="admin-page__nav" aria-label={t('admin.nav.label')}>
+          <NavLink to="/admin" end className="admin-page__nav-link">
+            {t('admin.nav.products')}
+          </NavLink>
+          <NavLink to="/admin/products/new" className="admin-page__nav-link">
+            {t('admin.nav.newProduct')}
+          </NavLink>
+          <Link to="/catalog/transfer" className="admin-page__nav-link">
+            {t('catalogTransfer.title')}
+          </Link>
+        </nav>
+        <div className="admin-page__tools">
+          <Button variant="ghost" size="sm" onClick={handleReset}>
+            {t('admin.resetCatalog')}
+          </Button>
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => setRole(ROLES.CUSTOMER)}
+          >
+            {t('admin.leave')}
+          </Button>
+        </div>
+      </header>
+
+      <p className="admin-page__notice" role="status">
+        {notice}
+      </p>
+
+      {entries.loadFailed ? (
+        <EmptyState
+          icon={<AlertIcon />}
+          title={t('admin.loadFailed')}
+          description={t('catalog.loadError')}
+          actionLabel={t('common.tryAgain')}
+          onAction={retryLoad}
+          actionVariant="secondary"
+        />
+      ) : entries.isLoading ? (
+        <p className="admin-page__status">{t('common.loading')}</p>
+      ) : (
+        <Routes>
+          <Route
+            index
+            element={
+              <ProductTable
+                products={entries.products}
+                onArchive={handleArchive}
+                onRestore={handleRestore}
+                onDelete={handleDelete}
+              />
+            }
+          />
+          <Route path="products/new" element={editor} />
+          <Route path="products/:productId/edit" element={editor} />
+          <Route path="*" element={<Navigate to="/admin" replace />} />
+        </Routes>
+      )}
+    </div>
+  );
+}
+
+export default AdminPage;
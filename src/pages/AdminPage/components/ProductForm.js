@@ -0,0 +1,389 @@
+import { memo, useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  CATEGORIES,
+  FILE_FORMATS,
+  SPEC_FEATURES,
+  TEXTURE_RESOLUTIONS,
+  MODEL_LIBRARY,
+} from '../../../data/products';
+import { creators } from '../../../data/creators';
+import {
+  CATALOG_FIELDS,
+  getModelKey,
+  productToRow,
+  rowToProduct,
+} from '../../../utils/catalogTransfer';
+import { BASE_CURRENCY } from '../../../utils/currency';
+import { saveProduct } from '../../../services/catalogAdminService';
+import { useI18n } from '../../../context/I18nContext';
+import Button from '../../../components/Button';
+import FormInput from '../../../components/FormInput';
+
+const FIELD_PREFIX = 'product-';
+// Select value for a model that isn't in MODEL_LIBRARY, kept as it is
+const CURRENT_MODEL = '__current';
+const fieldId = (field) => `${FIELD_PREFIX}${field}`;
+
+const NEW_PRODUCT = {
+  currency: BASE_CURRENCY,
+  fileFormat: [],
+  rigged: false,
+  animated: false,
+  pbr: false,
+  uvUnwrapped: false,
+  textureResolution: null,
+  lodCount: 1,
+  tags: [],
+  featured: false,
+};
+
+const FLAG_FIELDS = [...SPEC_FEATURES, 'featured'];
+
+// Spec fields and tags reuse the storefront's labels
+const SPEC_LABEL_FIELDS = [...SPEC_FEATURES, 'textureResolution', 'lodCount'];
+
+// Form state holds text for inputs and selects, arrays for the format
+// checkboxes and booleans for the flags, in the same shape as an export row
+const toFormValues = (product) => {
+  const row = productToRow(product);
+  return {
+    ...Object.fromEntries(
+      Object.entries(row).map(([field, value]) => [field, String(value ?? '')])
+    ),
+    fileFormat: row.fileFormat,
+    tags: row.tags.join(', '),
+    ...Object.fromEntries(FLAG_FIELDS.map((field) => [field, !!row[field]])),
+    ...(product.model &&
+      !getModelKey(product.model) && { model: CURRENT_MODEL }),
+  };
+};
+
+// Schema paths such as `fileFormat[1]` or `model.url` belong to one input
+const getFieldName = (path) => path.split(/[.[]/)[0];
+
+/**
+ * Create/edit form for every product field, including the MODEL_LIBRARY
+ * model and its scale. Values are converted with the import field mapping
+ * and validated against the product schema when saved.
+ */
+const ProductForm = memo(function ProductForm({ product = null, onSaved }) {
+  const { t } = useI18n();
+  const [values, setValues] = useState(() =>
+    toFormValues(product || NEW_PRODUCT)
+  );
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+
+  const setValue = (field, value) => {
+    setValues((prev) => ({
+      ...prev,
+      [field]: value,
+      // A scale only makes sense for the model it was set for
+      ...(field === 'model' && { modelScale: '' }),
+    }));
+  };
+
+  const handleInputChange = (id, value) => {
+    setValue(id.slice(FIELD_PREFIX.length), value);
+  };
+
+  const toggleFormat = (format) => {
+    setValues((prev) => ({
+      ...prev,
+      fileFormat: prev.fileFormat.includes(format)
+        ? prev.fileFormat.filter((f) => f !== format)
+        : FILE_FORMATS.filter(
+            (f) => f === format || prev.fileFormat.includes(f)
+          ),
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    // Fields outside the mapping (e.g. `archived`) are kept as they were
+    const mappedFields = CATALOG_FIELDS.map(({ field }) => field);
+    const unmapped = Object.fromEntries(
+      Object.entries(product || {}).filter(
+        ([field]) => !mappedFields.includes(field)
+      )
+    );
+    const record = { ...unmapped, ...rowToProduct(values) };
+    if (values.model === CURRENT_MODEL) record.model = product.model;
+
+    setIsSaving(true);
+    setSaveError(null);
+    let result;
+    try {
+      result = await saveProduct(record, product?.id ?? null);
+    } catch {
+      // A storage adapter that rejects is reported like a failed save
+      result = { success: false };
+    }
+    setIsSaving(false);
+
+    if (result.success) {
+      onSaved(result.product);
+      return;
+    }
+    if (result.errors) {
+      // Keep the message keys so errors follow a change of language
+      const errors = {};
+      result.errors.forEach((error) => {
+        const field = getFieldName(error.path);
+        errors[field] = errors[field] || error;
+      });
+      setFieldErrors(errors);
+    } else {
+      setSaveError(t('admin.notices.saveFailed'));
+    }
+  };
+
+  const errorCount = Object.keys(fieldErrors).length;
+  const errorText = (field) =>
+    fieldErrors[field] &&
+    t(fieldErrors[field].message, fieldErrors[field].params);
+  const labelFor = (field) => {
+    if (SPEC_LABEL_FIELDS.includes(field)) return t(`specs.${field}`);
+    return field === 'tags' ? t('common.tags') : t(`admin.fields.${field}`);
+  };
+
+  const renderInput = (field, props = {}) => (
+    <FormInput
+      id={fieldId(field)}
+      label={labelFor(field)}
+      value={values[field]}
+      onChange={handleInputChange}
+      error={errorText(field)}
+      {...props}
+    />
+  );
+
+  const renderSelect = (field, options, { emptyLabel } = {}) => (
+    <div
+      className={`form-field ${fieldErrors[field] ? 'form-field--error' : ''}`}
+    >
+      <label htmlFor={fieldId(field)} className="form-field__label">
+        {labelFor(field)}
+      </label>
+      <select
+        id={fieldId(field)}
+        className="form-field__input admin-form__select"
+        value={values[field]}
+        onChange={(e) => setValue(field, e.target.value)}
+        aria-invalid={fieldErrors[field] ? 'true' : 'false'}
+        aria-describedby={
+          fieldErrors[field] ? `${fieldId(field)}-error` : undefined
+        }
+      >
+        {emptyLabel !== undefined && <option value="">{emptyLabel}</option>}
+        {options.map(({ value, label }) => (
+          <option key={value} value={value}>
+            {label}
+          </option>
+        ))}
+      </select>
+      {fieldErrors[field] && (
+        <p
+          id={`${fieldId(field)}-error`}
+          className="form-field__error"
+          role="alert"
+        >
+          {errorText(field)}
+        </p>
+      )}
+    </div>
+  );
+
+  const selectedModel = MODEL_LIBRARY[values.model];
+
+  return (
+    <form className="admin-form" onSubmit={handleSubmit} noValidate>
+      {(errorCount > 0 || saveError) && (
+        <p className="admin-form__summary" role="alert">
+          {saveError || t('admin.form.errorSummary', { count: errorCount })}
+        </p>
+      )}
+
+      <fieldset className="admin-form__section">
+        <legend className="admin-form__legend">
+          {t('admin.form.details')}
+        </legend>
+        <div className="admin-form__row">
+          {renderInput('id', {
+            required: true,
+            disabled: !!product,
+            placeholder: 'desert-buggy',
+          })}
+          {renderInput('name', { required: true })}
+        </div>
+        {renderInput('description', { required: true, multiline: true })}
+        <div className="admin-form__row">
+          {renderSelect(
+            'category',
+            CATEGORIES.map((category) => ({
+              value: category,
+              label: category,
+            })),
+            { emptyLabel: t('admin.form.choose') }
+          )}
+          {renderSelect(
+            'creatorId',
+            creators.map(({ id, name }) => ({ value: id, label: name })),
+            { emptyLabel: t('admin.form.choose') }
+          )}
+        </div>
+        {renderInput('tags', { placeholder: t('admin.form.tagsHint') })}
+      </fieldset>
+
+      <fieldset className="admin-form__section">
+        <legend className="admin-form__legend">
+          {t('admin.form.pricing')}
+        </legend>
+        <div className="admin-form__row admin-form__row--three">
+          {renderInput('price', {
+            type: 'number',
+            min: 0,
+            step: 'any',
+            required: true,
+          })}
+          {renderInput('currency', { required: true, maxLength: 3 })}
+        </div>
+        <div className="admin-form__checks">
+          <label className="admin-form__check">
+            <input
+              type="checkbox"
+              checked={values.featured}
+              onChange={(e) => setValue('featured', e.target.checked)}
+            />
+            {labelFor('featured')}
+          </label>
+        </div>
+      </fieldset>
+
+      <fieldset className="admin-form__section">
+        <legend className="admin-form__legend">{t('filters.specs')}</legend>
+        <div className="admin-form__row admin-form__row--three">
+          {renderInput('polyCount', {
+            type: 'number',
+            min: 0,
+            step: 1,
+            required: true,
+          })}
+          {renderSelect(
+            'textureResolution',
+            TEXTURE_RESOLUTIONS.map((resolution) => ({
+              value: resolution,
+              label: resolution,
+            })),
+            { emptyLabel: t('specs.untextured') }
+          )}
+          {renderInput('lodCount', {
+            type: 'number',
+            min: 1,
+            step: 1,
+            required: true,
+          })}
+        </div>
+        <div className="admin-form__checks">
+          {SPEC_FEATURES.map((feature) => (
+            <label key={feature} className="admin-form__check">
+              <input
+                type="checkbox"
+                checked={values[feature]}
+                onChange={(e) => setValue(feature, e.target.checked)}
+              />
+              {labelFor(feature)}
+            </label>
+          ))}
+        </div>
+        <fieldset
+          className="admin-form__group"
+          aria-describedby={
+            fieldErrors.fileFormat
+              ? `${fieldId('fileFormat')}-error`
+              : undefined
+          }
+        >
+          <legend className="form-field__label">
+            {labelFor('fileFormat')}
+          </legend>
+          <div className="admin-form__checks">
+            {FILE_FORMATS.map((format) => (
+              <label key={format} className="admin-form__check">
+                <input
+                  type="checkbox"
+                  checked={values.fileFormat.includes(format)}
+                  onChange={() => toggleFormat(format)}
+                />
+                {format}
+              </label>
+            ))}
+          </div>
+          {fieldErrors.fileFormat && (
+            <p
+              id={`${fieldId('fileFormat')}-error`}
+              className="form-field__error"
+              role="alert"
+            >
+              {errorText('fileFormat')}
+            </p>
+          )}
+        </fieldset>
+      </fieldset>
+
+      <fieldset className="admin-form__section">
+        <legend className="admin-form__legend">{t('admin.form.media')}</legend>
+        <div className="admin-form__row admin-form__row--three">
+          {renderSelect(
+            'model',
+            [
+              ...(product?.model && !getModelKey(product.model)
+                ? [
+                    {
+                      value: CURRENT_MODEL,
+                      label: t('admin.form.currentModel', {
+                        name: product.model.name || product.model.url,
+                      }),
+                    },
+                  ]
+                : []),
+              ...Object.entries(MODEL_LIBRARY).map(([key, model]) => ({
+                value: key,
+                label: model.name,
+              })),
+            ],
+            { emptyLabel: t('admin.form.noModel') }
+          )}
+          {renderInput('modelScale', {
+            type: 'number',
+            min: 0,
+            step: 'any',
+            disabled: !selectedModel,
+            placeholder: selectedModel
+              ? t('admin.form.defaultScale', { scale: selectedModel.scale })
+              : '',
+          })}
+          {renderInput('previewColor', { required: true })}
+        </div>
+        {renderInput('image', { type: 'url' })}
+      </fieldset>
+
+      <div className="admin-form__actions">
+        <Button type="submit" variant="primary" size="md" disabled={isSaving}>
+          {isSaving ? t('common.loading') : t('admin.form.save')}
+        </Button>
+      </div>
+    </form>
+  );
+});
+
+ProductForm.displayName = 'ProductForm';
+
+ProductForm.propTypes = {
+  product: PropTypes.object,
+  onSaved: PropTypes.func.isRequired,
+};
+
+export default ProductForm;
@@ -0,0 +1,148 @@
+import { memo } from 'react';
+import PropTypes from 'prop-types';
+import { Link } from 'react-router-dom';
+import { validateProduct } from '../../../data/productSchema';
+import { useI18n } from '../../../context/I18nContext';
+import Button from '../../../components/Button';
+
+/**
+ * Every catalog entry with its status and the edit, archive/restore and
+ * delete actions. Entries that fail the product schema are flagged, since
+ * the storefront doesn't show them until they're fixed.
+ */
+const ProductTable = memo(function ProductTable({
+  products,
+  onArchive,
+  onRestore,
+  onDelete,
+}) {
+  const { locale, t } = useI18n();
+
+  const getStatuses = (product) => {
+    const statuses = [];
+    if (validateProduct(product).length > 0) statuses.push('invalid');
+    statuses.push(product.archived ? 'archived' : 'live');
+    if (product.featured) statuses.push('featured');
+    return statuses;
+  };
+
+  return (
+    <div className="admin-table__scroll">
+      <table className="admin-table">
+        <caption className="admin-table__caption">
+          {t('admin.table.caption', { count: products.length })}
+        </caption>
+        <thead>
+          <tr>
+            <th scope="col">{t('admin.table.product')}</th>
+            <th scope="col">{t('admin.fields.category')}</th>
+            <th scope="col" className="admin-table__number">
+              {t('admin.fields.price')}
+            </th>
+            <th scope="col" className="admin-table__number">
+              {t('admin.fields.polyCount')}
+            </th>
+            <th scope="col">{t('admin.table.status')}</th>
+            <th scope="col">
+              <span className="admin-table__hidden">
+                {t('admin.table.actions')}
+              </span>
+            </th>
+          </tr>
+        </thead>
+        <tbody>
+          {products.map((product, index) => (
+            <tr
+              key={product.id ?? `row-${index}`}
+              className={product.archived ? 'admin-table__row--archived' : ''}
+            >
+              <th scope="row" className="admin-table__product">
+                <span className="admin-table__name">{product.name}</span>
+                <code className="admin-table__id">{product.id}</code>
+              </th>
+              <td>{product.category}</td>
+              <td className="admin-table__number">
+                {product.price} {product.currency}
+              </td>
+              <td className="admin-table__number">
+                {typeof product.polyCount === 'number'
+                  ? product.polyCount.toLocaleString(locale)
+                  : t('catalogTransfer.empty')}
+              </td>
+              <td>
+                <ul className="admin-table__statuses">
+                  {getStatuses(product).map((status) => (
+                    <li
+                      key={status}
+                      className={`admin-table__status admin-table__status--${status}`}
+                    >
+                      {t(`admin.status.${status}`)}
+                    </li>
+                  ))}
+                </ul>
+              </td>
+              <td>
+                <div className="admin-table__actions">
+                  <Link
+                    to={`/admin/products/${encodeURIComponent(product.id)}/edit`}
+                    className="admin-table__edit"
+                    aria-label={t('admin.table.editLabel', {
+                      name: product.name,
+                    })}
+                  >
+                    {t('common.edit')}
+                  </Link>
+                  {product.archived ? (
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => onRestore(product)}
+                      aria-label={t('admin.table.restoreLabel', {
+                        name: product.name,
+                      })}
+                    >
+                      {t('admin.table.restore')}
+                    </Button>
+                  ) : (
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => onArchive(product)}
+                      aria-label={t('admin.table.archiveLabel', {
+                        name: product.name,
+                      })}
+                    >
+                      {t('admin.table.archive')}
+                    </Button>
+                  )}
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    className="admin-table__delete"
+                    onClick={() => onDelete(product)}
+                    aria-label={t('admin.table.deleteLabel', {
+                      name: product.name,
+                    })}
+                  >
+                    {t('admin.table.delete')}
+                  </Button>
+                </div>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+});
+
+ProductTable.displayName = 'ProductTable';
+
+ProductTable.propTypes = {
+  products: PropTypes.arrayOf(PropTypes.object).isRequired,
+  onArchive: PropTypes.func.isRequired,
+  onRestore: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired,
+};
+
+export default ProductTable;
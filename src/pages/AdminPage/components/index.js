@@ -0,0 +1,2 @@
+export { default as ProductTable } from './ProductTable';
+export { default as ProductForm } from './ProductForm';
@@ -1,7 +1,11 @@
-import { lazy, Suspense } from 'react';
+import { lazy, Suspense, useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { Helmet } from 'react-helmet-async';
-import { useCart } from '../context/CartContext';
+import { useCart, getCartLineId } from '../context/CartContext';
+import { useCurrency } from '../context/CurrencyContext';
+import { useI18n } from '../context/I18nContext';
+import { LIST_PRICE_FORMAT } from '../utils/currency';
+import { getLicenseTier } from '../data/licenses';
 import Button from '../components/Button';
 import EmptyState from '../components/EmptyState';
 import OrderSummary from '../components/OrderSummary';
@@ -16,26 +20,88 @@ import './CartPage.scss';
 
 const ModelPreview = lazy(() => import('../components/ModelPreview'));
 
+const getFormatSelectId = (lineId) => `cart-format-${lineId}`;
+
 function CartPage() {
   const navigate = useNavigate();
   const {
     cartItems,
     cartTotal,
     cartCount,
+    cartBundles,
+    bundleDiscount,
     updateQuantity,
+    updateBundleQuantity,
+    updateFormat,
     removeFromCart,
+    removeBundle,
     clearCart,
   } = useCart();
+  const { formatPrice } = useCurrency();
+  const { t } = useI18n();
+  const [focusedFormatId, setFocusedFormatId] = useState(null);
+
+  // Changing the format re-keys the line, so its select is remounted; move
+  // focus to the new select once it has rendered.
+  useEffect(() => {
+    if (!focusedFormatId) return;
+    document.getElementById(focusedFormatId)?.focus();
+    setFocusedFormatId(null);
+  }, [focusedFormatId, cartItems]);
+
+  const handleFormatChange = (item, format) => {
+    updateFormat(item.lineId, format);
+    setFocusedFormatId(
+      getFormatSelectId(
+        getCartLineId(item.id, item.license, format, item.bundleId)
+      )
+    );
+  };
+
+  const getLicenseName = (item) =>
+    t('licenses.label', {
+      name: t(`licenses.${getLicenseTier(item.license).id}.name`),
+    });
+
+  const renderFormatSelect = (item, licenseName) => (
+    <div className="cart-item__format">
+      <label
+        htmlFor={getFormatSelectId(item.lineId)}
+        className="cart-item__format-label"
+      >
+        {t('cart.format')}
+      </label>
+      <select
+        id={getFormatSelectId(item.lineId)}
+        className="cart-item__format-select"
+        value={item.format}
+        onChange={(e) => handleFormatChange(item, e.target.value)}
+        aria-label={t('cart.formatLabel', {
+          name: item.name,
+          license: licenseName,
+        })}
+      >
+        {item.fileFormat.map((option) => (
+          <option key={option} value={option}>
+            {option}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
 
   const CartSEO = () => (
     <Helmet>
-      <title>Shopping Cart | 3D Marketplace</title>
+      <title>{t('common.pageTitle', { title: t('cart.metaTitle') })}</title>
       <meta
         name="description"
         content={
           cartItems.length > 0
-            ? `Your cart contains ${cartCount} item${cartCount !== 1 ? 's' : ''} totaling $${cartTotal.toFixed(2)}. Review and checkout your premium 3D models.`
-            : 'Your shopping cart is empty. Browse our collection of premium 3D models and digital assets.'
+            ? t('cart.metaDescription', {
+                count: cartCount,
+                total: formatPrice(cartTotal),
+              })
+            : t('cart.metaDescriptionEmpty')
         }
       />
       <meta name="robots" content="noindex, nofollow" />
@@ -50,9 +116,9 @@ function CartPage() {
         <div className="cart-page cart-page--empty">
           <EmptyState
             icon={<EmptyCartIcon data-testid="empty-cart-icon" />}
-            title="Your Cart is Empty"
-            description="Start adding some amazing products!"
-            actionLabel="Browse Products"
+            title={t('cart.emptyTitle')}
+            description={t('cart.emptyDescription')}
+            actionLabel={t('common.browseProducts')}
             onAction={() => navigate('/')}
           />
         </div>
@@ -61,128 +127,295 @@ function CartPage() {
   }
 
   const subtotal = cartTotal;
-  const tax = subtotal * 0.1;
-  const total = subtotal + tax;
+  const tax = (subtotal - bundleDiscount) * 0.1;
+  const total = subtotal - bundleDiscount + tax;
+  // Bundle members are listed with their bundle, below the single models
+  const singleItems = cartItems.filter((item) => !item.bundleId);
 
   return (
     <>
       <CartSEO />
       <main className="cart-page">
-        <h1 className="cart-page__title">Shopping Cart</h1>
+        <h1 className="cart-page__title">{t('cart.title')}</h1>
 
         <div className="cart-page__content">
-          <section className="cart-page__items" aria-label="Cart items">
-            {cartItems.map((item) => (
-              <article key={item.id} className="cart-item">
-                <Link
-                  to={`/products/${item.id}`}
-                  className="cart-item__preview"
-                  aria-label={`View ${item.name}`}
-                >
-                  <Suspense
-                    fallback={
-                      <div
-                        className="cart-item__preview-fallback"
-                        style={{ background: item.previewColor }}
-                      >
+          <section className="cart-page__items" aria-label={t('cart.items')}>
+            {singleItems.map((item) => {
+              const licenseName = getLicenseName(item);
+              const lineLabel = [licenseName, item.format]
+                .filter(Boolean)
+                .join(', ');
+
+              return (
+                <article key={item.lineId} className="cart-item">
+                  <Link
+                    to={`/products/${item.id}`}
+                    className="cart-item__preview"
+                    aria-label={t('cart.view', { name: item.name })}
+                  >
+                    <Suspense
+                      fallback={
                         <div
-                          className="cart-item__preview-pattern"
-                          aria-hidden="true"
-                        />
+                          className="cart-item__preview-fallback"
+                          style={{ background: item.previewColor }}
+                        >
+                          <div
+                            className="cart-item__preview-pattern"
+                            aria-hidden="true"
+                          />
+                          <span
+                            className="cart-item__preview-text"
+                            aria-hidden="true"
+                          >
+                            3D
+                          </span>
+                        </div>
+                      }
+                    >
+                      <ModelPreview
+                        model={item.model}
+                        previewColor={item.previewColor}
+                        alt={t('cart.previewAlt', { name: item.name })}
+                      />
+                    </Suspense>
+                  </Link>
+
+                  <div className="cart-item__info">
+                    <Link
+                      to={`/products/${item.id}`}
+                      className="cart-item__name"
+                    >
+                      {item.name}
+                    </Link>
+                    {item.category && (
+                      <p className="cart-item__category">{item.category}</p>
+                    )}
+                    <p className="cart-item__license">{licenseName}</p>
+                    {item.format && renderFormatSelect(item, licenseName)}
+
+                    <div className="cart-item__controls">
+                      <div className="cart-item__quantity">
+                        <Button
+                          variant="icon"
+                          size="sm"
+                          className="cart-item__quantity-btn"
+                          onClick={() =>
+                            updateQuantity(item.lineId, item.quantity - 1)
+                          }
+                          disabled={item.quantity <= 1}
+                          aria-label={t('cart.decrease', {
+                            name: item.name,
+                            line: lineLabel,
+                          })}
+                        >
+                          <MinusIcon />
+                        </Button>
                         <span
-                          className="cart-item__preview-text"
-                          aria-hidden="true"
+                          className="cart-item__quantity-value"
+                          aria-label={t('cart.quantity', {
+                            count: item.quantity,
+                          })}
                         >
-                          3D
+                          {item.quantity}
                         </span>
+                        <Button
+                          variant="icon"
+                          size="sm"
+                          className="cart-item__quantity-btn"
+                          onClick={() =>
+                            updateQuantity(item.lineId, item.quantity + 1)
+                          }
+                          aria-label={t('cart.increase', {
+                            name: item.name,
+                            line: lineLabel,
+                          })}
+                        >
+                          <PlusIcon />
+                        </Button>
                       </div>
-                    }
+
+                      <div className="cart-item__price">
+                        <p className="cart-item__price-total">
+                          {formatPrice(item.price * item.quantity)}
+                        </p>
+                        {item.quantity > 1 && (
+                          <p className="cart-item__price-each">
+                            {t('cart.each', {
+                              price: formatPrice(item.price, LIST_PRICE_FORMAT),
+                            })}
+                          </p>
+                        )}
+                      </div>
+                    </div>
+                  </div>
+
+                  <Button
+                    variant="icon"
+                    size="md"
+                    className="cart-item__remove"
+                    onClick={() => removeFromCart(item.lineId)}
+                    aria-label={t('cart.remove', {
+                      name: item.name,
+                      line: lineLabel,
+                    })}
                   >
-                    <ModelPreview
-                      model={item.model}
-                      previewColor={item.previewColor}
-                      alt={`${item.name} 3D preview`}
-                    />
-                  </Suspense>
-                </Link>
-
-                <div className="cart-item__info">
-                  <Link to={`/products/${item.id}`} className="cart-item__name">
-                    {item.name}
-                  </Link>
-                  {item.category && (
-                    <p className="cart-item__category">{item.category}</p>
-                  )}
-
-                  <div className="cart-item__controls">
-                    <div className="cart-item__quantity">
-                      <Button
-                        variant="icon"
-                        size="sm"
-                        className="cart-item__quantity-btn"
-                        onClick={() =>
-                          updateQuantity(item.id, item.quantity - 1)
-                        }
-                        disabled={item.quantity <= 1}
-                        aria-label={`Decrease quantity of ${item.name}`}
-                      >
-                        <MinusIcon />
-                      </Button>
+                    <TrashIcon className="cart-item__remove-icon" />
+                  </Button>
+                </article>
+              );
+            })}
+
+            {cartBundles.map((bundle) => {
+              const bundleLabel = t('cart.bundle');
+
+              return (
+                <article
+                  key={bundle.id}
+                  className="cart-item cart-item--bundle"
+                >
+                  <Link
+                    to={`/collections/${bundle.id}`}
+                    className="cart-item__preview"
+                    aria-label={t('cart.viewBundle', { name: bundle.name })}
+                  >
+                    <div
+                      className="cart-item__preview-fallback"
+                      style={{ background: bundle.previewColor }}
+                    >
+                      <div
+                        className="cart-item__preview-pattern"
+                        aria-hidden="true"
+                      />
                       <span
-                        className="cart-item__quantity-value"
-                        aria-label={`Quantity: ${item.quantity}`}
+                        className="cart-item__preview-text"
+                        aria-hidden="true"
                       >
-                        {item.quantity}
+                        {bundle.items.length}×
                       </span>
-                      <Button
-                        variant="icon"
-                        size="sm"
-                        className="cart-item__quantity-btn"
-                        onClick={() =>
-                          updateQuantity(item.id, item.quantity + 1)
-                        }
-                        aria-label={`Increase quantity of ${item.name}`}
-                      >
-                        <PlusIcon />
-                      </Button>
                     </div>
+                  </Link>
 
-                    <div className="cart-item__price">
-                      <p className="cart-item__price-total">
-                        ${(item.price * item.quantity).toFixed(2)}
-                      </p>
-                      {item.quantity > 1 && (
-                        <p className="cart-item__price-each">
-                          ${item.price} each
+                  <div className="cart-item__info">
+                    <Link
+                      to={`/collections/${bundle.id}`}
+                      className="cart-item__name"
+                    >
+                      {bundle.name}
+                    </Link>
+                    <p className="cart-item__license">
+                      {bundleLabel} ·{' '}
+                      {t('common.models', { count: bundle.items.length })}
+                    </p>
+                    <ul
+                      className="cart-item__members"
+                      aria-label={t('cart.bundleItems', { name: bundle.name })}
+                    >
+                      {bundle.items.map((item) => (
+                        <li key={item.lineId} className="cart-item__member">
+                          <Link
+                            to={`/products/${item.id}`}
+                            className="cart-item__member-name"
+                          >
+                            {item.name}
+                          </Link>
+                          {item.format &&
+                            renderFormatSelect(item, getLicenseName(item))}
+                        </li>
+                      ))}
+                    </ul>
+
+                    <div className="cart-item__controls">
+                      <div className="cart-item__quantity">
+                        <Button
+                          variant="icon"
+                          size="sm"
+                          className="cart-item__quantity-btn"
+                          onClick={() =>
+                            updateBundleQuantity(bundle.id, bundle.quantity - 1)
+                          }
+                          disabled={bundle.quantity <= 1}
+                          aria-label={t('cart.decrease', {
+                            name: bundle.name,
+                            line: bundleLabel,
+                          })}
+                        >
+                          <MinusIcon />
+                        </Button>
+                        <span
+                          className="cart-item__quantity-value"
+                          aria-label={t('cart.quantity', {
+                            count: bundle.quantity,
+                          })}
+                        >
+                          {bundle.quantity}
+                        </span>
+                        <Button
+                          variant="icon"
+                          size="sm"
+                          className="cart-item__quantity-btn"
+                          onClick={() =>
+                            updateBundleQuantity(bundle.id, bundle.quantity + 1)
+                          }
+                          aria-label={t('cart.increase', {
+                            name: bundle.name,
+                            line: bundleLabel,
+                          })}
+                        >
+                          <PlusIcon />
+                        </Button>
+                      </div>
+
+                      <div className="cart-item__price">
+                        <p className="cart-item__price-total">
+                          {formatPrice(bundle.price * bundle.quantity)}
                         </p>
-                      )}
+                        {bundle.discount > 0 && (
+                          <p className="cart-item__price-each">
+                            {t('cart.bundleSaving', {
+                              amount: formatPrice(bundle.discount),
+                            })}
+                          </p>
+                        )}
+                      </div>
                     </div>
                   </div>
-                </div>
 
-                <Button
-                  variant="icon"
-                  size="md"
-                  className="cart-item__remove"
-                  onClick={() => removeFromCart(item.id)}
-                  aria-label={`Remove ${item.name} from cart`}
-                >
-                  <TrashIcon className="cart-item__remove-icon" />
-                </Button>
-              </article>
-            ))}
+                  <Button
+                    variant="icon"
+                    size="md"
+                    className="cart-item__remove"
+                    onClick={() => removeBundle(bundle.id)}
+                    aria-label={t('cart.remove', {
+                      name: bundle.name,
+                      line: bundleLabel,
+                    })}
+                  >
+                    <TrashIcon className="cart-item__remove-icon" />
+                  </Button>
+                </article>
+              );
+            })}
           </section>
 
-          <aside className="cart-page__summary" aria-label="Order summary">
+          <aside className="cart-page__summary" aria-label={t('cart.summary')}>
             <div className="cart-page__summary-card">
               <OrderSummary
-                title="Order Summary"
+                title={t('common.orderSummary')}
                 items={[
-                  { label: 'Subtotal', value: `$${subtotal.toFixed(2)}` },
-                  { label: 'Tax (estimated)', value: `$${tax.toFixed(2)}` },
+                  { label: t('common.subtotal'), value: formatPrice(subtotal) },
+                  ...(bundleDiscount > 0
+                    ? [
+                        {
+                          label: t('common.bundleSavings'),
+                          value: `-${formatPrice(bundleDiscount)}`,
+                          isDiscount: true,
+                        },
+                      ]
+                    : []),
+                  { label: t('cart.tax'), value: formatPrice(tax) },
                   {
-                    label: 'Total',
-                    value: `$${total.toFixed(2)}`,
+                    label: t('common.total'),
+                    value: formatPrice(total),
                     isTotal: true,
                   },
                 ]}
@@ -191,14 +424,14 @@ function CartPage() {
                   variant="primary"
                   size="lg"
                   className="cart-page__checkout-btn"
-                  aria-label="Proceed to checkout"
+                  aria-label={t('cart.proceedLabel')}
                   onClick={() => navigate('/checkout')}
                   icon={
                     <ArrowLongRightIcon className="cart-page__checkout-icon" />
                   }
                   iconPosition="end"
                 >
-                  Proceed to Checkout
+                  {t('cart.proceed')}
                 </Button>
 
                 <Button
@@ -207,7 +440,7 @@ function CartPage() {
                   className="cart-page__continue-btn"
                   onClick={() => navigate('/')}
                 >
-                  Continue Shopping
+                  {t('common.continueShopping')}
                 </Button>
 
                 <Button
@@ -215,9 +448,9 @@ function CartPage() {
                   size="sm"
                   className="cart-page__clear-btn"
                   onClick={clearCart}
-                  aria-label="Clear all items from cart"
+                  aria-label={t('cart.clearLabel')}
                 >
-                  Clear Cart
+                  {t('cart.clear')}
                 </Button>
               </OrderSummary>
             </div>
@@ -0,0 +1,370 @@
+import { useState, useMemo } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Helmet } from 'react-helmet-async';
+import { useProductSearch, useCatalogProducts } from '../hooks/useCatalog';
+import {
+  parseFilterParams,
+  serializeFilterParams,
+} from '../utils/filterParams';
+import {
+  TRANSFER_FORMATS,
+  exportCatalog,
+  importCatalog,
+} from '../utils/catalogTransfer';
+import { useI18n } from '../context/I18nContext';
+import Button from '../components/Button';
+import FormInput from '../components/FormInput';
+import './CatalogTransferPage.scss';
+
+const MIME_TYPES = { csv: 'text/csv', json: 'application/json' };
+
+const downloadFile = (content, fileName, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const readFileText = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+
+/**
+ * Catalog import/export (`/catalog/transfer`). Exports the catalog, or the
+ * results of the filters in the page's query string (same params as the
+ * home page), and previews a CSV or JSON import against the current catalog.
+ */
+function CatalogTransferPage() {
+  const { t } = useI18n();
+  const [searchParams] = useSearchParams();
+  const [exportFormat, setExportFormat] = useState('csv');
+  const [pasted, setPasted] = useState('');
+  const [preview, setPreview] = useState(null);
+
+  const { filters, searchTerm, sort } = useMemo(
+    () => parseFilterParams(searchParams),
+    [searchParams]
+  );
+  const isFiltered =
+    serializeFilterParams({ filters, searchTerm }).toString() !== '';
+  const exportQuery = useMemo(
+    () => ({ ...filters, searchTerm, sort }),
+    [filters, searchTerm, sort]
+  );
+  const { products: exportProducts, isLoading: isExportLoading } =
+    useProductSearch(exportQuery);
+  const { products: catalogProducts, isLoading: isCatalogLoading } =
+    useCatalogProducts();
+
+  const handleExport = () => {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(
+      exportCatalog(exportProducts, exportFormat),
+      `catalog-${date}.${exportFormat}`,
+      MIME_TYPES[exportFormat]
+    );
+  };
+
+  const showPreview = (text, fileName) => {
+    setPreview({
+      fileName,
+      ...importCatalog(text, { fileName, current: catalogProducts }),
+    });
+  };
+
+  const handleFileChange = async (event) => {
+    const [file] = event.target.files;
+    if (!file) return;
+    try {
+      showPreview(await readFileText(file), file.name);
+    } catch {
+      setPreview({ error: 'catalogTransfer.errors.unreadable' });
+    }
+  };
+
+  const formatValue = (value) => {
+    const text = Array.isArray(value) ? value.join(', ') : (value ?? '');
+    return text === '' ? t('catalogTransfer.empty') : String(text);
+  };
+
+  const diff = preview?.diff;
+
+  return (
+    <div className="catalog-transfer">
+      <Helmet>
+        <title>
+          {t('common.pageTitle', { title: t('catalogTransfer.metaTitle') })}
+        </title>
+        <meta name="robots" content="noindex, nofollow" />
+      </Helmet>
+
+      <header className="catalog-transfer__header">
+        <h1 className="catalog-transfer__title">
+          {t('catalogTransfer.title')}
+        </h1>
+        <p className="catalog-transfer__intro">{t('catalogTransfer.intro')}</p>
+      </header>
+
+      <section
+        className="catalog-transfer__section"
+        aria-labelledby="catalog-export-title"
+      >
+        <h2 id="catalog-export-title" className="catalog-transfer__heading">
+          {t('catalogTransfer.exportTitle')}
+        </h2>
+        <p className="catalog-transfer__text">
+          {isExportLoading
+            ? t('common.loading')
+            : t(
+                isFiltered
+                  ? 'catalogTransfer.exportFiltered'
+                  : 'catalogTransfer.exportAll',
+                { count: exportProducts.length }
+              )}
+          {isFiltered && (
+            <>
+              {' '}
+              <Link to="/catalog/transfer" className="catalog-transfer__link">
+                {t('catalogTransfer.exportAllLink')}
+              </Link>
+            </>
+          )}
+        </p>
+        <div className="catalog-transfer__actions">
+          <label
+            htmlFor="catalog-export-format"
+            className="catalog-transfer__label"
+          >
+            {t('catalogTransfer.format')}
+          </label>
+          <select
+            id="catalog-export-format"
+            className="catalog-transfer__select"
+            value={exportFormat}
+            onChange={(e) => setExportFormat(e.target.value)}
+          >
+            {TRANSFER_FORMATS.map((format) => (
+              <option key={format} value={format}>
+                {format.toUpperCase()}
+              </option>
+            ))}
+          </select>
+          <Button
+            variant="primary"
+            size="md"
+            onClick={handleExport}
+            disabled={isExportLoading || exportProducts.length === 0}
+          >
+            {t('catalogTransfer.download', {
+              format: exportFormat.toUpperCase(),
+            })}
+          </Button>
+        </div>
+      </section>
+
+      <section
+        className="catalog-transfer__section"
+        aria-labelledby="catalog-import-title"
+      >
+        <h2 id="catalog-import-title" className="catalog-transfer__heading">
+          {t('catalogTransfer.importTitle')}
+        </h2>
+        <p className="catalog-transfer__text">
+          {t('catalogTransfer.importHint')}
+        </p>
+
+        <div className="catalog-transfer__file">
+          <label
+            htmlFor="catalog-import-file"
+            className="catalog-transfer__label"
+          >
+            {t('catalogTransfer.file')}
+          </label>
+          <input
+            id="catalog-import-file"
+            type="file"
+            accept=".csv,.json,text/csv,application/json"
+            className="catalog-transfer__file-input"
+            onChange={handleFileChange}
+            disabled={isCatalogLoading}
+          />
+        </div>
+
+        <FormInput
+          id="catalog-import-text"
+          label={t('catalogTransfer.paste')}
+          value={pasted}
+          onChange={(_, value) => setPasted(value)}
+          multiline
+          rows={6}
+          className="catalog-transfer__paste"
+        />
+        <Button
+          variant="secondary"
+          size="md"
+          onClick={() => showPreview(pasted)}
+          disabled={isCatalogLoading || !pasted.trim()}
+        >
+          {t('catalogTransfer.preview')}
+        </Button>
+      </section>
+
+      {preview && (
+        <section
+          className="catalog-transfer__section catalog-transfer__preview"
+          aria-labelledby="catalog-preview-title"
+        >
+          <h2 id="catalog-preview-title" className="catalog-transfer__heading">
+            {preview.fileName
+              ? t('catalogTransfer.previewOf', { name: preview.fileName })
+              : t('catalogTransfer.previewTitle')}
+          </h2>
+
+          {preview.error ? (
+            <p className="catalog-transfer__error" role="alert">
+              {t(preview.error)}
+            </p>
+          ) : (
+            <>
+              <ul
+                className="catalog-transfer__summary"
+                aria-label={t('catalogTransfer.summary')}
+              >
+                <li className="catalog-transfer__stat catalog-transfer__stat--added">
+                  {t('catalogTransfer.added', { count: diff.added.length })}
+                </li>
+                <li className="catalog-transfer__stat catalog-transfer__stat--changed">
+                  {t('catalogTransfer.changed', { count: diff.changed.length })}
+                </li>
+                <li className="catalog-transfer__stat">
+                  {t('catalogTransfer.unchanged', {
+                    count: diff.unchanged.length,
+                  })}
+                </li>
+                <li className="catalog-transfer__stat">
+                  {t('catalogTransfer.missing', { count: diff.missing.length })}
+                </li>
+                <li className="catalog-transfer__stat catalog-transfer__stat--invalid">
+                  {t('catalogTransfer.invalid', {
+                    count: preview.invalid.length,
+                  })}
+                </li>
+              </ul>
+
+              {preview.unmappedColumns.length > 0 && (
+                <p className="catalog-transfer__text">
+                  {t('catalogTransfer.unmapped', {
+                    columns: preview.unmappedColumns.join(', '),
+                  })}
+                </p>
+              )}
+
+              {preview.invalid.length > 0 && (
+                <div className="catalog-transfer__table-scroll">
+                  <table className="catalog-transfer__table">
+                    <caption className="catalog-transfer__caption">
+                      {t('catalogTransfer.invalidTitle')}
+                    </caption>
+                    <thead>
+                      <tr>
+                        <th scope="col">{t('catalogTransfer.row')}</th>
+                        <th scope="col">{t('catalogTransfer.id')}</th>
+                        <th scope="col">{t('catalogTransfer.problems')}</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {preview.invalid.map(({ row, id, errors }) => (
+                        <tr key={row}>
+                          <td>{row}</td>
+                          <td>{id || t('catalogTransfer.empty')}</td>
+                          <td>
+                            <ul className="catalog-transfer__problems">
+                              {errors.map(({ path, message, params }) => (
+                                <li key={`${path}-${message}`}>
+                                  {path && <code>{path}</code>}{' '}
+                                  {t(message, params)}
+                                </li>
+                              ))}
+                            </ul>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              {diff.added.length > 0 && (
+                <div className="catalog-transfer__group">
+                  <h3 className="catalog-transfer__subheading">
+                    {t('catalogTransfer.addedTitle')}
+                  </h3>
+                  <ul className="catalog-transfer__list">
+                    {diff.added.map((product) => (
+                      <li key={product.id}>
+                        {product.name} <code>{product.id}</code>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {diff.changed.length > 0 && (
+                <div className="catalog-transfer__group">
+                  <h3 className="catalog-transfer__subheading">
+                    {t('catalogTransfer.changedTitle')}
+                  </h3>
+                  <ul className="catalog-transfer__list">
+                    {diff.changed.map(({ product, fields }) => (
+                      <li key={product.id}>
+                        {product.name} <code>{product.id}</code>
+                        <dl className="catalog-transfer__changes">
+                          {fields.map(({ field, before, after }) => (
+                            <div
+                              key={field}
+                              className="catalog-transfer__change"
+                            >
+                              <dt>{field}</dt>
+                              <dd>
+                                <del>{formatValue(before)}</del>{' '}
+                                <span aria-hidden="true">→</span>{' '}
+                                <ins>{formatValue(after)}</ins>
+                              </dd>
+                            </div>
+                          ))}
+                        </dl>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {diff.missing.length > 0 && (
+                <div className="catalog-transfer__group">
+                  <h3 className="catalog-transfer__subheading">
+                    {t('catalogTransfer.missingTitle')}
+                  </h3>
+                  <ul className="catalog-transfer__list">
+                    {diff.missing.map((product) => (
+                      <li key={product.id}>
+                        {product.name} <code>{product.id}</code>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </>
+          )}
+        </section>
+      )}
+    </div>
+  );
+}
+
+export default CatalogTransferPage;
@@ -7,6 +7,7 @@ import {
   STEP_ORDER,
 } from '../../context/CheckoutContext';
 import { useCart } from '../../context/CartContext';
+import { useI18n } from '../../context/I18nContext';
 import { LockIcon } from '../../components/Icons';
 import {
   StepIndicator,
@@ -21,6 +22,7 @@ function CheckoutPage() {
   const navigate = useNavigate();
   const { cartItems } = useCart();
   const { currentStep, completedSteps, goToStep } = useCheckout();
+  const { t } = useI18n();
 
   useEffect(() => {
     if (cartItems.length === 0 && currentStep !== CHECKOUT_STEPS.CONFIRMATION) {
@@ -58,11 +60,10 @@ function CheckoutPage() {
   return (
     <>
       <Helmet>
-        <title>Checkout | 3D Marketplace</title>
-        <meta
-          name="description"
-          content="Complete your purchase of premium 3D models and digital assets. Secure checkout with multiple payment options."
-        />
+        <title>
+          {t('common.pageTitle', { title: t('checkout.metaTitle') })}
+        </title>
+        <meta name="description" content={t('checkout.metaDescription')} />
         <meta name="robots" content="noindex, nofollow" />
         <link rel="canonical" href={`${window.location.origin}/checkout`} />
         <script type="application/ld+json">
@@ -75,15 +76,17 @@ function CheckoutPage() {
           <Link
             to="/"
             className="checkout-page__logo"
-            aria-label="Return to 3D Marketplace home"
+            aria-label={t('checkout.home')}
           >
             <span className="checkout-page__logo-text">3D</span>
-            <span className="checkout-page__logo-sub">MARKETPLACE</span>
+            <span className="checkout-page__logo-sub">
+              {t('checkout.logo')}
+            </span>
           </Link>
-          <h1 className="checkout-page__title">Checkout</h1>
+          <h1 className="checkout-page__title">{t('checkout.title')}</h1>
           <div className="checkout-page__secure">
             <LockIcon />
-            <span>Secure Checkout</span>
+            <span>{t('checkout.secure')}</span>
           </div>
         </header>
 
@@ -100,13 +103,12 @@ function CheckoutPage() {
 
         <footer className="checkout-page__footer">
           <p className="checkout-page__footer-text">
-            &copy; {new Date().getFullYear()} 3D Marketplace. All rights
-            reserved.
+            {t('checkout.copyright', { year: new Date().getFullYear() })}
           </p>
           <nav className="checkout-page__footer-links">
-            <a href="/terms">Terms of Service</a>
-            <a href="/privacy">Privacy Policy</a>
-            <a href="/support">Support</a>
+            <a href="/terms">{t('checkout.terms')}</a>
+            <a href="/privacy">{t('checkout.privacy')}</a>
+            <a href="/support">{t('checkout.support')}</a>
           </nav>
         </footer>
       </div>
@@ -1,6 +1,8 @@
 import { memo, useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useCheckout } from '../../../context/CheckoutContext';
+import { useI18n } from '../../../context/I18nContext';
+import { formatPrice as formatAmount } from '../../../utils/currency';
 import Button from '../../../components/Button';
 import {
   CheckIcon,
@@ -13,6 +15,7 @@ import {
 
 const ConfirmationStep = memo(function ConfirmationStep() {
   const { orderResult, resetCheckout } = useCheckout();
+  const { locale, t, formatDate } = useI18n();
   const navigate = useNavigate();
   const [copied, setCopied] = useState(false);
 
@@ -40,14 +43,23 @@ const ConfirmationStep = memo(function ConfirmationStep() {
   if (!orderResult) {
     return (
       <div className="checkout-step checkout-step--error">
-        <p>Order information not available.</p>
-        <button onClick={handleContinueShopping}>Return to Shop</button>
+        <p>{t('checkout.confirmation.unavailable')}</p>
+        <button onClick={handleContinueShopping}>
+          {t('checkout.confirmation.returnToShop')}
+        </button>
       </div>
     );
   }
 
-  const estimatedDate = new Date(orderResult.estimatedDelivery);
-  const formattedDate = estimatedDate.toLocaleDateString('en-US', {
+  // The receipt is shown in the currency the order was paid in, at the rate
+  // used for the charge, whatever currency is selected now
+  const { payment } = orderResult;
+  const formatPaid = (amount) =>
+    formatAmount(amount * (payment.exchangeRate ?? 1), payment.currency, {
+      locale,
+    });
+
+  const formattedDate = formatDate(orderResult.estimatedDelivery, {
     weekday: 'long',
     year: 'numeric',
     month: 'long',
@@ -109,16 +121,17 @@ const ConfirmationStep = memo(function ConfirmationStep() {
             id="confirmation-heading"
             className="checkout-confirmation__title"
           >
-            Order Confirmed!
+            {t('checkout.confirmation.title')}
           </h2>
           <p className="checkout-confirmation__subtitle">
-            Thank you for your purchase. Your order has been successfully
-            placed.
+            {t('checkout.confirmation.subtitle')}
           </p>
         </div>
 
         <div className="checkout-confirmation__order-id">
-          <span className="checkout-confirmation__order-label">Order ID</span>
+          <span className="checkout-confirmation__order-label">
+            {t('checkout.confirmation.orderId')}
+          </span>
           <div className="checkout-confirmation__order-row">
             <span className="checkout-confirmation__order-number">
               {orderResult.orderId}
@@ -128,10 +141,16 @@ const ConfirmationStep = memo(function ConfirmationStep() {
               size="sm"
               className={`checkout-confirmation__copy-btn ${copied ? 'checkout-confirmation__copy-btn--copied' : ''}`}
               onClick={handleCopyOrderId}
-              aria-label={copied ? 'Copied!' : 'Copy order ID'}
+              aria-label={
+                copied
+                  ? t('checkout.confirmation.copied')
+                  : t('checkout.confirmation.copyLabel')
+              }
               icon={copied ? <CheckIcon /> : <CopyIcon />}
             >
-              {copied ? 'Copied!' : 'Copy'}
+              {copied
+                ? t('checkout.confirmation.copied')
+                : t('checkout.confirmation.copy')}
             </Button>
           </div>
         </div>
@@ -139,67 +158,84 @@ const ConfirmationStep = memo(function ConfirmationStep() {
         <div className="checkout-confirmation__details">
           <div className="checkout-confirmation__detail-section">
             <h3 className="checkout-confirmation__detail-title">
-              Order Summary
+              {t('common.orderSummary')}
             </h3>
             <ul className="checkout-confirmation__items">
               {orderResult.items.map((item) => (
-                <li key={item.id} className="checkout-confirmation__item">
+                <li
+                  key={`${item.id}:${item.license}:${item.format}`}
+                  className="checkout-confirmation__item"
+                >
                   <span className="checkout-confirmation__item-name">
                     {item.name}
+                    <span className="checkout-confirmation__item-license">
+                      {t('licenses.label', { name: item.licenseName })}
+                      {item.format && ` · ${item.format}`}
+                    </span>
                   </span>
                   <span className="checkout-confirmation__item-qty">
                     x{item.quantity}
                   </span>
                   <span className="checkout-confirmation__item-price">
-                    ${item.subtotal.toFixed(2)}
+                    {formatPaid(item.subtotal)}
                   </span>
                 </li>
               ))}
             </ul>
             <div className="checkout-confirmation__totals">
               <div className="checkout-confirmation__total-line">
-                <span>Subtotal</span>
-                <span>${orderResult.totals.subtotal.toFixed(2)}</span>
+                <span>{t('common.subtotal')}</span>
+                <span>{formatPaid(orderResult.totals.subtotal)}</span>
               </div>
+              {orderResult.totals.bundleDiscount > 0 && (
+                <div className="checkout-confirmation__total-line">
+                  <span>{t('common.bundleSavings')}</span>
+                  <span>-{formatPaid(orderResult.totals.bundleDiscount)}</span>
+                </div>
+              )}
               <div className="checkout-confirmation__total-line">
-                <span>Tax</span>
-                <span>${orderResult.totals.tax.toFixed(2)}</span>
+                <span>{t('checkout.confirmation.tax')}</span>
+                <span>{formatPaid(orderResult.totals.tax)}</span>
               </div>
               <div className="checkout-confirmation__total-line">
-                <span>Shipping</span>
+                <span>{t('checkout.confirmation.shipping')}</span>
                 <span>
                   {orderResult.totals.shipping === 0
-                    ? 'FREE'
-                    : `$${orderResult.totals.shipping.toFixed(2)}`}
+                    ? t('common.free')
+                    : formatPaid(orderResult.totals.shipping)}
                 </span>
               </div>
               <div className="checkout-confirmation__total-line checkout-confirmation__total-line--total">
-                <span>Total Paid</span>
-                <span>${orderResult.totals.total.toFixed(2)}</span>
+                <span>{t('checkout.confirmation.totalPaid')}</span>
+                {/* The amount actually charged, rather than a converted sum */}
+                <span>
+                  {formatAmount(payment.amount, payment.currency, { locale })}
+                </span>
               </div>
             </div>
           </div>
 
           <div className="checkout-confirmation__detail-section">
             <h3 className="checkout-confirmation__detail-title">
-              Delivery Information
+              {t('checkout.confirmation.delivery')}
             </h3>
             <div className="checkout-confirmation__delivery">
               <p className="checkout-confirmation__delivery-email">
                 <EmailIcon />
-                Download links will be sent to:{' '}
+                {t('checkout.confirmation.email')}{' '}
                 <strong>{orderResult.shippingAddress.email}</strong>
               </p>
               <p className="checkout-confirmation__delivery-date">
                 <CalendarIcon />
-                Estimated delivery by: <strong>{formattedDate}</strong>
+                {t('checkout.confirmation.estimated')}{' '}
+                <strong>{formattedDate}</strong>
               </p>
             </div>
           </div>
 
           <div className="checkout-confirmation__detail-section">
             <h3 className="checkout-confirmation__detail-title">
-              Order Timeline
+              {t('checkout.confirmation.timeline')}
             </h3>
             <ol className="checkout-confirmation__timeline">
               {orderResult.timeline.map((step, index) => (
@@ -233,7 +269,7 @@ const ConfirmationStep = memo(function ConfirmationStep() {
             icon={<ArrowRightIcon />}
             iconPosition="end"
           >
-            Continue Shopping
+            {t('common.continueShopping')}
           </Button>
           <Button
             variant="secondary"
@@ -242,7 +278,7 @@ const ConfirmationStep = memo(function ConfirmationStep() {
             onClick={() => window.print()}
             icon={<PrintIcon />}
           >
-            Print Receipt
+            {t('checkout.confirmation.print')}
           </Button>
         </div>
       </div>
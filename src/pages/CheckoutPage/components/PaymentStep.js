@@ -1,5 +1,6 @@
 import { memo, useState, useCallback } from 'react';
 import { useCheckout } from '../../../context/CheckoutContext';
+import { useI18n } from '../../../context/I18nContext';
 import { detectCardType } from '../../../services/checkoutService';
 import Button from '../../../components/Button';
 import FormInput from '../../../components/FormInput';
@@ -23,6 +24,7 @@ const PaymentStep = memo(function PaymentStep() {
     isLoading,
     fieldErrors,
   } = useCheckout();
+  const { t } = useI18n();
 
   const [cardType, setCardType] = useState('unknown');
 
@@ -78,15 +80,17 @@ const PaymentStep = memo(function PaymentStep() {
     >
       <SectionHeader
         id="payment-heading"
-        title="Payment Details"
-        description="Enter your card information. Your payment is secure and encrypted."
+        title={t('checkout.payment.title')}
+        description={t('checkout.payment.description')}
         className="checkout-step__header"
       />
 
       <form onSubmit={handleSubmit} className="checkout-form" noValidate>
         <div className="checkout-form__section">
           <div className="checkout-form__card-header">
-            <h3 className="checkout-form__section-title">Card Information</h3>
+            <h3 className="checkout-form__section-title">
+              {t('checkout.payment.card')}
+            </h3>
             <div className="checkout-form__card-icons" aria-hidden="true">
               <VisaIcon className="card-icon" />
               <MastercardIcon className="card-icon" />
@@ -98,7 +102,7 @@ const PaymentStep = memo(function PaymentStep() {
           <div className="checkout-form__card-field">
             <FormInput
               id="cardNumber"
-              label="Card Number"
+              label={t('checkout.payment.cardNumber')}
               value={paymentInfo.cardNumber}
               onChange={handleCardNumberChange}
               error={fieldErrors.cardNumber}
@@ -117,7 +121,7 @@ const PaymentStep = memo(function PaymentStep() {
 
           <FormInput
             id="cardHolder"
-            label="Cardholder Name"
+            label={t('checkout.payment.cardHolder')}
             value={paymentInfo.cardHolder}
             onChange={updatePaymentInfo}
             error={fieldErrors.cardHolder}
@@ -129,11 +133,11 @@ const PaymentStep = memo(function PaymentStep() {
           <div className="checkout-form__row checkout-form__row--two">
             <FormInput
               id="expiryDate"
-              label="Expiry Date"
+              label={t('checkout.payment.expiryDate')}
               value={paymentInfo.expiryDate}
               onChange={handleExpiryChange}
               error={fieldErrors.expiryDate}
-              placeholder="MM/YY"
+              placeholder={t('checkout.payment.expiryPlaceholder')}
               required
               autoComplete="cc-exp"
               inputMode="numeric"
@@ -141,7 +145,7 @@ const PaymentStep = memo(function PaymentStep() {
             />
             <FormInput
               id="cvv"
-              label="CVV"
+              label={t('checkout.payment.cvv')}
               type="password"
               value={paymentInfo.cvv}
               onChange={updatePaymentInfo}
@@ -162,14 +166,14 @@ const PaymentStep = memo(function PaymentStep() {
             />
             <span className="checkout-form__checkbox-mark" />
             <span className="checkout-form__checkbox-label">
-              Save card for future purchases
+              {t('checkout.payment.saveCard')}
             </span>
           </label>
         </div>
 
         <div className="checkout-form__security">
           <LockIcon />
-          <span>Your payment information is encrypted and secure</span>
+          <span>{t('checkout.payment.secure')}</span>
         </div>
 
         <div className="checkout-step__actions">
@@ -180,7 +184,7 @@ const PaymentStep = memo(function PaymentStep() {
             onClick={goToPreviousStep}
             icon={<ArrowLeftIcon />}
           >
-            Back
+            {t('common.back')}
           </Button>
           <Button
             type="submit"
@@ -191,7 +195,9 @@ const PaymentStep = memo(function PaymentStep() {
             icon={!isLoading && <ArrowRightIcon />}
             iconPosition="end"
           >
-            {isLoading ? 'Validating...' : 'Review Order'}
+            {isLoading
+              ? t('common.validating')
+              : t('checkout.payment.continue')}
           </Button>
         </div>
       </form>
@@ -1,6 +1,10 @@
 import { memo, useState, lazy, Suspense } from 'react';
 import { useCheckout, CHECKOUT_STEPS } from '../../../context/CheckoutContext';
+import { useCurrency } from '../../../context/CurrencyContext';
+import { useI18n } from '../../../context/I18nContext';
 import { detectCardType } from '../../../services/checkoutService';
+import { getLicenseTier } from '../../../data/licenses';
+import { getCollectionById } from '../../../data/collections';
 import Button from '../../../components/Button';
 import SectionHeader from '../../../components/SectionHeader';
 import InfoGrid from '../../../components/InfoGrid';
@@ -34,6 +38,8 @@ const ReviewStep = memo(function ReviewStep() {
     isLoading,
     errors,
   } = useCheckout();
+  const { formatPrice } = useCurrency();
+  const { t } = useI18n();
 
   const [promoInput, setPromoInput] = useState('');
   const [isApplyingPromo, setIsApplyingPromo] = useState(false);
@@ -61,22 +67,22 @@ const ReviewStep = memo(function ReviewStep() {
     >
       <SectionHeader
         id="review-heading"
-        title="Review Your Order"
-        description="Please review your order details before completing your purchase."
+        title={t('checkout.review.title')}
+        description={t('checkout.review.description')}
         className="checkout-step__header"
       />
 
       <form onSubmit={handleSubmit} className="checkout-review">
         <div className="checkout-review__section">
           <h3 className="checkout-review__section-title">
-            Order Items
+            {t('checkout.review.items')}
             <span className="checkout-review__count">
-              {cartItems.length} items
+              {t('common.items', { count: cartItems.length })}
             </span>
           </h3>
           <ul className="checkout-review__items">
             {cartItems.map((item) => (
-              <li key={item.id} className="checkout-review__item">
+              <li key={item.lineId} className="checkout-review__item">
                 <div className="checkout-review__item-preview">
                   <Suspense
                     fallback={
@@ -96,11 +102,28 @@ const ReviewStep = memo(function ReviewStep() {
                 <div className="checkout-review__item-details">
                   <p className="checkout-review__item-name">{item.name}</p>
                   <p className="checkout-review__item-meta">
-                    {item.category} &bull; Qty: {item.quantity}
+                    {[
+                      item.category,
+                      t('licenses.label', {
+                        name: t(
+                          `licenses.${getLicenseTier(item.license).id}.name`
+                        ),
+                      }),
+                      item.format,
+                      item.bundleId &&
+                        t('checkout.review.bundle', {
+                          name:
+                            getCollectionById(item.bundleId)?.name ??
+                            item.bundleId,
+                        }),
+                      t('checkout.review.quantity', { count: item.quantity }),
+                    ]
+                      .filter(Boolean)
+                      .join(' • ')}
                   </p>
                 </div>
                 <p className="checkout-review__item-price">
-                  ${(item.price * item.quantity).toFixed(2)}
+                  {formatPrice(item.price * item.quantity)}
                 </p>
               </li>
             ))}
@@ -110,7 +133,7 @@ const ReviewStep = memo(function ReviewStep() {
         <div className="checkout-review__section">
           <div className="checkout-review__section-header">
             <h3 className="checkout-review__section-title">
-              Contact & Billing
+              {t('checkout.review.contact')}
             </h3>
             <Button
               variant="ghost"
@@ -118,19 +141,19 @@ const ReviewStep = memo(function ReviewStep() {
               className="checkout-review__edit"
               onClick={() => goToStep(CHECKOUT_STEPS.SHIPPING)}
             >
-              Edit
+              {t('common.edit')}
             </Button>
           </div>
           <InfoGrid
             items={[
               {
-                label: 'Name',
+                label: t('checkout.review.name'),
                 value: `${shippingInfo.firstName} ${shippingInfo.lastName}`,
               },
-              { label: 'Email', value: shippingInfo.email },
-              { label: 'Phone', value: shippingInfo.phone },
+              { label: t('checkout.review.email'), value: shippingInfo.email },
+              { label: t('checkout.review.phone'), value: shippingInfo.phone },
               {
-                label: 'Address',
+                label: t('checkout.review.address'),
                 value: `${shippingInfo.street}, ${shippingInfo.city}, ${shippingInfo.state} ${shippingInfo.zipCode}`,
               },
             ]}
@@ -141,14 +164,16 @@ const ReviewStep = memo(function ReviewStep() {
 
         <div className="checkout-review__section">
           <div className="checkout-review__section-header">
-            <h3 className="checkout-review__section-title">Payment Method</h3>
+            <h3 className="checkout-review__section-title">
+              {t('checkout.review.paymentMethod')}
+            </h3>
             <Button
               variant="ghost"
               size="sm"
               className="checkout-review__edit"
               onClick={() => goToStep(CHECKOUT_STEPS.PAYMENT)}
             >
-              Edit
+              {t('common.edit')}
             </Button>
           </div>
           <div className="checkout-review__payment">
@@ -167,23 +192,25 @@ const ReviewStep = memo(function ReviewStep() {
         </div>
 
         <div className="checkout-review__section">
-          <h3 className="checkout-review__section-title">Delivery Option</h3>
+          <h3 className="checkout-review__section-title">
+            {t('checkout.review.delivery')}
+          </h3>
           <div className="checkout-review__delivery-options">
             <RadioOption
               name="shippingOption"
               value="instant"
-              label="Instant Download"
-              description="Get immediate access to your files"
-              price="FREE"
+              label={t('checkout.review.instant')}
+              description={t('checkout.review.instantDescription')}
+              price={t('common.free')}
               checked={shippingOption === 'instant'}
               onChange={setShippingOption}
             />
             <RadioOption
               name="shippingOption"
               value="priority"
-              label="Priority Processing"
-              description="Priority queue for download links"
-              price="$4.99"
+              label={t('checkout.review.priority')}
+              description={t('checkout.review.priorityDescription')}
+              price={formatPrice(4.99)}
               checked={shippingOption === 'priority'}
               onChange={setShippingOption}
             />
@@ -191,7 +218,9 @@ const ReviewStep = memo(function ReviewStep() {
         </div>
 
         <div className="checkout-review__section">
-          <h3 className="checkout-review__section-title">Promo Code</h3>
+          <h3 className="checkout-review__section-title">
+            {t('checkout.review.promo')}
+          </h3>
           {promoCode ? (
             <div className="checkout-review__promo-applied">
               <div className="checkout-review__promo-badge">
@@ -199,14 +228,14 @@ const ReviewStep = memo(function ReviewStep() {
                 <span>{promoCode}</span>
               </div>
               <span className="checkout-review__promo-discount">
-                -${totals.discount.toFixed(2)}
+                -{formatPrice(totals.discount)}
               </span>
               <Button
                 variant="icon"
                 size="sm"
                 className="checkout-review__promo-remove"
                 onClick={removePromoCode}
-                aria-label="Remove promo code"
+                aria-label={t('checkout.review.removePromo')}
               >
                 <CloseIcon />
               </Button>
@@ -217,7 +246,7 @@ const ReviewStep = memo(function ReviewStep() {
                 type="text"
                 value={promoInput}
                 onChange={(e) => setPromoInput(e.target.value.toUpperCase())}
-                placeholder="Enter promo code"
+                placeholder={t('checkout.review.promoPlaceholder')}
                 className="checkout-review__promo-field"
               />
               <Button
@@ -228,7 +257,9 @@ const ReviewStep = memo(function ReviewStep() {
                 disabled={!promoInput.trim()}
                 isLoading={isApplyingPromo}
               >
-                {isApplyingPromo ? 'Applying...' : 'Apply'}
+                {isApplyingPromo
+                  ? t('checkout.review.applying')
+                  : t('checkout.review.apply')}
               </Button>
             </div>
           )}
@@ -238,35 +269,47 @@ const ReviewStep = memo(function ReviewStep() {
             </p>
           )}
           <p className="checkout-review__promo-hint">
-            Try: WELCOME10, SAVE20, 3DFREE, or NEWUSER
+            {t('checkout.review.promoHint')}
           </p>
         </div>
 
         <OrderSummary
-          title="Order Summary"
+          title={t('common.orderSummary')}
           className="checkout-review__summary"
           items={[
-            { label: 'Subtotal', value: `$${totals.subtotal.toFixed(2)}` },
+            {
+              label: t('common.subtotal'),
+              value: formatPrice(totals.subtotal),
+            },
+            ...(totals.bundleDiscount > 0
+              ? [
+                  {
+                    label: t('common.bundleSavings'),
+                    value: `-${formatPrice(totals.bundleDiscount)}`,
+                    isDiscount: true,
+                  },
+                ]
+              : []),
             ...(totals.discount > 0
               ? [
                   {
-                    label: 'Discount',
-                    value: `-$${totals.discount.toFixed(2)}`,
+                    label: t('checkout.review.discount'),
+                    value: `-${formatPrice(totals.discount)}`,
                     isDiscount: true,
                   },
                 ]
               : []),
-            { label: 'Tax (10%)', value: `$${totals.tax.toFixed(2)}` },
+            { label: t('checkout.review.tax'), value: formatPrice(totals.tax) },
             {
-              label: 'Delivery',
+              label: t('checkout.review.deliveryLine'),
               value:
                 totals.shipping === 0
-                  ? 'FREE'
-                  : `$${totals.shipping.toFixed(2)}`,
+                  ? t('common.free')
+                  : formatPrice(totals.shipping),
             },
             {
-              label: 'Total',
-              value: `$${totals.total.toFixed(2)}`,
+              label: t('common.total'),
+              value: formatPrice(totals.total),
               isTotal: true,
             },
           ]}
@@ -287,7 +330,7 @@ const ReviewStep = memo(function ReviewStep() {
             onClick={goToPreviousStep}
             icon={<ArrowLeftIcon />}
           >
-            Back
+            {t('common.back')}
           </Button>
           <Button
             type="submit"
@@ -298,8 +341,10 @@ const ReviewStep = memo(function ReviewStep() {
             icon={!isLoading && <LockIcon />}
           >
             {isLoading
-              ? 'Processing...'
-              : `Complete Purchase - $${totals.total.toFixed(2)}`}
+              ? t('checkout.review.processing')
+              : t('checkout.review.complete', {
+                  total: formatPrice(totals.total),
+                })}
           </Button>
         </div>
       </form>
@@ -1,6 +1,7 @@
 import { memo } from 'react';
 import { Link } from 'react-router-dom';
 import { useCheckout } from '../../../context/CheckoutContext';
+import { useI18n } from '../../../context/I18nContext';
 import Button from '../../../components/Button';
 import FormInput from '../../../components/FormInput';
 import SectionHeader from '../../../components/SectionHeader';
@@ -14,6 +15,7 @@ const ShippingStep = memo(function ShippingStep() {
     isLoading,
     fieldErrors,
   } = useCheckout();
+  const { t } = useI18n();
 
   const handleSubmit = (e) => {
     e.preventDefault();
@@ -27,18 +29,20 @@ const ShippingStep = memo(function ShippingStep() {
     >
       <SectionHeader
         id="shipping-heading"
-        title="Shipping Information"
-        description="Enter your contact and delivery information for your digital assets."
+        title={t('checkout.shipping.title')}
+        description={t('checkout.shipping.description')}
         className="checkout-step__header"
       />
 
       <form onSubmit={handleSubmit} className="checkout-form" noValidate>
         <div className="checkout-form__section">
-          <h3 className="checkout-form__section-title">Contact Information</h3>
+          <h3 className="checkout-form__section-title">
+            {t('checkout.shipping.contact')}
+          </h3>
           <div className="checkout-form__row checkout-form__row--two">
             <FormInput
               id="firstName"
-              label="First Name"
+              label={t('checkout.shipping.firstName')}
               value={shippingInfo.firstName}
               onChange={updateShippingInfo}
               error={fieldErrors.firstName}
@@ -48,7 +52,7 @@ const ShippingStep = memo(function ShippingStep() {
             />
             <FormInput
               id="lastName"
-              label="Last Name"
+              label={t('checkout.shipping.lastName')}
               value={shippingInfo.lastName}
               onChange={updateShippingInfo}
               error={fieldErrors.lastName}
@@ -60,7 +64,7 @@ const ShippingStep = memo(function ShippingStep() {
           <div className="checkout-form__row checkout-form__row--two">
             <FormInput
               id="email"
-              label="Email Address"
+              label={t('checkout.shipping.email')}
               type="email"
               value={shippingInfo.email}
               onChange={updateShippingInfo}
@@ -71,7 +75,7 @@ const ShippingStep = memo(function ShippingStep() {
             />
             <FormInput
               id="phone"
-              label="Phone Number"
+              label={t('checkout.shipping.phone')}
               type="tel"
               value={shippingInfo.phone}
               onChange={updateShippingInfo}
@@ -84,21 +88,23 @@ const ShippingStep = memo(function ShippingStep() {
         </div>
 
         <div className="checkout-form__section">
-          <h3 className="checkout-form__section-title">Billing Address</h3>
+          <h3 className="checkout-form__section-title">
+            {t('checkout.shipping.billing')}
+          </h3>
           <FormInput
             id="street"
-            label="Street Address"
+            label={t('checkout.shipping.street')}
             value={shippingInfo.street}
             onChange={updateShippingInfo}
             error={fieldErrors.street}
-            placeholder="123 Main Street, Apt 4"
+            placeholder={t('checkout.shipping.streetPlaceholder')}
             required
             autoComplete="street-address"
           />
           <div className="checkout-form__row checkout-form__row--three">
             <FormInput
               id="city"
-              label="City"
+              label={t('checkout.shipping.city')}
               value={shippingInfo.city}
               onChange={updateShippingInfo}
               error={fieldErrors.city}
@@ -108,7 +114,7 @@ const ShippingStep = memo(function ShippingStep() {
             />
             <FormInput
               id="state"
-              label="State"
+              label={t('checkout.shipping.state')}
               value={shippingInfo.state}
               onChange={updateShippingInfo}
               error={fieldErrors.state}
@@ -119,7 +125,7 @@ const ShippingStep = memo(function ShippingStep() {
             />
             <FormInput
               id="zipCode"
-              label="ZIP Code"
+              label={t('checkout.shipping.zipCode')}
               value={shippingInfo.zipCode}
               onChange={updateShippingInfo}
               error={fieldErrors.zipCode}
@@ -131,7 +137,7 @@ const ShippingStep = memo(function ShippingStep() {
           </div>
           <FormInput
             id="country"
-            label="Country"
+            label={t('checkout.shipping.country')}
             value={shippingInfo.country}
             onChange={updateShippingInfo}
             error={fieldErrors.country}
@@ -144,7 +150,7 @@ const ShippingStep = memo(function ShippingStep() {
         <div className="checkout-step__actions">
           <Link to="/cart" className="checkout-step__back-link">
             <ArrowLeftIcon />
-            Back to Cart
+            {t('checkout.shipping.backToCart')}
           </Link>
           <Button
             type="submit"
@@ -155,7 +161,9 @@ const ShippingStep = memo(function ShippingStep() {
             icon={!isLoading && <ArrowRightIcon />}
             iconPosition="end"
           >
-            {isLoading ? 'Validating...' : 'Continue to Payment'}
+            {isLoading
+              ? t('common.validating')
+              : t('checkout.shipping.continue')}
           </Button>
         </div>
       </form>
@@ -1,5 +1,5 @@
 import { memo } from 'react';
-import { STEP_TITLES } from '../../../context/CheckoutContext';
+import { useI18n } from '../../../context/I18nContext';
 import { CheckIcon } from '../../../components/Icons';
 
 const StepIndicator = memo(function StepIndicator({
@@ -8,8 +8,10 @@ const StepIndicator = memo(function StepIndicator({
   completedSteps,
   onStepClick,
 }) {
+  const { t } = useI18n();
+
   return (
-    <nav className="checkout-steps" aria-label="Checkout progress">
+    <nav className="checkout-steps" aria-label={t('checkout.progress')}>
       <ol className="checkout-steps__list">
         {steps.map((step, index) => {
           const isCompleted = completedSteps.includes(step);
@@ -32,7 +34,7 @@ const StepIndicator = memo(function StepIndicator({
                   {isCompleted ? <CheckIcon /> : index + 1}
                 </span>
                 <span className="checkout-steps__label">
-                  {STEP_TITLES[step]}
+                  {t(`checkout.steps.${step}`)}
                 </span>
               </button>
               {index < steps.length - 1 && (
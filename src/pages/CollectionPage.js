@@ -0,0 +1,184 @@
+import { useMemo } from 'react';
+import { useParams, Link, useNavigate } from 'react-router-dom';
+import { Helmet } from 'react-helmet-async';
+import { useCatalogProducts } from '../hooks/useCatalog';
+import { getCollectionById, getBundlePricing } from '../data/collections';
+import { buildCollectionPageSchema } from '../utils/structuredData';
+import { useCart } from '../context/CartContext';
+import { useCurrency } from '../context/CurrencyContext';
+import { useI18n } from '../context/I18nContext';
+import ProductCard from '../components/ProductCard';
+import EmptyState from '../components/EmptyState';
+import Button from '../components/Button';
+import { BackArrowIcon, SearchEmptyIcon, CartIcon } from '../components/Icons';
+import './CollectionPage.scss';
+
+/**
+ * Curated collection (`/collections/:collectionId`): the bundle price against
+ * buying every member separately, an add-to-cart for the whole bundle and
+ * the members grid.
+ */
+function CollectionPage() {
+  const { collectionId } = useParams();
+  const navigate = useNavigate();
+  const { t } = useI18n();
+  const { formatPrice } = useCurrency();
+  const { addBundle } = useCart();
+  const collection = getCollectionById(collectionId);
+  const { products, isLoading } = useCatalogProducts();
+
+  const pricing = useMemo(
+    () => collection && getBundlePricing(collection, products),
+    [collection, products]
+  );
+
+  if (!collection) {
+    return (
+      <div className="collection-page collection-page--not-found">
+        <Helmet>
+          <title>
+            {t('common.pageTitle', { title: t('collection.notFoundTitle') })}
+          </title>
+          <meta name="robots" content="noindex" />
+        </Helmet>
+        <EmptyState
+          icon={<SearchEmptyIcon />}
+          title={t('collection.notFoundTitle')}
+          description={t('collection.notFoundDescription')}
+          actionLabel={t('common.backToProducts')}
+          onAction={() => navigate('/')}
+          headingLevel={1}
+        />
+      </div>
+    );
+  }
+
+  const { products: members, itemsTotal, savings, savingsPercent } = pricing;
+  const pageTitle = t('common.pageTitle', { title: collection.name });
+  const path = `/collections/${collection.id}`;
+  const canonicalUrl = `${window.location.origin}${path}`;
+  // A bundle is only sold whole, so wait until every member has loaded
+  const canAddBundle =
+    !isLoading && members.length === collection.productIds.length;
+
+  return (
+    <div className="collection-page">
+      <Helmet>
+        <title>{pageTitle}</title>
+        <meta name="description" content={collection.description} />
+        <meta property="og:type" content="website" />
+        <meta property="og:title" content={pageTitle} />
+        <meta property="og:description" content={collection.description} />
+        <meta property="og:url" content={canonicalUrl} />
+        <link rel="canonical" href={canonicalUrl} />
+        <script type="application/ld+json">
+          {JSON.stringify(
+            buildCollectionPageSchema({
+              name: collection.name,
+              description: collection.description,
+              path,
+              products: members,
+            })
+          )}
+        </script>
+      </Helmet>
+
+      <nav
+        className="collection-page__nav"
+        aria-label={t('collection.breadcrumb')}
+      >
+        <Link to="/" className="collection-page__back">
+          <BackArrowIcon className="collection-page__back-icon" />
+          {t('common.backToProducts')}
+        </Link>
+      </nav>
+
+      <header className="collection-page__header">
+        <div className="collection-page__intro">
+          <p className="collection-page__badge">{t('collection.badge')}</p>
+          <h1 className="collection-page__title">{collection.name}</h1>
+          <p className="collection-page__description">
+            {collection.description}
+          </p>
+        </div>
+
+        <div
+          className="collection-page__pricing"
+          style={{ '--collection-color': collection.previewColor }}
+        >
+          <p className="collection-page__price">
+            {formatPrice(collection.bundlePrice)}
+          </p>
+          {savings > 0 && (
+            <>
+              <p className="collection-page__separate">
+                {t('collection.separately', {
+                  price: formatPrice(itemsTotal),
+                })}
+              </p>
+              <p className="collection-page__savings">
+                {t('collection.savings', {
+                  amount: formatPrice(savings),
+                  percent: savingsPercent,
+                })}
+              </p>
+            </>
+          )}
+          <Button
+            variant="primary"
+            size="lg"
+            className="collection-page__add-btn"
+            onClick={() => addBundle(collection, members)}
+            disabled={!canAddBundle}
+            icon={<CartIcon className="collection-page__add-btn-icon" />}
+          >
+            {t('collection.addBundle')}
+          </Button>
+        </div>
+      </header>
+
+      <section
+        className="collection-page__members"
+        aria-labelledby="collection-members-title"
+      >
+        <div className="collection-page__members-header">
+          <h2
+            id="collection-members-title"
+            className="collection-page__members-title"
+          >
+            {t('collection.members')}
+          </h2>
+          <p className="collection-page__count">
+            {t('common.models', { count: collection.productIds.length })}
+          </p>
+        </div>
+
+        {isLoading ? (
+          <p className="collection-page__status" role="status">
+            {t('collection.loading')}
+          </p>
+        ) : (
+          <div
+            className="collection-page__grid"
+            role="list"
+            aria-label={t('collection.membersLabel', {
+              name: collection.name,
+            })}
+          >
+            {members.map((product, index) => (
+              <ProductCard
+                key={product.id}
+                product={product}
+                index={index}
+                position={index + 1}
+                setSize={members.length}
+              />
+            ))}
+          </div>
+        )}
+      </section>
+    </div>
+  );
+}
+
+export default CollectionPage;
@@ -0,0 +1,192 @@
+import { useState, useMemo } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { Helmet } from 'react-helmet-async';
+import { useCompare } from '../context/CompareContext';
+import { useCurrency } from '../context/CurrencyContext';
+import { useI18n } from '../context/I18nContext';
+import { useProductRatings } from '../hooks/useReviews';
+import ModelViewer, { createCameraSync } from '../components/ModelViewer';
+import Button from '../components/Button';
+import EmptyState from '../components/EmptyState';
+import { CompareIcon, CloseIcon } from '../components/Icons';
+import { getSpecRows } from '../utils/compare';
+import { LIST_PRICE_FORMAT } from '../utils/currency';
+import './ComparePage.scss';
+
+function ComparePage() {
+  const navigate = useNavigate();
+  const { compareItems, removeFromCompare, clearCompare } = useCompare();
+  const { formatPrice } = useCurrency();
+  const { t } = useI18n();
+  const [onlyDifferences, setOnlyDifferences] = useState(false);
+
+  // One camera shared by every viewer pane
+  const cameraSync = useMemo(() => createCameraSync(), []);
+
+  // Compared products are snapshots from when they were added, so their
+  // ratings are read from the reviews, the same source as cards and pages
+  const { ratings } = useProductRatings(compareItems.map((item) => item.id));
+  const specRows = useMemo(
+    () =>
+      getSpecRows(
+        compareItems.map((item) => ({
+          ...item,
+          rating: ratings[item.id]?.average ?? 0,
+          reviewCount: ratings[item.id]?.count ?? 0,
+        })),
+        (amount) => formatPrice(amount, LIST_PRICE_FORMAT)
+      ),
+    [compareItems, ratings, formatPrice]
+  );
+  const visibleRows =
+    onlyDifferences && compareItems.length > 1
+      ? specRows.filter((row) => row.differs)
+      : specRows;
+
+  const CompareSEO = () => (
+    <Helmet>
+      <title>{t('common.pageTitle', { title: t('compare.metaTitle') })}</title>
+      <meta name="description" content={t('compare.metaDescription')} />
+      <meta name="robots" content="noindex, nofollow" />
+      <link rel="canonical" href={`${window.location.origin}/compare`} />
+    </Helmet>
+  );
+
+  if (compareItems.length === 0) {
+    return (
+      <>
+        <CompareSEO />
+        <div className="compare-page compare-page--empty">
+          <EmptyState
+            icon={<CompareIcon />}
+            title={t('compare.emptyTitle')}
+            description={t('compare.emptyDescription')}
+            actionLabel={t('common.browseProducts')}
+            onAction={() => navigate('/')}
+            headingLevel={1}
+          />
+        </div>
+      </>
+    );
+  }
+
+  return (
+    <>
+      <CompareSEO />
+      <div className="compare-page">
+        <div className="compare-page__header">
+          <h1 className="compare-page__title">{t('compare.title')}</h1>
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={clearCompare}
+            aria-label={t('compare.clearLabel')}
+          >
+            {t('compare.clearAll')}
+          </Button>
+        </div>
+
+        {compareItems.length === 1 && (
+          <p className="compare-page__hint" role="status">
+            {t('compare.hint')}
+          </p>
+        )}
+
+        <section
+          className="compare-page__viewers"
+          aria-label={t('compare.previews')}
+          style={{ '--compare-columns': compareItems.length }}
+        >
+          {compareItems.map((item) => (
+            <div key={item.id} className="compare-page__viewer">
+              <ModelViewer
+                model={item.model}
+                productName={item.name}
+                fallbackImage={item.image}
+                previewColor={item.previewColor}
+                cameraSync={cameraSync}
+              />
+            </div>
+          ))}
+        </section>
+        {compareItems.length > 1 && (
+          <p className="compare-page__viewer-hint">{t('compare.viewerHint')}</p>
+        )}
+
+        <div className="compare-page__table-tools">
+          <label className="compare-page__toggle">
+            <input
+              type="checkbox"
+              checked={onlyDifferences}
+              onChange={(e) => setOnlyDifferences(e.target.checked)}
+              disabled={compareItems.length < 2}
+            />
+            {t('compare.onlyDifferences')}
+          </label>
+        </div>
+
+        <div className="compare-page__table-scroll">
+          <table className="compare-table">
+            <caption className="visually-hidden">
+              {t('compare.caption')}
+            </caption>
+            <thead>
+              <tr>
+                <td className="compare-table__corner" />
+                {compareItems.map((item) => (
+                  <th
+                    key={item.id}
+                    scope="col"
+                    className="compare-table__product"
+                  >
+                    <Link
+                      to={`/products/${item.id}`}
+                      className="compare-table__product-link"
+                    >
+                      {item.name}
+                    </Link>
+                    <button
+                      type="button"
+                      className="compare-table__remove"
+                      onClick={() => removeFromCompare(item.id)}
+                      aria-label={t('compare.remove', { name: item.name })}
+                    >
+                      <CloseIcon />
+                    </button>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {visibleRows.map((row) => (
+                <tr
+                  key={row.key}
+                  className={`compare-table__row ${row.differs ? 'compare-table__row--differs' : ''}`}
+                >
+                  <th scope="row" className="compare-table__label">
+                    {t(`compare.specs.${row.key}`)}
+                    {row.differs && (
+                      <span className="compare-table__badge">
+                        {t('compare.differs')}
+                      </span>
+                    )}
+                  </th>
+                  {row.values.map((value, i) => (
+                    <td key={compareItems[i].id}>{value}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {visibleRows.length === 0 && (
+            <p className="compare-page__no-differences" role="status">
+              {t('compare.noDifferences')}
+            </p>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
+
+export default ComparePage;
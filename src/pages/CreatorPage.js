@@ -0,0 +1,168 @@
+import { useMemo } from 'react';
+import { useParams, Link, useNavigate } from 'react-router-dom';
+import { Helmet } from 'react-helmet-async';
+import { useCatalogProducts } from '../hooks/useCatalog';
+import { useReviewSummary } from '../hooks/useReviews';
+import { getCreatorById, getCreatorInitials } from '../data/creators';
+import { getProductsByCreator } from '../data/products';
+import { buildCreatorProfileSchema } from '../utils/structuredData';
+import { useI18n } from '../context/I18nContext';
+import ProductCard from '../components/ProductCard';
+import EmptyState from '../components/EmptyState';
+import Rating from '../components/Rating';
+import { BackArrowIcon, SearchEmptyIcon } from '../components/Icons';
+import './CreatorPage.scss';
+
+/**
+ * Creator profile (`/creators/:creatorId`): bio, a rating aggregated from the
+ * reviews of every published model, and the creator's portfolio grid.
+ */
+function CreatorPage() {
+  const { creatorId } = useParams();
+  const navigate = useNavigate();
+  const { t, formatDate } = useI18n();
+  const creator = getCreatorById(creatorId);
+  const { products, isLoading } = useCatalogProducts();
+
+  const portfolio = useMemo(
+    () => getProductsByCreator(creatorId, products),
+    [creatorId, products]
+  );
+  const { summary, isLoading: isSummaryLoading } = useReviewSummary(
+    portfolio.map((product) => product.id)
+  );
+
+  if (!creator) {
+    return (
+      <div className="creator-page creator-page--not-found">
+        <Helmet>
+          <title>
+            {t('common.pageTitle', { title: t('creator.notFoundTitle') })}
+          </title>
+          <meta name="robots" content="noindex" />
+        </Helmet>
+        <EmptyState
+          icon={<SearchEmptyIcon />}
+          title={t('creator.notFoundTitle')}
+          description={t('creator.notFoundDescription')}
+          actionLabel={t('common.backToProducts')}
+          onAction={() => navigate('/')}
+          headingLevel={1}
+        />
+      </div>
+    );
+  }
+
+  const pageTitle = t('common.pageTitle', { title: creator.name });
+  const metaDescription = t('creator.metaDescription', {
+    name: creator.name,
+    bio: creator.bio,
+  });
+  const canonicalUrl = `${window.location.origin}/creators/${creator.id}`;
+  // The rating covers the whole portfolio, so wait for both to load
+  const isRatingReady = !isLoading && !isSummaryLoading;
+
+  return (
+    <div className="creator-page">
+      <Helmet>
+        <title>{pageTitle}</title>
+        <meta name="description" content={metaDescription} />
+        <meta property="og:type" content="profile" />
+        <meta property="og:title" content={pageTitle} />
+        <meta property="og:description" content={metaDescription} />
+        <meta property="og:url" content={canonicalUrl} />
+        <link rel="canonical" href={canonicalUrl} />
+        <script type="application/ld+json">
+          {JSON.stringify(buildCreatorProfileSchema(creator, portfolio))}
+        </script>
+      </Helmet>
+
+      <nav className="creator-page__nav" aria-label={t('creator.breadcrumb')}>
+        <Link to="/" className="creator-page__back">
+          <BackArrowIcon className="creator-page__back-icon" />
+          {t('common.backToProducts')}
+        </Link>
+      </nav>
+
+      <header className="creator-page__header">
+        <span
+          className="creator-page__avatar"
+          style={{ background: creator.avatarColor }}
+          aria-hidden="true"
+        >
+          {getCreatorInitials(creator.name)}
+        </span>
+        <div className="creator-page__intro">
+          <p className="creator-page__badge">{t('creator.badge')}</p>
+          <h1 className="creator-page__title">{creator.name}</h1>
+          <p className="creator-page__meta">
+            {creator.location} ·{' '}
+            {t('creator.joined', {
+              date: formatDate(creator.joinedAt, {
+                year: 'numeric',
+                month: 'long',
+              }),
+            })}
+          </p>
+          {isRatingReady &&
+            (summary.count > 0 ? (
+              <Rating
+                value={summary.average}
+                count={summary.count}
+                label={t('reviews.count', { count: summary.count })}
+                className="creator-page__rating"
+              />
+            ) : (
+              <p className="creator-page__no-reviews">{t('reviews.none')}</p>
+            ))}
+        </div>
+      </header>
+
+      <p className="creator-page__bio">{creator.bio}</p>
+
+      <section
+        className="creator-page__portfolio"
+        aria-labelledby="portfolio-title"
+      >
+        <div className="creator-page__portfolio-header">
+          <h2 id="portfolio-title" className="creator-page__portfolio-title">
+            {t('creator.portfolio')}
+          </h2>
+          {!isLoading && (
+            <p className="creator-page__count">
+              {t('common.models', { count: portfolio.length })}
+            </p>
+          )}
+        </div>
+
+        {isLoading && (
+          <p className="creator-page__status" role="status">
+            {t('creator.loading')}
+          </p>
+        )}
+        {!isLoading && portfolio.length === 0 && (
+          <p className="creator-page__status">{t('creator.empty')}</p>
+        )}
+        {portfolio.length > 0 && (
+          <div
+            className="creator-page__grid"
+            role="list"
+            aria-label={t('creator.portfolioLabel', { name: creator.name })}
+          >
+            {portfolio.map((product, index) => (
+              <ProductCard
+                key={product.id}
+                product={product}
+                index={index}
+                position={index + 1}
+                setSize={portfolio.length}
+              />
+            ))}
+          </div>
+        )}
+      </section>
+    </div>
+  );
+}
+
+export default CreatorPage;
@@ -0,0 +1,72 @@
+import { useMemo } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { Helmet } from 'react-helmet-async';
+import { getCategoryBySlug } from '../data/products';
+import { useI18n } from '../context/I18nContext';
+import { SearchEmptyIcon } from '../components/Icons';
+import EmptyState from '../components/EmptyState';
+import HomePage from './HomePage';
+
+/**
+ * Category (`/category/:slug`) and tag (`/tags/:tag`) landing pages.
+ * Resolves the route param to a facet and renders the HomePage grid scoped
+ * to it; an unknown category slug shows a not-found state. Tags are
+ * open-ended, so any tag gets a page (possibly with no results).
+ */
+function FacetPage({ type }) {
+  const { slug, tag } = useParams();
+  const navigate = useNavigate();
+  const { t } = useI18n();
+
+  const scope = useMemo(() => {
+    if (type === 'category') {
+      const category = getCategoryBySlug(slug);
+      if (!category) return null;
+
+      return {
+        type,
+        value: category,
+        badge: t('facet.categoryBadge'),
+        title: t('facet.categoryTitle', { category }),
+        description: t('facet.categoryDescription', { category }),
+        path: `/category/${slug}`,
+      };
+    }
+
+    const value = tag.trim().toLowerCase();
+
+    return {
+      type,
+      value,
+      badge: t('facet.tagBadge'),
+      title: t('facet.tagTitle', { tag: value }),
+      description: t('facet.tagDescription', { tag: value }),
+      path: `/tags/${encodeURIComponent(value)}`,
+    };
+  }, [type, slug, tag, t]);
+
+  if (!scope) {
+    return (
+      <div className="facet-page facet-page--not-found">
+        <Helmet>
+          <title>
+            {t('common.pageTitle', { title: t('facet.notFoundTitle') })}
+          </title>
+          <meta name="robots" content="noindex" />
+        </Helmet>
+        <EmptyState
+          icon={<SearchEmptyIcon />}
+          title={t('facet.notFoundTitle')}
+          description={t('facet.notFoundDescription')}
+          actionLabel={t('common.backToProducts')}
+          onAction={() => navigate('/')}
+          headingLevel={1}
+        />
+      </div>
+    );
+  }
+
+  return <HomePage scope={scope} />;
+}
+
+export default FacetPage;
@@ -1,46 +1,297 @@
-import { useState, useMemo, useCallback } from 'react';
+import { useState, useMemo, useCallback, useRef, useEffect } from 'react';
 import { Helmet } from 'react-helmet-async';
+import { Link, useSearchParams, useNavigate } from 'react-router-dom';
 import {
-  products,
-  filterProducts,
   PRICE_RANGE,
   POLY_COUNT_RANGE,
+  SORT_OPTIONS,
+  DEFAULT_SORT,
+  getProductsByIds,
+  getCategorySlug,
+  getFeaturedProducts,
 } from '../data/products';
-import { buildProductListSchema } from '../utils/structuredData';
+import { useProductSearch, useCatalogProducts } from '../hooks/useCatalog';
+import { useInfiniteScroll } from '../hooks/useInfiniteScroll';
+import { useI18n } from '../context/I18nContext';
+import { useRecentlyViewed } from '../hooks/useRecentlyViewed';
+import {
+  parseFilterParams,
+  serializeFilterParams,
+} from '../utils/filterParams';
+import {
+  buildProductListSchema,
+  buildCollectionPageSchema,
+} from '../utils/structuredData';
 import {
   FilterIcon,
-  SearchIcon,
   CloseIcon,
   SearchEmptyIcon,
+  AlertIcon,
 } from '../components/Icons/Icons';
-import ProductCard from '../components/ProductCard';
+import ProductCard, { ProductCardSkeleton } from '../components/ProductCard';
 import FilterSidebar from '../components/FilterSidebar';
+import SearchAutocomplete from '../components/SearchAutocomplete';
+import Pagination from '../components/Pagination';
 import EmptyState from '../components/EmptyState';
+import Button from '../components/Button';
+import VirtualGrid from '../components/VirtualGrid';
+import ProductRail from '../components/ProductRail';
+import FeaturedCarousel from '../components/FeaturedCarousel';
 import './HomePage.scss';
 
-const initialFilters = {
-  categories: [],
-  priceRange: [PRICE_RANGE.min, PRICE_RANGE.max],
-  polyCountRange: [POLY_COUNT_RANGE.min, POLY_COUNT_RANGE.max],
-  fileFormats: [],
-};
+const SKELETON_COUNT = 8;
+
+const getProductKey = (product) => product.id;
+
+export const PAGE_SIZE = 12;
+
+const INFINITE_SCROLL_STORAGE_KEY = 'marketplace_infinite_scroll';
+
+const CONTINUOUS_FIELDS = [
+  'searchTerm',
+  'priceRange',
+  'polyCountRange',
+  'page',
+];
 
-function HomePage() {
+function getInitialInfiniteScroll() {
+  try {
+    return localStorage.getItem(INFINITE_SCROLL_STORAGE_KEY) === 'true';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Catalog grid with search, filters, sorting and paging.
+ * With a `scope` (set by FacetPage) it renders a category or tag landing
+ * page instead: the scoped facet is always applied on top of the filters in
+ * the URL, and the hero, meta tags and structured data describe the facet.
+ * @param {Object} props
+ * @param {Object} props.scope - { type: 'category' | 'tag', value, badge,
+ *   title, description, path }
+ */
+function HomePage({ scope = null }) {
   const [isFilterOpen, setIsFilterOpen] = useState(false);
-  const [filters, setFilters] = useState(initialFilters);
-  const [searchTerm, setSearchTerm] = useState('');
+  const [searchParams, setSearchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const { t } = useI18n();
+  const [isInfiniteScroll, setIsInfiniteScroll] = useState(
+    getInitialInfiniteScroll
+  );
+  const productsTitleRef = useRef(null);
+  const gridRef = useRef(null);
 
-  const filteredProducts = useMemo(() => {
-    return filterProducts({ ...filters, searchTerm });
-  }, [filters, searchTerm]);
+  useEffect(() => {
+    try {
+      localStorage.setItem(
+        INFINITE_SCROLL_STORAGE_KEY,
+        String(isInfiniteScroll)
+      );
+    } catch {
+      // localStorage not available or quota exceeded
+    }
+  }, [isInfiniteScroll]);
 
-  const handleFilterChange = useCallback((newFilters) => {
-    setFilters(newFilters);
-  }, []);
+  // Filters live in the query string so views can be bookmarked, shared and
+  // restored with the browser's back/forward buttons.
+  const {
+    filters: urlFilters,
+    searchTerm,
+    sort,
+    page,
+  } = useMemo(() => parseFilterParams(searchParams), [searchParams]);
+
+  // The scoped facet isn't part of the editable filters: a category page
+  // has no category choices, and a tag page doesn't list its own tag.
+  const filters = useMemo(() => {
+    if (scope?.type === 'category') {
+      return { ...urlFilters, categories: [] };
+    }
+    if (scope?.type === 'tag') {
+      return {
+        ...urlFilters,
+        tags: urlFilters.tags.filter((tag) => tag !== scope.value),
+      };
+    }
+    return urlFilters;
+  }, [urlFilters, scope]);
+
+  const scopedFilters = useMemo(() => {
+    if (scope?.type === 'category') {
+      return { ...filters, categories: [scope.value] };
+    }
+    if (scope?.type === 'tag') {
+      return { ...filters, requiredTag: scope.value };
+    }
+    return filters;
+  }, [filters, scope]);
+
+  // Infinite scroll shows every page up to the current one, so it requests
+  // them as a single page from the start of the results.
+  const searchQuery = useMemo(
+    () => ({
+      ...scopedFilters,
+      searchTerm,
+      sort,
+      page: isInfiniteScroll ? 1 : page,
+      pageSize: isInfiniteScroll ? page * PAGE_SIZE : PAGE_SIZE,
+    }),
+    [scopedFilters, searchTerm, sort, page, isInfiniteScroll]
+  );
+
+  const {
+    products: filteredProducts,
+    total,
+    page: currentPage,
+    pageCount,
+    catalogSize,
+    facets,
+    isLoading,
+    error,
+    retry,
+  } = useProductSearch(searchQuery);
+
+  // Unfiltered catalog for search suggestions, the hero carousel and the
+  // recently viewed rail
+  const { products: catalogProducts } = useCatalogProducts();
+  const featuredProducts = useMemo(
+    () => getFeaturedProducts(catalogProducts),
+    [catalogProducts]
+  );
+
+  const { recentlyViewedIds, clearRecentlyViewed } = useRecentlyViewed();
+  const recentlyViewedProducts = useMemo(
+    () => getProductsByIds(recentlyViewedIds, catalogProducts),
+    [recentlyViewedIds, catalogProducts]
+  );
+
+  // Consecutive edits to the same continuous control (typing in the search
+  // box, dragging a slider) replace the current history entry so "back"
+  // returns to the previous view rather than the previous keystroke.
+  const lastEditedRef = useRef(null);
+
+  const commitParams = useCallback(
+    (changes, editedField) => {
+      const replace =
+        CONTINUOUS_FIELDS.includes(editedField) &&
+        lastEditedRef.current === editedField;
+      lastEditedRef.current = editedField;
+      // Any change other than the page itself starts again from page 1
+      setSearchParams(
+        serializeFilterParams({
+          filters,
+          searchTerm,
+          sort,
+          page: 1,
+          ...changes,
+        }),
+        { replace }
+      );
+    },
+    [filters, searchTerm, sort, setSearchParams]
+  );
+
+  const handleFilterChange = useCallback(
+    (newFilters) => {
+      const editedField = Object.keys(newFilters).find(
+        (key) => newFilters[key] !== filters[key]
+      );
+      commitParams({ filters: newFilters }, editedField);
+    },
+    [filters, commitParams]
+  );
 
+  const setSearchTerm = useCallback(
+    (term) => {
+      commitParams({ searchTerm: term }, term ? 'searchTerm' : null);
+    },
+    [commitParams]
+  );
+
+  const handleSortChange = useCallback(
+    (e) => {
+      commitParams({ sort: e.target.value }, 'sort');
+    },
+    [commitParams]
+  );
+
+  // Sorting isn't a filter, so it survives a reset
   const handleResetFilters = useCallback(() => {
-    setFilters(initialFilters);
-    setSearchTerm('');
+    lastEditedRef.current = null;
+    setSearchParams(serializeFilterParams({ sort }));
+  }, [sort, setSearchParams]);
+
+  const handlePageChange = useCallback(
+    (nextPage) => {
+      commitParams({ page: nextPage }, null);
+      productsTitleRef.current?.scrollIntoView?.({ block: 'start' });
+      productsTitleRef.current?.focus({ preventScroll: true });
+    },
+    [commitParams]
+  );
+
+  const loadedCount = filteredProducts.length;
+  const hasMore = isInfiniteScroll && loadedCount < total;
+  // The previous page stays on screen while the next one is requested
+  const isLoadingMore =
+    isInfiniteScroll && loadedCount < Math.min(total, page * PAGE_SIZE);
+
+  // Index of the first card added by "Load more", so focus can move there if
+  // the button disappears because the last page has loaded.
+  const pendingFocusRef = useRef(null);
+
+  const loadMore = useCallback(() => {
+    commitParams({ page: page + 1 }, 'page');
+  }, [page, commitParams]);
+
+  const handleLoadMoreClick = useCallback(() => {
+    if (isLoadingMore) return;
+    pendingFocusRef.current = loadedCount;
+    loadMore();
+  }, [isLoadingMore, loadedCount, loadMore]);
+
+  useEffect(() => {
+    const index = pendingFocusRef.current;
+    // Wait until the requested page has rendered
+    if (index === null || isLoadingMore || loadedCount <= index) return;
+    pendingFocusRef.current = null;
+
+    // The grid is virtualized, so look the card up by product rather than
+    // by its position among the mounted cards
+    if (!hasMore) {
+      const { id } = filteredProducts[index];
+      gridRef.current
+        ?.querySelector(`.product-card__link[href="/products/${id}"]`)
+        ?.focus();
+    }
+  }, [filteredProducts, loadedCount, isLoadingMore, hasMore]);
+
+  const sentinelRef = useInfiniteScroll({
+    onLoadMore: loadMore,
+    enabled: hasMore && !isLoadingMore,
+    resetKey: loadedCount,
+  });
+
+  // Infinite scroll always requests from page 1, so the offset is 0 there
+  const pageOffset = (currentPage - 1) * PAGE_SIZE;
+
+  const renderProductCard = useCallback(
+    (product, { index, animate }) => (
+      <ProductCard
+        product={product}
+        index={index}
+        animate={animate}
+        position={pageOffset + index + 1}
+        setSize={total}
+        highlight={searchTerm}
+      />
+    ),
+    [pageOffset, total, searchTerm]
+  );
+
+  const handleInfiniteScrollToggle = useCallback((e) => {
+    setIsInfiniteScroll(e.target.checked);
   }, []);
 
   const toggleFilterSidebar = useCallback(() => {
@@ -51,13 +302,69 @@ function HomePage() {
     setIsFilterOpen(false);
   }, []);
 
-  const handleSearchChange = useCallback((e) => {
-    setSearchTerm(e.target.value);
-  }, []);
+  // Picking a category or tag suggestion applies it as a filter in place of
+  // the typed text; picking a product opens its page. Categories are fixed
+  // on a category page, so a category suggestion opens that category's page.
+  const handleSearchSelect = useCallback(
+    (suggestion) => {
+      const addValue = (list) =>
+        list.includes(suggestion.value) ? list : [...list, suggestion.value];
+
+      switch (suggestion.type) {
+        case 'product':
+          navigate(`/products/${suggestion.value}`);
+          break;
+        case 'category':
+          if (scope?.type === 'category') {
+            navigate(`/category/${getCategorySlug(suggestion.value)}`);
+            break;
+          }
+          commitParams(
+            {
+              filters: { ...filters, categories: addValue(filters.categories) },
+              searchTerm: '',
+            },
+            'categories'
+          );
+          break;
+        case 'tag':
+          commitParams(
+            {
+              filters: { ...filters, tags: addValue(filters.tags) },
+              searchTerm: '',
+            },
+            'tags'
+          );
+          break;
+        default:
+          setSearchTerm(suggestion.value);
+      }
+    },
+    [filters, scope, commitParams, setSearchTerm, navigate]
+  );
+
+  const handleRemoveTag = useCallback(
+    (tag) => {
+      commitParams(
+        {
+          filters: {
+            ...filters,
+            tags: filters.tags.filter((item) => item !== tag),
+          },
+        },
+        'tags'
+      );
+    },
+    [filters, commitParams]
+  );
 
   const activeFiltersCount =
     filters.categories.length +
+    filters.tags.length +
     filters.fileFormats.length +
+    filters.features.length +
+    (filters.minTextureResolution ? 1 : 0) +
+    (filters.minLodCount ? 1 : 0) +
     (filters.priceRange[0] !== PRICE_RANGE.min ||
     filters.priceRange[1] !== PRICE_RANGE.max
       ? 1
@@ -68,141 +375,203 @@ function HomePage() {
       : 0) +
     (searchTerm ? 1 : 0);
 
-  const structuredData = buildProductListSchema(filteredProducts);
+  const sortLabel = t(`home.sort.${sort}`);
+
+  const seo = scope
+    ? {
+        title: t('common.pageTitle', { title: scope.title }),
+        description: scope.description,
+        socialTitle: scope.title,
+        socialDescription: scope.description,
+        twitterDescription: scope.description,
+        url: `${window.location.origin}${scope.path}`,
+        structuredData: buildCollectionPageSchema({
+          name: scope.title,
+          description: scope.description,
+          path: scope.path,
+          products: filteredProducts,
+        }),
+      }
+    : {
+        title: t('home.metaTitle'),
+        description: t('home.metaDescription'),
+        socialTitle: t('home.socialTitle'),
+        socialDescription: t('home.socialDescription'),
+        twitterDescription: t('home.twitterDescription'),
+        url: window.location.origin,
+        structuredData: buildProductListSchema(filteredProducts),
+      };
 
   return (
     <>
       <Helmet>
-        <title>3D Marketplace | Premium Digital Assets & 3D Models</title>
-        <meta
-          name="description"
-          content="Discover premium 3D models and digital assets for your creative projects. Browse characters, vehicles, props, and more. Perfect for game development and visualization."
-        />
-        <link rel="canonical" href={window.location.origin} />
+        <title>{seo.title}</title>
+        <meta name="description" content={seo.description} />
+        <link rel="canonical" href={seo.url} />
 
         {/* Open Graph */}
-        <meta
-          property="og:title"
-          content="3D Marketplace | Premium Digital Assets"
-        />
-        <meta
-          property="og:description"
-          content="Discover premium 3D models and digital assets for your creative projects."
-        />
+        <meta property="og:title" content={seo.socialTitle} />
+        <meta property="og:description" content={seo.socialDescription} />
         <meta property="og:type" content="website" />
-        <meta property="og:url" content={window.location.origin} />
+        <meta property="og:url" content={seo.url} />
 
         {/* Twitter */}
         <meta name="twitter:card" content="summary_large_image" />
-        <meta
-          name="twitter:title"
-          content="3D Marketplace | Premium Digital Assets"
-        />
-        <meta
-          name="twitter:description"
-          content="Premium 3D models for game development and visualization."
-        />
+        <meta name="twitter:title" content={seo.socialTitle} />
+        <meta name="twitter:description" content={seo.twitterDescription} />
 
         {/* Structured Data */}
         <script type="application/ld+json">
-          {JSON.stringify(structuredData)}
+          {JSON.stringify(seo.structuredData)}
         </script>
       </Helmet>
 
       <div className="home">
-        <section className="hero" aria-labelledby="hero-title">
-          <div className="hero__background" aria-hidden="true">
-            <div className="hero__pattern-grid" />
-            <div className="hero__scanlines" />
-          </div>
+        {scope ? (
+          <header className="facet-header">
+            <nav
+              className="facet-header__nav"
+              aria-label={t('facet.breadcrumb')}
+            >
+              <Link to="/" className="facet-header__back">
+                {t('facet.home')}
+              </Link>
+            </nav>
+            <p className="facet-header__badge">{scope.badge}</p>
+            <h1 id="hero-title" className="facet-header__title">
+              {scope.title}
+            </h1>
+            <p className="facet-header__description">{scope.description}</p>
+          </header>
+        ) : (
+          <section className="hero" aria-labelledby="hero-title">
+            <div className="hero__background" aria-hidden="true">
+              <div className="hero__pattern-grid" />
+              <div className="hero__scanlines" />
+            </div>
 
-          <div className="hero__particles" aria-hidden="true">
-            {[...Array(20)].map((_, i) => (
-              <div
-                key={i}
-                className="hero__particle"
-                style={{
-                  left: `${Math.random() * 100}%`,
-                  top: `${50 + Math.random() * 50}%`,
-                  animationDelay: `${Math.random() * 5}s`,
-                  animationDuration: `${5 + Math.random() * 5}s`,
-                }}
-              />
-            ))}
-          </div>
+            <div className="hero__particles" aria-hidden="true">
+              {[...Array(20)].map((_, i) => (
+                <div
+                  key={i}
+                  className="hero__particle"
+                  style={{
+                    left: `${Math.random() * 100}%`,
+                    top: `${50 + Math.random() * 50}%`,
+                    animationDelay: `${Math.random() * 5}s`,
+                    animationDuration: `${5 + Math.random() * 5}s`,
+                  }}
+                />
+              ))}
+            </div>
 
-          <div className="hero__content">
-            <div className="hero__grid">
-              <div className="hero__text">
-                <span className="hero__badge">Premium 3D Marketplace</span>
-
-                <h1 id="hero-title" className="hero__title">
-                  <span className="hero__title-line">Next-Gen</span>
-                  <span className="hero__title-line hero__title-gradient">
-                    3D Assets
-                  </span>
-                </h1>
-
-                <p className="hero__description">
-                  Professional-grade 3D models optimized for real-time
-                  rendering, game development, and digital visualization.
-                  Industry-standard formats, instant downloads.
-                </p>
-
-                <div className="hero__features">
-                  <div className="hero__feature">
-                    <span className="hero__feature-dot" aria-hidden="true" />
-                    <span>High-Poly Models</span>
-                  </div>
-                  <div className="hero__feature">
-                    <span className="hero__feature-dot" aria-hidden="true" />
-                    <span>PBR Textures</span>
-                  </div>
-                  <div className="hero__feature">
-                    <span className="hero__feature-dot" aria-hidden="true" />
-                    <span>Multi-Format</span>
+            <div className="hero__content">
+              <div className="hero__grid">
+                <div className="hero__text">
+                  <span className="hero__badge">{t('home.heroBadge')}</span>
+
+                  <h1 id="hero-title" className="hero__title">
+                    <span className="hero__title-line">
+                      {t('home.heroTitleLine1')}
+                    </span>
+                    <span className="hero__title-line hero__title-gradient">
+                      {t('home.heroTitleLine2')}
+                    </span>
+                  </h1>
+
+                  <p className="hero__description">
+                    {t('home.heroDescription')}
+                  </p>
+
+                  <div className="hero__features">
+                    <div className="hero__feature">
+                      <span className="hero__feature-dot" aria-hidden="true" />
+                      <span>{t('home.heroFeatureHighPoly')}</span>
+                    </div>
+                    <div className="hero__feature">
+                      <span className="hero__feature-dot" aria-hidden="true" />
+                      <span>{t('home.heroFeaturePbr')}</span>
+                    </div>
+                    <div className="hero__feature">
+                      <span className="hero__feature-dot" aria-hidden="true" />
+                      <span>{t('home.heroFeatureFormats')}</span>
+                    </div>
                   </div>
-                </div>
 
-                <p className="hero__stats">
-                  <strong>{products.length}</strong> premium assets available
-                </p>
-              </div>
+                  <p className="hero__stats">
+                    <strong>{catalogSize}</strong> {t('home.heroStats')}
+                  </p>
+                </div>
 
-              <div className="hero__visual" aria-hidden="true">
-                <div className="hero__visual-ring" />
-                <div className="hero__visual-ring hero__visual-ring--inner" />
-                <div className="hero__visual-center">
-                  <span className="hero__visual-text">3D</span>
+                <div className="hero__visual">
+                  <div className="hero__corners" aria-hidden="true">
+                    <div className="hero__corner hero__corner--tl" />
+                    <div className="hero__corner hero__corner--tr" />
+                    <div className="hero__corner hero__corner--bl" />
+                    <div className="hero__corner hero__corner--br" />
+                  </div>
+                  <FeaturedCarousel products={featuredProducts} />
                 </div>
-                <div className="hero__corner hero__corner--tl" />
-                <div className="hero__corner hero__corner--tr" />
-                <div className="hero__corner hero__corner--bl" />
-                <div className="hero__corner hero__corner--br" />
               </div>
             </div>
-          </div>
-        </section>
+          </section>
+        )}
+
+        <ProductRail
+          title={t('home.recentlyViewed')}
+          products={scope ? [] : recentlyViewedProducts}
+          className="home__recently-viewed"
+          action={
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={clearRecentlyViewed}
+              aria-label={t('home.clearRecentlyViewed')}
+            >
+              {t('common.clear')}
+            </Button>
+          }
+        />
 
         <section className="products" aria-labelledby="products-title">
           <FilterSidebar
             isOpen={isFilterOpen}
             onClose={closeFilterSidebar}
             filters={filters}
+            facetCounts={facets}
             onFilterChange={handleFilterChange}
             onReset={handleResetFilters}
+            showCategories={scope?.type !== 'category'}
           />
 
           <div className="products__main">
             <header className="products__header">
               <div className="products__header-top">
                 <div className="products__title-group">
-                  <h2 id="products-title" className="products__title">
-                    All Models
+                  <h2
+                    id="products-title"
+                    className="products__title"
+                    ref={productsTitleRef}
+                    tabIndex={-1}
+                  >
+                    {scope ? t('facet.models') : t('home.allModels')}
                   </h2>
-                  <p className="products__count">
-                    {filteredProducts.length} of {products.length}{' '}
-                    {products.length === 1 ? 'model' : 'models'}
+                  <p className="products__count" aria-live="polite">
+                    {isLoading ? (
+                      <span className="products__count-loading">
+                        {t('home.loadingModels')}
+                      </span>
+                    ) : (
+                      <>
+                        {t('home.resultCount', { total, count: catalogSize })}
+                        {sort !== DEFAULT_SORT && (
+                          <span className="products__count-sort">
+                            {' '}
+                            &middot; {sortLabel}
+                          </span>
+                        )}
+                      </>
+                    )}
                   </p>
                 </div>
 
@@ -214,11 +583,13 @@ function HomePage() {
                   aria-controls="filter-sidebar"
                 >
                   <FilterIcon />
-                  Filters
+                  {t('home.filters')}
                   {activeFiltersCount > 0 && (
                     <span
                       className="products__filter-badge"
-                      aria-label={`${activeFiltersCount} active filters`}
+                      aria-label={t('home.activeFilters', {
+                        count: activeFiltersCount,
+                      })}
                     >
                       {activeFiltersCount}
                     </span>
@@ -227,48 +598,135 @@ function HomePage() {
               </div>
 
               <div className="products__search">
-                <SearchIcon className="products__search-icon" />
-                <input
-                  type="search"
-                  className="products__search-input"
-                  placeholder="Search models, categories, tags..."
+                <SearchAutocomplete
                   value={searchTerm}
-                  onChange={handleSearchChange}
-                  aria-label="Search products"
+                  onChange={setSearchTerm}
+                  onSelect={handleSearchSelect}
+                  products={catalogProducts}
+                  placeholder={t('home.searchPlaceholder')}
+                  ariaLabel={t('home.searchLabel')}
                 />
-                {searchTerm && (
-                  <button
-                    type="button"
-                    className="products__search-clear"
-                    onClick={() => setSearchTerm('')}
-                    aria-label="Clear search"
-                  >
-                    <CloseIcon />
-                  </button>
-                )}
               </div>
+
+              <div className="products__sort">
+                <label htmlFor="products-sort" className="products__sort-label">
+                  {t('home.sortBy')}
+                </label>
+                <select
+                  id="products-sort"
+                  className="products__sort-select"
+                  value={sort}
+                  onChange={handleSortChange}
+                >
+                  {SORT_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {t(`home.sort.${option.value}`)}
+                    </option>
+                  ))}
+                </select>
+                <label className="products__infinite-toggle">
+                  <input
+                    type="checkbox"
+                    checked={isInfiniteScroll}
+                    onChange={handleInfiniteScrollToggle}
+                  />
+                  {t('home.infiniteScroll')}
+                </label>
+              </div>
+
+              {filters.tags.length > 0 && (
+                <ul
+                  className="products__active-tags"
+                  aria-label={t('home.tagFilters')}
+                >
+                  {filters.tags.map((tag) => (
+                    <li key={tag}>
+                      <button
+                        type="button"
+                        className="products__active-tag"
+                        onClick={() => handleRemoveTag(tag)}
+                        aria-label={t('home.removeTag', { tag })}
+                      >
+                        #{tag}
+                        <CloseIcon />
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
             </header>
 
-            {filteredProducts.length > 0 ? (
+            {error ? (
+              <EmptyState
+                icon={<AlertIcon />}
+                title={t('home.loadError')}
+                description={t(error)}
+                actionLabel={t('common.tryAgain')}
+                onAction={retry}
+                actionVariant="secondary"
+                className="products__empty"
+              />
+            ) : isLoading ? (
               <div
                 className="products__grid"
-                role="list"
-                aria-label="Product listings"
+                aria-busy="true"
+                aria-label={t('home.loadingListings')}
               >
-                {filteredProducts.map((product, index) => (
-                  <ProductCard
-                    key={product.id}
-                    product={product}
-                    index={index}
-                  />
+                {[...Array(SKELETON_COUNT)].map((_, i) => (
+                  <ProductCardSkeleton key={i} index={i} />
                 ))}
               </div>
+            ) : filteredProducts.length > 0 ? (
+              <>
+                <VirtualGrid
+                  ref={gridRef}
+                  items={filteredProducts}
+                  getItemKey={getProductKey}
+                  renderItem={renderProductCard}
+                  ariaLabel={t('home.listings')}
+                  className="products__grid"
+                />
+
+                {isInfiniteScroll ? (
+                  hasMore && (
+                    <div className="products__load-more">
+                      <div
+                        ref={sentinelRef}
+                        className="products__sentinel"
+                        aria-hidden="true"
+                      />
+                      <p className="products__load-more-status">
+                        {t('home.showing', { loaded: loadedCount, total })}
+                      </p>
+                      {/* aria-disabled rather than disabled keeps focus on
+                          the button while the next page loads */}
+                      <Button
+                        variant="secondary"
+                        onClick={handleLoadMoreClick}
+                        aria-disabled={isLoadingMore}
+                      >
+                        {isLoadingMore
+                          ? t('common.loading')
+                          : t('home.loadMore')}
+                      </Button>
+                    </div>
+                  )
+                ) : (
+                  <Pagination
+                    page={currentPage}
+                    pageCount={pageCount}
+                    onPageChange={handlePageChange}
+                    ariaLabel={t('home.productPages')}
+                    className="products__pagination"
+                  />
+                )}
+              </>
             ) : (
               <EmptyState
                 icon={<SearchEmptyIcon />}
-                title="No models found"
-                description="Try adjusting your filters or search term"
-                actionLabel="Reset Filters"
+                title={t('home.noResults')}
+                description={t('home.noResultsDescription')}
+                actionLabel={t('home.resetFilters')}
                 onAction={handleResetFilters}
                 actionVariant="secondary"
                 className="products__empty"
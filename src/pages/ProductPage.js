@@ -1,7 +1,26 @@
+import { useState, useEffect, useMemo } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
 import { Helmet } from 'react-helmet-async';
-import { getProductById } from '../data/products';
-import { useCart } from '../context/CartContext';
+import { useProduct, useCatalogProducts } from '../hooks/useCatalog';
+import { useRecentlyViewed } from '../hooks/useRecentlyViewed';
+import { useProductReviews } from '../hooks/useReviews';
+import {
+  getProductsByIds,
+  getProductsByCreator,
+  getCategorySlug,
+  SPEC_FEATURES,
+} from '../data/products';
+import { getCreatorById } from '../data/creators';
+import { getCollectionsForProduct } from '../data/collections';
+import { DEFAULT_LICENSE_TIER, getLicenseOptions } from '../data/licenses';
+import { getRelatedProducts } from '../utils/recommendations';
+import { useCart, getLineFormat } from '../context/CartContext';
+import { useCurrency } from '../context/CurrencyContext';
+import { useI18n } from '../context/I18nContext';
+import {
+  formatPrice as formatAmount,
+  LIST_PRICE_FORMAT,
+} from '../utils/currency';
 import ModelViewer from '../components/ModelViewer';
 import Button from '../components/Button';
 import FeatureList from '../components/Feature';
@@ -9,11 +28,17 @@ import EmptyState from '../components/EmptyState';
 import InfoGrid from '../components/InfoGrid';
 import TagList from '../components/TagList';
 import Rating from '../components/Rating';
+import RadioOption from '../components/RadioOption';
+import WishlistButton from '../components/WishlistButton';
+import ProductRail from '../components/ProductRail';
+import Reviews from '../components/Reviews';
+import CreatorCard from '../components/CreatorCard';
 import {
   BackArrowIcon,
   LayersIcon,
   CartIcon,
   SearchEmptyIcon,
+  AlertIcon,
 } from '../components/Icons';
 import './ProductPage.scss';
 
@@ -21,20 +46,88 @@ function ProductPage() {
   const { productId } = useParams();
   const navigate = useNavigate();
   const { addToCart } = useCart();
-  const product = getProductById(productId);
+  const { formatPrice } = useCurrency();
+  const { locale, t } = useI18n();
+  const { product, isLoading, error, retry } = useProduct(productId);
+  const { products: catalogProducts } = useCatalogProducts();
+  const { recentlyViewedIds, addRecentlyViewed } = useRecentlyViewed();
+  const reviews = useProductReviews(productId);
+  const [licenseId, setLicenseId] = useState(DEFAULT_LICENSE_TIER);
+  const [selectedFormat, setSelectedFormat] = useState(null);
+
+  // The page stays mounted when moving to another product (related, recent)
+  useEffect(() => {
+    setLicenseId(DEFAULT_LICENSE_TIER);
+    setSelectedFormat(null);
+  }, [productId]);
+
+  useEffect(() => {
+    if (product) addRecentlyViewed(product.id);
+  }, [product, addRecentlyViewed]);
+
+  const relatedProducts = useMemo(
+    () => (product ? getRelatedProducts(product, catalogProducts) : []),
+    [product, catalogProducts]
+  );
+
+  // Exclude the product being viewed, which is always first in the list
+  const recentlyViewedProducts = useMemo(
+    () =>
+      getProductsByIds(
+        recentlyViewedIds.filter((id) => id !== productId),
+        catalogProducts
+      ),
+    [recentlyViewedIds, productId, catalogProducts]
+  );
+
+  if (isLoading) {
+    return (
+      <div className="product-page product-page--loading" aria-busy="true">
+        <div className="page-loader">
+          <div className="page-loader__spinner" />
+        </div>
+        <p className="visually-hidden" role="status">
+          {t('product.loading')}
+        </p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="product-page product-page--not-found">
+        <Helmet>
+          <title>
+            {t('common.pageTitle', { title: t('product.errorTitle') })}
+          </title>
+          <meta name="robots" content="noindex" />
+        </Helmet>
+        <EmptyState
+          icon={<AlertIcon />}
+          title={t('product.loadError')}
+          description={t(error)}
+          actionLabel={t('common.tryAgain')}
+          onAction={retry}
+          headingLevel={1}
+        />
+      </div>
+    );
+  }
 
   if (!product) {
     return (
       <div className="product-page product-page--not-found">
         <Helmet>
-          <title>Product Not Found | 3D Marketplace</title>
+          <title>
+            {t('common.pageTitle', { title: t('product.notFoundTitle') })}
+          </title>
           <meta name="robots" content="noindex" />
         </Helmet>
         <EmptyState
           icon={<SearchEmptyIcon />}
-          title="Product Not Found"
-          description="The product you're looking for doesn't exist or has been removed."
-          actionLabel="Back to Products"
+          title={t('product.notFoundTitle')}
+          description={t('product.notFoundDescription')}
+          actionLabel={t('common.backToProducts')}
           onAction={() => navigate('/')}
           headingLevel={1}
         />
@@ -42,15 +135,32 @@ function ProductPage() {
     );
   }
 
+  const creator = getCreatorById(product.creatorId);
+  const creatorUrl = creator
+    ? `${window.location.origin}/creators/${creator.id}`
+    : null;
+  // The catalog always includes this product, so zero means it hasn't loaded
+  const creatorModelCount = creator
+    ? getProductsByCreator(creator.id, catalogProducts).length
+    : 0;
+  const productCollections = getCollectionsForProduct(product.id);
+  const licenseOptions = getLicenseOptions(product);
+  const license = licenseOptions.find((option) => option.id === licenseId);
+  const price = formatPrice(license.price, LIST_PRICE_FORMAT);
+  // Falls back to the first format until one is picked for this product
+  const format = getLineFormat(product, selectedFormat);
+  const licenseName = t(`licenses.${license.id}.name`);
+  const polygons = product.polyCount.toLocaleString(locale);
+
   const handleAddToCart = () => {
-    addToCart(product);
+    addToCart(product, license.id, format);
   };
 
   const features = [
-    'High-quality digital asset',
-    'Instant download after purchase',
-    'Lifetime access',
-    'Commercial license included',
+    t('product.features.quality'),
+    t('product.features.download'),
+    t('product.features.access'),
+    t('product.features.license', { name: licenseName }),
   ];
 
   const structuredData = {
@@ -61,10 +171,10 @@ function ProductPage() {
     image: product.image,
     category: product.category,
     sku: product.id,
-    brand: {
-      '@type': 'Brand',
-      name: '3D Marketplace',
-    },
+    // Models are branded by their creator; the marketplace is the seller
+    brand: creator
+      ? { '@type': 'Brand', name: creator.name, url: creatorUrl }
+      : { '@type': 'Brand', name: '3D Marketplace' },
     offers: {
       '@type': 'Offer',
       price: product.price,
@@ -75,13 +185,16 @@ function ProductPage() {
         name: '3D Marketplace',
       },
     },
-    aggregateRating: {
-      '@type': 'AggregateRating',
-      ratingValue: product.rating,
-      bestRating: '5',
-      worstRating: '1',
-      ratingCount: Math.floor(product.rating * 20), // Simulated review count
-    },
+    // Search engines reject an aggregate rating without any reviews
+    ...(reviews.summary.count > 0 && {
+      aggregateRating: {
+        '@type': 'AggregateRating',
+        ratingValue: reviews.summary.average,
+        bestRating: '5',
+        worstRating: '1',
+        reviewCount: reviews.summary.count,
+      },
+    }),
     additionalProperty: [
       {
         '@type': 'PropertyValue',
@@ -101,12 +214,23 @@ function ProductPage() {
     ],
   };
 
-  const metaDescription = `${product.name} - ${product.description} Available in ${product.fileFormat.join(', ')} formats. ${product.polyCount.toLocaleString()} polygons. $${product.price} USD.`;
+  const metaDescription = t('product.metaDescription', {
+    name: product.name,
+    description: product.description,
+    formats: product.fileFormat.join(', '),
+    polygons,
+    price: formatAmount(product.price, product.currency, {
+      ...LIST_PRICE_FORMAT,
+      locale,
+    }),
+    currency: product.currency,
+  });
+  const pageTitle = t('common.pageTitle', { title: product.name });
 
   return (
     <main className="product-page">
       <Helmet>
-        <title>{product.name} | 3D Marketplace</title>
+        <title>{pageTitle}</title>
         <meta name="description" content={metaDescription} />
         <meta
           name="keywords"
@@ -115,20 +239,14 @@ function ProductPage() {
 
         {/* Open Graph */}
         <meta property="og:type" content="product" />
-        <meta
-          property="og:title"
-          content={`${product.name} | 3D Marketplace`}
-        />
+        <meta property="og:title" content={pageTitle} />
         <meta property="og:description" content={metaDescription} />
         <meta property="og:image" content={product.image} />
         <meta property="product:price:amount" content={product.price} />
         <meta property="product:price:currency" content={product.currency} />
 
         <meta name="twitter:card" content="summary_large_image" />
-        <meta
-          name="twitter:title"
-          content={`${product.name} | 3D Marketplace`}
-        />
+        <meta name="twitter:title" content={pageTitle} />
         <meta name="twitter:description" content={metaDescription} />
 
         <link
@@ -141,10 +259,10 @@ function ProductPage() {
         </script>
       </Helmet>
 
-      <nav className="product-page__nav" aria-label="Breadcrumb">
+      <nav className="product-page__nav" aria-label={t('product.breadcrumb')}>
         <Link to="/" className="product-page__back">
           <BackArrowIcon className="product-page__back-icon" />
-          Back to Products
+          {t('common.backToProducts')}
         </Link>
       </nav>
 
@@ -159,8 +277,8 @@ function ProductPage() {
             />
             <p className="product-page__image-hint">
               {product.model
-                ? 'Interactive 3D preview available'
-                : 'High-resolution preview'}
+                ? t('product.interactivePreview')
+                : t('product.imagePreview')}
             </p>
           </div>
 
@@ -175,18 +293,27 @@ function ProductPage() {
             <header className="product-page__header">
               {product.category && (
                 <p className="product-page__category" itemProp="category">
-                  {product.category}
+                  <Link to={`/category/${getCategorySlug(product.category)}`}>
+                    {product.category}
+                  </Link>
                 </p>
               )}
               <h1 className="product-page__title" itemProp="name">
                 {product.name}
               </h1>
-              {product.rating && (
+              {reviews.summary.count > 0 ? (
                 <Rating
-                  value={product.rating}
-                  label="(Premium Asset)"
+                  value={reviews.summary.average}
+                  count={reviews.summary.count}
+                  label={t('reviews.count', { count: reviews.summary.count })}
                   className="product-page__rating"
                 />
+              ) : (
+                !reviews.isLoading && (
+                  <p className="product-page__no-reviews">
+                    {t('reviews.none')}
+                  </p>
+                )
               )}
             </header>
 
@@ -196,7 +323,7 @@ function ProductPage() {
 
             <TagList
               tags={product.tags}
-              ariaLabel="Product tags"
+              ariaLabel={t('product.tags')}
               className="product-page__tags"
             />
 
@@ -205,17 +332,29 @@ function ProductPage() {
               aria-labelledby="specs-title"
             >
               <h2 id="specs-title" className="product-page__specs-title">
-                Technical Specifications
+                {t('product.specifications')}
               </h2>
               <InfoGrid
                 items={[
-                  { label: 'Category', value: product.category },
+                  { label: t('product.category'), value: product.category },
+                  { label: t('product.polygons'), value: polygons },
                   {
-                    label: 'Polygons',
-                    value: product.polyCount.toLocaleString(),
+                    label: t('product.formats'),
+                    value: product.fileFormat.join(', '),
+                  },
+                  { label: t('product.license'), value: licenseName },
+                  ...SPEC_FEATURES.map((feature) => ({
+                    label: t(`specs.${feature}`),
+                    value: t(product[feature] ? 'specs.yes' : 'specs.no'),
+                  })),
+                  {
+                    label: t('specs.textureResolution'),
+                    value: product.textureResolution || t('specs.untextured'),
+                  },
+                  {
+                    label: t('specs.lodCount'),
+                    value: String(product.lodCount),
                   },
-                  { label: 'Formats', value: product.fileFormat.join(', ') },
-                  { label: 'License', value: 'Commercial' },
                 ]}
                 columns={2}
                 className="product-page__specs-grid"
@@ -225,10 +364,10 @@ function ProductPage() {
             {product.model && (
               <div
                 className="product-page__preview-badge"
-                aria-label="3D preview available"
+                aria-label={t('product.previewAvailable')}
               >
                 <LayersIcon />
-                <span>Interactive 3D Preview Available</span>
+                <span>{t('product.previewBadge')}</span>
               </div>
             )}
 
@@ -237,7 +376,7 @@ function ProductPage() {
               aria-labelledby="features-title"
             >
               <h2 id="features-title" className="product-page__features-title">
-                What's Included
+                {t('product.whatsIncluded')}
               </h2>
               <FeatureList
                 features={features}
@@ -257,15 +396,56 @@ function ProductPage() {
                 itemProp="availability"
                 content="https://schema.org/InStock"
               />
+              <fieldset className="product-page__licenses">
+                <legend className="product-page__licenses-title">
+                  {t('product.license')}
+                </legend>
+                {licenseOptions.map((option) => (
+                  <RadioOption
+                    key={option.id}
+                    name="license"
+                    value={option.id}
+                    label={t(`licenses.${option.id}.name`)}
+                    description={t(`licenses.${option.id}.description`)}
+                    price={formatPrice(option.price, LIST_PRICE_FORMAT)}
+                    checked={option.id === license.id}
+                    onChange={setLicenseId}
+                  />
+                ))}
+              </fieldset>
+              {format && (
+                <div className="product-page__format">
+                  <label
+                    htmlFor="product-format"
+                    className="product-page__format-label"
+                  >
+                    {t('product.fileFormat')}
+                  </label>
+                  <select
+                    id="product-format"
+                    className="product-page__format-select"
+                    value={format}
+                    onChange={(e) => setSelectedFormat(e.target.value)}
+                  >
+                    {product.fileFormat.map((option) => (
+                      <option key={option} value={option}>
+                        {option}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
               <div className="product-page__price-row">
                 <div>
-                  <p className="product-page__price-label">Price</p>
+                  <p className="product-page__price-label">
+                    {t('product.price')}
+                  </p>
                   <p
                     className="product-page__price"
                     itemProp="price"
-                    content={product.price}
+                    content={license.price}
                   >
-                    ${product.price}
+                    {price}
                   </p>
                 </div>
               </div>
@@ -275,15 +455,91 @@ function ProductPage() {
                   size="lg"
                   className="product-page__add-btn"
                   onClick={handleAddToCart}
-                  aria-label={`Add ${product.name} to cart for $${product.price}`}
+                  aria-label={t('product.addToCartLabel', {
+                    name: product.name,
+                    price,
+                    license: licenseName,
+                  })}
                   icon={<CartIcon className="product-page__add-btn-icon" />}
                 >
-                  Add to Cart
+                  {t('productCard.addToCart')}
                 </Button>
+                <WishlistButton
+                  product={product}
+                  showLabel
+                  className="product-page__wishlist-btn"
+                />
               </div>
             </div>
+
+            {productCollections.length > 0 && (
+              <aside
+                className="product-page__bundles"
+                aria-labelledby="product-bundles-title"
+              >
+                <h2
+                  id="product-bundles-title"
+                  className="product-page__bundles-title"
+                >
+                  {t('product.bundlesTitle')}
+                </h2>
+                <ul className="product-page__bundles-list">
+                  {productCollections.map((collection) => (
+                    <li key={collection.id} className="product-page__bundle">
+                      <Link
+                        to={`/collections/${collection.id}`}
+                        className="product-page__bundle-link"
+                      >
+                        {collection.name}
+                      </Link>
+                      <span className="product-page__bundle-offer">
+                        {t('product.bundleOffer', {
+                          count: collection.productIds.length,
+                          price: formatPrice(collection.bundlePrice),
+                        })}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </aside>
+            )}
+
+            {creator && (
+              <CreatorCard
+                creator={creator}
+                modelCount={creatorModelCount || undefined}
+                className="product-page__creator"
+              />
+            )}
           </article>
         </div>
+
+        <Reviews
+          reviews={reviews.reviews}
+          summary={reviews.summary}
+          sort={reviews.sort}
+          onSortChange={reviews.setSort}
+          page={reviews.page}
+          pageCount={reviews.pageCount}
+          onPageChange={reviews.setPage}
+          onSubmit={reviews.submit}
+          isLoading={reviews.isLoading}
+          error={reviews.error}
+          onRetry={reviews.retry}
+          className="product-page__reviews"
+        />
+
+        <ProductRail
+          title={t('product.related')}
+          products={relatedProducts}
+          className="product-page__related"
+        />
+
+        <ProductRail
+          title={t('product.recentlyViewed')}
+          products={recentlyViewedProducts}
+          className="product-page__recently-viewed"
+        />
       </div>
     </main>
   );
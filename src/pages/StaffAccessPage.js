@@ -0,0 +1,45 @@
+import { useNavigate } from 'react-router-dom';
+import { Helmet } from 'react-helmet-async';
+import { useRole, ROLES } from '../hooks/useRole';
+import { useI18n } from '../context/I18nContext';
+import EmptyState from '../components/EmptyState';
+import { LockIcon } from '../components/Icons';
+import './StaffAccessPage.scss';
+
+/**
+ * Staff access (`/staff`): switches this browser to the admin role. Kept
+ * apart from the admin area it unlocks, and not linked from the storefront.
+ */
+function StaffAccessPage() {
+  const { t } = useI18n();
+  const navigate = useNavigate();
+  const { isAdmin, setRole } = useRole();
+
+  const handleEnter = () => {
+    setRole(ROLES.ADMIN);
+    navigate('/admin');
+  };
+
+  return (
+    <div className="staff-access">
+      <Helmet>
+        <title>
+          {t('common.pageTitle', { title: t('staffAccess.title') })}
+        </title>
+        <meta name="robots" content="noindex, nofollow" />
+      </Helmet>
+      <EmptyState
+        icon={<LockIcon />}
+        title={t('staffAccess.title')}
+        description={
+          isAdmin ? t('staffAccess.active') : t('staffAccess.description')
+        }
+        actionLabel={isAdmin ? t('staffAccess.open') : t('admin.enter')}
+        onAction={isAdmin ? () => navigate('/admin') : handleEnter}
+        headingLevel={1}
+      />
+    </div>
+  );
+}
+
+export default StaffAccessPage;
@@ -0,0 +1,161 @@
+import { useRef } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { Helmet } from 'react-helmet-async';
+import { useCart } from '../context/CartContext';
+import { useWishlist } from '../context/WishlistContext';
+import { useCurrency } from '../context/CurrencyContext';
+import { useI18n } from '../context/I18nContext';
+import { LIST_PRICE_FORMAT } from '../utils/currency';
+import Button from '../components/Button';
+import EmptyState from '../components/EmptyState';
+import { HeartIcon, CartIcon, TrashIcon } from '../components/Icons';
+import './WishlistPage.scss';
+
+function WishlistPage() {
+  const navigate = useNavigate();
+  const titleRef = useRef(null);
+  const { addToCart } = useCart();
+  const { formatPrice } = useCurrency();
+  const { t } = useI18n();
+  const { wishlistItems, wishlistCount, removeFromWishlist, clearWishlist } =
+    useWishlist();
+
+  const WishlistSEO = () => (
+    <Helmet>
+      <title>{t('common.pageTitle', { title: t('wishlist.metaTitle') })}</title>
+      <meta name="description" content={t('wishlist.metaDescription')} />
+      <meta name="robots" content="noindex, nofollow" />
+      <link rel="canonical" href={`${window.location.origin}/wishlist`} />
+    </Helmet>
+  );
+
+  // The focused button disappears with its item, so hand focus to the title
+  const focusTitle = () => {
+    titleRef.current?.focus();
+  };
+
+  const handleMoveToCart = (item) => {
+    addToCart(item);
+    removeFromWishlist(item.id);
+    focusTitle();
+  };
+
+  const handleRemove = (item) => {
+    removeFromWishlist(item.id);
+    focusTitle();
+  };
+
+  const handleMoveAllToCart = () => {
+    wishlistItems.forEach((item) => addToCart(item));
+    clearWishlist();
+  };
+
+  if (wishlistItems.length === 0) {
+    return (
+      <>
+        <WishlistSEO />
+        <div className="wishlist-page wishlist-page--empty">
+          <EmptyState
+            icon={<HeartIcon />}
+            title={t('wishlist.emptyTitle')}
+            description={t('wishlist.emptyDescription')}
+            actionLabel={t('common.browseProducts')}
+            onAction={() => navigate('/')}
+            headingLevel={1}
+          />
+        </div>
+      </>
+    );
+  }
+
+  return (
+    <>
+      <WishlistSEO />
+      <div className="wishlist-page">
+        <div className="wishlist-page__header">
+          <h1 className="wishlist-page__title" ref={titleRef} tabIndex={-1}>
+            {t('wishlist.title')}
+          </h1>
+          <p className="wishlist-page__count">
+            {t('wishlist.count', { count: wishlistCount })}
+          </p>
+        </div>
+
+        <ul className="wishlist-page__items" aria-label={t('wishlist.items')}>
+          {wishlistItems.map((item) => (
+            <li key={item.id} className="wishlist-item">
+              <Link
+                to={`/products/${item.id}`}
+                className="wishlist-item__preview"
+                style={{ background: item.previewColor }}
+                aria-hidden="true"
+                tabIndex={-1}
+              >
+                <span className="wishlist-item__preview-text">3D</span>
+              </Link>
+
+              <div className="wishlist-item__info">
+                <Link
+                  to={`/products/${item.id}`}
+                  className="wishlist-item__name"
+                >
+                  {item.name}
+                </Link>
+                {item.category && (
+                  <p className="wishlist-item__category">{item.category}</p>
+                )}
+                <p className="wishlist-item__price">
+                  {formatPrice(item.price, LIST_PRICE_FORMAT)}
+                </p>
+              </div>
+
+              <div className="wishlist-item__actions">
+                <Button
+                  variant="primary"
+                  size="sm"
+                  className="wishlist-item__move-btn"
+                  onClick={() => handleMoveToCart(item)}
+                  aria-label={t('wishlist.moveLabel', { name: item.name })}
+                  icon={<CartIcon />}
+                >
+                  {t('wishlist.move')}
+                </Button>
+                <Button
+                  variant="icon"
+                  size="md"
+                  className="wishlist-item__remove"
+                  onClick={() => handleRemove(item)}
+                  aria-label={t('wishlist.remove', { name: item.name })}
+                >
+                  <TrashIcon className="wishlist-item__remove-icon" />
+                </Button>
+              </div>
+            </li>
+          ))}
+        </ul>
+
+        <div className="wishlist-page__footer">
+          <Button
+            variant="secondary"
+            size="md"
+            onClick={handleMoveAllToCart}
+            icon={<CartIcon />}
+          >
+            {t('wishlist.moveAll')}
+          </Button>
+          <Button
+            variant="ghost"
+            size="sm"
+            className="wishlist-page__clear-btn"
+            onClick={clearWishlist}
+            aria-label={t('wishlist.clearLabel')}
+          >
+            {t('wishlist.clear')}
+          </Button>
+        </div>
+      </div>
+    </>
+  );
+}
+
+export default WishlistPage;
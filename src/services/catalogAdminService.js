@@ -0,0 +1,191 @@
+import { products } from '../data/products';
+import { duplicateIdError, validateProduct } from '../data/productSchema';
+
+const CATALOG_STORAGE_KEY = 'marketplace_catalog';
+
+/**
+ * Creates a catalog storage adapter that keeps the catalog in localStorage.
+ * Until the catalog is first edited nothing is stored and the bundled
+ * products are served, so catalog updates that ship with the app still show
+ * up in browsers that never used the admin area.
+ * @param {Array} seed - Catalog served while nothing is stored
+ * @param {Object} options
+ * @param {string} options.storageKey - localStorage key for the catalog
+ * @returns {Object} Storage adapter with async `load`, `save` and `clear`
+ */
+export const createLocalCatalogStorage = (
+  seed = products,
+  { storageKey = CATALOG_STORAGE_KEY } = {}
+) => {
+  // Parsing the stored catalog on every read would hand out new objects each
+  // time; reuse the last result while the stored text is unchanged.
+  let cache = { raw: null, entries: seed };
+
+  const read = () => {
+    let raw = null;
+    try {
+      raw = localStorage.getItem(storageKey);
+    } catch {
+      // localStorage not available
+    }
+    if (raw === cache.raw) return cache.entries;
+
+    let entries = seed;
+    try {
+      const stored = JSON.parse(raw);
+      if (Array.isArray(stored)) entries = stored;
+    } catch {
+      // Corrupt data falls back to the bundled catalog
+    }
+    cache = { raw, entries };
+    return entries;
+  };
+
+  return {
+    load: async () => read(),
+    save: async (entries) => {
+      localStorage.setItem(storageKey, JSON.stringify(entries));
+      return read();
+    },
+    clear: async () => {
+      try {
+        localStorage.removeItem(storageKey);
+      } catch {
+        // localStorage not available
+      }
+      return read();
+    },
+  };
+};
+
+let storage = createLocalCatalogStorage();
+
+/**
+ * Replace the storage adapter the admin area writes to and the storefront
+ * reads from (e.g. a remote API client).
+ * @param {Object} nextStorage - Object implementing load, save and clear
+ */
+export const setCatalogStorage = (nextStorage) => {
+  storage = nextStorage;
+};
+
+/**
+ * Restore the default localStorage-backed storage adapter.
+ */
+export const resetCatalogStorage = () => {
+  storage = createLocalCatalogStorage();
+};
+
+/**
+ * Every stored catalog entry, archived ones included, as saved. Used by the
+ * storefront's catalog adapter, which validates them.
+ * @returns {Promise<Array>}
+ */
+export const loadCatalogEntries = () => storage.load();
+
+const saveEntries = async (entries) => {
+  try {
+    await storage.save(entries);
+    return { success: true };
+  } catch {
+    return {
+      success: false,
+      error: 'storage_failed',
+      message: 'The catalog could not be saved',
+    };
+  }
+};
+
+/**
+ * Every catalog entry for the admin product table, archived ones included.
+ * @returns {Promise<Object>} { success, products }
+ */
+export const listCatalogEntries = async () => ({
+  success: true,
+  products: await storage.load(),
+});
+
+/**
+ * Create or update a product. The record is validated against the product
+ * schema before anything is stored.
+ * @param {Object} product - Complete product record
+ * @param {string|null} originalId - Id of the product being edited, or null
+ *   to create one
+ * @returns {Promise<Object>} { success, product } or { success: false,
+ *   error, errors } with the schema's { path, message, params } list
+ */
+export const saveProduct = async (product, originalId = null) => {
+  const errors = validateProduct(product);
+  const entries = await storage.load();
+
+  if (
+    product?.id !== originalId &&
+    entries.some((entry) => entry.id === product?.id)
+  ) {
+    errors.push(duplicateIdError(product.id));
+  }
+  if (errors.length > 0) {
+    return { success: false, error: 'invalid_product', errors };
+  }
+
+  const exists = entries.some((entry) => entry.id === originalId);
+  const nextEntries = exists
+    ? entries.map((entry) => (entry.id === originalId ? product : entry))
+    : [...entries, product];
+  const result = await saveEntries(nextEntries);
+
+  return result.success ? { success: true, product } : result;
+};
+
+const updateEntry = async (id, update) => {
+  const entries = await storage.load();
+  if (!entries.some((entry) => entry.id === id)) {
+    return {
+      success: false,
+      error: 'not_found',
+      message: 'Product not found',
+    };
+  }
+  return saveEntries(update(entries));
+};
+
+/**
+ * Hide a product from the storefront, or show it again. Archived products
+ * keep their data and stay in the admin product table.
+ * @param {string} id
+ * @param {boolean} archived
+ * @returns {Promise<Object>} { success } or { success: false, error }
+ */
+export const setProductArchived = (id, archived) =>
+  updateEntry(id, (entries) =>
+    entries.map((entry) => (entry.id === id ? { ...entry, archived } : entry))
+  );
+
+/**
+ * Remove a product from the catalog for good.
+ * @param {string} id
+ * @returns {Promise<Object>} { success } or { success: false, error }
+ */
+export const deleteProduct = (id) =>
+  updateEntry(id, (entries) => entries.filter((entry) => entry.id !== id));
+
+/**
+ * Discard every admin change and serve the bundled catalog again.
+ * @returns {Promise<Object>} { success }
+ */
+export const resetCatalog = async () => {
+  await storage.clear();
+  return { success: true };
+};
+
+const catalogAdminService = {
+  listCatalogEntries,
+  saveProduct,
+  setProductArchived,
+  deleteProduct,
+  resetCatalog,
+  setCatalogStorage,
+  resetCatalogStorage,
+};
+
+export default catalogAdminService;
@@ -0,0 +1,229 @@
+import {
+  products,
+  filterProducts,
+  sortProducts,
+  getFacetCounts,
+  paginateProducts,
+} from '../data/products';
+import { validateCatalog, formatCatalogErrors } from '../data/productSchema';
+import { loadCatalogEntries } from './catalogAdminService';
+import { getProductRatings } from './reviewService';
+
+/**
+ * Creates a catalog adapter backed by an in-memory product list.
+ * Adapters expose the same async surface a remote catalog API would, so
+ * pages never depend on where the data actually lives.
+ *
+ * Entries are checked against the product schema when the adapter is
+ * created. Invalid ones are reported with their field paths and quarantined:
+ * they are never served, but can be inspected with `listQuarantined`.
+ * Archived entries are kept out of the storefront too.
+ *
+ * Served products carry `rating` and `reviewCount` from their reviews, read
+ * on every request so lists, sorting and the product page agree and pick up
+ * new reviews. Ratings are secondary: if they fail to load, products are
+ * served without reviews rather than not at all.
+ * @param {Array} entries - Product records to serve
+ * @param {Object} options
+ * @param {number} options.delay - Artificial latency in ms (default: 0)
+ * @param {Function} options.getRatings - Resolves product ids to
+ *   { ratings } (default: the review service's getProductRatings)
+ * @returns {Object} Catalog adapter
+ */
+export const createLocalCatalogAdapter = (
+  entries = products,
+  { delay = 0, getRatings = getProductRatings } = {}
+) => {
+  const { products: valid, invalid } = validateCatalog(entries);
+  const source = valid.filter((product) => !product.archived);
+  if (invalid.length > 0) {
+    console.warn(
+      `Catalog: ${invalid.length} invalid product(s) quarantined\n${formatCatalogErrors(invalid)}`
+    );
+  }
+
+  const wait = () =>
+    delay > 0
+      ? new Promise((resolve) => setTimeout(resolve, delay))
+      : Promise.resolve();
+
+  const withRatings = async (list) => {
+    let ratings = {};
+    try {
+      ({ ratings = {} } = await getRatings(list.map((product) => product.id)));
+    } catch {
+      // Served without ratings
+    }
+    return list.map((product) => ({
+      ...product,
+      rating: ratings[product.id]?.average ?? 0,
+      reviewCount: ratings[product.id]?.count ?? 0,
+    }));
+  };
+
+  return {
+    listProducts: async () => {
+      await wait();
+      return withRatings(source);
+    },
+    getProduct: async (id) => {
+      await wait();
+      const product = source.find((item) => item.id === id);
+      return product ? (await withRatings([product]))[0] : null;
+    },
+    searchProducts: async (filters) => {
+      await wait();
+      const rated = await withRatings(source);
+      const matches = sortProducts(
+        filterProducts(filters, rated),
+        filters.sort
+      );
+      const { items, page, pageCount } = paginateProducts(matches, filters);
+
+      return {
+        products: items,
+        total: matches.length,
+        page,
+        pageCount,
+        catalogSize: source.length,
+        facets: getFacetCounts(filters, rated),
+      };
+    },
+    listQuarantined: async () => invalid.map((entry) => ({ ...entry })),
+  };
+};
+
+/**
+ * Creates a catalog adapter that serves the catalog kept by the catalog
+ * storage adapter (see `catalogAdminService`), so changes made in the admin
+ * area show up in the storefront. Stored entries are validated again only
+ * when they change.
+ * @param {Object} options - Passed to createLocalCatalogAdapter
+ * @returns {Object} Catalog adapter
+ */
+export const createStoredCatalogAdapter = (options) => {
+  let current = { entries: null, catalog: null };
+
+  const getCatalog = async () => {
+    const entries = await loadCatalogEntries();
+    if (entries !== current.entries) {
+      current = {
+        entries,
+        catalog: createLocalCatalogAdapter(entries, options),
+      };
+    }
+    return current.catalog;
+  };
+
+  return {
+    listProducts: async () => (await getCatalog()).listProducts(),
+    getProduct: async (id) => (await getCatalog()).getProduct(id),
+    searchProducts: async (filters) =>
+      (await getCatalog()).searchProducts(filters),
+    listQuarantined: async () => (await getCatalog()).listQuarantined(),
+  };
+};
+
+let adapter = createStoredCatalogAdapter();
+
+/**
+ * Replace the adapter used by the catalog service (e.g. a remote API client).
+ * @param {Object} nextAdapter - Object implementing listProducts, getProduct
+ *   and searchProducts
+ */
+export const setCatalogAdapter = (nextAdapter) => {
+  adapter = nextAdapter;
+};
+
+/**
+ * Restore the default adapter backed by the catalog storage adapter, which
+ * serves `data/products` until the catalog is edited.
+ */
+export const resetCatalogAdapter = () => {
+  adapter = createStoredCatalogAdapter();
+};
+
+export const listProducts = async () => {
+  const items = await adapter.listProducts();
+
+  return {
+    success: true,
+    products: items,
+    total: items.length,
+  };
+};
+
+export const getProduct = async (id) => {
+  const product = await adapter.getProduct(id);
+
+  if (!product) {
+    return {
+      success: false,
+      error: 'not_found',
+      message: 'Product not found',
+    };
+  }
+
+  return {
+    success: true,
+    product,
+  };
+};
+
+/**
+ * Catalog entries rejected by schema validation. Adapters that validate
+ * elsewhere (e.g. a remote API) may not implement `listQuarantined`, in which
+ * case nothing is reported.
+ * @returns {Promise<Object>} { success, invalid } with { index, id, errors }
+ *   per rejected entry
+ */
+export const listQuarantined = async () => {
+  const invalid = adapter.listQuarantined
+    ? await adapter.listQuarantined()
+    : [];
+
+  return {
+    success: true,
+    invalid,
+  };
+};
+
+/**
+ * Search the catalog.
+ * @param {Object} filters - filterProducts criteria plus `sort`, and
+ *   optionally `page`/`pageSize` to return a single page of results
+ * @returns {Promise<Object>} { success, products, total, page, pageCount,
+ *   catalogSize, facets } where `total` counts every match, not just the
+ *   returned page
+ */
+export const searchProducts = async (filters = {}) => {
+  const {
+    products: items,
+    total = items.length,
+    page = 1,
+    pageCount = 1,
+    catalogSize,
+    facets = null,
+  } = await adapter.searchProducts(filters);
+
+  return {
+    success: true,
+    products: items,
+    total,
+    page,
+    pageCount,
+    catalogSize,
+    facets,
+  };
+};
+
+const catalogService = {
+  listProducts,
+  getProduct,
+  searchProducts,
+  listQuarantined,
+  setCatalogAdapter,
+  resetCatalogAdapter,
+};
+
+export default catalogService;
@@ -1,3 +1,11 @@
+import { getLicenseTier } from '../data/licenses';
+import {
+  BASE_CURRENCY,
+  LIST_PRICE_FORMAT,
+  formatPrice,
+} from '../utils/currency';
+import { DEFAULT_LOCALE, createTranslator } from '../utils/i18n';
+
 const DELAY_MIN = 800;
 const DELAY_MAX = 1500;
 
@@ -22,8 +30,9 @@ const generateTransactionId = () => {
   return result;
 };
 
-export const validateAddress = async (address) => {
+export const validateAddress = async (address, locale = DEFAULT_LOCALE) => {
   await simulateNetworkDelay();
+  const t = createTranslator(locale);
 
   const {
     firstName,
@@ -39,34 +48,33 @@ export const validateAddress = async (address) => {
   const errors = {};
 
   // Validate required fields
-  if (!firstName?.trim()) errors.firstName = 'First name is required';
-  if (!lastName?.trim()) errors.lastName = 'Last name is required';
+  if (!firstName?.trim()) errors.firstName = t('validation.firstNameRequired');
+  if (!lastName?.trim()) errors.lastName = t('validation.lastNameRequired');
   if (!email?.trim()) {
-    errors.email = 'Email is required';
+    errors.email = t('validation.emailRequired');
   } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
-    errors.email = 'Please enter a valid email address';
+    errors.email = t('validation.emailInvalid');
   }
   if (!phone?.trim()) {
-    errors.phone = 'Phone number is required';
+    errors.phone = t('validation.phoneRequired');
   } else if (!/^[\d\s\-+()]{10,}$/.test(phone.replace(/\s/g, ''))) {
-    errors.phone = 'Please enter a valid phone number';
+    errors.phone = t('validation.phoneInvalid');
   }
-  if (!street?.trim()) errors.street = 'Street address is required';
-  if (!city?.trim()) errors.city = 'City is required';
-  if (!state?.trim()) errors.state = 'State is required';
+  if (!street?.trim()) errors.street = t('validation.streetRequired');
+  if (!city?.trim()) errors.city = t('validation.cityRequired');
+  if (!state?.trim()) errors.state = t('validation.stateRequired');
   if (!zipCode?.trim()) {
-    errors.zipCode = 'ZIP code is required';
+    errors.zipCode = t('validation.zipCodeRequired');
   } else if (!/^\d{5}(-\d{4})?$/.test(zipCode)) {
-    errors.zipCode =
-      'Please enter a valid ZIP code (e.g., 12345 or 12345-6789)';
+    errors.zipCode = t('validation.zipCodeInvalid');
   }
-  if (!country?.trim()) errors.country = 'Country is required';
+  if (!country?.trim()) errors.country = t('validation.countryRequired');
 
   if (Object.keys(errors).length > 0) {
     return {
       success: false,
       errors,
-      message: 'Please correct the errors in your address',
+      message: t('validation.addressInvalid'),
     };
   }
 
@@ -85,7 +93,7 @@ export const validateAddress = async (address) => {
       country: country.trim(),
       formatted: `${street.trim()}, ${city.trim()}, ${state.trim().toUpperCase()} ${zipCode.trim()}`,
     },
-    message: 'Address validated successfully',
+    message: t('validation.addressValid'),
   };
 };
 
@@ -100,17 +108,21 @@ export const detectCardType = (cardNumber) => {
   return 'unknown';
 };
 
-export const validatePaymentDetails = async (paymentDetails) => {
+export const validatePaymentDetails = async (
+  paymentDetails,
+  locale = DEFAULT_LOCALE
+) => {
   await simulateNetworkDelay();
+  const t = createTranslator(locale);
 
   const { cardNumber, cardHolder, expiryDate, cvv } = paymentDetails;
   const errors = {};
 
   const cleanNumber = cardNumber?.replace(/\s/g, '') || '';
   if (!cleanNumber) {
-    errors.cardNumber = 'Card number is required';
+    errors.cardNumber = t('validation.cardNumberRequired');
   } else if (!/^\d{13,19}$/.test(cleanNumber)) {
-    errors.cardNumber = 'Please enter a valid card number';
+    errors.cardNumber = t('validation.cardNumberFormat');
   } else {
     let sum = 0;
     let isEven = false;
@@ -124,18 +136,18 @@ export const validatePaymentDetails = async (paymentDetails) => {
       isEven = !isEven;
     }
     if (sum % 10 !== 0) {
-      errors.cardNumber = 'Invalid card number';
+      errors.cardNumber = t('validation.cardNumberInvalid');
     }
   }
 
   if (!cardHolder?.trim()) {
-    errors.cardHolder = 'Cardholder name is required';
+    errors.cardHolder = t('validation.cardHolderRequired');
   } else if (cardHolder.trim().length < 2) {
-    errors.cardHolder = 'Please enter the full name as shown on card';
+    errors.cardHolder = t('validation.cardHolderShort');
   }
 
   if (!expiryDate?.trim()) {
-    errors.expiryDate = 'Expiry date is required';
+    errors.expiryDate = t('validation.expiryRequired');
   } else {
     const [month, year] = expiryDate.split('/').map((s) => s?.trim());
     const expMonth = parseInt(month, 10);
@@ -145,30 +157,30 @@ export const validatePaymentDetails = async (paymentDetails) => {
     const currentYear = now.getFullYear();
 
     if (!month || !year || !/^\d{2}$/.test(month) || !/^\d{2}$/.test(year)) {
-      errors.expiryDate = 'Please enter a valid expiry date (MM/YY)';
+      errors.expiryDate = t('validation.expiryFormat');
     } else if (expMonth < 1 || expMonth > 12) {
-      errors.expiryDate = 'Invalid month';
+      errors.expiryDate = t('validation.expiryMonth');
     } else if (
       expYear < currentYear ||
       (expYear === currentYear && expMonth < currentMonth)
     ) {
-      errors.expiryDate = 'Card has expired';
+      errors.expiryDate = t('validation.expired');
     }
   }
 
   const cardType = detectCardType(cleanNumber);
   const cvvLength = cardType === 'amex' ? 4 : 3;
   if (!cvv?.trim()) {
-    errors.cvv = 'CVV is required';
+    errors.cvv = t('validation.cvvRequired');
   } else if (!/^\d+$/.test(cvv) || cvv.length !== cvvLength) {
-    errors.cvv = `CVV must be ${cvvLength} digits`;
+    errors.cvv = t('validation.cvvLength', { length: cvvLength });
   }
 
   if (Object.keys(errors).length > 0) {
     return {
       success: false,
       errors,
-      message: 'Please correct the errors in your payment details',
+      message: t('validation.paymentInvalid'),
     };
   }
 
@@ -176,12 +188,18 @@ export const validatePaymentDetails = async (paymentDetails) => {
     success: true,
     cardType,
     lastFour: cleanNumber.slice(-4),
-    message: 'Payment details validated',
+    message: t('validation.paymentValid'),
   };
 };
 
-export const processPayment = async (paymentInfo, amount) => {
+export const processPayment = async (
+  paymentInfo,
+  amount,
+  currency = BASE_CURRENCY,
+  locale = DEFAULT_LOCALE
+) => {
   await simulateNetworkDelay();
+  const t = createTranslator(locale);
 
   const { cardNumber, cardHolder } = paymentInfo;
   const cleanNumber = cardNumber?.replace(/\s/g, '') || '';
@@ -192,7 +210,7 @@ export const processPayment = async (paymentInfo, amount) => {
     return {
       success: false,
       error: 'insufficient_funds',
-      message: 'Transaction declined: Insufficient funds',
+      message: t('validation.insufficientFunds'),
       code: 'PAYMENT_DECLINED',
     };
   }
@@ -201,7 +219,7 @@ export const processPayment = async (paymentInfo, amount) => {
     return {
       success: false,
       error: 'card_declined',
-      message: 'Transaction declined: Please contact your bank',
+      message: t('validation.cardDeclined'),
       code: 'CARD_DECLINED',
     };
   }
@@ -210,19 +228,28 @@ export const processPayment = async (paymentInfo, amount) => {
     success: true,
     transactionId: generateTransactionId(),
     amount: amount,
-    currency: 'USD',
+    currency,
     cardType: detectCardType(cleanNumber),
     lastFour: cleanNumber.slice(-4),
     cardHolder: cardHolder,
     timestamp: new Date().toISOString(),
-    message: 'Payment processed successfully',
+    message: t('validation.paymentProcessed'),
   };
 };
 
 export const createOrder = async (orderData) => {
   await simulateNetworkDelay();
 
-  const { items, shippingAddress, paymentResult, totals } = orderData;
+  const {
+    items,
+    shippingAddress,
+    paymentResult,
+    exchangeRate = 1,
+    totals,
+    locale = DEFAULT_LOCALE,
+  } = orderData;
+  // Order text is recorded in the language the order was placed in
+  const t = createTranslator(locale);
 
   const orderId = generateOrderId();
   const estimatedDelivery = new Date();
@@ -235,14 +262,21 @@ export const createOrder = async (orderData) => {
     order: {
       orderId,
       status: 'confirmed',
-      items: items.map((item) => ({
-        id: item.id,
-        name: item.name,
-        price: item.price,
-        quantity: item.quantity,
-        category: item.category,
-        subtotal: item.price * item.quantity,
-      })),
+      items: items.map((item) => {
+        const license = getLicenseTier(item.license);
+        return {
+          id: item.id,
+          name: item.name,
+          license: license.id,
+          licenseName: t(`licenses.${license.id}.name`),
+          format: item.format || null,
+          bundleId: item.bundleId || null,
+          price: item.price,
+          quantity: item.quantity,
+          category: item.category,
+          subtotal: item.price * item.quantity,
+        };
+      }),
       itemCount: items.reduce((acc, item) => acc + item.quantity, 0),
       shippingAddress: {
         ...shippingAddress,
@@ -253,9 +287,13 @@ export const createOrder = async (orderData) => {
         cardType: paymentResult.cardType,
         lastFour: paymentResult.lastFour,
         amount: paymentResult.amount,
+        currency: paymentResult.currency || BASE_CURRENCY,
+        // Payment-currency units per base unit, for the receipt lines
+        exchangeRate,
       },
       totals: {
         subtotal: totals.subtotal,
+        bundleDiscount: totals.bundleDiscount || 0,
         tax: totals.tax,
         shipping: totals.shipping,
         total: totals.total,
@@ -264,53 +302,54 @@ export const createOrder = async (orderData) => {
       createdAt: new Date().toISOString(),
       timeline: [
         {
-          status: 'Order Placed',
-          description: 'Your order has been received',
+          status: t('order.timeline.placed'),
+          description: t('order.timeline.placedDescription'),
           timestamp: new Date().toISOString(),
           completed: true,
         },
         {
-          status: 'Processing',
-          description: 'Preparing your digital assets',
+          status: t('order.timeline.processing'),
+          description: t('order.timeline.processingDescription'),
           timestamp: null,
           completed: false,
         },
         {
-          status: 'Ready for Download',
-          description: 'Your files are ready',
+          status: t('order.timeline.ready'),
+          description: t('order.timeline.readyDescription'),
           timestamp: null,
           completed: false,
         },
         {
-          status: 'Delivered',
-          description: 'Download links sent to email',
+          status: t('order.timeline.delivered'),
+          description: t('order.timeline.deliveredDescription'),
           timestamp: estimatedDelivery.toISOString(),
           completed: false,
         },
       ],
     },
-    message: 'Order created successfully',
+    message: t('validation.orderCreated'),
   };
 };
 
-export const getShippingOptions = async (address) => {
+export const getShippingOptions = async (address, locale = DEFAULT_LOCALE) => {
   await simulateNetworkDelay();
+  const t = createTranslator(locale);
 
   return {
     success: true,
     options: [
       {
         id: 'instant',
-        name: 'Instant Download',
-        description: 'Get immediate access to your files',
+        name: t('checkout.review.instant'),
+        description: t('checkout.review.instantDescription'),
         price: 0,
         estimatedDays: 0,
         recommended: true,
       },
       {
         id: 'priority',
-        name: 'Priority Processing',
-        description: 'Priority queue for download links',
+        name: t('checkout.review.priority'),
+        description: t('checkout.review.priorityDescription'),
         price: 4.99,
         estimatedDays: 0,
         recommended: false,
@@ -319,8 +358,15 @@ export const getShippingOptions = async (address) => {
   };
 };
 
-export const validatePromoCode = async (code, subtotal) => {
+export const validatePromoCode = async (
+  code,
+  subtotal,
+  locale = DEFAULT_LOCALE
+) => {
   await simulateNetworkDelay();
+  const t = createTranslator(locale);
+  const formatAmount = (amount) =>
+    formatPrice(amount, BASE_CURRENCY, { ...LIST_PRICE_FORMAT, locale });
 
   const normalizedCode = code.trim().toUpperCase();
 
@@ -329,25 +375,31 @@ export const validatePromoCode = async (code, subtotal) => {
       type: 'percentage',
       value: 10,
       minOrder: 0,
-      description: '10% off your order',
+      description: t('promos.percentOff', { value: 10 }),
     },
     SAVE20: {
       type: 'percentage',
       value: 20,
       minOrder: 100,
-      description: '20% off orders over $100',
+      description: t('promos.percentOffOver', {
+        value: 20,
+        amount: formatAmount(100),
+      }),
     },
     '3DFREE': {
       type: 'fixed',
       value: 25,
       minOrder: 50,
-      description: '$25 off orders over $50',
+      description: t('promos.amountOffOver', {
+        value: formatAmount(25),
+        amount: formatAmount(50),
+      }),
     },
     NEWUSER: {
       type: 'percentage',
       value: 15,
       minOrder: 0,
-      description: '15% new user discount',
+      description: t('promos.newUser', { value: 15 }),
     },
   };
 
@@ -357,7 +409,7 @@ export const validatePromoCode = async (code, subtotal) => {
     return {
       success: false,
       error: 'invalid_code',
-      message: 'Invalid promo code',
+      message: t('validation.promoInvalid'),
     };
   }
 
@@ -365,7 +417,9 @@ export const validatePromoCode = async (code, subtotal) => {
     return {
       success: false,
       error: 'minimum_not_met',
-      message: `Minimum order of $${promo.minOrder} required for this code`,
+      message: t('validation.promoMinimum', {
+        amount: formatAmount(promo.minOrder),
+      }),
     };
   }
 
@@ -379,7 +433,7 @@ export const validatePromoCode = async (code, subtotal) => {
     value: promo.value,
     discount: Math.min(discount, subtotal),
     description: promo.description,
-    message: `Promo code applied: ${promo.description}`,
+    message: t('validation.promoApplied', { description: promo.description }),
   };
 };
 
@@ -0,0 +1,44 @@
+import { BASE_CURRENCY } from '../utils/currency';
+
+/**
+ * Currencies offered in the header selector
+ */
+export const SUPPORTED_CURRENCIES = [
+  { code: 'USD', name: 'US Dollar' },
+  { code: 'EUR', name: 'Euro' },
+  { code: 'GBP', name: 'British Pound' },
+  { code: 'JPY', name: 'Japanese Yen' },
+  { code: 'CAD', name: 'Canadian Dollar' },
+  { code: 'AUD', name: 'Australian Dollar' },
+];
+
+/**
+ * Units of each currency per one US dollar.
+ * Served locally; getExchangeRates() is the single place to swap in a live
+ * rates API.
+ */
+const EXCHANGE_RATES = {
+  USD: 1,
+  EUR: 0.92,
+  GBP: 0.79,
+  JPY: 149.5,
+  CAD: 1.36,
+  AUD: 1.52,
+};
+
+/**
+ * Fetch the conversion-rate table.
+ * @returns {Promise<Object>} { success, base, rates }
+ */
+export const getExchangeRates = async () => ({
+  success: true,
+  base: BASE_CURRENCY,
+  rates: { ...EXCHANGE_RATES },
+});
+
+/**
+ * @param {string} code
+ * @returns {boolean} Whether the currency can be selected
+ */
+export const isSupportedCurrency = (code) =>
+  SUPPORTED_CURRENCIES.some((currency) => currency.code === code);
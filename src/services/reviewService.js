@@ -0,0 +1,259 @@
+import { paginateProducts } from '../data/products';
+import {
+  reviews,
+  sortReviews,
+  summarizeReviews,
+  DEFAULT_REVIEW_SORT,
+  REVIEW_LIMITS,
+  REVIEW_PAGE_SIZE,
+} from '../data/reviews';
+import { DEFAULT_LOCALE, createTranslator } from '../utils/i18n';
+
+const REVIEWS_STORAGE_KEY = 'marketplace_reviews';
+
+const generateReviewId = () =>
+  `review-${Date.now().toString(36)}-${Math.random()
+    .toString(36)
+    .substring(2, 8)}`;
+
+/**
+ * Creates a review adapter that serves seed reviews plus any reviews
+ * submitted in this browser, which are persisted to localStorage.
+ * @param {Array} seed - Reviews that ship with the catalog
+ * @param {Object} options
+ * @param {string} options.storageKey - localStorage key for submitted reviews
+ * @param {number} options.delay - Artificial latency in ms (default: 0)
+ * @returns {Object} Review adapter
+ */
+export const createLocalReviewAdapter = (
+  seed = reviews,
+  { storageKey = REVIEWS_STORAGE_KEY, delay = 0 } = {}
+) => {
+  const wait = () =>
+    delay > 0
+      ? new Promise((resolve) => setTimeout(resolve, delay))
+      : Promise.resolve();
+
+  const readSubmitted = () => {
+    try {
+      const stored = JSON.parse(localStorage.getItem(storageKey));
+      return Array.isArray(stored) ? stored : [];
+    } catch {
+      return [];
+    }
+  };
+
+  return {
+    listReviews: async (productId) => {
+      await wait();
+      return [...seed, ...readSubmitted()].filter(
+        (review) => review.productId === productId
+      );
+    },
+    // Reads the stored reviews once for the whole list of products
+    listReviewsByProduct: async (productIds) => {
+      await wait();
+      const byProduct = Object.fromEntries(productIds.map((id) => [id, []]));
+      [...seed, ...readSubmitted()].forEach((review) => {
+        byProduct[review.productId]?.push(review);
+      });
+      return byProduct;
+    },
+    addReview: async (review) => {
+      await wait();
+      try {
+        localStorage.setItem(
+          storageKey,
+          JSON.stringify([...readSubmitted(), review])
+        );
+      } catch {
+        // localStorage not available
+      }
+      return review;
+    },
+  };
+};
+
+let adapter = createLocalReviewAdapter();
+
+/**
+ * Replace the adapter used by the review service (e.g. a remote API client).
+ * `listReviewsByProduct(productIds)`, resolving to the reviews keyed by
+ * product id, is optional; without it lists of products are loaded one
+ * `listReviews` call per product.
+ * @param {Object} nextAdapter - Object implementing listReviews and addReview
+ */
+export const setReviewAdapter = (nextAdapter) => {
+  adapter = nextAdapter;
+};
+
+/**
+ * Restore the default adapter backed by `data/reviews` and localStorage.
+ */
+export const resetReviewAdapter = () => {
+  adapter = createLocalReviewAdapter();
+};
+
+// Reviews of several products in one adapter call when the adapter batches
+const listReviewsByProduct = async (productIds) => {
+  if (adapter.listReviewsByProduct) {
+    return adapter.listReviewsByProduct(productIds);
+  }
+  const lists = await Promise.all(
+    productIds.map((productId) => adapter.listReviews(productId))
+  );
+  return Object.fromEntries(
+    productIds.map((productId, index) => [productId, lists[index]])
+  );
+};
+
+/**
+ * Validate a review before it is submitted.
+ * @param {Object} input - { rating, author, title, body }
+ * @param {string} locale - Language for the error messages
+ * @returns {Object} Error messages keyed by field; empty when valid
+ */
+export const validateReview = (input, locale = DEFAULT_LOCALE) => {
+  const t = createTranslator(locale);
+  const { rating, author, title, body } = input;
+  const errors = {};
+
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    errors.rating = t('reviews.validation.ratingRequired');
+  }
+  if (!author?.trim()) {
+    errors.author = t('reviews.validation.authorRequired');
+  } else if (author.trim().length > REVIEW_LIMITS.authorMax) {
+    errors.author = t('reviews.validation.authorTooLong', {
+      max: REVIEW_LIMITS.authorMax,
+    });
+  }
+  if (!title?.trim()) {
+    errors.title = t('reviews.validation.titleRequired');
+  } else if (title.trim().length > REVIEW_LIMITS.titleMax) {
+    errors.title = t('reviews.validation.titleTooLong', {
+      max: REVIEW_LIMITS.titleMax,
+    });
+  }
+  if (!body?.trim()) {
+    errors.body = t('reviews.validation.bodyRequired');
+  } else if (body.trim().length < REVIEW_LIMITS.bodyMin) {
+    errors.body = t('reviews.validation.bodyTooShort', {
+      min: REVIEW_LIMITS.bodyMin,
+    });
+  } else if (body.trim().length > REVIEW_LIMITS.bodyMax) {
+    errors.body = t('reviews.validation.bodyTooLong', {
+      max: REVIEW_LIMITS.bodyMax,
+    });
+  }
+
+  return errors;
+};
+
+/**
+ * Load one page of a product's reviews.
+ * @param {string} productId
+ * @param {Object} options - `sort`, `page` and `pageSize`
+ * @returns {Promise<Object>} { success, reviews, total, page, pageCount,
+ *   summary } where `summary` aggregates every review of the product
+ */
+export const getReviews = async (
+  productId,
+  { sort = DEFAULT_REVIEW_SORT, page = 1, pageSize = REVIEW_PAGE_SIZE } = {}
+) => {
+  const all = await adapter.listReviews(productId);
+  const sorted = sortReviews(all, sort);
+  const paged = paginateProducts(sorted, { page, pageSize });
+
+  return {
+    success: true,
+    reviews: paged.items,
+    total: all.length,
+    page: paged.page,
+    pageCount: paged.pageCount,
+    summary: summarizeReviews(all),
+  };
+};
+
+/**
+ * Aggregate the reviews of several products, e.g. a creator's portfolio.
+ * @param {string[]} productIds
+ * @returns {Promise<Object>} { success, summary } where `summary` has the
+ *   same shape as a single product's summary
+ */
+export const getReviewSummary = async (productIds) => {
+  const byProduct = await listReviewsByProduct(productIds);
+
+  return {
+    success: true,
+    summary: summarizeReviews(
+      productIds.flatMap((productId) => byProduct[productId] ?? [])
+    ),
+  };
+};
+
+/**
+ * Average rating and review count of each product, for product lists, the
+ * compare table and sorting by rating. Uses the same rounding as a product's
+ * own summary, so every surface shows the same number.
+ * @param {string[]} productIds
+ * @returns {Promise<Object>} { success, ratings } where `ratings` maps each
+ *   product id to { average, count }
+ */
+export const getProductRatings = async (productIds) => {
+  const byProduct = await listReviewsByProduct(productIds);
+  const ratings = {};
+  productIds.forEach((productId) => {
+    const { average, count } = summarizeReviews(byProduct[productId] ?? []);
+    ratings[productId] = { average, count };
+  });
+
+  return {
+    success: true,
+    ratings,
+  };
+};
+
+/**
+ * Validate and store a new review.
+ * @param {string} productId
+ * @param {Object} input - { rating, author, title, body }
+ * @param {string} locale - Language for validation messages
+ * @returns {Promise<Object>} { success: true, review } or
+ *   { success: false, errors }
+ */
+export const submitReview = async (
+  productId,
+  input,
+  locale = DEFAULT_LOCALE
+) => {
+  const errors = validateReview(input, locale);
+
+  if (Object.keys(errors).length > 0) {
+    return { success: false, errors };
+  }
+
+  const review = await adapter.addReview({
+    id: generateReviewId(),
+    productId,
+    author: input.author.trim(),
+    rating: input.rating,
+    title: input.title.trim(),
+    body: input.body.trim(),
+    createdAt: new Date().toISOString(),
+  });
+
+  return { success: true, review };
+};
+
+const reviewService = {
+  getReviews,
+  getReviewSummary,
+  getProductRatings,
+  submitReview,
+  validateReview,
+  setReviewAdapter,
+  resetReviewAdapter,
+};
+
+export default reviewService;
@@ -0,0 +1,413 @@
+import { MODEL_LIBRARY } from '../data/products';
+import { validateCatalog } from '../data/productSchema';
+
+export const TRANSFER_FORMATS = ['csv', 'json'];
+
+// Lists are written "FBX, OBJ" and read back split on commas, pipes or
+// semicolons, whichever the spreadsheet used
+const LIST_SEPARATOR = ', ';
+const LIST_SPLIT = /[,|;]/;
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+/**
+ * Field mapping shared by import and export. `column` is the CSV header
+ * written on export; on import a column matches a field when its header,
+ * ignoring case, spaces and punctuation, equals the field name, the column
+ * or one of the `aliases`. JSON uses the field names as keys.
+ *
+ * `model` holds a MODEL_LIBRARY key rather than the model object, and
+ * `modelScale` overrides that model's scale.
+ */
+export const CATALOG_FIELDS = [
+  { field: 'id', column: 'ID', type: 'string', aliases: ['slug'] },
+  { field: 'name', column: 'Name', type: 'string', aliases: ['title'] },
+  { field: 'creatorId', column: 'Creator', type: 'string' },
+  { field: 'price', column: 'Price', type: 'number' },
+  { field: 'currency', column: 'Currency', type: 'string' },
+  { field: 'description', column: 'Description', type: 'string' },
+  { field: 'category', column: 'Category', type: 'string' },
+  { field: 'previewColor', column: 'Preview Color', type: 'string' },
+  {
+    field: 'polyCount',
+    column: 'Poly Count',
+    type: 'number',
+    aliases: ['polygons', 'polygon count'],
+  },
+  {
+    field: 'fileFormat',
+    column: 'File Formats',
+    type: 'list',
+    aliases: ['formats'],
+  },
+  { field: 'rigged', column: 'Rigged', type: 'boolean' },
+  { field: 'animated', column: 'Animated', type: 'boolean' },
+  { field: 'pbr', column: 'PBR', type: 'boolean' },
+  { field: 'uvUnwrapped', column: 'UV Unwrapped', type: 'boolean' },
+  {
+    field: 'textureResolution',
+    column: 'Texture Resolution',
+    type: 'nullable',
+    aliases: ['texture', 'textures'],
+  },
+  {
+    field: 'lodCount',
+    column: 'LOD Count',
+    type: 'number',
+    aliases: ['lods'],
+  },
+  { field: 'tags', column: 'Tags', type: 'tags' },
+  { field: 'featured', column: 'Featured', type: 'boolean' },
+  { field: 'model', column: 'Model', type: 'model' },
+  { field: 'modelScale', column: 'Model Scale', type: 'number' },
+  { field: 'image', column: 'Image', type: 'string' },
+];
+
+const normalizeHeader = (header) =>
+  String(header)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+
+const FIELDS_BY_HEADER = new Map(
+  CATALOG_FIELDS.flatMap((definition) =>
+    [definition.field, definition.column, ...(definition.aliases || [])].map(
+      (header) => [normalizeHeader(header), definition]
+    )
+  )
+);
+
+/**
+ * MODEL_LIBRARY key of a product's model, matched by URL
+ * @param {Object} [model]
+ * @returns {string} The key, or '' when the model isn't in the library
+ */
+export const getModelKey = (model) =>
+  Object.keys(MODEL_LIBRARY).find(
+    (key) => MODEL_LIBRARY[key].url === model?.url
+  ) || '';
+
+// Converters accept typed values (JSON) as well as cell text (CSV). A value
+// that can't be converted is kept as is so the schema reports it with its
+// field path.
+const isBlank = (value) =>
+  value === undefined || value === null || String(value).trim() === '';
+
+const readValue = {
+  string: (value) => (isBlank(value) ? undefined : String(value).trim()),
+  number: (value) => {
+    if (isBlank(value)) return undefined;
+    if (typeof value === 'number') return value;
+    const number = Number(String(value).trim());
+    return Number.isNaN(number) ? value : number;
+  },
+  boolean: (value) => {
+    if (isBlank(value)) return undefined;
+    if (typeof value === 'boolean') return value;
+    const text = String(value).trim().toLowerCase();
+    if (TRUE_VALUES.includes(text)) return true;
+    if (FALSE_VALUES.includes(text)) return false;
+    return value;
+  },
+  list: (value) => {
+    if (value === undefined || value === null) return undefined;
+    const items = Array.isArray(value)
+      ? value
+      : String(value).split(LIST_SPLIT);
+    return items
+      .map((item) => (typeof item === 'string' ? item.trim() : item))
+      .filter((item) => item !== '');
+  },
+  // Tag pages, filters and search all match tags in lowercase
+  tags: (value) => {
+    const items = readValue.list(value);
+    if (!items) return items;
+    const tags = items.map((item) =>
+      typeof item === 'string' ? item.toLowerCase() : item
+    );
+    return tags.filter((tag, index) => tags.indexOf(tag) === index);
+  },
+  nullable: (value) => (isBlank(value) ? null : String(value).trim()),
+  model: (value) => {
+    if (isBlank(value)) return undefined;
+    if (typeof value === 'object') return value;
+    return MODEL_LIBRARY[String(value).trim()] || value;
+  },
+};
+
+const writeValue = {
+  string: (value) => value ?? '',
+  number: (value) => value ?? '',
+  boolean: (value) => (value === undefined ? '' : value),
+  list: (value) => value || [],
+  tags: (value) => value || [],
+  nullable: (value) => value ?? null,
+  model: (value) => getModelKey(value),
+};
+
+/**
+ * Map one imported row onto a product record. Blank cells are left out, so
+ * a missing required field is reported by the schema.
+ * @param {Object} row - Values keyed by column header or field name
+ * @returns {Object} Product record
+ */
+export const rowToProduct = (row) => {
+  const values = {};
+  Object.entries(row).forEach(([header, value]) => {
+    const definition = FIELDS_BY_HEADER.get(normalizeHeader(header));
+    if (definition) values[definition.field] = value;
+  });
+
+  const product = {};
+  CATALOG_FIELDS.forEach(({ field, type }) => {
+    if (!(field in values)) return;
+    const value = readValue[type](values[field]);
+    if (value !== undefined) product[field] = value;
+  });
+
+  const { modelScale, ...record } = product;
+  if (modelScale !== undefined && record.model?.url) {
+    record.model = { ...record.model, scale: modelScale };
+  }
+  return record;
+};
+
+/**
+ * Map a product onto export values keyed by field name. Lists stay arrays;
+ * the model is written as its MODEL_LIBRARY key plus its scale.
+ * @param {Object} product
+ * @returns {Object}
+ */
+export const productToRow = (product) =>
+  Object.fromEntries(
+    CATALOG_FIELDS.map(({ field, type }) => [
+      field,
+      field === 'modelScale'
+        ? (product.model?.scale ?? '')
+        : writeValue[type](product[field]),
+    ])
+  );
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF line
+ * endings) into rows of cells. Blank lines are skipped.
+ * @param {string} text
+ * @returns {Array<string[]>}
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.some((value) => value.trim() !== '')) rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+const toCsvCell = (value) => {
+  const text = Array.isArray(value)
+    ? value.join(LIST_SEPARATOR)
+    : String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize products for download.
+ * @param {Array} list - Products to export
+ * @param {string} format - One of TRANSFER_FORMATS
+ * @returns {string} CSV with a header row of `column`s, or a JSON array
+ *   keyed by field name
+ */
+export const exportCatalog = (list, format = 'csv') => {
+  const rows = list.map(productToRow);
+
+  if (format === 'json') {
+    return JSON.stringify(rows, null, 2);
+  }
+
+  return [
+    CATALOG_FIELDS.map(({ column }) => toCsvCell(column)).join(','),
+    ...rows.map((row) =>
+      CATALOG_FIELDS.map(({ field }) => toCsvCell(row[field])).join(',')
+    ),
+  ].join('\r\n');
+};
+
+/**
+ * Guess the format of an import from its file name, falling back to its
+ * content (JSON starts with `[` or `{`).
+ * @param {string} text
+ * @param {string} [fileName]
+ * @returns {string} One of TRANSFER_FORMATS
+ */
+export const detectFormat = (text, fileName = '') => {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (TRANSFER_FORMATS.includes(extension)) return extension;
+  return /^\s*[[{]/.test(text) ? 'json' : 'csv';
+};
+
+// Rows keyed by header, with the headers no field maps to
+const readRows = (text, format) => {
+  if (format === 'json') {
+    const data = JSON.parse(text);
+    const rows = Array.isArray(data) ? data : data?.products;
+    if (!Array.isArray(rows)) return null;
+    const headers = [
+      ...new Set(
+        rows.flatMap((row) =>
+          row && typeof row === 'object' ? Object.keys(row) : []
+        )
+      ),
+    ];
+    return {
+      rows: rows.map((row) => (row && typeof row === 'object' ? row : {})),
+      headers,
+    };
+  }
+
+  const [headers = [], ...lines] = parseCsv(text);
+  return {
+    rows: lines.map((cells) =>
+      Object.fromEntries(
+        headers.map((header, index) => [header, cells[index] ?? ''])
+      )
+    ),
+    headers,
+  };
+};
+
+/**
+ * Compare imported products with the current catalog by id.
+ * Fields are compared as they would be exported, so a model counts as
+ * changed only when its library key or scale changes.
+ * @param {Array} current - Products in the catalog
+ * @param {Array} incoming - Valid imported products
+ * @returns {Object} { added, changed, unchanged, missing } where `changed`
+ *   holds { product, previous, fields } with fields as
+ *   { field, before, after } export values, and `missing` lists current
+ *   products the import doesn't mention
+ */
+export const diffCatalog = (current, incoming) => {
+  const currentById = new Map(current.map((product) => [product.id, product]));
+  const incomingIds = new Set(incoming.map((product) => product.id));
+  const diff = { added: [], changed: [], unchanged: [], missing: [] };
+
+  incoming.forEach((product) => {
+    const previous = currentById.get(product.id);
+    if (!previous) {
+      diff.added.push(product);
+      return;
+    }
+
+    const before = productToRow(previous);
+    const after = productToRow(product);
+    const fields = CATALOG_FIELDS.filter(
+      ({ field }) =>
+        JSON.stringify(before[field]) !== JSON.stringify(after[field])
+    ).map(({ field }) => ({
+      field,
+      before: before[field],
+      after: after[field],
+    }));
+
+    if (fields.length > 0) {
+      diff.changed.push({ product, previous, fields });
+    } else {
+      diff.unchanged.push(product);
+    }
+  });
+
+  diff.missing = current.filter((product) => !incomingIds.has(product.id));
+  return diff;
+};
+
+/**
+ * Parse, map and validate an import, and compare it with the catalog.
+ * @param {string} text - File contents
+ * @param {Object} options
+ * @param {string} options.format - One of TRANSFER_FORMATS (default: detected)
+ * @param {string} options.fileName - Used to detect the format
+ * @param {Array} options.current - Current catalog to compare against
+ * @returns {Object} { format, products, invalid, unmappedColumns, diff,
+ *   error } where `invalid` holds { row, id, errors } per rejected record
+ *   (`row` is the spreadsheet row, counting the header, or the 1-based JSON
+ *   item) and `error` is a message key when the file can't be read at all
+ */
+export const importCatalog = (
+  text,
+  { format: requestedFormat, fileName, current = [] } = {}
+) => {
+  const format = requestedFormat || detectFormat(text, fileName);
+  const result = {
+    format,
+    products: [],
+    invalid: [],
+    unmappedColumns: [],
+    diff: diffCatalog(current, []),
+    error: null,
+  };
+
+  let parsed;
+  try {
+    parsed = readRows(text, format);
+  } catch {
+    parsed = null;
+  }
+  if (!parsed) {
+    return { ...result, error: 'catalogTransfer.errors.unreadable' };
+  }
+  if (parsed.rows.length === 0) {
+    return { ...result, error: 'catalogTransfer.errors.empty' };
+  }
+
+  const firstRow = format === 'csv' ? 2 : 1;
+  const { products: valid, invalid } = validateCatalog(
+    parsed.rows.map(rowToProduct)
+  );
+
+  return {
+    ...result,
+    products: valid,
+    invalid: invalid.map(({ index, id, errors }) => ({
+      row: index + firstRow,
+      id,
+      errors,
+    })),
+    unmappedColumns: parsed.headers.filter(
+      (header) => !FIELDS_BY_HEADER.has(normalizeHeader(header))
+    ),
+    diff: diffCatalog(current, valid),
+  };
+};
@@ -0,0 +1,59 @@
+/**
+ * Spec rows for the side-by-side compare view.
+ *
+ * Each spec knows how to read a comparable value from a product and how to
+ * display it. A row "differs" when the products don't all share the same
+ * value; file formats are compared as a set, so order doesn't matter.
+ */
+import { BASE_CURRENCY, LIST_PRICE_FORMAT, formatPrice } from './currency';
+
+const formatListPrice = (amount) =>
+  formatPrice(amount, BASE_CURRENCY, LIST_PRICE_FORMAT);
+
+export const COMPARE_SPECS = [
+  {
+    key: 'price',
+    label: 'Price',
+    getValue: (product) => product.price,
+    format: (product, formatAmount) => formatAmount(product.price),
+  },
+  {
+    key: 'rating',
+    label: 'Rating',
+    getValue: (product) => (product.reviewCount > 0 ? product.rating : null),
+    format: (product) =>
+      product.reviewCount > 0 ? `${product.rating} / 5` : '—',
+  },
+  {
+    key: 'polyCount',
+    label: 'Polygons',
+    getValue: (product) => product.polyCount,
+    format: (product) => product.polyCount.toLocaleString(),
+  },
+  {
+    key: 'fileFormat',
+    label: 'Formats',
+    getValue: (product) => [...product.fileFormat].sort().join(','),
+    format: (product) => product.fileFormat.join(', '),
+  },
+  {
+    key: 'category',
+    label: 'Category',
+    getValue: (product) => product.category,
+    format: (product) => product.category,
+  },
+];
+
+/**
+ * Build the compare table rows for a set of products.
+ * @param {Array} products - Products in column order
+ * @param {Function} formatAmount - Formats a base-currency amount for display
+ * @returns {Array<{ key: string, label: string, values: string[], differs: boolean }>}
+ */
+export const getSpecRows = (products, formatAmount = formatListPrice) =>
+  COMPARE_SPECS.map((spec) => ({
+    key: spec.key,
+    label: spec.label,
+    values: products.map((product) => spec.format(product, formatAmount)),
+    differs: new Set(products.map(spec.getValue)).size > 1,
+  }));
@@ -0,0 +1,77 @@
+/**
+ * Price conversion and formatting.
+ *
+ * Catalog prices are stored in the base currency. They are converted with a
+ * rate table (units of each currency per one base unit) and formatted with
+ * Intl.NumberFormat, so symbols, separators and decimal places follow the
+ * locale and the currency (e.g. JPY has no minor unit).
+ */
+
+export const BASE_CURRENCY = 'USD';
+
+/**
+ * Intl options for list prices: whole amounts drop their decimals ("$89"),
+ * anything else keeps them ("$59.98")
+ */
+export const LIST_PRICE_FORMAT = { trailingZeroDisplay: 'stripIfInteger' };
+
+const formatters = new Map();
+
+const getFormatter = (currency, locale, options = {}) => {
+  const key = `${locale || ''}|${currency}|${JSON.stringify(options)}`;
+  if (!formatters.has(key)) {
+    formatters.set(
+      key,
+      new Intl.NumberFormat(locale, {
+        style: 'currency',
+        currency,
+        ...options,
+      })
+    );
+  }
+  return formatters.get(key);
+};
+
+/**
+ * Format an amount as a price.
+ * @param {number} amount - Amount in `currency`
+ * @param {string} currency - ISO 4217 code
+ * @param {Object} options
+ * @param {string} options.locale - BCP 47 locale (default: the runtime's)
+ * @param {...*} options - Any other Intl.NumberFormat option
+ * @returns {string}
+ */
+export const formatPrice = (
+  amount,
+  currency = BASE_CURRENCY,
+  { locale, ...options } = {}
+) => getFormatter(currency, locale, options).format(amount);
+
+/**
+ * Convert an amount between currencies.
+ * @param {number} amount
+ * @param {string} from - Currency of `amount`
+ * @param {string} to - Target currency
+ * @param {Object} rates - Units of each currency per base unit
+ * @returns {number}
+ * @throws {Error} When either currency is missing from `rates`
+ */
+export const convertPrice = (amount, from, to, rates) => {
+  if (from === to) return amount;
+  if (!rates[from] || !rates[to]) {
+    throw new Error(`No exchange rate for ${rates[from] ? to : from}`);
+  }
+  return (amount / rates[from]) * rates[to];
+};
+
+/**
+ * Round an amount to the minor unit of a currency (cents, or whole yen)
+ * @param {number} amount
+ * @param {string} currency
+ * @returns {number}
+ */
+export const roundToCurrency = (amount, currency = BASE_CURRENCY) => {
+  const digits = getFormatter(currency).resolvedOptions().maximumFractionDigits;
+  const factor = 10 ** digits;
+  return Math.round(amount * factor) / factor;
+};
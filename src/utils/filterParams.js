@@ -0,0 +1,176 @@
+import {
+  CATEGORIES,
+  FILE_FORMATS,
+  SPEC_FEATURES,
+  TEXTURE_RESOLUTIONS,
+  PRICE_RANGE,
+  POLY_COUNT_RANGE,
+  SORT_OPTIONS,
+  DEFAULT_SORT,
+} from '../data/products';
+
+/**
+ * Query string keys used to encode catalog filters in the URL.
+ */
+export const FILTER_PARAM_KEYS = {
+  SEARCH: 'q',
+  CATEGORY: 'category',
+  TAG: 'tag',
+  PRICE: 'price',
+  POLY_COUNT: 'poly',
+  FORMAT: 'format',
+  SPEC: 'spec',
+  TEXTURE: 'texture',
+  LOD: 'lod',
+  SORT: 'sort',
+  PAGE: 'page',
+};
+
+export const DEFAULT_FILTERS = {
+  categories: [],
+  tags: [],
+  priceRange: [PRICE_RANGE.min, PRICE_RANGE.max],
+  polyCountRange: [POLY_COUNT_RANGE.min, POLY_COUNT_RANGE.max],
+  fileFormats: [],
+  features: [],
+  minTextureResolution: null,
+  minLodCount: null,
+};
+
+/**
+ * Parses a "min-max" range param, clamping to bounds and falling back to the
+ * full range when the value is missing or malformed.
+ */
+function parseRange(value, bounds) {
+  const fallback = [bounds.min, bounds.max];
+  if (!value) return fallback;
+
+  const match = /^(\d+)-(\d+)$/.exec(value);
+  if (!match) return fallback;
+
+  const clamp = (n) => Math.min(Math.max(n, bounds.min), bounds.max);
+  const low = clamp(Number(match[1]));
+  const high = clamp(Number(match[2]));
+
+  return low <= high ? [low, high] : [high, low];
+}
+
+function isDefaultRange(range, bounds) {
+  return range[0] === bounds.min && range[1] === bounds.max;
+}
+
+// Positive integer page number; anything else means the first page
+function parsePage(value) {
+  const page = Number(value);
+  return Number.isInteger(page) && page > 0 ? page : 1;
+}
+
+// Every model has at least one level of detail, so only 2+ narrows the list
+function parseLodCount(value) {
+  const count = Number(value);
+  return Number.isInteger(count) && count > 1 ? count : null;
+}
+
+/**
+ * Reads filter state from URL search params.
+ * Unknown categories/formats/specs and out-of-range values are discarded so a
+ * hand-edited or stale URL can never put the filters in an invalid state.
+ * @param {URLSearchParams} params
+ * @returns {{ filters: Object, searchTerm: string, sort: string, page: number }}
+ */
+export function parseFilterParams(params) {
+  const unique = (values) => [...new Set(values)];
+  const sort = params.get(FILTER_PARAM_KEYS.SORT);
+  const texture = params.get(FILTER_PARAM_KEYS.TEXTURE);
+
+  return {
+    filters: {
+      categories: unique(params.getAll(FILTER_PARAM_KEYS.CATEGORY)).filter(
+        (category) => CATEGORIES.includes(category)
+      ),
+      // Tags are open-ended, so they're normalized rather than validated
+      tags: unique(
+        params
+          .getAll(FILTER_PARAM_KEYS.TAG)
+          .map((tag) => tag.trim().toLowerCase())
+          .filter(Boolean)
+      ),
+      priceRange: parseRange(params.get(FILTER_PARAM_KEYS.PRICE), PRICE_RANGE),
+      polyCountRange: parseRange(
+        params.get(FILTER_PARAM_KEYS.POLY_COUNT),
+        POLY_COUNT_RANGE
+      ),
+      fileFormats: unique(params.getAll(FILTER_PARAM_KEYS.FORMAT)).filter(
+        (format) => FILE_FORMATS.includes(format)
+      ),
+      features: unique(params.getAll(FILTER_PARAM_KEYS.SPEC)).filter(
+        (feature) => SPEC_FEATURES.includes(feature)
+      ),
+      minTextureResolution: TEXTURE_RESOLUTIONS.includes(texture)
+        ? texture
+        : null,
+      minLodCount: parseLodCount(params.get(FILTER_PARAM_KEYS.LOD)),
+    },
+    searchTerm: params.get(FILTER_PARAM_KEYS.SEARCH) || '',
+    sort: SORT_OPTIONS.some((option) => option.value === sort)
+      ? sort
+      : DEFAULT_SORT,
+    page: parsePage(params.get(FILTER_PARAM_KEYS.PAGE)),
+  };
+}
+
+/**
+ * Encodes filter state as URL search params. Values equal to their defaults
+ * are omitted to keep shared links short. Accepts the same shape
+ * `parseFilterParams` returns.
+ * @param {Object} state
+ * @param {Object} state.filters
+ * @param {string} state.searchTerm
+ * @param {string} state.sort
+ * @param {number} state.page
+ * @returns {URLSearchParams}
+ */
+export function serializeFilterParams({
+  filters = DEFAULT_FILTERS,
+  searchTerm = '',
+  sort = DEFAULT_SORT,
+  page = 1,
+}) {
+  const params = new URLSearchParams();
+
+  if (searchTerm) {
+    params.set(FILTER_PARAM_KEYS.SEARCH, searchTerm);
+  }
+  filters.categories.forEach((category) =>
+    params.append(FILTER_PARAM_KEYS.CATEGORY, category)
+  );
+  (filters.tags || []).forEach((tag) =>
+    params.append(FILTER_PARAM_KEYS.TAG, tag)
+  );
+  if (!isDefaultRange(filters.priceRange, PRICE_RANGE)) {
+    params.set(FILTER_PARAM_KEYS.PRICE, filters.priceRange.join('-'));
+  }
+  if (!isDefaultRange(filters.polyCountRange, POLY_COUNT_RANGE)) {
+    params.set(FILTER_PARAM_KEYS.POLY_COUNT, filters.polyCountRange.join('-'));
+  }
+  filters.fileFormats.forEach((format) =>
+    params.append(FILTER_PARAM_KEYS.FORMAT, format)
+  );
+  (filters.features || []).forEach((feature) =>
+    params.append(FILTER_PARAM_KEYS.SPEC, feature)
+  );
+  if (filters.minTextureResolution) {
+    params.set(FILTER_PARAM_KEYS.TEXTURE, filters.minTextureResolution);
+  }
+  if (filters.minLodCount) {
+    params.set(FILTER_PARAM_KEYS.LOD, String(filters.minLodCount));
+  }
+  if (sort !== DEFAULT_SORT) {
+    params.set(FILTER_PARAM_KEYS.SORT, sort);
+  }
+  if (page > 1) {
+    params.set(FILTER_PARAM_KEYS.PAGE, String(page));
+  }
+
+  return params;
+}
@@ -0,0 +1,80 @@
+/**
+ * Message lookup, interpolation and pluralization.
+ *
+ * Catalogs live in `src/locales/` as nested objects; messages are addressed
+ * by dotted keys ("cart.title"). A message may contain `{name}` placeholders,
+ * and a message that varies by count is an object of Intl.PluralRules
+ * categories (`one`, `other`, ...) picked with the `count` parameter.
+ * Missing messages fall back to English, then to the key itself.
+ */
+import en from '../locales/en';
+import es from '../locales/es';
+
+export const DEFAULT_LOCALE = 'en';
+
+/**
+ * Languages offered in the header switcher, named in their own language
+ */
+export const SUPPORTED_LOCALES = [
+  { code: 'en', name: 'English' },
+  { code: 'es', name: 'Español' },
+];
+
+const CATALOGS = { en, es };
+
+/**
+ * @param {string} code
+ * @returns {boolean} Whether the locale has a message catalog
+ */
+export const isSupportedLocale = (code) =>
+  SUPPORTED_LOCALES.some((locale) => locale.code === code);
+
+const lookup = (catalog, key) =>
+  key
+    .split('.')
+    .reduce(
+      (node, part) => (node && typeof node === 'object' ? node[part] : null),
+      catalog
+    );
+
+const pluralRules = new Map();
+
+const selectPlural = (locale, forms, count) => {
+  if (!pluralRules.has(locale)) {
+    pluralRules.set(locale, new Intl.PluralRules(locale));
+  }
+  const category = pluralRules.get(locale).select(count);
+  return forms[category] ?? forms.other;
+};
+
+const interpolate = (message, params) =>
+  message.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] === undefined ? match : String(params[name])
+  );
+
+/**
+ * Translate a message key.
+ * @param {string} locale
+ * @param {string} key - Dotted message key
+ * @param {Object} params - Placeholder values; `count` also selects the
+ *   plural form
+ * @returns {string}
+ */
+export const translate = (locale, key, params = {}) => {
+  let message = lookup(CATALOGS[locale], key);
+  if (message == null) message = lookup(CATALOGS[DEFAULT_LOCALE], key);
+  if (message == null) return key;
+
+  if (typeof message === 'object') {
+    message = selectPlural(locale, message, params.count);
+  }
+  return interpolate(message, params);
+};
+
+/**
+ * Bind `translate` to a locale.
+ * @param {string} locale
+ * @returns {Function} t(key, params)
+ */
+export const createTranslator = (locale) => (key, params) =>
+  translate(locale, key, params);
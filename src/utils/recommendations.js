@@ -0,0 +1,105 @@
+/**
+ * "You may also like" recommendations.
+ *
+ * Similarity between two products is a weighted sum of the tags they share,
+ * whether they are in the same category, and how close they sit in price and
+ * polygon count. Prices and polygon counts are compared by band rather than
+ * raw value so a $49 and a $55 model count as alike; neighbouring bands earn
+ * half credit. Scoring is pure and ties keep catalog order, so the same
+ * catalog always yields the same recommendations.
+ */
+
+/**
+ * Points awarded for each kind of similarity
+ */
+export const SIMILARITY_WEIGHTS = {
+  tag: 3, // per shared tag
+  category: 4,
+  priceBand: 2,
+  polyCountBand: 1,
+};
+
+/**
+ * Upper bounds (exclusive) of each band: < $50, $50-99, $100-199, $200+
+ */
+export const PRICE_BANDS = [50, 100, 200];
+
+/**
+ * Upper bounds (exclusive) of each band: < 10k, 10k-25k, 25k-50k, 50k+
+ */
+export const POLY_COUNT_BANDS = [10000, 25000, 50000];
+
+export const DEFAULT_RELATED_LIMIT = 4;
+
+/**
+ * Index of the band `value` falls into.
+ * @param {number} value
+ * @param {number[]} bounds - Ascending exclusive upper bounds
+ * @returns {number} 0 for the lowest band, `bounds.length` for the highest
+ */
+export const getBand = (value, bounds) => {
+  const index = bounds.findIndex((bound) => value < bound);
+  return index === -1 ? bounds.length : index;
+};
+
+// Full weight for the same band, half for a neighbouring one
+const scoreBands = (a, b, bounds, weight) => {
+  const distance = Math.abs(getBand(a, bounds) - getBand(b, bounds));
+  if (distance === 0) return weight;
+  if (distance === 1) return weight / 2;
+  return 0;
+};
+
+/**
+ * Score how similar `candidate` is to `product`.
+ * @param {Object} product
+ * @param {Object} candidate
+ * @returns {number} 0 when they have nothing in common
+ */
+export const scoreSimilarity = (product, candidate) => {
+  const tags = new Set(product.tags || []);
+  const sharedTags = (candidate.tags || []).filter((tag) => tags.has(tag));
+
+  return (
+    sharedTags.length * SIMILARITY_WEIGHTS.tag +
+    (product.category === candidate.category
+      ? SIMILARITY_WEIGHTS.category
+      : 0) +
+    scoreBands(
+      product.price,
+      candidate.price,
+      PRICE_BANDS,
+      SIMILARITY_WEIGHTS.priceBand
+    ) +
+    scoreBands(
+      product.polyCount,
+      candidate.polyCount,
+      POLY_COUNT_BANDS,
+      SIMILARITY_WEIGHTS.polyCountBand
+    )
+  );
+};
+
+/**
+ * The products most similar to `product`, best match first.
+ * The product itself is excluded; ties keep catalog order.
+ * @param {Object} product
+ * @param {Array} catalog - Products to recommend from
+ * @param {number} limit - Maximum number of results
+ * @returns {Array} Recommended products
+ */
+export const getRelatedProducts = (
+  product,
+  catalog,
+  limit = DEFAULT_RELATED_LIMIT
+) =>
+  catalog
+    .filter((candidate) => candidate.id !== product.id)
+    .map((candidate) => ({
+      candidate,
+      score: scoreSimilarity(product, candidate),
+    }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ candidate }) => candidate);
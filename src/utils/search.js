@@ -0,0 +1,289 @@
+/**
+ * Relevance-ranked product search.
+ *
+ * Queries and product fields are split into lowercase word tokens. Every
+ * query token must match at least one word in the product (AND semantics);
+ * each match is graded by how close it is and weighted by the field it was
+ * found in, so a hit in the product name outranks one buried in the
+ * description.
+ */
+
+/**
+ * Relative importance of each searchable field
+ */
+export const FIELD_WEIGHTS = {
+  name: 10,
+  tags: 6,
+  category: 4,
+  description: 1,
+};
+
+/**
+ * Quality multipliers for the different ways a query token can match a word
+ */
+export const MATCH_QUALITY = {
+  exact: 1,
+  prefix: 0.8,
+  fuzzy: 0.6,
+  substring: 0.5,
+};
+
+// Bonus applied when the whole query appears verbatim in the product name
+const PHRASE_BONUS = 5;
+
+/**
+ * Split text into lowercase alphanumeric tokens.
+ * "Sci-Fi Helmet" -> ['sci', 'fi', 'helmet']
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const tokenize = (text = '') =>
+  text.toLowerCase().match(/[a-z0-9]+/g) || [];
+
+/**
+ * Levenshtein edit distance between two strings.
+ * Stops early and returns `maxDistance + 1` once the distance is known to
+ * exceed `maxDistance`, which keeps per-keystroke searches cheap.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} maxDistance
+ * @returns {number}
+ */
+export const editDistance = (a, b, maxDistance = Infinity) => {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Number of typos tolerated for a query token of the given length.
+ * Short tokens must match exactly, otherwise "car" would also find "bar".
+ */
+export const allowedEdits = (length) => {
+  if (length < 5) return 0;
+  if (length <= 8) return 1;
+  return 2;
+};
+
+/**
+ * Grade how well a single query token matches a single word.
+ * @param {string} token - Query token
+ * @param {string} word - Product word
+ * @returns {{ type: string, quality: number, start: number, length: number }|null}
+ *   Match details (start/length describe the matched slice of `word`) or null
+ */
+export const matchToken = (token, word) => {
+  if (word === token) {
+    return {
+      type: 'exact',
+      quality: MATCH_QUALITY.exact,
+      start: 0,
+      length: word.length,
+    };
+  }
+  if (word.startsWith(token)) {
+    return {
+      type: 'prefix',
+      quality: MATCH_QUALITY.prefix,
+      start: 0,
+      length: token.length,
+    };
+  }
+
+  const maxEdits = allowedEdits(token.length);
+  if (maxEdits > 0 && editDistance(token, word, maxEdits) <= maxEdits) {
+    return {
+      type: 'fuzzy',
+      quality: MATCH_QUALITY.fuzzy,
+      start: 0,
+      length: word.length,
+    };
+  }
+
+  const index = token.length >= 3 ? word.indexOf(token) : -1;
+  if (index > 0) {
+    return {
+      type: 'substring',
+      quality: MATCH_QUALITY.substring,
+      start: index,
+      length: token.length,
+    };
+  }
+
+  return null;
+};
+
+const getFieldTokens = (product) => ({
+  name: tokenize(product.name),
+  tags: tokenize((product.tags || []).join(' ')),
+  category: tokenize(product.category),
+  description: tokenize(product.description),
+});
+
+/**
+ * Score a product against a query.
+ * @param {Object} product
+ * @param {string} query
+ * @returns {{ score: number, matchedTerms: string[] }} A score of 0 means at
+ *   least one query token matched nothing.
+ */
+export const scoreProduct = (product, query) => {
+  const queryTokens = [...new Set(tokenize(query))];
+  if (queryTokens.length === 0) return { score: 0, matchedTerms: [] };
+
+  const fields = getFieldTokens(product);
+  const matchedTerms = new Set();
+  let score = 0;
+
+  for (const token of queryTokens) {
+    let best = 0;
+
+    Object.entries(fields).forEach(([field, words]) => {
+      words.forEach((word) => {
+        const match = matchToken(token, word);
+        if (!match) return;
+        matchedTerms.add(word);
+        best = Math.max(best, FIELD_WEIGHTS[field] * match.quality);
+      });
+    });
+
+    if (best === 0) return { score: 0, matchedTerms: [] };
+    score += best;
+  }
+
+  const phrase = queryTokens.join(' ');
+  if (queryTokens.length > 1 && fields.name.join(' ').includes(phrase)) {
+    score += PHRASE_BONUS;
+  }
+
+  return { score, matchedTerms: [...matchedTerms] };
+};
+
+/**
+ * Rank products by relevance to a query.
+ * Products that don't match every query token are dropped; the rest are
+ * ordered by descending score, keeping catalog order for ties.
+ * @param {Array} products
+ * @param {string} query
+ * @returns {Array<{ product: Object, score: number, matchedTerms: string[] }>}
+ */
+export const rankProducts = (products, query) =>
+  products
+    .map((product) => ({ product, ...scoreProduct(product, query) }))
+    .filter((result) => result.score > 0)
+    .sort((a, b) => b.score - a.score);
+
+/**
+ * Split text into plain and highlighted segments for the words that match a
+ * query. Used to render <mark> highlights on product cards.
+ * @param {string} text
+ * @param {string} query
+ * @returns {Array<{ text: string, highlight: boolean }>}
+ */
+export const getHighlightSegments = (text = '', query = '') => {
+  const queryTokens = [...new Set(tokenize(query))];
+  if (!text || queryTokens.length === 0) {
+    return [{ text, highlight: false }];
+  }
+
+  const segments = [];
+  const wordPattern = /[a-z0-9]+/gi;
+  let cursor = 0;
+  let found;
+
+  while ((found = wordPattern.exec(text)) !== null) {
+    const word = found[0].toLowerCase();
+    const best = queryTokens
+      .map((token) => matchToken(token, word))
+      .filter(Boolean)
+      .sort((a, b) => b.length - a.length)[0];
+
+    if (!best) continue;
+
+    const start = found.index + best.start;
+    const end = start + best.length;
+    if (start > cursor) {
+      segments.push({ text: text.slice(cursor, start), highlight: false });
+    }
+    segments.push({ text: text.slice(start, end), highlight: true });
+    cursor = end;
+  }
+
+  if (cursor < text.length) {
+    segments.push({ text: text.slice(cursor), highlight: false });
+  }
+
+  return segments;
+};
+
+const SUGGESTION_LIMITS = {
+  product: 5,
+  category: 3,
+  tag: 5,
+};
+
+// True when every query token matches at least one word of `text`
+const matchesAllTokens = (text, queryTokens) => {
+  const words = tokenize(text);
+  return queryTokens.every((token) =>
+    words.some((word) => matchToken(token, word))
+  );
+};
+
+/**
+ * Build autocomplete suggestions for a partially typed query.
+ * Products are ranked with `rankProducts`; categories and tags are matched
+ * with the same tokenizing and typo tolerance and listed in catalog order.
+ * @param {Array} products - Catalog to suggest from
+ * @param {string} query
+ * @returns {Array<{ type: 'product'|'category'|'tag', value: string, label: string }>}
+ *   Products first, then categories, then tags
+ */
+export const getSearchSuggestions = (products, query) => {
+  const queryTokens = [...new Set(tokenize(query))];
+  if (queryTokens.length === 0) return [];
+
+  const productSuggestions = rankProducts(products, query)
+    .slice(0, SUGGESTION_LIMITS.product)
+    .map(({ product }) => ({
+      type: 'product',
+      value: product.id,
+      label: product.name,
+    }));
+
+  const categories = [...new Set(products.map((p) => p.category))]
+    .filter((category) => matchesAllTokens(category, queryTokens))
+    .slice(0, SUGGESTION_LIMITS.category)
+    .map((category) => ({
+      type: 'category',
+      value: category,
+      label: category,
+    }));
+
+  const tags = [...new Set(products.flatMap((p) => p.tags || []))]
+    .filter((tag) => matchesAllTokens(tag, queryTokens))
+    .slice(0, SUGGESTION_LIMITS.tag)
+    .map((tag) => ({ type: 'tag', value: tag, label: tag }));
+
+  return [...productSuggestions, ...categories, ...tags];
+};
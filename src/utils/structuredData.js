@@ -1,15 +1,27 @@
+import { CREATOR_KINDS } from '../data/creators';
+
+const DEFAULT_LIST_NAME = '3D Models Marketplace';
+const DEFAULT_LIST_DESCRIPTION =
+  'Premium 3D models and digital assets for creative professionals';
+
 /**
  * Builds structured data (JSON-LD) for the product listing page.
- * @param {Array} products - Array of product objects
+ * @param {Array} products - Products as served by the catalog, whose
+ *   `rating` and `reviewCount` come from their reviews
+ * @param {Object} options
+ * @param {string} options.name - List name (default: the marketplace name)
+ * @param {string} options.description - List description
  * @returns {Object} Schema.org ItemList structured data
  */
-export function buildProductListSchema(products) {
+export function buildProductListSchema(
+  products,
+  { name = DEFAULT_LIST_NAME, description = DEFAULT_LIST_DESCRIPTION } = {}
+) {
   return {
     '@context': 'https://schema.org',
     '@type': 'ItemList',
-    name: '3D Models Marketplace',
-    description:
-      'Premium 3D models and digital assets for creative professionals',
+    name,
+    description,
     numberOfItems: products.length,
     itemListElement: products.map((product, index) => ({
       '@type': 'ListItem',
@@ -27,13 +39,101 @@ export function buildProductListSchema(products) {
           priceCurrency: product.currency,
           availability: 'https://schema.org/InStock',
         },
-        aggregateRating: {
-          '@type': 'AggregateRating',
-          ratingValue: product.rating,
-          bestRating: 5,
-          worstRating: 1,
-        },
+        // Search engines reject an aggregate rating without any reviews
+        ...(product.reviewCount > 0 && {
+          aggregateRating: {
+            '@type': 'AggregateRating',
+            ratingValue: product.rating,
+            reviewCount: product.reviewCount,
+            bestRating: 5,
+            worstRating: 1,
+          },
+        }),
       },
     })),
   };
 }
+
+/**
+ * Builds structured data (JSON-LD) for a category or tag landing page.
+ * @param {Object} page
+ * @param {string} page.name - Page heading, e.g. "Vehicles 3D Models"
+ * @param {string} page.description - Meta description of the page
+ * @param {string} page.path - Path of the page, e.g. "/category/vehicles"
+ * @param {Array} page.products - Products listed on the page
+ * @returns {Object} Schema.org CollectionPage structured data with the
+ *   products as its ItemList and a breadcrumb back to the home page
+ */
+export function buildCollectionPageSchema({
+  name,
+  description,
+  path,
+  products,
+}) {
+  const { origin } = window.location;
+  const url = `${origin}${path}`;
+  // Nested inside the page, so it shares the page's @context
+  const itemList = buildProductListSchema(products, { name, description });
+  delete itemList['@context'];
+
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'CollectionPage',
+    '@id': url,
+    url,
+    name,
+    description,
+    mainEntity: itemList,
+    breadcrumb: {
+      '@type': 'BreadcrumbList',
+      itemListElement: [
+        {
+          '@type': 'ListItem',
+          position: 1,
+          name: DEFAULT_LIST_NAME,
+          item: origin,
+        },
+        { '@type': 'ListItem', position: 2, name, item: url },
+      ],
+    },
+  };
+}
+
+/**
+ * Builds structured data (JSON-LD) for a creator's profile page.
+ * @param {Object} creator - Creator record from `data/creators`
+ * @param {Array} products - The creator's published products
+ * @returns {Object} Schema.org ProfilePage structured data with the creator
+ *   as an Organization (studios) or a Person (individual artists) and their
+ *   portfolio as an ItemList
+ */
+export function buildCreatorProfileSchema(creator, products) {
+  const url = `${window.location.origin}/creators/${creator.id}`;
+  const portfolio = buildProductListSchema(products, {
+    name: creator.name,
+    description: creator.bio,
+  });
+  delete portfolio['@context'];
+  const isStudio = creator.kind === CREATOR_KINDS.STUDIO;
+
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'ProfilePage',
+    '@id': url,
+    url,
+    dateCreated: creator.joinedAt,
+    mainEntity: {
+      '@type': isStudio ? 'Organization' : 'Person',
+      '@id': `${url}#creator`,
+      name: creator.name,
+      description: creator.bio,
+      url,
+      // Organizations have a location; people have a home location
+      [isStudio ? 'location' : 'homeLocation']: {
+        '@type': 'Place',
+        name: creator.location,
+      },
+    },
+    hasPart: portfolio,
+  };
+}